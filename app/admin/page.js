@@ -0,0 +1,177 @@
+"use client";
+
+import React, { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import { useAuth } from "@/app/contexts/AuthContext";
+import { fetchAdminUsers } from "@/utils/helper";
+import AdminOnly, { formatAdminDate } from "@/app/components/AdminOnly";
+
+// Admin console: the user accounts, with their todo counts and last activity.
+// Opening one leads to /admin/users/[uid], where an admin can act on it.
+export default function AdminPage() {
+  const router = useRouter();
+  const { user, loading: authLoading, isAdmin } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [nextPageToken, setNextPageToken] = useState(null);
+  const [emailQuery, setEmailQuery] = useState("");
+  const [searchedEmail, setSearchedEmail] = useState(""); // The email the table shows, if any
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadUsers = useCallback(async ({ pageToken, email } = {}) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const page = await fetchAdminUsers({ pageToken, email });
+      setUsers((prevUsers) => (pageToken ? [...prevUsers, ...page.users] : page.users));
+      setNextPageToken(page.nextPageToken);
+      setSearchedEmail(email || "");
+    } catch (err) {
+      setError("Failed to load users: " + err.message);
+      console.error("Error loading users:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push("/");
+    } else if (isAdmin) {
+      loadUsers();
+    }
+  }, [authLoading, user, isAdmin, router, loadUsers]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    loadUsers({ email: emailQuery.trim() });
+  };
+
+  if (authLoading || !user) {
+    return <AdminOnly loading />;
+  }
+  if (!isAdmin) {
+    return <AdminOnly>You need the admin role to see this page.</AdminOnly>;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4 sm:p-8">
+      <div className="max-w-5xl mx-auto bg-white p-6 rounded-lg shadow-md">
+        <div className="flex flex-col sm:flex-row justify-between items-center mb-6 gap-4">
+          <h1 className="text-2xl font-bold text-gray-800">Admin console: users</h1>
+          <button
+            onClick={() => router.push("/")}
+            className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100"
+          >
+            Back to my todos
+          </button>
+        </div>
+
+        <form onSubmit={handleSearch} className="flex flex-col sm:flex-row gap-2 mb-4">
+          <input
+            type="email"
+            value={emailQuery}
+            onChange={(e) => setEmailQuery(e.target.value)}
+            placeholder="Find a user by email"
+            aria-label="Find a user by email"
+            className="flex-grow p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777]"
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+            disabled={loading}
+          >
+            Find
+          </button>
+          {searchedEmail && (
+            <button
+              type="button"
+              onClick={() => {
+                setEmailQuery("");
+                loadUsers();
+              }}
+              className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100"
+            >
+              Show all
+            </button>
+          )}
+        </form>
+
+        {error && (
+          <p className="mb-4 p-3 bg-red-100 text-red-700 rounded-md" role="alert">
+            {error}
+          </p>
+        )}
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left text-gray-700">
+            <thead className="border-b border-gray-200 text-gray-500">
+              <tr>
+                <th className="py-2 pr-4 font-medium">User</th>
+                <th className="py-2 pr-4 font-medium">Status</th>
+                <th className="py-2 pr-4 font-medium text-right">Todos</th>
+                <th className="py-2 pr-4 font-medium">Last activity</th>
+                <th className="py-2 font-medium">Signed up</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((account) => (
+                <tr key={account.uid} className="border-b border-gray-100 hover:bg-gray-50">
+                  <td className="py-2 pr-4">
+                    <button
+                      onClick={() => router.push(`/admin/users/${account.uid}`)}
+                      className="text-left text-indigo-600 hover:underline break-all"
+                    >
+                      {account.email || account.uid}
+                    </button>
+                    {account.displayName && (
+                      <span className="block text-xs text-gray-500">{account.displayName}</span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    {account.disabled ? (
+                      <span className="px-2 py-0.5 rounded-full bg-red-100 text-red-700 text-xs">
+                        Disabled
+                      </span>
+                    ) : (
+                      <span className="px-2 py-0.5 rounded-full bg-green-100 text-green-700 text-xs">
+                        Active
+                      </span>
+                    )}
+                    {account.admin && (
+                      <span className="ml-1 px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-700 text-xs">
+                        Admin
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 text-right">{account.todoCount}</td>
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    {formatAdminDate(account.lastActivityAt)}
+                  </td>
+                  <td className="py-2 whitespace-nowrap">{formatAdminDate(account.createdAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {!loading && users.length === 0 && !error && (
+          <p className="mt-4 text-center text-gray-500">
+            {searchedEmail ? `No user has the email ${searchedEmail}.` : "No users yet."}
+          </p>
+        )}
+        {loading && <p className="mt-4 text-center text-gray-500">Loading users...</p>}
+        {!loading && nextPageToken && (
+          <div className="mt-4 text-center">
+            <button
+              onClick={() => loadUsers({ pageToken: nextPageToken })}
+              className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100"
+            >
+              Load more
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,381 @@
+"use client";
+
+import React, { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import { useAuth } from "@/app/contexts/AuthContext";
+import {
+  fetchAdminUser,
+  fetchAdminUserTodos,
+  updateAdminUser,
+  revokeAdminUserSessions,
+  exportAdminUserTodos,
+  deleteAdminUser,
+} from "@/utils/helper";
+import AdminOnly, { formatAdminDate } from "@/app/components/AdminOnly";
+import ExportMenu from "@/app/components/ExportMenu";
+
+// What the summary says for each kind of document a deletion removed
+const DELETED_LABELS = {
+  todos: "todos",
+  trashedTodos: "todos in the trash",
+  searchIndex: "search index entries",
+  history: "history entries",
+  lists: "lists",
+  invitations: "invitations",
+  notifications: "notifications",
+  pushSubscriptions: "push subscriptions",
+  apiTokens: "API tokens",
+  avatars: "profile pictures",
+};
+
+function TodoTable({ todos, listNames, dateField, dateLabel }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm text-left text-gray-700">
+        <thead className="border-b border-gray-200 text-gray-500">
+          <tr>
+            <th className="py-2 pr-4 font-medium">Todo</th>
+            <th className="py-2 pr-4 font-medium">List</th>
+            <th className="py-2 pr-4 font-medium">Due</th>
+            <th className="py-2 font-medium">{dateLabel}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {todos.map((todo) => (
+            <tr key={todo.id} className="border-b border-gray-100 align-top">
+              <td
+                className={`py-2 pr-4 break-words ${todo.completed ? "line-through text-gray-500" : ""}`}
+              >
+                {todo.text}
+              </td>
+              <td className="py-2 pr-4">{listNames.get(todo.listId) || "-"}</td>
+              <td className="py-2 pr-4 whitespace-nowrap">
+                {todo.dueDate ? formatAdminDate(todo.dueDate) : "-"}
+              </td>
+              <td className="py-2 whitespace-nowrap">{formatAdminDate(todo[dateField])}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// One user account in the admin console: its details and todos, and the support actions
+// (disable or enable, end sessions, admin role, export, delete everything).
+export default function AdminUserPage({ params }) {
+  const router = useRouter();
+  const { user, loading: authLoading, isAdmin } = useAuth();
+  const { uid } = params;
+
+  const [account, setAccount] = useState(null);
+  const [userData, setUserData] = useState(null); // { todos, trashedTodos, lists }
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionPending, setActionPending] = useState(false);
+  const [actionError, setActionError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [deleteConfirmation, setDeleteConfirmation] = useState(""); // Must match the email (or uid)
+  const [deleted, setDeleted] = useState(null); // Summary once the user was deleted
+
+  const loadUser = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [fetchedAccount, fetchedData] = await Promise.all([
+        fetchAdminUser(uid),
+        fetchAdminUserTodos(uid),
+      ]);
+      setAccount(fetchedAccount);
+      setUserData(fetchedData);
+    } catch (err) {
+      setError("Failed to load the user: " + err.message);
+      console.error("Error loading user:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [uid]);
+
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push("/");
+    } else if (isAdmin) {
+      loadUser();
+    }
+  }, [authLoading, user, isAdmin, router, loadUser]);
+
+  // Runs one action on the account; `action` resolves to the updated account
+  const runAction = async (action, successNotice) => {
+    setActionPending(true);
+    setActionError(null);
+    setNotice(null);
+    try {
+      setAccount(await action());
+      setNotice(successNotice);
+    } catch (err) {
+      setActionError(err.message);
+      console.error("Admin action error:", err);
+    } finally {
+      setActionPending(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setActionPending(true);
+    setActionError(null);
+    setNotice(null);
+    try {
+      const result = await deleteAdminUser(uid);
+      setDeleted(result.deleted);
+    } catch (err) {
+      setActionError("Failed to delete the user: " + err.message);
+      console.error("Delete user error:", err);
+    } finally {
+      setActionPending(false);
+    }
+  };
+
+  if (authLoading || !user) {
+    return <AdminOnly loading />;
+  }
+  if (!isAdmin) {
+    return <AdminOnly>You need the admin role to see this page.</AdminOnly>;
+  }
+
+  const isSelf = uid === user.uid;
+  const confirmationTarget = account?.email || uid;
+  const listNames = new Map((userData?.lists || []).map((list) => [list.id, list.name]));
+  const buttonClass =
+    "px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 disabled:opacity-50";
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4 sm:p-8">
+      <div className="max-w-5xl mx-auto bg-white p-6 rounded-lg shadow-md space-y-6">
+        <button onClick={() => router.push("/admin")} className="text-indigo-600 hover:underline">
+          &larr; All users
+        </button>
+
+        {loading && <p className="text-gray-500">Loading user...</p>}
+        {error && (
+          <p className="p-3 bg-red-100 text-red-700 rounded-md" role="alert">
+            {error}
+          </p>
+        )}
+
+        {deleted && (
+          <div className="p-4 bg-green-50 border border-green-200 rounded-md text-gray-700">
+            <p className="font-semibold">The account and all of its data were deleted.</p>
+            <ul className="mt-2 list-disc pl-6 text-sm">
+              {Object.entries(deleted).map(([kind, count]) => (
+                <li key={kind}>
+                  {count} {DELETED_LABELS[kind] || kind}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {account && !deleted && (
+          <>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-800 break-all">
+                {account.email || account.uid}
+              </h1>
+              <dl className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1 text-sm text-gray-700">
+                <div>
+                  <dt className="inline text-gray-500">User ID: </dt>
+                  <dd className="inline break-all">{account.uid}</dd>
+                </div>
+                <div>
+                  <dt className="inline text-gray-500">Name: </dt>
+                  <dd className="inline">{account.displayName || "-"}</dd>
+                </div>
+                <div>
+                  <dt className="inline text-gray-500">Status: </dt>
+                  <dd className="inline">
+                    {account.disabled ? "Disabled" : "Active"}
+                    {account.admin ? ", admin" : ""}
+                    {account.emailVerified ? "" : ", email not verified"}
+                  </dd>
+                </div>
+                <div>
+                  <dt className="inline text-gray-500">Sign-in methods: </dt>
+                  <dd className="inline">{account.providers.join(", ") || "-"}</dd>
+                </div>
+                <div>
+                  <dt className="inline text-gray-500">Signed up: </dt>
+                  <dd className="inline">{formatAdminDate(account.createdAt)}</dd>
+                </div>
+                <div>
+                  <dt className="inline text-gray-500">Last activity: </dt>
+                  <dd className="inline">{formatAdminDate(account.lastActivityAt)}</dd>
+                </div>
+                <div>
+                  <dt className="inline text-gray-500">Sessions valid since: </dt>
+                  <dd className="inline">{formatAdminDate(account.tokensValidAfter)}</dd>
+                </div>
+                <div>
+                  <dt className="inline text-gray-500">Todos: </dt>
+                  <dd className="inline">{account.todoCount}</dd>
+                </div>
+              </dl>
+            </div>
+
+            <div className="space-y-3">
+              <h2 className="text-lg font-semibold text-gray-800">Actions</h2>
+              {isSelf && (
+                <p className="text-sm text-gray-500">
+                  This is your own account: you can&apos;t disable it, delete it or take away your
+                  admin role here.
+                </p>
+              )}
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={() =>
+                    runAction(
+                      () => updateAdminUser(uid, { disabled: !account.disabled }),
+                      account.disabled
+                        ? "The account was enabled."
+                        : "The account was disabled and signed out."
+                    )
+                  }
+                  className={buttonClass}
+                  disabled={actionPending || isSelf}
+                >
+                  {account.disabled ? "Enable account" : "Disable account"}
+                </button>
+                <button
+                  onClick={() =>
+                    runAction(
+                      () => revokeAdminUserSessions(uid),
+                      "Sessions and API tokens revoked: the user has to sign in again within the hour."
+                    )
+                  }
+                  className={buttonClass}
+                  disabled={actionPending}
+                >
+                  Revoke sessions
+                </button>
+                <button
+                  onClick={() =>
+                    runAction(
+                      () => updateAdminUser(uid, { admin: !account.admin }),
+                      account.admin
+                        ? "The admin role was taken away."
+                        : "The user is now an admin (from their next sign-in or token refresh)."
+                    )
+                  }
+                  className={buttonClass}
+                  disabled={actionPending || (isSelf && account.admin)}
+                >
+                  {account.admin ? "Remove admin role" : "Make admin"}
+                </button>
+                <ExportMenu
+                  onError={setActionError}
+                  exportFile={(format) => exportAdminUserTodos(uid, format)}
+                />
+                {!isSelf && (
+                  <button
+                    onClick={() => {
+                      setConfirmingDelete(true);
+                      setDeleteConfirmation("");
+                    }}
+                    className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+                    disabled={actionPending}
+                  >
+                    Delete user and data
+                  </button>
+                )}
+              </div>
+
+              {notice && <p className="text-sm text-green-700">{notice}</p>}
+              {actionError && (
+                <p className="p-3 bg-red-100 text-red-700 rounded-md" role="alert">
+                  {actionError}
+                </p>
+              )}
+
+              {confirmingDelete && (
+                <div className="p-4 border border-red-200 bg-red-50 rounded-md space-y-3">
+                  <p className="text-sm text-gray-700">
+                    This deletes the account and everything stored about it for good: todos, trash,
+                    lists, history, invitations and notifications. Todos others keep in this
+                    user&apos;s lists go back to their owners. It can&apos;t be undone.
+                  </p>
+                  <label className="block text-sm text-gray-700">
+                    Type <span className="font-mono break-all">{confirmationTarget}</span> to
+                    confirm:
+                    <input
+                      type="text"
+                      value={deleteConfirmation}
+                      onChange={(e) => setDeleteConfirmation(e.target.value)}
+                      className="mt-1 block w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 text-[#777]"
+                    />
+                  </label>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={handleDelete}
+                      className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+                      disabled={actionPending || deleteConfirmation.trim() !== confirmationTarget}
+                    >
+                      {actionPending ? "Deleting..." : "Delete for good"}
+                    </button>
+                    <button
+                      onClick={() => setConfirmingDelete(false)}
+                      className={buttonClass}
+                      disabled={actionPending}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+
+        {userData && !deleted && (
+          <>
+            <div>
+              <h2 className="text-lg font-semibold text-gray-800 mb-2">
+                Todos ({userData.todos.length})
+              </h2>
+              {userData.todos.length > 0 ? (
+                <TodoTable
+                  todos={userData.todos}
+                  listNames={listNames}
+                  dateField="updatedAt"
+                  dateLabel="Updated"
+                />
+              ) : (
+                <p className="text-gray-500">No todos.</p>
+              )}
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-gray-800 mb-2">
+                Lists ({userData.lists.length})
+              </h2>
+              <p className="text-sm text-gray-700">
+                {userData.lists.map((list) => list.name).join(", ") || "No lists."}
+              </p>
+            </div>
+            {userData.trashedTodos.length > 0 && (
+              <div>
+                <h2 className="text-lg font-semibold text-gray-800 mb-2">
+                  Trash ({userData.trashedTodos.length})
+                </h2>
+                <TodoTable
+                  todos={userData.trashedTodos}
+                  listNames={listNames}
+                  dateField="deletedAt"
+                  dateLabel="Deleted"
+                />
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+// This file handles PUT and DELETE requests for the user's own profile picture.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { validateAvatarPayload } from "@/app/lib/todoValidation";
+import { saveAvatar, deleteAvatar } from "@/app/lib/avatars";
+
+// --- PUT request to upload a new profile picture ---
+// Body: { image }, a base64 data URL (see validateAvatarPayload). Responds with { photoURL };
+// the client reloads the user to pick it up.
+export async function PUT(request) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateAvatarPayload(body);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid profile picture.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    const photoURL = await saveAvatar(uid, data, request.nextUrl.origin);
+
+    return NextResponse.json({ photoURL }, { status: 200 });
+  } catch (error) {
+    console.error("Error saving profile picture:", error);
+    return NextResponse.json(
+      { error: "Failed to save profile picture.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// --- DELETE request to remove the profile picture ---
+export async function DELETE(request) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    await deleteAvatar(auth.uid);
+
+    return new NextResponse(null, { status: 204 }); // 204 No Content for successful deletion
+  } catch (error) {
+    console.error("Error removing profile picture:", error);
+    return NextResponse.json(
+      { error: "Failed to remove profile picture.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,42 @@
+// This file handles DELETE requests that delete the user's own account.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { AUTH_ERROR_CODES } from "@/app/lib/authErrors";
+import { deleteUserData } from "@/app/lib/userData";
+
+const RECENT_LOGIN_SECONDS = 5 * 60; // How recently the user must have signed in to delete
+
+// --- DELETE request to delete the account and everything stored about it ---
+// The user must have signed in (or reauthenticated) in the last few minutes, so a stolen or
+// forgotten session can't wipe an account. Deletes every todo, list and other document the
+// user owns (see deleteUserData), then the account itself. Responds with { deleted }.
+export async function DELETE(request) {
+  try {
+    const auth = await authenticateRequest(request, { checkRevoked: true, allowUnverified: true });
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid, claims } = auth;
+
+    if (Date.now() / 1000 - claims.auth_time > RECENT_LOGIN_SECONDS) {
+      return NextResponse.json(
+        {
+          error: "Please sign in again to delete your account.",
+          code: AUTH_ERROR_CODES.recentLogin,
+        },
+        { status: 403 }
+      );
+    }
+
+    const deleted = await deleteUserData(uid);
+
+    return NextResponse.json({ deleted }, { status: 200 });
+  } catch (error) {
+    console.error("Error deleting account:", error);
+    return NextResponse.json(
+      { error: "Failed to delete account.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
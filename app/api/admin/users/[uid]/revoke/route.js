@@ -0,0 +1,38 @@
+// This file handles POST requests that end every session of a user (admin console).
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { admin } from "@/app/lib/firebaseAdmin.cjs";
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { findUserRecord, getUserActivity, serializeAccount } from "@/app/lib/userData";
+
+// --- POST request to revoke a user's tokens ---
+// Their refresh tokens stop working at once, so they have to sign in again within the hour.
+// Routes that check for revocation (e.g. the admin routes) turn down their current ID
+// token right away too.
+export async function POST(request, { params }) {
+  try {
+    const auth = await authenticateRequest(request, { accountRole: "admin" });
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = params;
+
+    if (!(await findUserRecord(uid))) {
+      return NextResponse.json({ error: "User not found." }, { status: 404 });
+    }
+
+    await admin.auth().revokeRefreshTokens(uid);
+
+    const updatedRecord = await admin.auth().getUser(uid);
+    return NextResponse.json(
+      serializeAccount(updatedRecord, await getUserActivity(updatedRecord)),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error(`Error revoking tokens of user ${params.uid}:`, error);
+    return NextResponse.json(
+      { error: `Failed to revoke tokens of user ${params.uid}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
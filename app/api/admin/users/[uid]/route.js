@@ -0,0 +1,126 @@
+// This file handles GET, PATCH, and DELETE requests for one user account in the admin console.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { admin } from "@/app/lib/firebaseAdmin.cjs";
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { validateAccountUpdatePayload } from "@/app/lib/todoValidation";
+import {
+  findUserRecord,
+  getUserActivity,
+  serializeAccount,
+  setAccountRole,
+  deleteUserData,
+} from "@/app/lib/userData";
+
+const USER_NOT_FOUND_ERROR = "User not found.";
+
+// --- GET request to fetch one user account with its todoCount and lastActivityAt ---
+export async function GET(request, { params }) {
+  try {
+    const auth = await authenticateRequest(request, { accountRole: "admin" });
+    if (auth.response) {
+      return auth.response;
+    }
+
+    const userRecord = await findUserRecord(params.uid);
+    if (!userRecord) {
+      return NextResponse.json({ error: USER_NOT_FOUND_ERROR }, { status: 404 });
+    }
+
+    return NextResponse.json(serializeAccount(userRecord, await getUserActivity(userRecord)), {
+      status: 200,
+    });
+  } catch (error) {
+    console.error(`Error fetching user ${params.uid}:`, error);
+    return NextResponse.json(
+      { error: `Failed to fetch user ${params.uid}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// --- PATCH request to disable or enable an account, or give or take away the admin role ---
+// Body: { disabled?, admin? }. Disabling an account or taking away its admin role also ends
+// its sessions (see the revoke route). Admins can't do either to their own account.
+export async function PATCH(request, { params }) {
+  try {
+    const auth = await authenticateRequest(request, { accountRole: "admin" });
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = params;
+
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateAccountUpdatePayload(body);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid account data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+    if (uid === auth.uid && (data.disabled === true || data.admin === false)) {
+      return NextResponse.json(
+        { error: "You cannot disable your own account or take away your own admin role." },
+        { status: 400 }
+      );
+    }
+
+    const userRecord = await findUserRecord(uid);
+    if (!userRecord) {
+      return NextResponse.json({ error: USER_NOT_FOUND_ERROR }, { status: 404 });
+    }
+
+    if (data.disabled !== undefined) {
+      await admin.auth().updateUser(uid, { disabled: data.disabled });
+    }
+    if (data.admin !== undefined) {
+      await setAccountRole(uid, "admin", data.admin);
+    }
+    if (data.disabled === true || data.admin === false) {
+      await admin.auth().revokeRefreshTokens(uid);
+    }
+
+    const updatedRecord = await admin.auth().getUser(uid);
+    return NextResponse.json(
+      serializeAccount(updatedRecord, await getUserActivity(updatedRecord)),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error(`Error updating user ${params.uid}:`, error);
+    return NextResponse.json(
+      { error: `Failed to update user ${params.uid}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// --- DELETE request to erase a user's account and all of their data for good ---
+// Responds with the number of documents deleted per kind, as { deleted }. Works for accounts
+// that are already gone too, to clear up data a failed deletion left behind.
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authenticateRequest(request, { accountRole: "admin" });
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = params;
+
+    if (uid === auth.uid) {
+      return NextResponse.json(
+        { error: "You cannot delete your own account from the admin console." },
+        { status: 400 }
+      );
+    }
+
+    const deleted = await deleteUserData(uid);
+
+    return NextResponse.json({ deleted }, { status: 200 });
+  } catch (error) {
+    console.error(`Error deleting user ${params.uid}:`, error);
+    return NextResponse.json(
+      { error: `Failed to delete user ${params.uid}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
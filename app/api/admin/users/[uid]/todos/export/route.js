@@ -0,0 +1,37 @@
+// This file handles GET requests to export one user's todos as a file (admin console).
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { TODO_FILE_FORMATS } from "@/app/lib/todoValidation";
+import { createTodoExportResponse } from "@/app/lib/todoExport";
+
+// --- GET request to download every todo a user owns ---
+// Query parameter: format=json|csv|ics (default json), as for /api/todos/export.
+export async function GET(request, { params }) {
+  try {
+    const auth = await authenticateRequest(request, { accountRole: "admin" });
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = params;
+
+    const format = request.nextUrl.searchParams.get("format") || "json";
+    if (!TODO_FILE_FORMATS.includes(format)) {
+      return NextResponse.json(
+        {
+          error: "Invalid query parameters.",
+          fieldErrors: { format: `Format must be one of: ${TODO_FILE_FORMATS.join(", ")}.` },
+        },
+        { status: 400 }
+      );
+    }
+
+    return await createTodoExportResponse(uid, format, { filenamePrefix: `todos-${uid}` });
+  } catch (error) {
+    console.error(`Error exporting todos of user ${params.uid}:`, error);
+    return NextResponse.json(
+      { error: `Failed to export todos of user ${params.uid}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,43 @@
+// This file handles GET requests for the todos of one user, for support in the admin console.
+
+import { adminDb } from "@/app/lib/firebaseAdmin.cjs";
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { serializeTodo, serializeList } from "@/app/lib/todoSerializer";
+import { serializeTrashedTodo } from "@/app/lib/todoTrash";
+
+// --- GET request to fetch everything a user owns: { todos, trashedTodos, lists } ---
+// Read-only: admins look at a user's data here, they don't change it. Newest todos first.
+export async function GET(request, { params }) {
+  try {
+    const auth = await authenticateRequest(request, { accountRole: "admin" });
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = params;
+
+    const [todosSnapshot, trashSnapshot, listsSnapshot] = await Promise.all([
+      adminDb.collection("todos").where("userId", "==", uid).get(),
+      adminDb.collection("trashedTodos").where("userId", "==", uid).get(),
+      adminDb.collection("lists").where("userId", "==", uid).get(),
+    ]);
+    const newestFirst = (a, b) => (b.createdAt || "").localeCompare(a.createdAt || "");
+
+    return NextResponse.json(
+      {
+        todos: todosSnapshot.docs.map((doc) => serializeTodo(doc.id, doc.data())).sort(newestFirst),
+        trashedTodos: trashSnapshot.docs
+          .map((doc) => serializeTrashedTodo(doc.id, doc.data()))
+          .sort(newestFirst),
+        lists: listsSnapshot.docs.map((doc) => serializeList(doc.id, doc.data())),
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error(`Error fetching todos of user ${params.uid}:`, error);
+    return NextResponse.json(
+      { error: `Failed to fetch todos of user ${params.uid}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
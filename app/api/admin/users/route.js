@@ -0,0 +1,72 @@
+// This file handles GET requests that list user accounts for the admin console.
+// Every /api/admin route needs the "admin" account role (a custom claim; see serverAuth.js).
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { admin } from "@/app/lib/firebaseAdmin.cjs";
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { getUserActivity, serializeAccount } from "@/app/lib/userData";
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// --- GET request to list user accounts ---
+// Query parameters: email (find the one account with that address), limit (1-100, default 25)
+// and pageToken (the nextPageToken of the previous page).
+// Responds with { users, nextPageToken }; each user has its todoCount and lastActivityAt.
+export async function GET(request) {
+  try {
+    const auth = await authenticateRequest(request, { accountRole: "admin" });
+    if (auth.response) {
+      return auth.response;
+    }
+
+    const { searchParams } = new URL(request.url);
+    const email = searchParams.get("email")?.trim().toLowerCase();
+    const limit = Number(searchParams.get("limit") || DEFAULT_PAGE_SIZE);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return NextResponse.json(
+        {
+          error: "Invalid query parameters.",
+          fieldErrors: { limit: `Limit must be a whole number from 1 to ${MAX_PAGE_SIZE}.` },
+        },
+        { status: 400 }
+      );
+    }
+
+    let userRecords;
+    let nextPageToken = null;
+    if (email) {
+      try {
+        userRecords = [await admin.auth().getUserByEmail(email)];
+      } catch (error) {
+        if (error.code !== "auth/user-not-found") {
+          throw error;
+        }
+        userRecords = [];
+      }
+    } else {
+      const page = await admin.auth().listUsers(limit, searchParams.get("pageToken") || undefined);
+      userRecords = page.users;
+      nextPageToken = page.pageToken || null;
+    }
+
+    const users = await Promise.all(
+      userRecords.map(async (userRecord) =>
+        serializeAccount(userRecord, await getUserActivity(userRecord))
+      )
+    );
+    return NextResponse.json({ users, nextPageToken }, { status: 200 });
+  } catch (error) {
+    if (error.code === "auth/invalid-page-token") {
+      return NextResponse.json(
+        { error: "Invalid query parameters.", fieldErrors: { pageToken: "Unknown page token." } },
+        { status: 400 }
+      );
+    }
+    console.error("Error listing users:", error);
+    return NextResponse.json(
+      { error: "Failed to list users.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
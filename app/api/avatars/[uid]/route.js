@@ -0,0 +1,31 @@
+// This file serves profile pictures uploaded on the settings page (see avatars.js).
+// It is public, since <img> tags can't send an ID token; a picture is only found by user ID.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { getAvatar } from "@/app/lib/avatars";
+
+// --- GET request for a user's profile picture ---
+// Each picture has its own URL (?v=...), so it may be cached for good.
+export async function GET(request, { params }) {
+  try {
+    const avatar = await getAvatar(params.uid);
+    if (!avatar) {
+      return NextResponse.json({ error: "Profile picture not found." }, { status: 404 });
+    }
+
+    return new NextResponse(avatar.data, {
+      status: 200,
+      headers: {
+        "Content-Type": avatar.contentType,
+        "Cache-Control": "public, max-age=31536000, immutable",
+        "X-Content-Type-Options": "nosniff",
+      },
+    });
+  } catch (error) {
+    console.error(`Error fetching profile picture of user ${params.uid}:`, error);
+    return NextResponse.json(
+      { error: "Failed to fetch profile picture.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
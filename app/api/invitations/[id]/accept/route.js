@@ -0,0 +1,46 @@
+// This file handles POST requests to accept a sharing invitation.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { acceptInvitation } from "@/app/lib/invitations";
+import { AUTH_ERROR_CODES } from "@/app/lib/authErrors";
+
+// --- POST request to accept an invitation sent to the user's email ---
+// Responds with the accepted invitation; the shared todo or list is visible from then on.
+// Invitations go by email address, so only a verified address can accept one: some sign-ins
+// (e.g. GitHub's) come with addresses nobody confirmed, see needsEmailVerification.
+export async function POST(request, { params }) {
+  try {
+    const { id } = params;
+    const user = await authenticateRequest(request);
+
+    if (user.response) {
+      return user.response;
+    }
+    if (!id) {
+      return NextResponse.json({ error: "Invitation ID is required." }, { status: 400 });
+    }
+    if (user.claims.email_verified !== true) {
+      return NextResponse.json(
+        {
+          error: "Please verify your email address to accept invitations.",
+          code: AUTH_ERROR_CODES.unverified,
+        },
+        { status: 403 }
+      );
+    }
+
+    const result = await acceptInvitation(id, user);
+
+    if (result.error) {
+      return NextResponse.json({ error: result.error }, { status: result.status });
+    }
+    return NextResponse.json(result.invitation, { status: 200 });
+  } catch (error) {
+    console.error(`Error accepting invitation with ID ${params.id}:`, error);
+    return NextResponse.json(
+      { error: `Failed to accept invitation with ID ${params.id}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
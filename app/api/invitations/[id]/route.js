@@ -0,0 +1,54 @@
+// This file handles DELETE requests that end a sharing invitation:
+// the person who sent it revokes it, the person it was sent to declines it.
+
+import { adminDb } from "@/app/lib/firebaseAdmin.cjs";
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { endInvitation } from "@/app/lib/invitations";
+
+// --- DELETE request to revoke or decline an invitation ---
+// Revoking an accepted invitation also removes the collaborator's access.
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = params;
+    const user = await authenticateRequest(request);
+
+    if (user.response) {
+      return user.response;
+    }
+    if (!id) {
+      return NextResponse.json({ error: "Invitation ID is required." }, { status: 400 });
+    }
+
+    const invitationDoc = await adminDb.collection("invitations").doc(id).get();
+    if (!invitationDoc.exists) {
+      return NextResponse.json({ error: "Invitation not found." }, { status: 404 });
+    }
+    const invitation = invitationDoc.data();
+
+    const isSender = invitation.invitedBy === user.uid;
+    const isInvitee = Boolean(user.email) && invitation.email === user.email;
+    if (!isSender && !isInvitee) {
+      return NextResponse.json(
+        { error: "Forbidden: This invitation is not yours." },
+        { status: 403 }
+      );
+    }
+    if (invitation.status !== "pending" && invitation.status !== "accepted") {
+      return NextResponse.json(
+        { error: `This invitation was already ${invitation.status}.` },
+        { status: 409 }
+      );
+    }
+
+    await endInvitation(id, invitation, isSender ? "revoked" : "declined");
+
+    return new NextResponse(null, { status: 204 }); // 204 No Content
+  } catch (error) {
+    console.error(`Error ending invitation with ID ${params.id}:`, error);
+    return NextResponse.json(
+      { error: `Failed to end invitation with ID ${params.id}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,159 @@
+// This file handles GET requests to list sharing invitations (received and sent)
+// and POST requests to invite someone to a todo or a list.
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { validateInvitationPayload } from "@/app/lib/todoValidation";
+import { serializeInvitation } from "@/app/lib/todoSerializer";
+import { checkTodoAccess, checkListAccess } from "@/app/lib/todoAccess";
+
+// Newest first
+function byCreatedAtDesc(a, b) {
+  return (b.createdAt || "").localeCompare(a.createdAt || "");
+}
+
+// --- GET request to list invitations ---
+// Responds with { received, sent }: pending invitations sent to the user's email, and the
+// pending and accepted invitations the user sent. ?resourceType=&resourceId= narrows `sent`
+// down to one todo or list (its current collaborators and open invitations).
+export async function GET(request) {
+  try {
+    const user = await authenticateRequest(request);
+
+    if (user.response) {
+      return user.response;
+    }
+
+    const searchParams = request.nextUrl.searchParams;
+    const resourceType = searchParams.get("resourceType");
+    const resourceId = searchParams.get("resourceId");
+
+    let sentQuery = adminDb
+      .collection("invitations")
+      .where("invitedBy", "==", user.uid)
+      .where("status", "in", ["pending", "accepted"]);
+    if (resourceType && resourceId) {
+      sentQuery = sentQuery
+        .where("resourceType", "==", resourceType)
+        .where("resourceId", "==", resourceId);
+    }
+
+    const [receivedSnapshot, sentSnapshot] = await Promise.all([
+      user.email
+        ? adminDb
+            .collection("invitations")
+            .where("email", "==", user.email)
+            .where("status", "==", "pending")
+            .get()
+        : null,
+      sentQuery.get(),
+    ]);
+
+    const received = receivedSnapshot
+      ? receivedSnapshot.docs.map((doc) => serializeInvitation(doc.id, doc.data()))
+      : [];
+    const sent = sentSnapshot.docs.map((doc) => serializeInvitation(doc.id, doc.data()));
+
+    return NextResponse.json(
+      { received: received.sort(byCreatedAtDesc), sent: sent.sort(byCreatedAtDesc) },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error("Error fetching invitations:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch invitations.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// --- POST request to invite someone to a todo or a list ---
+// Only the owner can share. Body: { resourceType: "todo" | "list", resourceId, email, role }.
+export async function POST(request) {
+  try {
+    const user = await authenticateRequest(request);
+
+    if (user.response) {
+      return user.response;
+    }
+
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateInvitationPayload(body);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid invitation data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+    if (data.email === user.email) {
+      return NextResponse.json(
+        { error: "Invalid invitation data.", fieldErrors: { email: "You can't invite yourself." } },
+        { status: 400 }
+      );
+    }
+
+    const access =
+      data.resourceType === "todo"
+        ? await checkTodoAccess(data.resourceId, user.uid, "owner")
+        : await checkListAccess(data.resourceId, user.uid, "owner");
+    const noun = data.resourceType === "todo" ? "Todo item" : "List";
+
+    if (!access.exists) {
+      return NextResponse.json({ error: `${noun} not found.` }, { status: 404 });
+    }
+    if (!access.authorized) {
+      return NextResponse.json(
+        { error: `Forbidden: Only the owner can share this ${data.resourceType}.` },
+        { status: 403 }
+      );
+    }
+    if (access.data.isInbox) {
+      return NextResponse.json({ error: "The Inbox list cannot be shared." }, { status: 400 });
+    }
+
+    // One open invitation per person and item; revoke it first to change the role
+    const existingSnapshot = await adminDb
+      .collection("invitations")
+      .where("resourceType", "==", data.resourceType)
+      .where("resourceId", "==", data.resourceId)
+      .where("email", "==", data.email)
+      .where("status", "in", ["pending", "accepted"])
+      .limit(1)
+      .get();
+    if (!existingSnapshot.empty) {
+      const { status } = existingSnapshot.docs[0].data();
+      return NextResponse.json(
+        {
+          error:
+            status === "accepted"
+              ? `${data.email} already has access. Revoke it first to change their role.`
+              : `${data.email} has already been invited.`,
+        },
+        { status: 409 }
+      );
+    }
+
+    const invitationData = {
+      ...data,
+      resourceName: data.resourceType === "todo" ? access.data.text : access.data.name,
+      status: "pending",
+      invitedBy: user.uid,
+      invitedByEmail: user.email,
+      acceptedBy: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    const docRef = await adminDb.collection("invitations").add(invitationData);
+    const createdDoc = await docRef.get(); // Re-read to resolve the server timestamps
+
+    return NextResponse.json(serializeInvitation(docRef.id, createdDoc.data()), { status: 201 }); // 201 Created
+  } catch (error) {
+    console.error("Error creating invitation:", error);
+    return NextResponse.json(
+      { error: "Failed to create invitation.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
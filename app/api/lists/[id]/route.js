@@ -0,0 +1,123 @@
+// This file handles GET, PUT, and DELETE requests for a specific list.
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authorizeListAccess } from "@/app/lib/todoAccess";
+import { validateListPayload } from "@/app/lib/todoValidation";
+import { serializeList } from "@/app/lib/todoSerializer";
+import { countListTodos, moveListTodosToInbox } from "@/app/lib/todoLists";
+import { trashListTodos } from "@/app/lib/todoTrash";
+import { revokeResourceInvitations } from "@/app/lib/invitations";
+
+// What DELETE does with the todos of the list (?todos=move|delete)
+const DELETE_TODO_MODES = ["move", "delete"];
+
+// --- GET request to fetch a single list with its todo counts ---
+// Anyone the list is shared with can read it; `role` is the user's own role on it.
+export async function GET(request, { params }) {
+  try {
+    const { id } = params;
+    const access = await authorizeListAccess(request, id, "viewer");
+    if (access.response) {
+      return access.response;
+    }
+
+    return NextResponse.json(
+      { ...serializeList(id, access.data), role: access.role, ...(await countListTodos(id)) },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error(`Error fetching list with ID ${params.id}:`, error);
+    return NextResponse.json(
+      { error: `Failed to fetch list with ID ${params.id}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// --- PUT request to rename a list (owner only) ---
+export async function PUT(request, { params }) {
+  try {
+    const { id } = params;
+    const access = await authorizeListAccess(request, id, "owner");
+    if (access.response) {
+      return access.response;
+    }
+
+    const body = await request.json().catch(() => null);
+    const { data: updates, errors } = validateListPayload(body, { partial: true });
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid list data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+
+    const listRef = adminDb.collection("lists").doc(id);
+    await listRef.update(updates);
+    const updatedListDoc = await listRef.get();
+
+    return NextResponse.json(
+      {
+        ...serializeList(id, updatedListDoc.data()),
+        role: access.role,
+        ...(await countListTodos(id)),
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error(`Error updating list with ID ${params.id}:`, error);
+    return NextResponse.json(
+      { error: `Failed to update list with ID ${params.id}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// --- DELETE request to remove a list (owner only) ---
+// ?todos=move (the default) moves the list's todos to the Inbox; ?todos=delete moves them
+// to the trash.
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = params;
+    const access = await authorizeListAccess(request, id, "owner");
+    if (access.response) {
+      return access.response;
+    }
+
+    if (access.data.isInbox) {
+      return NextResponse.json({ error: "The Inbox list cannot be deleted." }, { status: 400 });
+    }
+
+    const mode = request.nextUrl.searchParams.get("todos") || "move";
+    if (!DELETE_TODO_MODES.includes(mode)) {
+      return NextResponse.json(
+        {
+          error: "Invalid query parameters.",
+          fieldErrors: { todos: `Todos must be one of: ${DELETE_TODO_MODES.join(", ")}.` },
+        },
+        { status: 400 }
+      );
+    }
+
+    // Empty the list first, so a failure never leaves todos pointing at a deleted list
+    if (mode === "delete") {
+      await trashListTodos(id, access.uid);
+    } else {
+      await moveListTodosToInbox(id, access.uid);
+    }
+    await adminDb.collection("lists").doc(id).delete();
+    await revokeResourceInvitations("list", id);
+
+    return new NextResponse(null, { status: 204 }); // 204 No Content for successful deletion
+  } catch (error) {
+    console.error(`Error deleting list with ID ${params.id}:`, error);
+    return NextResponse.json(
+      { error: `Failed to delete list with ID ${params.id}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,88 @@
+// This file handles GET requests to fetch the authenticated user's lists (with todo counts)
+// and POST requests to create a new list.
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { validateListPayload } from "@/app/lib/todoValidation";
+import { serializeList } from "@/app/lib/todoSerializer";
+import { ensureInboxList, countListTodos } from "@/app/lib/todoLists";
+import { getResourceRole } from "@/app/lib/sharing";
+
+// --- GET request to fetch every list of the authenticated user, and the lists shared with them ---
+// The Inbox comes first, then the user's own lists in the order they were created, then shared ones.
+// Each list carries the user's `role` on it, todoCount (all todos) and openCount (not completed yet).
+export async function GET(request) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    await ensureInboxList(uid); // Create the Inbox on first use
+
+    const [ownSnapshot, sharedSnapshot] = await Promise.all([
+      adminDb.collection("lists").where("userId", "==", uid).get(),
+      adminDb.collection("lists").where("collaboratorIds", "array-contains", uid).get(),
+    ]);
+    const lists = await Promise.all(
+      [...ownSnapshot.docs, ...sharedSnapshot.docs].map(async (doc) => ({
+        ...serializeList(doc.id, doc.data()),
+        role: getResourceRole(doc.data(), uid),
+        ...(await countListTodos(doc.id)),
+      }))
+    );
+    const rank = (list) => (list.isInbox ? 0 : list.role === "owner" ? 1 : 2);
+    lists.sort((a, b) => rank(a) - rank(b) || (a.createdAt || "").localeCompare(b.createdAt || ""));
+
+    return NextResponse.json({ lists }, { status: 200 });
+  } catch (error) {
+    console.error("Error fetching lists:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch lists.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// --- POST request to create a new list ---
+export async function POST(request) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateListPayload(body);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid list data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    const docRef = await adminDb.collection("lists").add({
+      name: data.name,
+      isInbox: false,
+      userId: uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    const createdDoc = await docRef.get(); // Re-read to resolve the server timestamps
+
+    return NextResponse.json(
+      { ...serializeList(docRef.id, createdDoc.data()), role: "owner", todoCount: 0, openCount: 0 },
+      { status: 201 }
+    ); // 201 Created
+  } catch (error) {
+    console.error("Error creating list:", error);
+    return NextResponse.json(
+      { error: "Failed to create list.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,75 @@
+// This file handles POST and DELETE requests to turn web push notifications on and off
+// for one of the authenticated user's browsers.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { validatePushSubscriptionPayload } from "@/app/lib/todoValidation";
+import { savePushSubscription, deletePushSubscription } from "@/app/lib/notifications";
+
+// --- Helper function to read the subscription from the request body ---
+async function readSubscription(request) {
+  const body = await request.json().catch(() => null);
+  const { data, errors } = validatePushSubscriptionPayload(body);
+  if (errors) {
+    return {
+      response: NextResponse.json(
+        { error: "Invalid push subscription.", fieldErrors: errors },
+        { status: 400 }
+      ),
+    };
+  }
+  return { subscription: data };
+}
+
+// --- POST request to save a browser's push subscription ({ endpoint, keys }) ---
+export async function POST(request) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const { subscription, response } = await readSubscription(request);
+    if (response) {
+      return response;
+    }
+
+    await savePushSubscription(uid, subscription);
+
+    return new NextResponse(null, { status: 204 }); // 204 No Content
+  } catch (error) {
+    console.error("Error saving push subscription:", error);
+    return NextResponse.json(
+      { error: "Failed to save push subscription.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// --- DELETE request to remove a browser's push subscription ({ endpoint, keys }) ---
+// Removing a subscription that is already gone is not an error.
+export async function DELETE(request) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const { subscription, response } = await readSubscription(request);
+    if (response) {
+      return response;
+    }
+
+    await deletePushSubscription(subscription.endpoint, uid);
+
+    return new NextResponse(null, { status: 204 }); // 204 No Content
+  } catch (error) {
+    console.error("Error deleting push subscription:", error);
+    return NextResponse.json(
+      { error: "Failed to delete push subscription.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,38 @@
+// This file handles POST requests to mark notifications as read.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { validateNotificationReadPayload } from "@/app/lib/todoValidation";
+import { markNotificationsRead } from "@/app/lib/notifications";
+
+// --- POST request to mark some notifications ({ ids }) or all of them ({ all: true }) as read ---
+// Responds with { marked }, the number of notifications that were unread before.
+export async function POST(request) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateNotificationReadPayload(body);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid notification data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    const marked = await markNotificationsRead(uid, data);
+
+    return NextResponse.json({ marked }, { status: 200 });
+  } catch (error) {
+    console.error("Error marking notifications as read:", error);
+    return NextResponse.json(
+      { error: "Failed to mark notifications as read.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,27 @@
+// This file handles GET requests to fetch the authenticated user's notification inbox.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { listNotifications } from "@/app/lib/notifications";
+
+// --- GET request to fetch the latest notifications, newest first ---
+// Responds with { notifications, unreadCount }; unreadCount covers the whole inbox.
+export async function GET(request) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const { notifications, unreadCount } = await listNotifications(uid);
+
+    return NextResponse.json({ notifications, unreadCount }, { status: 200 });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch notifications.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
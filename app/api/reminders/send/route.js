@@ -0,0 +1,29 @@
+// This file handles the scheduled sending of due-date reminders.
+// It is meant for a cron job (see vercel.json), which must send the CRON_SECRET env variable
+// as a bearer token: "Authorization: Bearer <CRON_SECRET>". Run it every few minutes: a
+// reminder goes out on the first run after its time. vercel.json runs it every 5 minutes,
+// which needs a Vercel Pro plan; Hobby plans only allow daily cron jobs (see README.md).
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authorizeCronRequest } from "@/app/lib/serverAuth";
+import { sendDueReminders } from "@/app/lib/reminderScheduler";
+
+// --- GET request to send every reminder that is due ---
+export async function GET(request) {
+  try {
+    const cronResponse = authorizeCronRequest(request);
+    if (cronResponse) {
+      return cronResponse;
+    }
+
+    const { checked, sent } = await sendDueReminders();
+
+    return NextResponse.json({ checked, sent }, { status: 200 });
+  } catch (error) {
+    console.error("Error sending reminders:", error);
+    return NextResponse.json(
+      { error: "Failed to send reminders.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
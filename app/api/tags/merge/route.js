@@ -0,0 +1,39 @@
+// This file handles POST requests to merge several tags into one on all of the
+// authenticated user's todos.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { validateTagMergePayload } from "@/app/lib/todoValidation";
+import { rewriteTags } from "@/app/lib/todoTags";
+
+// --- POST request to merge tags ({ sources, target }) ---
+// The target may be a new tag or one of the sources.
+export async function POST(request) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateTagMergePayload(body);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid tag data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    const updatedCount = await rewriteTags(uid, data.sources, data.target);
+
+    return NextResponse.json({ tag: data.target, updatedCount }, { status: 200 });
+  } catch (error) {
+    console.error("Error merging tags:", error);
+    return NextResponse.json(
+      { error: "Failed to merge tags.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
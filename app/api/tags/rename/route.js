@@ -0,0 +1,38 @@
+// This file handles POST requests to rename a tag on all of the authenticated user's todos.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { validateTagRenamePayload } from "@/app/lib/todoValidation";
+import { rewriteTags } from "@/app/lib/todoTags";
+
+// --- POST request to rename a tag ({ from, to }) ---
+// Renaming to a tag that is already in use merges the two.
+export async function POST(request) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateTagRenamePayload(body);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid tag data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    const updatedCount = await rewriteTags(uid, [data.from], data.to);
+
+    return NextResponse.json({ tag: data.to, updatedCount }, { status: 200 });
+  } catch (error) {
+    console.error("Error renaming tag:", error);
+    return NextResponse.json(
+      { error: "Failed to rename tag.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,26 @@
+// This file handles GET requests to list the tags on the authenticated user's todos.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { listTagCounts } from "@/app/lib/todoTags";
+
+// --- GET request to fetch every tag in use with the number of todos carrying it ---
+export async function GET(request) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const tags = await listTagCounts(uid);
+
+    return NextResponse.json({ tags }, { status: 200 });
+  } catch (error) {
+    console.error("Error fetching tags:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch tags.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
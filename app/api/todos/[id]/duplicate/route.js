@@ -0,0 +1,66 @@
+// This file handles POST requests that create a copy of a todo item.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { randomUUID } from "crypto";
+import { authorizeTodoAccess } from "@/app/lib/todoAccess";
+import { TODO_TEXT_MAX_LENGTH } from "@/app/lib/todoValidation";
+import { checkListReference } from "@/app/lib/todoLists";
+import { createTodoForUser } from "@/app/lib/todoCreation";
+import { getPositionBetween } from "@/app/lib/todoPositions";
+
+const COPY_SUFFIX = " (copy)";
+
+// --- POST request to duplicate a todo item ---
+// Anyone who can see a todo can copy it. The copy belongs to the user, starts out open (with its
+// subtasks unchecked) and goes right below the original in the manual order. It stays in the
+// same list if the user can add to it, and goes to their Inbox otherwise. Sharing, history and
+// reminders already sent are not copied.
+export async function POST(request, { params }) {
+  try {
+    const { id } = params;
+    const access = await authorizeTodoAccess(request, id, "viewer");
+    if (access.response) {
+      return access.response;
+    }
+    const { uid, data: original } = access;
+
+    const listId =
+      original.listId && !(await checkListReference(original.listId, uid)) ? original.listId : null;
+    const { todo, fieldErrors } = await createTodoForUser(
+      uid,
+      {
+        text: original.text.slice(0, TODO_TEXT_MAX_LENGTH - COPY_SUFFIX.length) + COPY_SUFFIX,
+        notes: original.notes ?? "",
+        completed: false,
+        dueDate: original.dueDate ? original.dueDate.toDate() : null,
+        priority: original.priority ?? null,
+        reminders: original.reminders ?? [],
+        autoCompleteParent: original.autoCompleteParent ?? false,
+        recurrence: original.recurrence ?? null,
+        tags: original.tags ?? [],
+        listId,
+      },
+      {
+        position: original.position
+          ? await getPositionBetween(uid, original.position, null)
+          : undefined,
+        subtasks: (original.subtasks || []).map((subtask) => ({
+          ...subtask,
+          id: randomUUID(),
+          completed: false,
+        })),
+      }
+    );
+    if (fieldErrors) {
+      return NextResponse.json({ error: "Invalid todo data.", fieldErrors }, { status: 400 });
+    }
+
+    return NextResponse.json(todo, { status: 201 }); // 201 Created
+  } catch (error) {
+    console.error(`Error duplicating todo with ID ${params.id}:`, error);
+    return NextResponse.json(
+      { error: `Failed to duplicate todo with ID ${params.id}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,27 @@
+// This file handles GET requests for the change history of a todo item.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authorizeTodoAccess } from "@/app/lib/todoAccess";
+import { listTodoHistory } from "@/app/lib/todoHistory";
+
+// --- GET request to fetch the history of a todo, newest first ---
+// Anyone who can read the todo can read its history: { entries: [...] } (see listTodoHistory).
+export async function GET(request, { params }) {
+  try {
+    const { id } = params;
+    const access = await authorizeTodoAccess(request, id, "viewer");
+    if (access.response) {
+      return access.response;
+    }
+
+    const entries = await listTodoHistory(id);
+
+    return NextResponse.json({ entries }, { status: 200 });
+  } catch (error) {
+    console.error(`Error fetching history of todo ${params.id}:`, error);
+    return NextResponse.json(
+      { error: `Failed to fetch history of todo ${params.id}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
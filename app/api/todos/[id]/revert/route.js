@@ -0,0 +1,99 @@
+// This file handles POST requests to revert a todo item to an earlier version.
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authorizeTodoAccess } from "@/app/lib/todoAccess";
+import { validateRevertPayload } from "@/app/lib/todoValidation";
+import { serializeTodo } from "@/app/lib/todoSerializer";
+import {
+  SEARCHABLE_FIELDS,
+  getSearchIndexRef,
+  buildSearchIndexEntry,
+} from "@/app/lib/todoSearchIndex";
+import { checkListReference } from "@/app/lib/todoLists";
+import { getTodoVersion, diffTodoFields, buildHistoryWrite } from "@/app/lib/todoHistory";
+
+// --- POST request to revert a todo to the version right after a history entry ({ entryId }) ---
+// Editors and the owner can revert a todo. The revert is recorded as a change of its own, so it
+// can be reverted too. The todo only moves back to its earlier list if the user owns the todo
+// and can still add to that list; otherwise it stays where it is.
+export async function POST(request, { params }) {
+  try {
+    const { id } = params;
+    const access = await authorizeTodoAccess(request, id, "editor");
+    if (access.response) {
+      return access.response;
+    }
+    const { uid } = access;
+
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateRevertPayload(body);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid revert data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    const { version, error, status } = await getTodoVersion(id, data.entryId, access.data);
+    if (error) {
+      return NextResponse.json({ error }, { status });
+    }
+    if (version.listId !== access.data.listId) {
+      const canMove = access.role === "owner" && !(await checkListReference(version.listId, uid));
+      if (!canMove) {
+        version.listId = access.data.listId;
+      }
+    }
+
+    const todoRef = adminDb.collection("todos").doc(id);
+    const result = await adminDb.runTransaction(async (transaction) => {
+      const todoDoc = await transaction.get(todoRef);
+      const todoData = todoDoc.data();
+      // The version was rebuilt from the todo as it was read above
+      if (!todoDoc.exists || !todoData.updatedAt?.isEqual(access.data.updatedAt)) {
+        return {
+          error: "This todo was changed while reverting it. Please try again.",
+          status: 409,
+        };
+      }
+
+      const mergedTodo = { ...todoData, ...version };
+      const changedFields = Object.keys(diffTodoFields(todoData, mergedTodo));
+      if (changedFields.length === 0) {
+        return { error: "The todo is already at this version.", status: 409 };
+      }
+
+      const updates = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+      for (const field of changedFields) {
+        updates[field] = version[field];
+      }
+      transaction.update(todoRef, updates);
+      if (SEARCHABLE_FIELDS.some((field) => changedFields.includes(field))) {
+        transaction.set(getSearchIndexRef(id), buildSearchIndexEntry(mergedTodo));
+      }
+      buildHistoryWrite(id, {
+        action: "revert",
+        before: todoData,
+        after: mergedTodo,
+        actorId: uid,
+        revertedTo: data.entryId,
+      })(transaction);
+      return {};
+    });
+
+    if (result.error) {
+      return NextResponse.json({ error: result.error }, { status: result.status });
+    }
+
+    const revertedDoc = await todoRef.get();
+    return NextResponse.json(serializeTodo(id, revertedDoc.data()), { status: 200 });
+  } catch (error) {
+    console.error(`Error reverting todo with ID ${params.id}:`, error);
+    return NextResponse.json(
+      { error: `Failed to revert todo with ID ${params.id}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -1,73 +1,52 @@
 // This file handles GET, PUT/PATCH, and DELETE requests for a specific todo item.
 
-import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs"; 
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
 import { NextResponse } from "next/server"; // For Next.js App Router responses
-
-// --- Helper function to get authenticated user's UID ---
-async function getAuthenticatedUserUid(request) {
-  const authHeader = request.headers.get("Authorization");
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return null;
+import { authorizeTodoAccess } from "@/app/lib/todoAccess";
+import { validateTodoPayload } from "@/app/lib/todoValidation";
+import { serializeTodo } from "@/app/lib/todoSerializer";
+import { anchorRecurrenceRule, reanchorRecurrenceRule } from "@/app/lib/recurrence";
+import { buildNextOccurrence } from "@/app/lib/recurringTodos";
+import {
+  SEARCHABLE_FIELDS,
+  getSearchIndexRef,
+  buildSearchIndexEntry,
+} from "@/app/lib/todoSearchIndex";
+import { checkListReference } from "@/app/lib/todoLists";
+import { buildTrashWrites } from "@/app/lib/todoTrash";
+import { buildHistoryWrite } from "@/app/lib/todoHistory";
+
+// --- Helper function to detect edit conflicts ---
+// Clients replaying offline changes send the updatedAt they last saw in an If-Match header.
+// If the todo changed on the server since then, the write is refused with 412 and the
+// current copy, so the client can let the user pick which version wins. `todoData` must be
+// read in the transaction that makes the write, so nothing can land in between.
+function checkEditConflict(request, id, todoData) {
+  const expectedUpdatedAt = request.headers.get("If-Match");
+  if (!expectedUpdatedAt) {
+    return null; // Unconditional write
   }
-  const idToken = authHeader.split(" ")[1];
-
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    return decodedToken.uid;
-  } catch (error) {
-    console.error("Error verifying ID token:", error);
+  const currentTodo = serializeTodo(id, todoData);
+  if (expectedUpdatedAt.replace(/"/g, "") === currentTodo.updatedAt) {
     return null;
   }
-}
-
-// --- Helper function to check todo ownership ---
-async function checkTodoOwnership(todoId, userId) {
-  const todoDoc = await adminDb.collection("todos").doc(todoId).get();
-  if (!todoDoc.exists) {
-    return { exists: false };
-  }
-  const todoData = todoDoc.data();
-  if (todoData.userId !== userId) {
-    return { exists: true, authorized: false }; // Exists but not owned by this user
-  }
-  return { exists: true, authorized: true, data: todoData }; // Exists and owned by this user
+  return NextResponse.json(
+    { error: "This todo was changed on the server since you last saw it.", current: currentTodo },
+    { status: 412 } // 412 Precondition Failed
+  );
 }
 
 // --- GET request to fetch a single todo item ---
+// Anyone the todo (or its list) is shared with can read it.
 export async function GET(request, { params }) {
   try {
     const { id } = params;
-    const uid = await getAuthenticatedUserUid(request);
-
-    if (!uid) {
-      return NextResponse.json({ error: "Authentication required." }, { status: 401 });
+    const access = await authorizeTodoAccess(request, id, "viewer");
+    if (access.response) {
+      return access.response;
     }
-    if (!id) {
-      return NextResponse.json({ error: "Todo ID is required." }, { status: 400 });
-    }
-
-    const ownership = await checkTodoOwnership(id, uid);
-
-    if (!ownership.exists) {
-      return NextResponse.json({ error: "Todo item not found." }, { status: 404 });
-    }
-    if (!ownership.authorized) {
-      return NextResponse.json(
-        { error: "Forbidden: You do not own this todo item." },
-        { status: 403 }
-      );
-    }
-
-    const todoData = ownership.data;
-    const todo = {
-      id: id,
-      ...todoData,
-      createdAt: todoData.createdAt ? todoData.createdAt.toDate().toISOString() : null,
-      updatedAt: todoData.updatedAt ? todoData.updatedAt.toDate().toISOString() : null,
-      dueDate: todoData.dueDate ? todoData.dueDate.toDate().toISOString() : null,
-    };
 
-    return NextResponse.json(todo, { status: 200 });
+    return NextResponse.json(serializeTodo(id, access.data), { status: 200 });
   } catch (error) {
     console.error(`Error fetching todo with ID ${params.id}:`, error);
     return NextResponse.json(
@@ -78,62 +57,136 @@ export async function GET(request, { params }) {
 }
 
 // --- PUT/PATCH request to update an existing todo item ---
+// Editors and the owner can update a todo; only the owner can move it to another list.
 export async function PUT(request, { params }) {
   try {
     const { id } = params;
-    const uid = await getAuthenticatedUserUid(request);
-
-    if (!uid) {
-      return NextResponse.json({ error: "Authentication required." }, { status: 401 });
-    }
-    if (!id) {
-      return NextResponse.json({ error: "Todo ID is required for update." }, { status: 400 });
+    const access = await authorizeTodoAccess(request, id, "editor");
+    if (access.response) {
+      return access.response;
     }
+    const { uid } = access;
 
-    const ownership = await checkTodoOwnership(id, uid);
+    // Only whitelisted fields get through; userId, createdAt etc. are rejected
+    const body = await request.json().catch(() => null);
+    const { data: updates, errors } = validateTodoPayload(body, { partial: true });
 
-    if (!ownership.exists) {
-      return NextResponse.json({ error: "Todo item not found." }, { status: 404 });
-    }
-    if (!ownership.authorized) {
+    if (errors) {
       return NextResponse.json(
-        { error: "Forbidden: You can only update your own todo items." },
-        { status: 403 }
+        { error: "Invalid todo data.", fieldErrors: errors },
+        { status: 400 }
       );
     }
 
-    const updates = await request.json();
-
-    // Prevent changing the userId field via update, even with admin privileges
-    if (updates.hasOwnProperty("userId")) {
-      delete updates.userId;
+    // Moving the todo to another list: only the owner may, and only into a list they can edit
+    if (updates.listId && updates.listId !== access.data.listId) {
+      if (access.role !== "owner") {
+        return NextResponse.json(
+          { error: "Forbidden: Only the owner can move this todo item to another list." },
+          { status: 403 }
+        );
+      }
+      const listError = await checkListReference(updates.listId, uid);
+      if (listError) {
+        return NextResponse.json(
+          { error: "Invalid todo data.", fieldErrors: { listId: listError } },
+          { status: 400 }
+        );
+      }
     }
 
-    updates.updatedAt = admin.firestore.FieldValue.serverTimestamp(); // Add updatedAt timestamp
+    // A repeating todo needs a due date to step from, so check the rule against the merged result
+    const currentData = access.data;
+    const recurrence = Object.hasOwn(updates, "recurrence")
+      ? updates.recurrence
+      : currentData.recurrence;
+    const dueDate = Object.hasOwn(updates, "dueDate") ? updates.dueDate : currentData.dueDate;
 
-    // Handle dueDate conversion if present
-    if (updates.dueDate) {
-      updates.dueDate = new Date(updates.dueDate);
-    } else if (updates.hasOwnProperty("dueDate") && updates.dueDate === null) {
-      updates.dueDate = null; // Allow setting dueDate to null
+    if (recurrence && !dueDate) {
+      return NextResponse.json(
+        {
+          error: "Invalid todo data.",
+          fieldErrors: { recurrence: "A repeating todo needs a due date." },
+        },
+        { status: 400 }
+      );
+    }
+    // The rule's day of month or weekday follows the due date when that moves
+    const toDate = (date) => (date.toDate ? date.toDate() : date);
+    const dueDateChanged =
+      Object.hasOwn(updates, "dueDate") &&
+      toDate(dueDate).getTime() !== currentData.dueDate?.toDate().getTime();
+    if (recurrence && (updates.recurrence || dueDateChanged)) {
+      updates.recurrence = currentData.dueDate
+        ? reanchorRecurrenceRule(recurrence, toDate(currentData.dueDate), toDate(dueDate))
+        : anchorRecurrenceRule(recurrence, toDate(dueDate));
+    }
+    if (updates.recurrence && !currentData.occurrence) {
+      updates.occurrence = 1;
     }
 
+    updates.updatedAt = admin.firestore.FieldValue.serverTimestamp(); // Add updatedAt timestamp
+
     const todoRef = adminDb.collection("todos").doc(id);
-    await todoRef.update(updates);
+    const errorResponse = await adminDb.runTransaction(async (transaction) => {
+      const todoDoc = await transaction.get(todoRef);
+      if (!todoDoc.exists) {
+        // Deleted since it was read above
+        return NextResponse.json({ error: "Todo item not found." }, { status: 404 });
+      }
+      const todoData = todoDoc.data();
+      const conflictResponse = checkEditConflict(request, id, todoData);
+      if (conflictResponse) {
+        return conflictResponse;
+      }
+
+      // Completing a recurring todo creates its next occurrence (only once per occurrence)
+      const mergedTodo = { ...todoData, ...updates };
+      const completesOccurrence =
+        updates.completed === true &&
+        !todoData.completed &&
+        !todoData.nextOccurrenceId &&
+        mergedTodo.recurrence &&
+        mergedTodo.dueDate;
+
+      if (completesOccurrence) {
+        const nextTodo = buildNextOccurrence(id, mergedTodo);
+        if (nextTodo) {
+          const nextTodoRef = adminDb.collection("todos").doc();
+          transaction.set(nextTodoRef, nextTodo);
+          transaction.set(getSearchIndexRef(nextTodoRef.id), buildSearchIndexEntry(nextTodo));
+          buildHistoryWrite(nextTodoRef.id, {
+            action: "create",
+            before: {},
+            after: nextTodo,
+            actorId: uid,
+          })(transaction);
+          updates.nextOccurrenceId = nextTodoRef.id;
+        }
+      }
+
+      transaction.update(todoRef, updates);
+      // Keep search results in step with the new text, notes or tags
+      if (SEARCHABLE_FIELDS.some((field) => Object.hasOwn(updates, field))) {
+        transaction.set(getSearchIndexRef(id), buildSearchIndexEntry(mergedTodo));
+      }
+      buildHistoryWrite(id, {
+        action: "update",
+        before: todoData,
+        after: mergedTodo,
+        actorId: uid,
+      })?.(transaction);
+      return null;
+    });
+    if (errorResponse) {
+      return errorResponse;
+    }
 
     const updatedTodoDoc = await todoRef.get();
-    const updatedData = updatedTodoDoc.data();
-
-    // Convert Timestamps for response
-    const responseTodo = {
-      id: updatedTodoDoc.id,
-      ...updatedData,
-      createdAt: updatedData.createdAt ? updatedData.createdAt.toDate().toISOString() : null,
-      updatedAt: updatedData.updatedAt ? updatedData.updatedAt.toDate().toISOString() : null,
-      dueDate: updatedData.dueDate ? updatedData.dueDate.toDate().toISOString() : null,
-    };
-
-    return NextResponse.json(responseTodo, { status: 200 }); // 200 OK
+
+    return NextResponse.json(serializeTodo(updatedTodoDoc.id, updatedTodoDoc.data()), {
+      status: 200,
+    }); // 200 OK
   } catch (error) {
     console.error(`Error updating todo with ID ${params.id}:`, error);
     return NextResponse.json(
@@ -143,33 +196,36 @@ export async function PUT(request, { params }) {
   }
 }
 
-// --- DELETE request to remove an existing todo item ---
+// --- DELETE request to move an existing todo item to the trash ---
+// Only the owner (of the todo, or of the list it is in) can delete it. It can be restored
+// through /api/trash until it is purged.
 export async function DELETE(request, { params }) {
   try {
     const { id } = params;
-    const uid = await getAuthenticatedUserUid(request);
-
-    if (!uid) {
-      return NextResponse.json({ error: "Authentication required." }, { status: 401 });
-    }
-    if (!id) {
-      return NextResponse.json({ error: "Todo ID is required for deletion." }, { status: 400 });
+    const access = await authorizeTodoAccess(request, id, "owner");
+    if (access.response) {
+      return access.response;
     }
 
-    const ownership = await checkTodoOwnership(id, uid);
-
-    if (!ownership.exists) {
-      return NextResponse.json({ error: "Todo item not found." }, { status: 404 });
-    }
-    if (!ownership.authorized) {
-      return NextResponse.json(
-        { error: "Forbidden: You can only delete your own todo items." },
-        { status: 403 }
-      );
+    // Moved to the trash rather than deleted; its shares end when it is purged from there
+    const todoRef = adminDb.collection("todos").doc(id);
+    const errorResponse = await adminDb.runTransaction(async (transaction) => {
+      const todoDoc = await transaction.get(todoRef);
+      if (!todoDoc.exists) {
+        // Deleted since it was read above
+        return NextResponse.json({ error: "Todo item not found." }, { status: 404 });
+      }
+      const conflictResponse = checkEditConflict(request, id, todoDoc.data());
+      if (conflictResponse) {
+        return conflictResponse;
+      }
+      buildTrashWrites(id, todoDoc.data(), access.uid).forEach((write) => write?.(transaction));
+      return null;
+    });
+    if (errorResponse) {
+      return errorResponse;
     }
 
-    await adminDb.collection("todos").doc(id).delete();
-
     return new NextResponse(null, { status: 204 }); // 204 No Content for successful deletion
   } catch (error) {
     console.error(`Error deleting todo with ID ${params.id}:`, error);
@@ -0,0 +1,78 @@
+// This file handles PUT requests to update a single subtask and DELETE requests to remove it.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authorizeTodoAccess } from "@/app/lib/todoAccess";
+import { validateSubtaskPayload } from "@/app/lib/todoValidation";
+import { updateSubtasks } from "@/app/lib/subtasks";
+
+// --- PUT request to rename or check off a subtask ---
+// Responds with the whole updated todo, since checking off the last subtask can complete the parent.
+export async function PUT(request, { params }) {
+  try {
+    const { id, subtaskId } = params;
+    const access = await authorizeTodoAccess(request, id, "editor");
+    if (access.response) {
+      return access.response;
+    }
+
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateSubtaskPayload(body, { partial: true });
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid subtask data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    const result = await updateSubtasks(id, access.uid, (subtasks) => {
+      const index = subtasks.findIndex((subtask) => subtask.id === subtaskId);
+      if (index === -1) {
+        return { error: "Subtask not found.", status: 404 };
+      }
+      subtasks[index] = { ...subtasks[index], ...data };
+      return { subtasks };
+    });
+
+    if (result.error) {
+      return NextResponse.json({ error: result.error }, { status: result.status });
+    }
+    return NextResponse.json(result.todo, { status: 200 });
+  } catch (error) {
+    console.error(`Error updating subtask ${params.subtaskId} of todo ${params.id}:`, error);
+    return NextResponse.json(
+      { error: `Failed to update subtask ${params.subtaskId}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// --- DELETE request to remove a subtask ---
+export async function DELETE(request, { params }) {
+  try {
+    const { id, subtaskId } = params;
+    const access = await authorizeTodoAccess(request, id, "editor");
+    if (access.response) {
+      return access.response;
+    }
+
+    const result = await updateSubtasks(id, access.uid, (subtasks) => {
+      const remaining = subtasks.filter((subtask) => subtask.id !== subtaskId);
+      if (remaining.length === subtasks.length) {
+        return { error: "Subtask not found.", status: 404 };
+      }
+      return { subtasks: remaining };
+    });
+
+    if (result.error) {
+      return NextResponse.json({ error: result.error }, { status: result.status });
+    }
+    return NextResponse.json(result.todo, { status: 200 });
+  } catch (error) {
+    console.error(`Error deleting subtask ${params.subtaskId} of todo ${params.id}:`, error);
+    return NextResponse.json(
+      { error: `Failed to delete subtask ${params.subtaskId}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
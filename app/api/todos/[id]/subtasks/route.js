@@ -0,0 +1,117 @@
+// This file handles GET requests to list a todo's subtasks, POST requests to add one,
+// and PATCH requests to reorder them.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { randomUUID } from "crypto";
+import { authorizeTodoAccess } from "@/app/lib/todoAccess";
+import { validateSubtaskPayload, MAX_SUBTASKS } from "@/app/lib/todoValidation";
+import { updateSubtasks } from "@/app/lib/subtasks";
+
+// --- GET request to list the subtasks of a todo, in order ---
+export async function GET(request, { params }) {
+  try {
+    const { id } = params;
+    const access = await authorizeTodoAccess(request, id, "viewer");
+    if (access.response) {
+      return access.response;
+    }
+
+    return NextResponse.json({ subtasks: access.data.subtasks || [] }, { status: 200 });
+  } catch (error) {
+    console.error(`Error fetching subtasks of todo ${params.id}:`, error);
+    return NextResponse.json(
+      { error: `Failed to fetch subtasks of todo ${params.id}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// --- POST request to append a subtask ---
+// Responds with the whole updated todo, since adding a subtask can reopen an auto-completed parent.
+export async function POST(request, { params }) {
+  try {
+    const { id } = params;
+    const access = await authorizeTodoAccess(request, id, "editor");
+    if (access.response) {
+      return access.response;
+    }
+
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateSubtaskPayload(body);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid subtask data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    const result = await updateSubtasks(id, access.uid, (subtasks) => {
+      if (subtasks.length >= MAX_SUBTASKS) {
+        return { error: `A todo can have at most ${MAX_SUBTASKS} subtasks.`, status: 400 };
+      }
+      return {
+        subtasks: [...subtasks, { id: randomUUID(), text: data.text, completed: data.completed }],
+      };
+    });
+
+    if (result.error) {
+      return NextResponse.json({ error: result.error }, { status: result.status });
+    }
+    return NextResponse.json(result.todo, { status: 201 }); // 201 Created
+  } catch (error) {
+    console.error(`Error adding subtask to todo ${params.id}:`, error);
+    return NextResponse.json(
+      { error: `Failed to add subtask to todo ${params.id}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// --- PATCH request to reorder subtasks ---
+// Body: { order: [subtaskId, ...] } listing every subtask ID exactly once in the new order.
+export async function PATCH(request, { params }) {
+  try {
+    const { id } = params;
+    const access = await authorizeTodoAccess(request, id, "editor");
+    if (access.response) {
+      return access.response;
+    }
+
+    const body = await request.json().catch(() => null);
+    const order = body && body.order;
+
+    if (!Array.isArray(order) || !order.every((subtaskId) => typeof subtaskId === "string")) {
+      return NextResponse.json(
+        {
+          error: "Invalid subtask data.",
+          fieldErrors: { order: "Order must be a list of subtask IDs." },
+        },
+        { status: 400 }
+      );
+    }
+
+    const result = await updateSubtasks(id, access.uid, (subtasks) => {
+      const byId = new Map(subtasks.map((subtask) => [subtask.id, subtask]));
+      const isPermutation =
+        order.length === subtasks.length &&
+        new Set(order).size === order.length &&
+        order.every((subtaskId) => byId.has(subtaskId));
+      if (!isPermutation) {
+        return { error: "Order must list every subtask of this todo exactly once.", status: 400 };
+      }
+      return { subtasks: order.map((subtaskId) => byId.get(subtaskId)) };
+    });
+
+    if (result.error) {
+      return NextResponse.json({ error: result.error }, { status: result.status });
+    }
+    return NextResponse.json(result.todo, { status: 200 });
+  } catch (error) {
+    console.error(`Error reordering subtasks of todo ${params.id}:`, error);
+    return NextResponse.json(
+      { error: `Failed to reorder subtasks of todo ${params.id}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
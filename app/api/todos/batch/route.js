@@ -0,0 +1,45 @@
+// This file handles POST requests that change many todo items at once.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { validateBatchPayload } from "@/app/lib/todoValidation";
+import { applyTodoBatch } from "@/app/lib/todoBatch";
+
+// --- POST request to apply bulk operations ---
+// Body: { operations: [{ action, ids, priority | listId | dueDate }] } where action is one of
+// complete, uncomplete, delete, setPriority, move or setDueDate (up to 500 todos in total).
+// Each todo is checked and reported on its own, so the response is 200 even when some fail:
+// { results: [{ id, action, ok, status?, error? }], succeeded, failed }
+export async function POST(request) {
+  try {
+    const auth = await authenticateRequest(request, { allowApiTokens: true });
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateBatchPayload(body);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid batch data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    const results = await applyTodoBatch(uid, data.operations);
+    const succeeded = results.filter((result) => result.ok).length;
+
+    return NextResponse.json(
+      { results, succeeded, failed: results.length - succeeded },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error("Error applying todo batch:", error);
+    return NextResponse.json(
+      { error: "Failed to apply batch.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,39 @@
+// This file handles GET requests to export the user's todos as a JSON, CSV or iCalendar file.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { TODO_FILE_FORMATS } from "@/app/lib/todoValidation";
+import { createTodoExportResponse } from "@/app/lib/todoExport";
+
+// --- GET request to download every todo the user owns ---
+// Query parameter: format=json|csv|ics (default json). Todos others shared with the user
+// belong to their owners' exports. The file comes back as an attachment, oldest todo first.
+export async function GET(request) {
+  try {
+    const auth = await authenticateRequest(request, { allowApiTokens: true });
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const { searchParams } = new URL(request.url);
+    const format = searchParams.get("format") || "json";
+    if (!TODO_FILE_FORMATS.includes(format)) {
+      return NextResponse.json(
+        {
+          error: "Invalid query parameters.",
+          fieldErrors: { format: `Format must be one of: ${TODO_FILE_FORMATS.join(", ")}.` },
+        },
+        { status: 400 }
+      );
+    }
+
+    return await createTodoExportResponse(uid, format);
+  } catch (error) {
+    console.error("Error exporting todos:", error);
+    return NextResponse.json(
+      { error: "Failed to export todos.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,57 @@
+// This file handles POST requests to import todos from a JSON, CSV or iCalendar file.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { validateImportPayload } from "@/app/lib/todoValidation";
+import { checkListReference } from "@/app/lib/todoLists";
+import { importTodos } from "@/app/lib/todoImport";
+
+// --- POST request to import todos ---
+// Body: { format: "json" | "csv" | "ics", content: "<file text>", dryRun?, listId?, timeZone? }
+// With dryRun the todos are only validated, so the client can preview them first. Either way
+// the response is 200 with a result per row (see importTodos), even when some rows are invalid.
+export async function POST(request) {
+  try {
+    const auth = await authenticateRequest(request, { allowApiTokens: true });
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateImportPayload(body);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid import data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    if (data.listId) {
+      const listError = await checkListReference(data.listId, uid);
+      if (listError) {
+        return NextResponse.json(
+          { error: "Invalid import data.", fieldErrors: { listId: listError } },
+          { status: 400 }
+        );
+      }
+    }
+
+    const result = await importTodos(uid, data);
+    if (result.error) {
+      return NextResponse.json(
+        { error: "Invalid import data.", fieldErrors: { content: result.error } },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json({ dryRun: data.dryRun, ...result }, { status: 200 });
+  } catch (error) {
+    console.error("Error importing todos:", error);
+    return NextResponse.json(
+      { error: "Failed to import todos.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
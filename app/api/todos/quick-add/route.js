@@ -0,0 +1,58 @@
+// This file handles POST requests to create a todo from one line of natural language,
+// e.g. "Call dentist tomorrow 3pm !high #health every month" (see app/lib/quickAdd.js).
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { validateQuickAddPayload, validateTodoPayload } from "@/app/lib/todoValidation";
+import { parseQuickAdd, toTodoPayload } from "@/app/lib/quickAdd";
+import { createTodoForUser } from "@/app/lib/todoCreation";
+
+// --- POST request to parse a line ({ input, timeZone?, listId? }) and create its todo ---
+// Dates are read in `timeZone`, UTC by default. Responds like POST /api/todos.
+export async function POST(request) {
+  try {
+    const auth = await authenticateRequest(request, { allowApiTokens: true });
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const body = await request.json().catch(() => null);
+    const { data: quickAdd, errors: quickAddErrors } = validateQuickAddPayload(body);
+
+    if (quickAddErrors) {
+      return NextResponse.json(
+        { error: "Invalid quick-add data.", fieldErrors: quickAddErrors },
+        { status: 400 }
+      );
+    }
+
+    const parsed = parseQuickAdd(quickAdd.input, { timeZone: quickAdd.timeZone || "UTC" });
+    const payload = toTodoPayload(parsed);
+    if (quickAdd.listId) {
+      payload.listId = quickAdd.listId;
+    }
+    // The parsed fields still go through the same checks as a POST /api/todos payload
+    const { data, errors } = validateTodoPayload(payload);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid todo data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    const { todo, fieldErrors } = await createTodoForUser(uid, data);
+    if (fieldErrors) {
+      return NextResponse.json({ error: "Invalid todo data.", fieldErrors }, { status: 400 });
+    }
+
+    return NextResponse.json(todo, { status: 201 }); // 201 Created
+  } catch (error) {
+    console.error("Error creating todo from quick add:", error);
+    return NextResponse.json(
+      { error: "Failed to create todo.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
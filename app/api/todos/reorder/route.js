@@ -0,0 +1,79 @@
+// This file handles PATCH requests that move a todo item in the manual order (sort=position).
+
+import { adminDb } from "@/app/lib/firebaseAdmin.cjs";
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { validateReorderPayload } from "@/app/lib/todoValidation";
+import { serializeTodo } from "@/app/lib/todoSerializer";
+import { checkTodoAccess, getForbiddenMessage } from "@/app/lib/todoAccess";
+import { getPositionBetween } from "@/app/lib/todoPositions";
+
+const ORDER_CHANGED_ERROR = "The order changed meanwhile. Reload the list and try again.";
+
+// --- PATCH request to move a todo item ---
+// Body: { id, previousId, nextId } where previousId and nextId are the todos that should end up
+// right above and below it in the view the user is looking at (null at its top or end).
+// Only the moved todo is written, and its updatedAt stays as it is.
+export async function PATCH(request) {
+  try {
+    const auth = await authenticateRequest(request, { allowApiTokens: true });
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateReorderPayload(body);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid reorder data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    // Editors may move the todo; its neighbours only need to be visible to the user
+    const [access, previousAccess, nextAccess] = await Promise.all([
+      checkTodoAccess(data.id, uid, "editor"),
+      data.previousId ? checkTodoAccess(data.previousId, uid) : null,
+      data.nextId ? checkTodoAccess(data.nextId, uid) : null,
+    ]);
+    if (!access.exists) {
+      return NextResponse.json({ error: "Todo not found." }, { status: 404 });
+    }
+    if (!access.authorized) {
+      return NextResponse.json(
+        { error: getForbiddenMessage(access.role, "todo") },
+        { status: 403 }
+      );
+    }
+    for (const neighbourAccess of [previousAccess, nextAccess]) {
+      // Gone or no longer visible: the user's view is out of date
+      if (neighbourAccess && (!neighbourAccess.authorized || !neighbourAccess.data.position)) {
+        return NextResponse.json({ error: ORDER_CHANGED_ERROR }, { status: 409 });
+      }
+    }
+
+    const position = await getPositionBetween(
+      uid,
+      previousAccess?.data.position ?? null,
+      nextAccess?.data.position ?? null
+    );
+    if (!position) {
+      return NextResponse.json({ error: ORDER_CHANGED_ERROR }, { status: 409 });
+    }
+
+    const todoRef = adminDb.collection("todos").doc(data.id);
+    await todoRef.update({ position });
+
+    return NextResponse.json(serializeTodo(data.id, { ...access.data, position }), {
+      status: 200,
+    });
+  } catch (error) {
+    console.error("Error reordering todo:", error);
+    return NextResponse.json(
+      { error: "Failed to reorder todo.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -1,63 +1,43 @@
 // This file handles POST requests to create a new todo item
-// and GET requests to fetch all todo items for the authenticated user.
+// and GET requests to fetch a filtered, sorted page of todo items for the authenticated user.
 
-import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs"; 
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
 import { NextResponse } from "next/server"; // For Next.js App Router responses
-
-// --- Helper function to get authenticated user's UID ---
-// This assumes the client sends a Firebase ID Token in the Authorization header.
-async function getAuthenticatedUserUid(request) {
-  const authHeader = request.headers.get("Authorization");
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return null; // No token or malformed header
-  }
-  const idToken = authHeader.split(" ")[1];
-
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    return decodedToken.uid;
-  } catch (error) {
-    console.error("Error verifying ID token:", error);
-    return null; // Invalid or expired token
-  }
-}
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { validateTodoPayload } from "@/app/lib/todoValidation";
+import { serializeTodo } from "@/app/lib/todoSerializer";
+import { parseTodoListParams, encodeCursor, isTimestampSortField } from "@/app/lib/todoQuery";
+import { checkListAccess } from "@/app/lib/todoAccess";
+import { createTodoForUser } from "@/app/lib/todoCreation";
+import { ensureInboxList } from "@/app/lib/todoLists";
 
 // --- POST request to create a new todo item ---
 export async function POST(request) {
   try {
-    const uid = await getAuthenticatedUserUid(request);
-
-    if (!uid) {
-      return NextResponse.json({ error: "Authentication required." }, { status: 401 });
+    const auth = await authenticateRequest(request, { allowApiTokens: true });
+    if (auth.response) {
+      return auth.response;
     }
+    const { uid } = auth;
 
-    const { text, dueDate, completed = false, priority } = await request.json(); // Get todo data from request body
+    // Invalid JSON is treated like an empty body so it gets a 400 instead of a 500
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateTodoPayload(body);
 
-    // Basic validation
-    if (!text || typeof completed !== "boolean") {
+    if (errors) {
       return NextResponse.json(
-        { error: "Missing required todo fields (text, completed)." },
+        { error: "Invalid todo data.", fieldErrors: errors },
         { status: 400 }
       );
     }
 
-    const newTodoData = {
-      text,
-      completed,
-      userId: uid, // <--- CRUCIAL: Link todo to the authenticated user
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
-
-    if (dueDate) {
-      newTodoData.dueDate = new Date(dueDate); // Convert to Date object
-    }
-    if (priority) {
-      newTodoData.priority = priority;
+    // New todos go to the Inbox unless a list is given
+    const { todo, fieldErrors } = await createTodoForUser(uid, data);
+    if (fieldErrors) {
+      return NextResponse.json({ error: "Invalid todo data.", fieldErrors }, { status: 400 });
     }
 
-    const docRef = await adminDb.collection("todos").add(newTodoData);
-
-    return NextResponse.json({ id: docRef.id, ...newTodoData }, { status: 201 }); // 201 Created
+    return NextResponse.json(todo, { status: 201 }); // 201 Created
   } catch (error) {
     console.error("Error creating todo:", error);
     return NextResponse.json(
@@ -67,35 +47,92 @@ export async function POST(request) {
   }
 }
 
-// --- GET request to fetch all todo items for the authenticated user ---
+// --- GET request to fetch a page of todo items for the authenticated user ---
+// Supported query parameters:
+//   listId=<list ID> or shared=true (todos shared with the user), tag=<tag>, completed=true|false, priority=low|medium|high, dueAfter/dueBefore=<date>,
+//   sort=createdAt|updatedAt|dueDate|text|position (the manual order), order=asc|desc, limit=1..100, cursor=<nextCursor>
+// Each filter/sort combination needs a matching composite index in Firestore.
 export async function GET(request) {
   try {
-    const uid = await getAuthenticatedUserUid(request);
+    const auth = await authenticateRequest(request, { allowApiTokens: true });
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
 
-    if (!uid) {
-      return NextResponse.json({ error: "Authentication required." }, { status: 401 });
+    const { options, errors } = parseTodoListParams(request.nextUrl.searchParams);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid query parameters.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    if (options.sort === "position") {
+      await ensureInboxList(uid); // Older todos get a position first, so none of them are skipped
+    }
+
+    // Query Firestore for the todos the authenticated user may see:
+    // a list they are a member of, the todos shared with them, or else their own todos
+    let query = adminDb.collection("todos");
+
+    if (options.listId) {
+      const listAccess = await checkListAccess(options.listId, uid, "viewer");
+      if (!listAccess.exists) {
+        return NextResponse.json({ error: "List not found." }, { status: 404 });
+      }
+      if (!listAccess.authorized) {
+        return NextResponse.json(
+          { error: "Forbidden: You do not have access to this list." },
+          { status: 403 }
+        );
+      }
+      query = query.where("listId", "==", options.listId); // Every member's todos in the list
+    } else if (options.shared) {
+      query = query.where("collaboratorIds", "array-contains", uid);
+    } else {
+      query = query.where("userId", "==", uid); // <--- CRUCIAL: Filter by user ID
+    }
+    if (options.tag) {
+      query = query.where("tags", "array-contains", options.tag);
+    }
+    if (options.completed !== null) {
+      query = query.where("completed", "==", options.completed);
     }
+    if (options.priority) {
+      query = query.where("priority", "==", options.priority);
+    }
+    if (options.dueAfter) {
+      query = query.where("dueDate", ">=", options.dueAfter);
+    }
+    if (options.dueBefore) {
+      query = query.where("dueDate", "<=", options.dueBefore);
+    }
+
+    // The document ID breaks ties so the cursor position is always unambiguous
+    query = query
+      .orderBy(options.sort, options.order)
+      .orderBy(admin.firestore.FieldPath.documentId(), options.order);
+
+    if (options.cursor) {
+      const { value, id } = options.cursor;
+      const cursorValue =
+        value !== null && isTimestampSortField(options.sort)
+          ? admin.firestore.Timestamp.fromMillis(value)
+          : value;
+      query = query.startAfter(cursorValue, id);
+    }
+
+    // Fetch one extra document to find out whether another page exists
+    const todosSnapshot = await query.limit(options.limit + 1).get();
+    const pageDocs = todosSnapshot.docs.slice(0, options.limit);
+    const hasMore = todosSnapshot.docs.length > options.limit;
+
+    const todos = pageDocs.map((doc) => serializeTodo(doc.id, doc.data()));
+    const nextCursor = hasMore ? encodeCursor(pageDocs[pageDocs.length - 1], options.sort) : null;
 
-    // Query Firestore for todos belonging to the authenticated user
-    const todosSnapshot = await adminDb
-      .collection("todos")
-      .where("userId", "==", uid) // <--- CRUCIAL: Filter by user ID
-      .orderBy("createdAt", "desc")
-      .get();
-
-    const todos = todosSnapshot.docs.map((doc) => {
-      const data = doc.data();
-      return {
-        id: doc.id,
-        ...data,
-        // Convert Firestore Timestamps to ISO strings for client-side
-        createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
-        updatedAt: data.updatedAt ? data.updatedAt.toDate().toISOString() : null,
-        dueDate: data.dueDate ? data.dueDate.toDate().toISOString() : null,
-      };
-    });
-
-    return NextResponse.json(todos, { status: 200 });
+    return NextResponse.json({ todos, nextCursor }, { status: 200 });
   } catch (error) {
     console.error("Error fetching todos:", error);
     return NextResponse.json(
@@ -0,0 +1,39 @@
+// This file handles GET requests to search the todos the authenticated user can see.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { parseTodoSearchParams } from "@/app/lib/todoQuery";
+import { searchTodos } from "@/app/lib/todoSearchIndex";
+
+// --- GET request to search todo text, notes and tags ---
+// Supported query parameters: q=<search words>, limit=1..50
+// Responds with { results: [{ todo, score, highlights: { text, notes, tags } }], terms },
+// best match first. text/notes highlights are [start, end] ranges; tags lists the matching tags.
+export async function GET(request) {
+  try {
+    const auth = await authenticateRequest(request, { allowApiTokens: true });
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const { options, errors } = parseTodoSearchParams(request.nextUrl.searchParams);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid query parameters.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    const results = await searchTodos(uid, options.terms, options.limit);
+
+    return NextResponse.json({ results, terms: options.terms }, { status: 200 });
+  } catch (error) {
+    console.error("Error searching todos:", error);
+    return NextResponse.json(
+      { error: "Failed to search todos.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
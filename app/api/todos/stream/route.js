@@ -0,0 +1,173 @@
+// This file handles GET requests that open a server-sent-events (SSE) stream
+// of live changes to the todo items the authenticated user can see: their own todos,
+// todos shared with them, and every todo in a list they share with others or others share with them.
+//
+// Events:
+//   ready    - the listener is attached; changes from now on will be pushed
+//   added    - data is the new todo
+//   modified - data is the updated todo
+//   removed  - data is { id }
+//   error    - data is { error, code? }; the stream closes and the client should reconnect
+//              (code is one of AUTH_ERROR_CODES when the token no longer works)
+//
+// The token the stream was opened with is checked again every AUTH_RECHECK_INTERVAL_MS, so the
+// stream closes (with an error event) once it expires or is revoked, or the account is
+// disabled. The client then reconnects with a fresh ID token, if it still can get one.
+
+import { adminDb } from "@/app/lib/firebaseAdmin.cjs";
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { serializeTodo } from "@/app/lib/todoSerializer";
+
+export const runtime = "nodejs"; // Firestore listeners need the Node.js runtime
+export const dynamic = "force-dynamic"; // Never cache or prerender a live stream
+
+const HEARTBEAT_INTERVAL_MS = 25000; // Keeps proxies from closing an idle connection
+const AUTH_RECHECK_INTERVAL_MS = 60 * 1000;
+const REVOKED_STATUSES = [401, 403]; // A 503 (couldn't check) keeps the stream open
+
+// --- GET request to subscribe to todo changes ---
+export async function GET(request) {
+  const auth = await authenticateRequest(request, { allowApiTokens: true });
+  if (auth.response) {
+    return auth.response;
+  }
+  const { uid } = auth;
+
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+
+      const send = (event, data) => {
+        if (!closed) {
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        }
+      };
+
+      const handleListenerError = (error) => {
+        console.error("Error in todo change listener:", error);
+        send("error", { error: "Live updates were interrupted." });
+        cleanup();
+      };
+
+      // Active Firestore listeners, keyed by what they watch ("own", "shared", "list:<id>")
+      const unsubscribers = new Map();
+
+      // Forwards the changes of one todo query. Its first snapshot lists existing todos, which
+      // the client already fetched, unless the listener starts later (a list shared mid-stream).
+      const watchTodos = (key, query, { skipInitial }) => {
+        let isInitialSnapshot = true;
+        const unsubscribe = query.onSnapshot((snapshot) => {
+          if (isInitialSnapshot) {
+            isInitialSnapshot = false;
+            if (key === "own") {
+              send("ready", {});
+            }
+            if (skipInitial) {
+              return;
+            }
+          }
+          snapshot.docChanges().forEach((change) => {
+            // The user's own todos always come through the "own" listener
+            if (key !== "own" && change.doc.get("userId") === uid) {
+              return;
+            }
+            if (change.type === "removed") {
+              send("removed", { id: change.doc.id });
+            } else {
+              send(change.type, serializeTodo(change.doc.id, change.doc.data()));
+            }
+          });
+        }, handleListenerError);
+        unsubscribers.set(key, unsubscribe);
+      };
+
+      // Keeps one todo listener per list that has other members
+      const watchLists = (key, query) => {
+        let isInitialSnapshot = true;
+        const unsubscribe = query.onSnapshot((snapshot) => {
+          snapshot.docChanges().forEach((change) => {
+            const todoKey = `list:${change.doc.id}`;
+            const hasOtherMembers =
+              change.type !== "removed" &&
+              (change.doc.get("userId") !== uid ||
+                (change.doc.get("collaboratorIds") || []).length > 0);
+            if (hasOtherMembers && !unsubscribers.has(todoKey)) {
+              watchTodos(
+                todoKey,
+                adminDb.collection("todos").where("listId", "==", change.doc.id),
+                { skipInitial: isInitialSnapshot }
+              );
+            } else if (!hasOtherMembers && unsubscribers.has(todoKey)) {
+              unsubscribers.get(todoKey)();
+              unsubscribers.delete(todoKey);
+            }
+          });
+          isInitialSnapshot = false;
+        }, handleListenerError);
+        unsubscribers.set(key, unsubscribe);
+      };
+
+      const todos = adminDb.collection("todos");
+      const lists = adminDb.collection("lists");
+      watchTodos("own", todos.where("userId", "==", uid), { skipInitial: true }); // <--- CRUCIAL: Only this user's todos
+      watchTodos("shared", todos.where("collaboratorIds", "array-contains", uid), {
+        skipInitial: true,
+      });
+      watchLists("ownLists", lists.where("userId", "==", uid));
+      watchLists("sharedLists", lists.where("collaboratorIds", "array-contains", uid));
+
+      const heartbeat = setInterval(() => {
+        if (!closed) {
+          controller.enqueue(encoder.encode(": heartbeat\n\n")); // SSE comment line
+        }
+      }, HEARTBEAT_INTERVAL_MS);
+
+      const authRecheck = setInterval(async () => {
+        const recheck = await authenticateRequest(request, {
+          allowApiTokens: true,
+          checkRevoked: true,
+          recordApiTokenUse: false, // An idle stream isn't a use of the token
+        });
+        if (recheck.response && REVOKED_STATUSES.includes(recheck.response.status)) {
+          const { code } = await recheck.response.json();
+          send("error", { error: "Your sign-in is no longer valid.", code });
+          cleanup();
+        }
+      }, AUTH_RECHECK_INTERVAL_MS);
+
+      cleanup = () => {
+        if (closed) {
+          return;
+        }
+        closed = true;
+        clearInterval(heartbeat);
+        clearInterval(authRecheck);
+        unsubscribers.forEach((unsubscribe) => unsubscribe());
+        try {
+          controller.close();
+        } catch {
+          // Already closed because the client went away
+        }
+      };
+
+      // Stop listening as soon as the client disconnects
+      request.signal.addEventListener("abort", () => cleanup());
+    },
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Disable response buffering behind nginx
+    },
+  });
+}
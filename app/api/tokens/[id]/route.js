@@ -0,0 +1,27 @@
+// This file handles DELETE requests that revoke one of the user's personal API tokens.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { revokeApiToken } from "@/app/lib/apiTokens";
+
+// --- DELETE request to revoke a token; it stops working at once ---
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    if (!(await revokeApiToken(auth.uid, params.id))) {
+      return NextResponse.json({ error: "API token not found." }, { status: 404 });
+    }
+
+    return new NextResponse(null, { status: 204 }); // 204 No Content for successful deletion
+  } catch (error) {
+    console.error(`Error revoking API token ${params.id}:`, error);
+    return NextResponse.json(
+      { error: `Failed to revoke API token ${params.id}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
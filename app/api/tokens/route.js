@@ -0,0 +1,65 @@
+// This file handles GET and POST requests for the user's personal API tokens (see apiTokens.js).
+// Tokens are managed with a Firebase ID token only; an API token can't create more of itself.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { validateApiTokenPayload, MAX_API_TOKENS } from "@/app/lib/todoValidation";
+import { listApiTokens, createApiToken } from "@/app/lib/apiTokens";
+
+// --- GET request to list the user's tokens: { tokens } ---
+export async function GET(request) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    return NextResponse.json({ tokens: await listApiTokens(auth.uid) }, { status: 200 });
+  } catch (error) {
+    console.error("Error fetching API tokens:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch API tokens.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// --- POST request to create a token ---
+// Body: { name, scope } with scope "read" or "write". Responds with { token, apiToken }; the
+// token itself is only ever sent back this once.
+export async function POST(request) {
+  try {
+    const auth = await authenticateRequest(request, { checkRevoked: true });
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateApiTokenPayload(body);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid API token data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    if ((await listApiTokens(uid)).length >= MAX_API_TOKENS) {
+      return NextResponse.json(
+        { error: `You can have at most ${MAX_API_TOKENS} API tokens. Revoke one first.` },
+        { status: 409 }
+      );
+    }
+
+    const created = await createApiToken(uid, data);
+
+    return NextResponse.json(created, { status: 201 }); // 201 Created
+  } catch (error) {
+    console.error("Error creating API token:", error);
+    return NextResponse.json(
+      { error: "Failed to create API token.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
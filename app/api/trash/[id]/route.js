@@ -0,0 +1,30 @@
+// This file handles DELETE requests to delete a todo in the trash for good.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { deleteTrashedTodo } from "@/app/lib/todoTrash";
+
+// --- DELETE request to permanently delete a trashed todo ---
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const { id } = params;
+    const { error, status } = await deleteTrashedTodo(id, uid);
+    if (error) {
+      return NextResponse.json({ error }, { status });
+    }
+
+    return new NextResponse(null, { status: 204 }); // 204 No Content for successful deletion
+  } catch (error) {
+    console.error(`Error permanently deleting todo with ID ${params.id}:`, error);
+    return NextResponse.json(
+      { error: `Failed to delete todo with ID ${params.id}`, details: error.message },
+      { status: 500 }
+    );
+  }
+}
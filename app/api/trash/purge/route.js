@@ -0,0 +1,27 @@
+// This file handles the scheduled purge of old todos from every user's trash.
+// It is meant for a cron job (see vercel.json), which must send the CRON_SECRET env variable
+// as a bearer token: "Authorization: Bearer <CRON_SECRET>".
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authorizeCronRequest } from "@/app/lib/serverAuth";
+import { purgeExpiredTrash, TRASH_RETENTION_DAYS } from "@/app/lib/todoTrash";
+
+// --- GET request to delete every trashed todo older than TRASH_RETENTION_DAYS ---
+export async function GET(request) {
+  try {
+    const cronResponse = authorizeCronRequest(request);
+    if (cronResponse) {
+      return cronResponse;
+    }
+
+    const purged = await purgeExpiredTrash();
+
+    return NextResponse.json({ purged, retentionDays: TRASH_RETENTION_DAYS }, { status: 200 });
+  } catch (error) {
+    console.error("Error purging trash:", error);
+    return NextResponse.json(
+      { error: "Failed to purge trash.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,48 @@
+// This file handles POST requests to restore todos from the trash.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { validateTodoIdsPayload } from "@/app/lib/todoValidation";
+import { restoreTrashedTodo } from "@/app/lib/todoTrash";
+
+// --- POST request to restore trashed todos ({ ids }) ---
+// Each todo is restored and reported on its own, so the response is 200 even when some fail:
+// { results: [{ id, ok, todo? , status?, error? }], succeeded, failed }
+export async function POST(request) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    const body = await request.json().catch(() => null);
+    const { data, errors } = validateTodoIdsPayload(body);
+
+    if (errors) {
+      return NextResponse.json(
+        { error: "Invalid restore data.", fieldErrors: errors },
+        { status: 400 }
+      );
+    }
+
+    const results = await Promise.all(
+      data.ids.map(async (id) => {
+        const { todo, error, status } = await restoreTrashedTodo(id, uid);
+        return error ? { id, ok: false, status, error } : { id, ok: true, todo };
+      })
+    );
+    const succeeded = results.filter((result) => result.ok).length;
+
+    return NextResponse.json(
+      { results, succeeded, failed: results.length - succeeded },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error("Error restoring todos:", error);
+    return NextResponse.json(
+      { error: "Failed to restore todos.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
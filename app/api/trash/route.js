@@ -0,0 +1,29 @@
+// This file handles GET requests to list the todos in the authenticated user's trash.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { listTrash, purgeExpiredTrash, TRASH_RETENTION_DAYS } from "@/app/lib/todoTrash";
+
+// --- GET request to fetch the trash, most recently deleted first ---
+// Each todo has `deletedAt` and `purgeAt` (when it will be deleted for good).
+export async function GET(request) {
+  try {
+    const auth = await authenticateRequest(request);
+    if (auth.response) {
+      return auth.response;
+    }
+    const { uid } = auth;
+
+    // The scheduled purge may not have run yet; never show todos that are past their time
+    await purgeExpiredTrash({ userId: uid });
+    const todos = await listTrash(uid);
+
+    return NextResponse.json({ todos, retentionDays: TRASH_RETENTION_DAYS }, { status: 200 });
+  } catch (error) {
+    console.error("Error fetching trash:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch trash.", details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,35 @@
+"use client"; // This is a client component
+
+import React from "react";
+import { useRouter } from "next/navigation";
+
+// Dates in the admin console, e.g. "3/14/25, 9:30 AM"; "Never" when missing
+export function formatAdminDate(isoString) {
+  return isoString
+    ? new Date(isoString).toLocaleString(undefined, { dateStyle: "short", timeStyle: "short" })
+    : "Never";
+}
+
+// What the admin pages show while the user's role is being checked (`loading`), or instead of
+// the page to anyone without the admin role (with `children` saying why).
+export default function AdminOnly({ loading, children }) {
+  const router = useRouter();
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-100">
+      {loading ? (
+        <p className="text-xl text-gray-700">Checking authentication status...</p>
+      ) : (
+        <div className="bg-white p-8 rounded-lg shadow-md text-center">
+          <p className="text-lg text-gray-700">{children}</p>
+          <button
+            onClick={() => router.push("/")}
+            className="mt-4 px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+          >
+            Back to my todos
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
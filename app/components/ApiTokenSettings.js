@@ -0,0 +1,201 @@
+"use client"; // This is a client component
+
+import React, { useState, useEffect } from "react";
+import { fetchApiTokens, createApiToken, revokeApiToken } from "@/utils/helper";
+import { API_TOKEN_NAME_MAX_LENGTH, API_TOKEN_SCOPES } from "@/app/lib/todoValidation";
+import { formatAdminDate } from "./AdminOnly";
+
+const SCOPE_LABELS = { read: "Read-only", write: "Read and write" };
+
+// Settings section for personal API tokens: long-lived tokens for scripts and other tools,
+// which work with the /api/todos routes in place of a Firebase ID token.
+export default function ApiTokenSettings() {
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState("");
+  const [scope, setScope] = useState("read");
+  const [creating, setCreating] = useState(false);
+  const [newToken, setNewToken] = useState(null); // The secret of the token just created
+  const [copied, setCopied] = useState(false);
+  const [revokingId, setRevokingId] = useState(null); // Token waiting for confirmation
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchApiTokens()
+      .then(setTokens)
+      .catch((err) => {
+        setError("Failed to load your API tokens: " + err.message);
+        console.error("Error loading API tokens:", err);
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError(null);
+    setNewToken(null);
+    setCopied(false);
+    try {
+      const { token, apiToken } = await createApiToken({ name: name.trim(), scope });
+      setTokens((prevTokens) => [apiToken, ...prevTokens]);
+      setNewToken(token);
+      setName("");
+    } catch (err) {
+      setError("Failed to create the token: " + err.message);
+      console.error("Error creating API token:", err);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    setError(null);
+    try {
+      await revokeApiToken(id);
+      setTokens((prevTokens) => prevTokens.filter((token) => token.id !== id));
+    } catch (err) {
+      setError("Failed to revoke the token: " + err.message);
+      console.error("Error revoking API token:", err);
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      setCopied(true);
+    } catch (err) {
+      console.error("Error copying API token:", err); // The token can still be selected by hand
+    }
+  };
+
+  return (
+    <section className="space-y-4">
+      <h2 className="text-xl font-semibold text-gray-800">API tokens</h2>
+      <p className="text-sm text-gray-600">
+        Personal tokens let scripts and tools use your todos through the API. Send one as{" "}
+        <code className="px-1 rounded bg-gray-100 font-mono text-xs">
+          Authorization: Bearer &lt;token&gt;
+        </code>{" "}
+        to the <code className="px-1 rounded bg-gray-100 font-mono text-xs">/api/todos</code>{" "}
+        routes. Tokens don&apos;t expire, so revoke the ones you no longer use. Changing your
+        password revokes all of them.
+      </p>
+
+      <form onSubmit={handleCreate} className="flex flex-col sm:flex-row gap-2">
+        <label htmlFor="api-token-name" className="sr-only">
+          Token name
+        </label>
+        <input
+          id="api-token-name"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={API_TOKEN_NAME_MAX_LENGTH}
+          placeholder="Token name, e.g. Backup script"
+          className="flex-grow p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777]"
+        />
+        <select
+          value={scope}
+          onChange={(e) => setScope(e.target.value)}
+          aria-label="Token access"
+          className="p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777]"
+        >
+          {API_TOKEN_SCOPES.map((tokenScope) => (
+            <option key={tokenScope} value={tokenScope}>
+              {SCOPE_LABELS[tokenScope]}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+          disabled={creating || !name.trim()}
+        >
+          {creating ? "Creating..." : "Create token"}
+        </button>
+      </form>
+
+      {newToken && (
+        <div className="p-4 border border-green-200 bg-green-50 rounded-md space-y-2">
+          <p className="text-sm text-gray-700">
+            Copy your new token now. It won&apos;t be shown again.
+          </p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              readOnly
+              value={newToken}
+              onFocus={(e) => e.target.select()}
+              aria-label="New API token"
+              className="flex-grow p-2 border border-gray-300 rounded-md font-mono text-sm text-gray-800 bg-white"
+            />
+            <button
+              onClick={handleCopy}
+              className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100"
+            >
+              {copied ? "Copied" : "Copy"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <p className="p-3 bg-red-100 text-red-700 rounded-md" role="alert">
+          {error}
+        </p>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading tokens...</p>
+      ) : tokens.length === 0 ? (
+        <p className="text-sm text-gray-500">You have no API tokens.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+          {tokens.map((token) => (
+            <li
+              key={token.id}
+              className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-3"
+            >
+              <div className="text-sm">
+                <p className="font-semibold text-gray-800 break-words">
+                  {token.name}{" "}
+                  <span className="font-mono font-normal text-gray-500">...{token.hint}</span>
+                </p>
+                <p className="text-gray-500">
+                  {SCOPE_LABELS[token.scope]} &middot; Created {formatAdminDate(token.createdAt)}{" "}
+                  &middot; Last used {formatAdminDate(token.lastUsedAt)}
+                </p>
+              </div>
+              {revokingId === token.id ? (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleRevoke(token.id)}
+                    className="px-3 py-1 bg-red-600 text-white rounded-md hover:bg-red-700 text-sm"
+                  >
+                    Revoke
+                  </button>
+                  <button
+                    onClick={() => setRevokingId(null)}
+                    className="px-3 py-1 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 text-sm"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <button
+                  onClick={() => setRevokingId(token.id)}
+                  className="px-3 py-1 bg-white border border-red-300 text-red-700 rounded-md hover:bg-red-50 text-sm"
+                >
+                  Revoke...
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -1,84 +1,224 @@
-"use client"; 
+"use client";
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation'; // For redirecting after successful authentication
 // Import our initialized Firebase auth instance
 import { auth } from '../lib/firebaseClient';
-import { createUserWithEmailAndPassword, signInWithEmailAndPassword } from 'firebase/auth'; 
+import {
+  createUserWithEmailAndPassword,
+  signInWithEmailAndPassword,
+  sendEmailVerification,
+  sendPasswordResetEmail,
+  signInWithPopup,
+  signInWithRedirect,
+  getRedirectResult,
+  linkWithCredential,
+} from 'firebase/auth';
+import { OAUTH_PROVIDERS, getActionCodeSettings } from '../lib/authProviders';
+
+// Popups don't open everywhere (popup blockers, some in-app browsers); there we redirect instead
+const POPUP_FALLBACK_CODES = ['auth/popup-blocked', 'auth/operation-not-supported-in-this-environment'];
+// Remembers across a redirect which provider it was for (see handleProviderSignIn)
+const REDIRECT_PROVIDER_STORAGE_KEY = 'authRedirectProvider';
+// The user closed the popup or started another sign-in; that's not worth an error
+const CANCELLED_CODES = ['auth/popup-closed-by-user', 'auth/cancelled-popup-request', 'auth/user-cancelled'];
+
+// A message for the user for a Firebase Auth error
+export function getAuthErrorMessage(err) {
+  switch (err.code) {
+    case 'auth/email-already-in-use':
+      return "This email is already in use.";
+    case 'auth/invalid-email':
+      return "The email address is not valid.";
+    case 'auth/missing-email':
+      return "Please enter your email address.";
+    case 'auth/operation-not-allowed':
+      return "This sign-in method is not enabled. Please check Firebase project settings.";
+    case 'auth/weak-password':
+      return "The password is too weak. Please use at least 6 characters.";
+    case 'auth/user-disabled':
+      return "This user account has been disabled.";
+    case 'auth/user-not-found':
+    case 'auth/wrong-password':
+    case 'auth/invalid-credential':
+      return "Invalid email or password.";
+    case 'auth/too-many-requests':
+      return "Too many attempts. Please wait a few minutes and try again.";
+    case 'auth/network-request-failed':
+      return "You appear to be offline. Please check your connection.";
+    // Sign-in with Google or GitHub
+    case 'auth/account-exists-with-different-credential':
+      return "An account already exists with this email address. Sign in the way you did before to link the two.";
+    case 'auth/credential-already-in-use':
+      return "This sign-in is already used by another account.";
+    case 'auth/provider-already-linked':
+      return "This sign-in method is already linked to your account.";
+    case 'auth/popup-blocked':
+      return "The sign-in window was blocked. Please allow popups for this site.";
+    case 'auth/unauthorized-domain':
+      return "Sign-in isn't allowed from this domain. Please check Firebase project settings.";
+    case 'auth/missing-password':
+      return "Please enter your password.";
+    // Changes to the account (see the settings page)
+    case 'auth/requires-recent-login':
+      return "For your security, please confirm it's you and try again.";
+    case 'auth/user-mismatch':
+      return "That's a different account. Please confirm with the account you're signed in to.";
+    // Verification and password reset emails
+    case 'auth/unauthorized-continue-uri':
+    case 'auth/invalid-continue-uri':
+      return "This domain isn't authorized for sign-in emails. Please check Firebase project settings.";
+    case 'auth/expired-action-code':
+      return "This link has expired. Please ask for a new one.";
+    case 'auth/invalid-action-code':
+      return "This link is not valid or was already used.";
+    default:
+      return err.message;
+  }
+}
 
 export default function AuthForm() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState(null);
-  const [isSignUp, setIsSignUp] = useState(false); // State to toggle between Sign In (false) and Sign Up (true)
+  const [notice, setNotice] = useState(null);
+  const [mode, setMode] = useState('signIn'); // "signIn", "signUp" or "reset" (forgot password)
   const [loading, setLoading] = useState(false); // For managing loading state during auth operations
+  // A Google or GitHub sign-in whose email already has an account: { credential, label, email }.
+  // It's linked to that account once the user signs in to it.
+  const [pendingLink, setPendingLink] = useState(null);
   const router = useRouter();
 
+  const isSignUp = mode === 'signUp';
+
+  const handleAuthError = (err, providerKey = null) => {
+    if (CANCELLED_CODES.includes(err.code)) {
+      return;
+    }
+    if (err.code === 'auth/account-exists-with-different-credential') {
+      const provider = OAUTH_PROVIDERS[providerKey];
+      const credential = provider?.credentialFromError(err);
+      const existingEmail = err.customData?.email || '';
+      if (credential) {
+        setPendingLink({ credential, label: provider.label, email: existingEmail });
+        setEmail(existingEmail);
+        setMode('signIn');
+        setError(`An account already exists for ${existingEmail || 'this email address'}. ` +
+          `Sign in the way you did before, and your ${provider.label} sign-in will be linked to it.`);
+        return;
+      }
+    }
+    setError(getAuthErrorMessage(err));
+    console.error("Authentication error:", err);
+  };
+
+  // Links a pending Google or GitHub sign-in to the account the user just signed in to
+  const completeSignIn = async (user) => {
+    if (pendingLink) {
+      try {
+        await linkWithCredential(user, pendingLink.credential);
+      } catch (err) {
+        // Signed in all the same; linking can be tried again later
+        console.error("Error linking accounts:", err);
+      }
+      setPendingLink(null);
+    }
+    // On successful authentication, redirect to the main todo app
+    router.push('/');
+  };
+
+  // Finish a sign-in that went through a redirect (see handleProviderSignIn)
+  useEffect(() => {
+    const providerKey = sessionStorage.getItem(REDIRECT_PROVIDER_STORAGE_KEY);
+    sessionStorage.removeItem(REDIRECT_PROVIDER_STORAGE_KEY);
+    getRedirectResult(auth).catch((err) => handleAuthError(err, providerKey));
+  }, []);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null); // Clear previous errors
+    setNotice(null);
     setLoading(true); // Start loading
 
     try {
-      if (isSignUp) {
+      if (mode === 'reset') {
+        await sendPasswordResetEmail(auth, email, getActionCodeSettings());
+        // The same answer whether or not the address has an account, so it can't be probed
+        setNotice(`If ${email} has an account, we sent it a link to reset the password.`);
+      } else if (isSignUp) {
         // Attempt to create a new user
-        await createUserWithEmailAndPassword(auth, email, password);
+        const { user } = await createUserWithEmailAndPassword(auth, email, password);
         console.log("Sign-up successful!");
+        // The app stays locked until the address is verified; the email can be sent again from there
+        await sendEmailVerification(user, getActionCodeSettings()).catch((err) =>
+          console.error("Error sending verification email:", err)
+        );
+        await completeSignIn(user);
       } else {
         // Attempt to sign in an existing user
-        await signInWithEmailAndPassword(auth, email, password);
+        const { user } = await signInWithEmailAndPassword(auth, email, password);
         console.log("Sign-in successful!");
+        await completeSignIn(user);
       }
-      // On successful authentication, redirect to the main todo app
-      router.push('/');
     } catch (err) {
-      // Handle Firebase errors
-      let errorMessage = "An unknown error occurred.";
-      switch (err.code) {
-        case 'auth/email-already-in-use':
-          errorMessage = "This email is already in use.";
-          break;
-        case 'auth/invalid-email':
-          errorMessage = "The email address is not valid.";
-          break;
-        case 'auth/operation-not-allowed':
-          errorMessage = "Email/password authentication is not enabled. Please check Firebase project settings.";
-          break;
-        case 'auth/weak-password':
-          errorMessage = "The password is too weak. Please use at least 6 characters.";
-          break;
-        case 'auth/user-disabled':
-          errorMessage = "This user account has been disabled.";
-          break;
-        case 'auth/user-not-found':
-        case 'auth/wrong-password':
-          errorMessage = "Invalid email or password.";
-          break;
-        default:
-          errorMessage = err.message;
-          break;
+      if (mode === 'reset' && err.code === 'auth/user-not-found') {
+        setNotice(`If ${email} has an account, we sent it a link to reset the password.`);
+      } else {
+        handleAuthError(err);
       }
-      setError(errorMessage);
-      console.error("Authentication error:", err);
     } finally {
       setLoading(false); // End loading
     }
   };
 
+  const handleProviderSignIn = async (providerKey) => {
+    setError(null);
+    setNotice(null);
+    setLoading(true);
+    const provider = OAUTH_PROVIDERS[providerKey].create();
+    try {
+      const { user } = await signInWithPopup(auth, provider);
+      await completeSignIn(user);
+    } catch (err) {
+      if (POPUP_FALLBACK_CODES.includes(err.code)) {
+        sessionStorage.setItem(REDIRECT_PROVIDER_STORAGE_KEY, providerKey);
+        await signInWithRedirect(auth, provider).catch((redirectError) =>
+          handleAuthError(redirectError, providerKey)
+        );
+      } else {
+        handleAuthError(err, providerKey);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setError(null);
+    setNotice(null);
+  };
+
+  const titles = {
+    signIn: 'Sign In to Your Account',
+    signUp: 'Create Your Account',
+    reset: 'Reset Your Password',
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-100 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8 bg-white p-10 rounded-xl shadow-lg">
         <div>
           <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
-            {isSignUp ? 'Create Your Account' : 'Sign In to Your Account'}
+            {titles[mode]}
           </h2>
           <p className="mt-2 text-center text-sm text-gray-600">
-            {isSignUp ? 'Already have an account?' : 'Or '}
+            {mode === 'reset' ? 'Remembered it? ' : isSignUp ? 'Already have an account?' : 'Or '}
             <button
-              onClick={() => setIsSignUp(!isSignUp)}
+              onClick={() => switchMode(isSignUp || mode === 'reset' ? 'signIn' : 'signUp')}
               className="font-medium text-indigo-600 hover:text-indigo-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 cursor-pointer"
             >
-              {isSignUp ? 'Sign In' : 'Sign Up'}
+              {isSignUp || mode === 'reset' ? 'Sign In' : 'Sign Up'}
             </button>
           </p>
         </div>
@@ -92,33 +232,52 @@ export default function AuthForm() {
                 type="email"
                 autoComplete="email"
                 required
-                className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-t-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
+                className={`appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-t-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm ${mode === 'reset' ? 'rounded-b-md' : ''}`}
                 placeholder="Email address"
                 value={email}
                 onChange={(e) => setEmail(e.target.value)}
               />
             </div>
-            <div>
-              <label htmlFor="password" className="sr-only">Password</label>
-              <input
-                id="password"
-                name="password"
-                type="password"
-                autoComplete={isSignUp ? 'new-password' : 'current-password'}
-                required
-                className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-b-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
-                placeholder="Password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-              />
-            </div>
+            {mode !== 'reset' && (
+              <div>
+                <label htmlFor="password" className="sr-only">Password</label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete={isSignUp ? 'new-password' : 'current-password'}
+                  required
+                  className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-b-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
+                  placeholder="Password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                />
+              </div>
+            )}
           </div>
 
+          {mode === 'signIn' && (
+            <div className="text-right text-sm -mt-4">
+              <button
+                type="button"
+                onClick={() => switchMode('reset')}
+                className="font-medium text-indigo-600 hover:text-indigo-500"
+              >
+                Forgot password?
+              </button>
+            </div>
+          )}
+
           {error && (
             <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
               <span className="block sm:inline">{error}</span>
             </div>
           )}
+          {notice && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded relative" role="status">
+              <span className="block sm:inline">{notice}</span>
+            </div>
+          )}
 
           <div>
             <button
@@ -126,10 +285,31 @@ export default function AuthForm() {
               disabled={loading} // Disable button when loading
               className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              {loading ? (isSignUp ? 'Signing Up...' : 'Signing In...') : (isSignUp ? 'Sign Up' : 'Sign In')}
+              {mode === 'reset'
+                ? (loading ? 'Sending...' : 'Send Reset Link')
+                : loading ? (isSignUp ? 'Signing Up...' : 'Signing In...') : (isSignUp ? 'Sign Up' : 'Sign In')}
             </button>
           </div>
         </form>
+
+        {mode !== 'reset' && (
+          <div className="space-y-3">
+            <p className="text-center text-sm text-gray-500">or continue with</p>
+            <div className="flex gap-3">
+              {Object.entries(OAUTH_PROVIDERS).map(([key, { label }]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => handleProviderSignIn(key)}
+                  disabled={loading || pendingLink?.label === label}
+                  className="flex-1 py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,91 @@
+"use client"; // This is a client component
+
+import React, { useState } from "react";
+import { useRouter } from "next/navigation";
+import { signOut } from "firebase/auth";
+import { auth } from "@/app/lib/firebaseClient";
+import { reauthenticate } from "@/app/lib/authProviders";
+import { deleteAccount } from "@/utils/helper";
+import { getAuthErrorMessage } from "./AuthForm";
+import { CurrentPasswordField } from "./SignInSettings";
+
+// Settings section for deleting the account. The server deletes every todo, list and other
+// document of the user along with it (see DELETE /api/account).
+export default function DeleteAccount({ user }) {
+  const router = useRouter();
+  const [confirming, setConfirming] = useState(false);
+  const [password, setPassword] = useState("");
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setDeleting(true);
+    setError(null);
+    try {
+      await reauthenticate(user, password); // The server only deletes right after a sign-in
+      await deleteAccount();
+      await signOut(auth).catch(() => {}); // The account is gone; this just clears the session
+      router.push("/");
+    } catch (err) {
+      setError(getAuthErrorMessage(err));
+      console.error("Error deleting account:", err);
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <section className="space-y-3">
+      <h2 className="text-xl font-semibold text-red-700">Delete account</h2>
+      <p className="text-sm text-gray-600">
+        This deletes your account and everything in it for good: your todos, lists, trash, history
+        and notifications. Todos other people keep in lists of yours go back to them.
+      </p>
+      {confirming ? (
+        <form
+          onSubmit={handleDelete}
+          className="p-4 border border-red-200 bg-red-50 rounded-md space-y-3"
+        >
+          <CurrentPasswordField
+            user={user}
+            id="delete-current-password"
+            value={password}
+            onChange={setPassword}
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+              disabled={deleting}
+            >
+              {deleting ? "Deleting..." : "Delete my account for good"}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setConfirming(false);
+                setError(null);
+              }}
+              className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 disabled:opacity-50"
+              disabled={deleting}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setConfirming(true)}
+          className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700"
+        >
+          Delete my account
+        </button>
+      )}
+      {error && (
+        <p className="p-3 bg-red-100 text-red-700 rounded-md" role="alert">
+          {error}
+        </p>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,74 @@
+"use client"; // This is a client component
+
+import React, { useState } from "react";
+// Import our API helper functions
+import { exportTodos } from "@/utils/helper";
+import { TODO_FILE_FORMATS } from "@/app/lib/todoValidation";
+
+const FORMAT_LABELS = { json: "JSON", csv: "CSV (spreadsheet)", ics: "iCalendar (.ics)" };
+
+// Saves a downloaded file through a temporary link
+function saveFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// "Export" button with a menu of file formats; downloads every todo the user owns.
+// Errors are reported through onError(message). `exportFile(format)` can download something
+// else instead (e.g. another user's todos in the admin console); it resolves to { blob, filename }.
+export default function ExportMenu({ onError, exportFile = exportTodos }) {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    setOpen(false);
+    setExporting(true);
+    try {
+      const { blob, filename } = await exportFile(format);
+      saveFile(blob, filename);
+    } catch (err) {
+      onError("Failed to export todos: " + err.message);
+      console.error("Export todos error:", err);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((prevOpen) => !prevOpen)}
+        className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 disabled:opacity-50 w-full sm:w-auto"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        disabled={exporting}
+      >
+        {exporting ? "Exporting..." : "Export"}
+      </button>
+      {open && (
+        <ul
+          className="absolute right-0 z-30 mt-1 w-48 bg-white border border-gray-200 rounded-md shadow-lg py-1"
+          role="menu"
+        >
+          {TODO_FILE_FORMATS.map((format) => (
+            <li key={format} role="none">
+              <button
+                onClick={() => handleExport(format)}
+                className="w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                role="menuitem"
+              >
+                {FORMAT_LABELS[format]}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,248 @@
+"use client"; // This is a client component
+
+import React, { useState, useEffect } from "react";
+// Import our API helper functions
+import { importTodos } from "@/utils/helper";
+import { TODO_FILE_FORMATS, MAX_IMPORT_LENGTH } from "@/app/lib/todoValidation";
+
+const FORMAT_LABELS = { json: "JSON", csv: "CSV", ics: "iCalendar" };
+
+// The format a file name suggests, e.g. "todos.ics" -> "ics"
+function getFileFormat(fileName) {
+  const extension = fileName.split(".").pop().toLowerCase();
+  return TODO_FILE_FORMATS.includes(extension) ? extension : null;
+}
+
+// Dialog for importing todos from a JSON, CSV or iCalendar file.
+// The file is checked with a dry run first, so the user sees which todos would be created and
+// what is wrong with the others before anything is saved. onImported runs after a real import.
+// `lists` are the lists the todos can go to; todos naming one of them by name go there instead.
+export default function ImportDialog({ lists, defaultListId, onImported, onClose }) {
+  const [content, setContent] = useState("");
+  const [format, setFormat] = useState("json");
+  const [listId, setListId] = useState(defaultListId || "");
+  const [preview, setPreview] = useState(null); // Dry-run result for the current file and options
+  const [result, setResult] = useState(null); // Result of the real import
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape" && !saving) {
+        onClose();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose, saving]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setPreview(null);
+    setResult(null);
+    setError(null);
+    if (!file) {
+      setContent("");
+      return;
+    }
+    const text = await file.text();
+    if (text.length > MAX_IMPORT_LENGTH) {
+      setError(`The file is too big: it must be at most ${MAX_IMPORT_LENGTH / 1000000} MB.`);
+      return;
+    }
+    setContent(text);
+    setFormat((currentFormat) => getFileFormat(file.name) || currentFormat);
+  };
+
+  // Runs the import, as a dry run or for real
+  const runImport = async (dryRun) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const data = await importTodos({
+        format,
+        content,
+        dryRun,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        ...(listId ? { listId } : {}),
+      });
+      if (dryRun) {
+        setPreview(data);
+      } else {
+        setResult(data);
+        onImported();
+      }
+    } catch (err) {
+      setError(`${dryRun ? "Failed to read the file" : "Failed to import"}: ${err.message}`);
+      console.error("Import todos error:", err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Changing the options invalidates the preview
+  const handleFormatChange = (e) => {
+    setFormat(e.target.value);
+    setPreview(null);
+  };
+  const handleListChange = (e) => {
+    setListId(e.target.value);
+    setPreview(null);
+  };
+
+  const listNames = new Map(lists.map((list) => [list.id, list.name]));
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4"
+      onClick={saving ? undefined : onClose}
+    >
+      <div
+        className="w-full max-w-2xl max-h-[90vh] flex flex-col bg-white rounded-lg shadow-xl p-6"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-dialog-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-4 mb-4">
+          <h2 id="import-dialog-title" className="text-lg font-bold text-gray-900">
+            Import todos
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-700 text-xl leading-none"
+            aria-label="Close"
+            disabled={saving}
+          >
+            ×
+          </button>
+        </div>
+
+        {error && (
+          <div
+            className="bg-red-100 border border-red-400 text-red-700 px-3 py-2 rounded mb-3 text-sm"
+            role="alert"
+          >
+            {error}
+          </div>
+        )}
+
+        {result ? (
+          <div className="text-sm text-gray-700">
+            <p className="mb-2">
+              Imported {result.created} todo{result.created === 1 ? "" : "s"}
+              {result.created < result.rows.length &&
+                `; ${result.rows.length - result.created} skipped`}
+              .
+            </p>
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 text-sm"
+            >
+              Done
+            </button>
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-col sm:flex-row gap-2 mb-4">
+              <input
+                type="file"
+                accept=".json,.csv,.ics,application/json,text/csv,text/calendar"
+                onChange={handleFileChange}
+                className="flex-grow text-sm text-gray-700 file:mr-3 file:px-3 file:py-2 file:border-0 file:rounded-md file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"
+                aria-label="File to import"
+                disabled={saving}
+              />
+              <select
+                value={format}
+                onChange={handleFormatChange}
+                className="p-2 border border-gray-300 rounded-md text-gray-700 text-sm"
+                aria-label="File format"
+                disabled={saving}
+              >
+                {TODO_FILE_FORMATS.map((fileFormat) => (
+                  <option key={fileFormat} value={fileFormat}>
+                    {FORMAT_LABELS[fileFormat]}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={listId}
+                onChange={handleListChange}
+                className="p-2 border border-gray-300 rounded-md text-gray-700 text-sm"
+                aria-label="Import into list"
+                disabled={saving}
+              >
+                <option value="">Inbox</option>
+                {lists
+                  .filter((list) => !list.isInbox && list.role !== "viewer")
+                  .map((list) => (
+                    <option key={list.id} value={list.id}>
+                      {list.name}
+                    </option>
+                  ))}
+              </select>
+            </div>
+
+            {preview && (
+              <div className="flex-grow overflow-y-auto border border-gray-200 rounded-md mb-4">
+                <p className="px-3 py-2 text-sm text-gray-700 bg-gray-50 border-b border-gray-200">
+                  {preview.valid} todo{preview.valid === 1 ? "" : "s"} ready to import
+                  {preview.invalid > 0 && `, ${preview.invalid} with errors (these are skipped)`}.
+                </p>
+                <ul className="divide-y divide-gray-100 text-sm">
+                  {preview.rows.map((row) => (
+                    <li key={row.row} className="px-3 py-2 flex gap-3">
+                      <span className="text-xs text-gray-400 w-10 flex-shrink-0">#{row.row}</span>
+                      {row.ok ? (
+                        <div className="min-w-0">
+                          <p className="text-gray-800 break-words">{row.todo.text}</p>
+                          <p className="text-xs text-gray-500">
+                            {listNames.get(row.todo.listId) || "Inbox"}
+                            {row.todo.completed && " · Completed"}
+                            {row.todo.priority && ` · ${row.todo.priority} priority`}
+                            {row.todo.dueDate &&
+                              ` · Due ${new Date(row.todo.dueDate).toLocaleString()}`}
+                            {row.todo.tags?.length > 0 && ` · ${row.todo.tags.join(" ")}`}
+                          </p>
+                        </div>
+                      ) : (
+                        <p className="text-red-700 break-words">
+                          {Object.entries(row.errors)
+                            .map(([field, message]) =>
+                              field === "row" ? message : `${field}: ${message}`
+                            )
+                            .join(" ")}
+                        </p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => runImport(true)}
+                className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 disabled:opacity-50 text-sm"
+                disabled={saving || !content}
+              >
+                {saving && !preview ? "Checking..." : "Preview"}
+              </button>
+              <button
+                onClick={() => runImport(false)}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+                disabled={saving || !preview || preview.valid === 0}
+              >
+                {saving && preview
+                  ? "Importing..."
+                  : `Import ${preview ? preview.valid : ""} todo${preview?.valid === 1 ? "" : "s"}`}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
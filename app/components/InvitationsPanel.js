@@ -0,0 +1,136 @@
+"use client"; // This is a client component
+
+import React, { useState, useEffect, useCallback } from "react";
+import { sendEmailVerification } from "firebase/auth";
+import { auth } from "@/app/lib/firebaseClient";
+import { AUTH_ERROR_CODES } from "@/app/lib/authErrors";
+import { getActionCodeSettings } from "@/app/lib/authProviders";
+// Import our API helper functions
+import { fetchInvitations, acceptInvitation, revokeInvitation } from "@/utils/helper";
+import { getAuthErrorMessage } from "./AuthForm";
+
+// Shows the pending invitations sent to the signed-in user, with Accept/Decline buttons.
+// Renders nothing when there are none. onAccepted runs after an invitation was accepted,
+// so the parent can load the newly shared todo or list.
+export default function InvitationsPanel({ onAccepted }) {
+  const [invitations, setInvitations] = useState([]);
+  const [savingId, setSavingId] = useState(null); // Invitation being accepted or declined
+  const [error, setError] = useState(null);
+  // Accepting needs a verified email address (a GitHub sign-in may not have one)
+  const [needsVerification, setNeedsVerification] = useState(false);
+  const [verificationSent, setVerificationSent] = useState(false);
+
+  const loadInvitations = useCallback(async () => {
+    try {
+      const data = await fetchInvitations();
+      setInvitations(data.received);
+    } catch (err) {
+      console.error("Load invitations error:", err); // Not worth a banner; the list still works
+    }
+  }, []);
+
+  useEffect(() => {
+    loadInvitations();
+  }, [loadInvitations]);
+
+  // `accept` is true to accept the invitation, false to decline it
+  const handleRespond = async (invitation, accept) => {
+    setSavingId(invitation.id);
+    setError(null);
+    try {
+      const user = auth.currentUser;
+      if (accept && user && !user.emailVerified) {
+        // Verified since signing in? A fresh ID token carries it to the server
+        await user.reload();
+        if (user.emailVerified) {
+          await user.getIdToken(true);
+        }
+      }
+      if (accept) {
+        await acceptInvitation(invitation.id);
+      } else {
+        await revokeInvitation(invitation.id);
+      }
+      setInvitations((prevInvitations) =>
+        prevInvitations.filter((candidate) => candidate.id !== invitation.id)
+      );
+      if (accept) {
+        onAccepted(invitation);
+      }
+    } catch (err) {
+      setNeedsVerification(err.code === AUTH_ERROR_CODES.unverified);
+      setError(`Failed to ${accept ? "accept" : "decline"} the invitation: ${err.message}`);
+      console.error("Respond to invitation error:", err);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleSendVerification = async () => {
+    try {
+      await sendEmailVerification(auth.currentUser, getActionCodeSettings());
+      setVerificationSent(true);
+    } catch (err) {
+      setError(getAuthErrorMessage(err));
+      console.error("Error sending verification email:", err);
+    }
+  };
+
+  if (invitations.length === 0 && !error) {
+    return null;
+  }
+
+  return (
+    <div className="bg-indigo-50 border border-indigo-200 rounded px-4 py-3 mb-4 text-sm">
+      {error && (
+        <p className="text-red-700 mb-2" role="alert">
+          {error}
+        </p>
+      )}
+      {needsVerification && (
+        <p className="text-indigo-900 mb-2">
+          {verificationSent ? (
+            `We sent a link to ${auth.currentUser?.email}. Open it, then accept again.`
+          ) : (
+            <button
+              onClick={handleSendVerification}
+              className="font-medium text-indigo-600 hover:text-indigo-500"
+            >
+              Send me a verification email
+            </button>
+          )}
+        </p>
+      )}
+      <ul className="space-y-2">
+        {invitations.map((invitation) => (
+          <li
+            key={invitation.id}
+            className="flex flex-col sm:flex-row sm:items-center justify-between gap-2"
+          >
+            <span className="text-indigo-900">
+              {invitation.invitedByEmail || "Someone"} invited you to{" "}
+              {invitation.role === "editor" ? "edit" : "view"} the {invitation.resourceType} &ldquo;
+              {invitation.resourceName}&rdquo;.
+            </span>
+            <div className="flex gap-2 flex-shrink-0">
+              <button
+                onClick={() => handleRespond(invitation, true)}
+                className="px-3 py-1 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                disabled={savingId === invitation.id}
+              >
+                Accept
+              </button>
+              <button
+                onClick={() => handleRespond(invitation, false)}
+                className="px-3 py-1 bg-white border border-indigo-300 rounded-md hover:bg-indigo-100 disabled:opacity-50"
+                disabled={savingId === invitation.id}
+              >
+                Decline
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,287 @@
+"use client"; // This is a client component
+
+import React, { useState } from "react";
+// Import our API helper functions
+import { createList, updateList, deleteList } from "@/utils/helper";
+import { LIST_NAME_MAX_LENGTH } from "@/app/lib/todoValidation";
+
+// Value of selectedListId for the todos other users shared with the user directly
+export const SHARED_WITH_ME = "shared";
+
+// Sidebar for switching between the user's lists ("" selects all of the user's own todos).
+// Creating, renaming and deleting lists happens here; onListsChange asks the parent to reload them.
+// onShare(list) opens the share dialog for a list the user owns; onShowTrash opens the Trash,
+// which replaces the selected list while showingTrash is set.
+export default function ListSidebar({
+  lists,
+  selectedListId,
+  onSelect,
+  onListsChange,
+  onShare,
+  showingTrash,
+  onShowTrash,
+}) {
+  const [newListName, setNewListName] = useState("");
+  const [renamingListId, setRenamingListId] = useState(null);
+  const [renamingListName, setRenamingListName] = useState("");
+  const [deletingListId, setDeletingListId] = useState(null); // List whose delete options are open
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Own lists only: todos in lists shared with the user aren't part of "All todos"
+  const allOpenCount = lists
+    .filter((list) => list.role === "owner")
+    .reduce((total, list) => total + list.openCount, 0);
+
+  // Runs one list request, then has the parent reload the lists
+  const saveChange = async (request, errorLabel) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await request();
+      await onListsChange();
+      return true;
+    } catch (err) {
+      setError(`${errorLabel}: ${err.message}`);
+      console.error(`${errorLabel}:`, err);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreateList = async (e) => {
+    e.preventDefault();
+    const name = newListName.trim();
+    if (!name) {
+      return;
+    }
+    const saved = await saveChange(() => createList(name), "Failed to create list");
+    if (saved) {
+      setNewListName(""); // Clear the input field
+    }
+  };
+
+  const handleRenameList = async (e) => {
+    e.preventDefault();
+    const name = renamingListName.trim();
+    if (!name) {
+      return;
+    }
+    const saved = await saveChange(
+      () => updateList(renamingListId, { name }),
+      "Failed to rename list"
+    );
+    if (saved) {
+      setRenamingListId(null);
+    }
+  };
+
+  // `todos` is "move" (to the Inbox) or "delete"
+  const handleDeleteList = async (list, todos) => {
+    const deleted = await saveChange(() => deleteList(list.id, { todos }), "Failed to delete list");
+    if (deleted) {
+      setDeletingListId(null);
+      if (selectedListId === list.id) {
+        onSelect(""); // The selected list is gone; show everything instead
+      }
+    }
+  };
+
+  const itemClass = (selected) =>
+    `flex-grow flex items-center justify-between gap-2 px-3 py-2 rounded-md text-left text-sm ${
+      selected ? "bg-indigo-600 text-white" : "text-gray-700 hover:bg-gray-100"
+    }`;
+  // No list is highlighted while the Trash is open
+  const isSelected = (listId) => !showingTrash && selectedListId === listId;
+
+  return (
+    <nav className="md:w-60 flex-shrink-0" aria-label="Lists">
+      <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2">Lists</h2>
+
+      {error && (
+        <div
+          className="bg-red-100 border border-red-400 text-red-700 px-3 py-2 rounded mb-3 text-xs"
+          role="alert"
+        >
+          {error}
+        </div>
+      )}
+
+      <ul className="space-y-1 mb-4">
+        <li className="flex">
+          <button
+            onClick={() => onSelect("")}
+            className={itemClass(isSelected(""))}
+            aria-current={isSelected("") ? "page" : undefined}
+          >
+            <span>All todos</span>
+            <span className="text-xs opacity-75">{allOpenCount}</span>
+          </button>
+        </li>
+        <li className="flex">
+          <button
+            onClick={() => onSelect(SHARED_WITH_ME)}
+            className={itemClass(isSelected(SHARED_WITH_ME))}
+            aria-current={isSelected(SHARED_WITH_ME) ? "page" : undefined}
+          >
+            <span>Shared with me</span>
+          </button>
+        </li>
+        {lists.map((list) => (
+          <li key={list.id}>
+            {renamingListId === list.id ? (
+              <form onSubmit={handleRenameList} className="flex gap-1">
+                <input
+                  type="text"
+                  className="flex-grow min-w-0 p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777] text-sm"
+                  value={renamingListName}
+                  maxLength={LIST_NAME_MAX_LENGTH}
+                  onChange={(e) => setRenamingListName(e.target.value)}
+                  disabled={saving}
+                  aria-label="List name"
+                  autoFocus
+                />
+                <button
+                  type="submit"
+                  className="px-2 text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                  disabled={saving || !renamingListName.trim()}
+                >
+                  Save
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setRenamingListId(null)}
+                  className="px-2 text-sm text-gray-500 hover:text-gray-700"
+                  disabled={saving}
+                >
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <div className="flex items-center group">
+                <button
+                  onClick={() => onSelect(list.id)}
+                  className={itemClass(isSelected(list.id))}
+                  aria-current={isSelected(list.id) ? "page" : undefined}
+                  title={
+                    list.role === "owner"
+                      ? `${list.openCount} open of ${list.todoCount}`
+                      : `Shared by ${list.ownerEmail || "another user"} (you can ${
+                          list.role === "editor" ? "edit" : "view"
+                        })`
+                  }
+                >
+                  <span className="truncate">
+                    {(list.role !== "owner" || list.collaboratorIds?.length > 0) && (
+                      <span className="mr-1" aria-label="Shared list">
+                        👥
+                      </span>
+                    )}
+                    {list.name}
+                  </span>
+                  <span className="text-xs opacity-75">{list.openCount}</span>
+                </button>
+                {list.role === "owner" && !list.isInbox && (
+                  <button
+                    onClick={() => onShare(list)}
+                    className="px-1 text-gray-400 hover:text-gray-700 text-sm"
+                    disabled={saving}
+                    aria-label={`Share list "${list.name}"`}
+                  >
+                    ⇪
+                  </button>
+                )}
+                {list.role === "owner" && (
+                  <button
+                    onClick={() => {
+                      setRenamingListId(list.id);
+                      setRenamingListName(list.name);
+                    }}
+                    className="px-1 text-gray-400 hover:text-gray-700 text-sm"
+                    disabled={saving}
+                    aria-label={`Rename list "${list.name}"`}
+                  >
+                    ✎
+                  </button>
+                )}
+                {list.role === "owner" && !list.isInbox && (
+                  <button
+                    onClick={() => setDeletingListId(deletingListId === list.id ? null : list.id)}
+                    className="px-1 text-red-400 hover:text-red-600 text-sm"
+                    disabled={saving}
+                    aria-label={`Delete list "${list.name}"`}
+                    aria-expanded={deletingListId === list.id}
+                  >
+                    ×
+                  </button>
+                )}
+              </div>
+            )}
+
+            {/* Delete options: keep the todos in the Inbox, or move them to the trash with the list */}
+            {deletingListId === list.id && (
+              <div className="mt-1 mb-2 p-2 border border-red-200 bg-red-50 rounded-md text-xs text-gray-700">
+                <p className="mb-2">
+                  Delete &ldquo;{list.name}&rdquo;? It has {list.todoCount} todo
+                  {list.todoCount === 1 ? "" : "s"}.
+                </p>
+                <div className="flex flex-col gap-1">
+                  <button
+                    onClick={() => handleDeleteList(list, "move")}
+                    className="px-2 py-1 bg-white border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50"
+                    disabled={saving}
+                  >
+                    Move todos to Inbox
+                  </button>
+                  <button
+                    onClick={() => handleDeleteList(list, "delete")}
+                    className="px-2 py-1 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+                    disabled={saving}
+                  >
+                    Move todos to Trash
+                  </button>
+                  <button
+                    onClick={() => setDeletingListId(null)}
+                    className="px-2 py-1 text-gray-500 hover:text-gray-700"
+                    disabled={saving}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* Add List Form */}
+      <form onSubmit={handleCreateList} className="flex gap-1">
+        <input
+          type="text"
+          className="flex-grow min-w-0 p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777] text-sm"
+          placeholder="New list..."
+          value={newListName}
+          maxLength={LIST_NAME_MAX_LENGTH}
+          onChange={(e) => setNewListName(e.target.value)}
+          disabled={saving}
+        />
+        <button
+          type="submit"
+          className="px-3 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+          disabled={saving || !newListName.trim()}
+        >
+          Add
+        </button>
+      </form>
+
+      <button
+        onClick={onShowTrash}
+        className={`w-full mt-4 ${itemClass(showingTrash)}`}
+        aria-current={showingTrash ? "page" : undefined}
+      >
+        <span>Trash</span>
+      </button>
+    </nav>
+  );
+}
@@ -0,0 +1,228 @@
+"use client"; // This is a client component
+
+import React from "react";
+
+// Renders the Markdown of a todo's notes: headings, paragraphs, bullet, numbered and task
+// lists, quotes, code, rules, **bold**, *italic*, ~~strikethrough~~, `code` and links.
+// The output is built from React elements, never from HTML, so anything else in the notes
+// (including HTML tags) shows up as plain text. Links only work for http(s) and mailto URLs.
+
+const INLINE_REGEX = new RegExp(
+  [
+    "`(?<code>[^`]+)`",
+    "\\*\\*(?<strong>.+?)\\*\\*",
+    "__(?<strongAlt>.+?)__",
+    "~~(?<del>.+?)~~",
+    "\\*(?<em>[^\\s*](?:.*?[^\\s*])?)\\*",
+    "(?<![\\p{L}\\p{N}_])_(?<emAlt>[^\\s_](?:.*?[^\\s_])?)_(?![\\p{L}\\p{N}_])",
+    "\\[(?<linkText>[^\\]]+)\\]\\((?<href>[^()\\s]+)\\)",
+    "(?<url>https?:\\/\\/[^\\s<>()]*[^\\s<>().,;:!?'\"])",
+  ].join("|"),
+  "gu"
+);
+
+const HEADING_REGEX = /^(#{1,6})\s+(.*?)\s*#*$/;
+const RULE_REGEX = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const FENCE_REGEX = /^ {0,3}```/;
+const QUOTE_REGEX = /^ {0,3}> ?/;
+const LIST_ITEM_REGEX = /^ {0,3}(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+const TASK_REGEX = /^\[([ xX])\]\s+([\s\S]*)$/;
+
+const HEADING_CLASSES = [
+  "text-xl font-bold",
+  "text-lg font-bold",
+  "text-base font-bold",
+  "text-base font-semibold",
+  "text-sm font-semibold",
+  "text-sm font-semibold text-gray-600",
+];
+
+// The URL as a link target, or null for anything but http(s) and mailto (e.g. javascript:)
+function getSafeHref(href) {
+  try {
+    const url = new URL(href);
+    return ["http:", "https:", "mailto:"].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null; // Relative or malformed
+  }
+}
+
+function renderLink(text, href, key) {
+  const safeHref = getSafeHref(href);
+  if (!safeHref) {
+    return <span key={key}>{text}</span>;
+  }
+  return (
+    <a
+      key={key}
+      href={safeHref}
+      target="_blank"
+      rel="noopener noreferrer nofollow"
+      className="text-indigo-600 underline hover:text-indigo-800 break-words"
+    >
+      {text}
+    </a>
+  );
+}
+
+// Text with inline formatting, as React nodes
+function renderInline(text, keyPrefix) {
+  const nodes = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(INLINE_REGEX)) {
+    if (match.index > lastIndex) {
+      nodes.push(text.slice(lastIndex, match.index));
+    }
+    const key = `${keyPrefix}-${match.index}`;
+    const groups = match.groups;
+    if (groups.code !== undefined) {
+      nodes.push(
+        <code key={key} className="px-1 rounded bg-gray-100 font-mono text-[0.9em]">
+          {groups.code}
+        </code>
+      );
+    } else if (groups.strong !== undefined || groups.strongAlt !== undefined) {
+      nodes.push(<strong key={key}>{renderInline(groups.strong ?? groups.strongAlt, key)}</strong>);
+    } else if (groups.del !== undefined) {
+      nodes.push(<del key={key}>{renderInline(groups.del, key)}</del>);
+    } else if (groups.em !== undefined || groups.emAlt !== undefined) {
+      nodes.push(<em key={key}>{renderInline(groups.em ?? groups.emAlt, key)}</em>);
+    } else if (groups.linkText !== undefined) {
+      nodes.push(renderLink(renderInline(groups.linkText, key), groups.href, key));
+    } else {
+      nodes.push(renderLink(groups.url, groups.url, key));
+    }
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) {
+    nodes.push(text.slice(lastIndex));
+  }
+  return nodes;
+}
+
+// Lines of a paragraph keep their line breaks, as people tend to write notes that way
+function renderLines(lines, keyPrefix) {
+  return lines.flatMap((line, index) => [
+    ...(index > 0 ? [<br key={`${keyPrefix}-br-${index}`} />] : []),
+    ...renderInline(line, `${keyPrefix}-${index}`),
+  ]);
+}
+
+function isBlockStart(line) {
+  return (
+    HEADING_REGEX.test(line) ||
+    RULE_REGEX.test(line) ||
+    FENCE_REGEX.test(line) ||
+    QUOTE_REGEX.test(line) ||
+    LIST_ITEM_REGEX.test(line)
+  );
+}
+
+// Markdown lines as React block elements
+function renderBlocks(lines, keyPrefix) {
+  const blocks = [];
+  let index = 0;
+  while (index < lines.length) {
+    const line = lines[index];
+    const key = `${keyPrefix}-${index}`;
+
+    if (!line.trim()) {
+      index++;
+    } else if (FENCE_REGEX.test(line)) {
+      const codeLines = [];
+      index++;
+      while (index < lines.length && !FENCE_REGEX.test(lines[index])) {
+        codeLines.push(lines[index]);
+        index++;
+      }
+      index++; // The closing fence, if there is one
+      blocks.push(
+        <pre key={key} className="p-3 rounded bg-gray-100 overflow-x-auto text-sm">
+          <code className="font-mono">{codeLines.join("\n")}</code>
+        </pre>
+      );
+    } else if (HEADING_REGEX.test(line)) {
+      const [, hashes, text] = line.match(HEADING_REGEX);
+      // The page has its own h1, so "#" becomes an h2
+      const Heading = `h${Math.min(hashes.length + 1, 6)}`;
+      blocks.push(
+        <Heading key={key} className={HEADING_CLASSES[hashes.length - 1]}>
+          {renderInline(text, key)}
+        </Heading>
+      );
+      index++;
+    } else if (RULE_REGEX.test(line)) {
+      blocks.push(<hr key={key} className="border-gray-200" />);
+      index++;
+    } else if (QUOTE_REGEX.test(line)) {
+      const quoteLines = [];
+      while (index < lines.length && QUOTE_REGEX.test(lines[index])) {
+        quoteLines.push(lines[index].replace(QUOTE_REGEX, ""));
+        index++;
+      }
+      blocks.push(
+        <blockquote key={key} className="pl-3 border-l-4 border-gray-200 text-gray-600 space-y-2">
+          {renderBlocks(quoteLines, key)}
+        </blockquote>
+      );
+    } else if (LIST_ITEM_REGEX.test(line)) {
+      const ordered = Boolean(line.match(LIST_ITEM_REGEX)[2]);
+      const start = ordered ? Number(line.match(LIST_ITEM_REGEX)[2]) : undefined;
+      const items = [];
+      while (index < lines.length) {
+        const itemMatch = lines[index].match(LIST_ITEM_REGEX);
+        if (itemMatch && Boolean(itemMatch[2]) === ordered) {
+          items.push(itemMatch[3]);
+        } else if (items.length > 0 && lines[index].trim() && !isBlockStart(lines[index])) {
+          items[items.length - 1] += `\n${lines[index].trim()}`; // A wrapped item
+        } else {
+          break;
+        }
+        index++;
+      }
+      const List = ordered ? "ol" : "ul";
+      blocks.push(
+        <List
+          key={key}
+          start={start !== 1 ? start : undefined}
+          className={`pl-6 space-y-1 ${ordered ? "list-decimal" : "list-disc"}`}
+        >
+          {items.map((item, itemIndex) => {
+            const itemKey = `${key}-${itemIndex}`;
+            const task = item.match(TASK_REGEX);
+            return task ? (
+              <li key={itemKey} className="list-none -ml-5 flex items-start gap-2">
+                <input
+                  type="checkbox"
+                  checked={task[1] !== " "}
+                  readOnly
+                  disabled
+                  className="mt-1.5 h-4 w-4"
+                />
+                <span>{renderLines(task[2].split("\n"), itemKey)}</span>
+              </li>
+            ) : (
+              <li key={itemKey}>{renderLines(item.split("\n"), itemKey)}</li>
+            );
+          })}
+        </List>
+      );
+    } else {
+      const paragraphLines = [];
+      while (index < lines.length && lines[index].trim() && !isBlockStart(lines[index])) {
+        paragraphLines.push(lines[index]);
+        index++;
+      }
+      blocks.push(<p key={key}>{renderLines(paragraphLines, key)}</p>);
+    }
+  }
+  return blocks;
+}
+
+export default function MarkdownPreview({ markdown, className = "" }) {
+  return (
+    <div className={`space-y-3 break-words ${className}`}>
+      {renderBlocks(markdown.replace(/\r\n?/g, "\n").split("\n"), "md")}
+    </div>
+  );
+}
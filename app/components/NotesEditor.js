@@ -0,0 +1,74 @@
+"use client"; // This is a client component
+
+import React, { useState } from "react";
+import { TODO_NOTES_MAX_LENGTH } from "@/app/lib/todoValidation";
+import MarkdownPreview from "./MarkdownPreview";
+
+// Long-form Markdown notes for a todo, with a "Write" tab (a plain textarea) and a "Preview" tab
+// showing them rendered. onChange(notes) gets every keystroke; saving is up to the parent.
+// When `disabled` (e.g. for a viewer), only the rendered notes are shown.
+export default function NotesEditor({ value, onChange, disabled }) {
+  const [showPreview, setShowPreview] = useState(false);
+
+  if (disabled) {
+    return value ? (
+      <MarkdownPreview markdown={value} className="text-base text-gray-700" />
+    ) : (
+      <p className="text-base text-gray-500">No notes.</p>
+    );
+  }
+
+  const tabClass = (active) =>
+    `px-3 py-1 text-sm rounded-t-md border border-b-0 ${
+      active
+        ? "bg-white border-gray-300 text-gray-900 font-semibold"
+        : "bg-gray-50 border-transparent text-gray-600 hover:text-gray-900"
+    }`;
+
+  return (
+    <div>
+      <div className="flex gap-1" role="tablist">
+        <button
+          type="button"
+          role="tab"
+          aria-selected={!showPreview}
+          onClick={() => setShowPreview(false)}
+          className={tabClass(!showPreview)}
+        >
+          Write
+        </button>
+        <button
+          type="button"
+          role="tab"
+          aria-selected={showPreview}
+          onClick={() => setShowPreview(true)}
+          className={tabClass(showPreview)}
+        >
+          Preview
+        </button>
+      </div>
+      {showPreview ? (
+        <div className="min-h-40 p-3 border border-gray-300 rounded-b-md rounded-tr-md text-base text-gray-700">
+          {value.trim() ? (
+            <MarkdownPreview markdown={value} />
+          ) : (
+            <p className="text-gray-500">Nothing to preview.</p>
+          )}
+        </div>
+      ) : (
+        <textarea
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          maxLength={TODO_NOTES_MAX_LENGTH}
+          rows={8}
+          className="block w-full p-3 border border-gray-300 rounded-b-md rounded-tr-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777] text-base font-mono"
+          placeholder="Add notes... Markdown works: **bold**, *italic*, - lists, [links](https://example.com)"
+          aria-label="Notes"
+        />
+      )}
+      <p className="mt-1 text-xs text-gray-500 text-right">
+        {value.length.toLocaleString()} / {TODO_NOTES_MAX_LENGTH.toLocaleString()}
+      </p>
+    </div>
+  );
+}
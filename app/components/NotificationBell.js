@@ -0,0 +1,266 @@
+"use client"; // This is a client component
+
+import React, { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+// Import our API helper functions
+import {
+  fetchNotifications,
+  markNotificationsRead,
+  savePushSubscription,
+  deletePushSubscription,
+} from "@/utils/helper";
+
+const POLL_INTERVAL_MS = 60000; // How often to check for new notifications
+const VAPID_PUBLIC_KEY = process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY;
+const SERVICE_WORKER_URL = "/sw.js";
+
+// The VAPID key as the bytes pushManager.subscribe() expects
+function decodeBase64Url(value) {
+  const base64 = (value + "=".repeat((4 - (value.length % 4)) % 4))
+    .replace(/-/g, "+")
+    .replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+function isPushSupported() {
+  return (
+    Boolean(VAPID_PUBLIC_KEY) &&
+    typeof window !== "undefined" &&
+    "serviceWorker" in navigator &&
+    "PushManager" in window
+  );
+}
+
+// This browser's push subscription, or null when push is off
+async function getPushSubscription() {
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+// Bell button with the number of unread notifications, opening a menu with the latest ones.
+// Clicking a notification marks it as read and opens its todo. When the app has a VAPID key,
+// the menu also turns web push on or off for this browser.
+export default function NotificationBell({ disabled }) {
+  const router = useRouter();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+  const [pushEnabled, setPushEnabled] = useState(null); // null until known, or when unsupported
+  const [savingPush, setSavingPush] = useState(false);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      const data = await fetchNotifications();
+      setNotifications(data.notifications);
+      setUnreadCount(data.unreadCount);
+      setError(null);
+    } catch (err) {
+      setError("Failed to load notifications: " + err.message);
+      console.error("Load notifications error:", err);
+    }
+  }, []);
+
+  // Check for new notifications now, every minute, and whenever the tab comes back into focus
+  useEffect(() => {
+    if (disabled) {
+      return;
+    }
+    loadNotifications();
+    const interval = setInterval(loadNotifications, POLL_INTERVAL_MS);
+    window.addEventListener("focus", loadNotifications);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener("focus", loadNotifications);
+    };
+  }, [disabled, loadNotifications]);
+
+  useEffect(() => {
+    if (!isPushSupported()) {
+      return;
+    }
+    getPushSubscription()
+      .then((subscription) => setPushEnabled(Boolean(subscription)))
+      .catch((err) => console.error("Push subscription check error:", err));
+  }, []);
+
+  // Close on Escape
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") {
+        setOpen(false);
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [open]);
+
+  const handleOpenNotification = async (notification) => {
+    setOpen(false);
+    if (!notification.readAt) {
+      // Optimistic: the todo opens right away either way
+      setNotifications((prevNotifications) =>
+        prevNotifications.map((item) =>
+          item.id === notification.id ? { ...item, readAt: new Date().toISOString() } : item
+        )
+      );
+      setUnreadCount((prevCount) => Math.max(0, prevCount - 1));
+      markNotificationsRead([notification.id]).catch((err) =>
+        console.error("Mark notification read error:", err)
+      );
+    }
+    router.push(`/todos/${notification.todoId}`);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markNotificationsRead();
+      const readAt = new Date().toISOString();
+      setNotifications((prevNotifications) =>
+        prevNotifications.map((item) => (item.readAt ? item : { ...item, readAt }))
+      );
+      setUnreadCount(0);
+    } catch (err) {
+      setError("Failed to mark notifications as read: " + err.message);
+      console.error("Mark all notifications read error:", err);
+    }
+  };
+
+  const handleTogglePush = async () => {
+    setSavingPush(true);
+    setError(null);
+    try {
+      if (pushEnabled) {
+        const subscription = await getPushSubscription();
+        if (subscription) {
+          await deletePushSubscription(subscription);
+          await subscription.unsubscribe();
+        }
+        setPushEnabled(false);
+      } else {
+        if ((await Notification.requestPermission()) !== "granted") {
+          setError("Notifications are blocked for this site in your browser settings.");
+          return;
+        }
+        const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+        await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: decodeBase64Url(VAPID_PUBLIC_KEY),
+        });
+        await savePushSubscription(subscription);
+        setPushEnabled(true);
+      }
+    } catch (err) {
+      setError("Failed to change push notifications: " + err.message);
+      console.error("Toggle push error:", err);
+    } finally {
+      setSavingPush(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((prevOpen) => !prevOpen)}
+        className="relative px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 disabled:opacity-50 w-full sm:w-auto flex items-center justify-center"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : "Notifications"}
+        disabled={disabled}
+      >
+        <svg
+          className="h-5 w-5"
+          viewBox="0 0 24 24"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          aria-hidden="true"
+        >
+          <path d="M18 8a6 6 0 0 0-12 0c0 7-3 9-3 9h18s-3-2-3-9" />
+          <path d="M13.73 21a2 2 0 0 1-3.46 0" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-1.5 -right-1.5 min-w-5 h-5 px-1 rounded-full bg-red-600 text-white text-xs font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </span>
+        )}
+      </button>
+      {open && (
+        <div
+          className="absolute right-0 z-30 mt-1 w-80 max-w-[90vw] bg-white border border-gray-200 rounded-md shadow-lg"
+          role="menu"
+        >
+          <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200">
+            <span className="text-sm font-semibold text-gray-900">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="text-xs text-indigo-600 hover:text-indigo-800"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {error && (
+            <p className="px-3 py-2 text-xs text-red-700 bg-red-50" role="alert">
+              {error}
+            </p>
+          )}
+
+          {notifications.length === 0 ? (
+            <p className="px-3 py-4 text-sm text-gray-500 text-center">No notifications yet.</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map((notification) => (
+                <li key={notification.id} role="none">
+                  <button
+                    onClick={() => handleOpenNotification(notification)}
+                    className={`w-full text-left px-3 py-2 hover:bg-gray-100 ${
+                      notification.readAt ? "" : "bg-indigo-50"
+                    }`}
+                    role="menuitem"
+                  >
+                    <p
+                      className={`text-sm break-words ${
+                        notification.readAt ? "text-gray-700" : "text-gray-900 font-semibold"
+                      }`}
+                    >
+                      {notification.title}
+                    </p>
+                    <p className="text-xs text-gray-600">{notification.body}</p>
+                    {notification.createdAt && (
+                      <time dateTime={notification.createdAt} className="text-xs text-gray-400">
+                        {new Date(notification.createdAt).toLocaleString()}
+                      </time>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {pushEnabled !== null && (
+            <div className="px-3 py-2 border-t border-gray-200">
+              <button
+                onClick={handleTogglePush}
+                className="text-xs text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                disabled={savingPush}
+              >
+                {pushEnabled
+                  ? "Turn off push notifications in this browser"
+                  : "Turn on push notifications in this browser"}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+"use client"; // This is a client component
+
+import React, { useState } from "react";
+import Image from "next/image";
+import { updateProfile } from "firebase/auth";
+import { uploadAvatar, removeAvatar } from "@/utils/helper";
+import { getAuthErrorMessage } from "./AuthForm";
+
+const DISPLAY_NAME_MAX_LENGTH = 100;
+const AVATAR_SIZE = 256; // Pictures are cropped to a square of this many pixels before upload
+
+// A picked image file as a square JPEG data URL, cropped to its center
+async function toAvatarDataUrl(file) {
+  const bitmap = await createImageBitmap(file);
+  const side = Math.min(bitmap.width, bitmap.height);
+  const canvas = document.createElement("canvas");
+  canvas.width = AVATAR_SIZE;
+  canvas.height = AVATAR_SIZE;
+  canvas
+    .getContext("2d")
+    .drawImage(
+      bitmap,
+      (bitmap.width - side) / 2,
+      (bitmap.height - side) / 2,
+      side,
+      side,
+      0,
+      0,
+      AVATAR_SIZE,
+      AVATAR_SIZE
+    );
+  bitmap.close();
+  return canvas.toDataURL("image/jpeg", 0.85);
+}
+
+// Uploaded pictures are served by /api/avatars on this origin, which next/image only takes as
+// a path (see images in next.config.mjs); Google and GitHub pictures stay full URLs
+function toImageSrc(photoURL) {
+  const url = new URL(photoURL, window.location.origin);
+  return url.origin === window.location.origin ? url.pathname + url.search : photoURL;
+}
+
+// The user's picture, or the first letter of their name or email when they have none.
+// `size` is in pixels.
+export function Avatar({ photoURL, name, size = 40 }) {
+  // A picture that didn't load, e.g. one on a host next.config.mjs doesn't allow
+  const [failedURL, setFailedURL] = useState(null);
+
+  return photoURL && photoURL !== failedURL ? (
+    <Image
+      src={toImageSrc(photoURL)}
+      alt=""
+      width={size}
+      height={size}
+      onError={() => setFailedURL(photoURL)}
+      className="rounded-full object-cover"
+      style={{ width: size, height: size }}
+    />
+  ) : (
+    <span
+      className="inline-flex items-center justify-center rounded-full bg-indigo-100 text-indigo-700 font-semibold"
+      style={{ width: size, height: size }}
+      aria-hidden="true"
+    >
+      {(name || "?").charAt(0).toUpperCase()}
+    </span>
+  );
+}
+
+// Settings section for the display name and profile picture
+export default function ProfileSettings({ user }) {
+  const [displayName, setDisplayName] = useState(user.displayName || "");
+  const [photoURL, setPhotoURL] = useState(user.photoURL); // `user` doesn't re-render on changes
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSaveName = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      await updateProfile(user, { displayName: displayName.trim() || null });
+      setNotice("Your name was saved.");
+    } catch (err) {
+      setError(getAuthErrorMessage(err));
+      console.error("Error saving display name:", err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Runs an upload or removal of the picture, then picks up the new photoURL
+  const changePicture = async (change) => {
+    setUploading(true);
+    setError(null);
+    setNotice(null);
+    try {
+      await change();
+      await user.reload();
+      setPhotoURL(user.photoURL);
+    } catch (err) {
+      setError("Failed to change your picture: " + err.message);
+      console.error("Error changing profile picture:", err);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handlePictureChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // So picking the same file again still counts as a change
+    if (file) {
+      changePicture(async () => uploadAvatar(await toAvatarDataUrl(file)));
+    }
+  };
+
+  return (
+    <section className="space-y-4">
+      <h2 className="text-xl font-semibold text-gray-800">Profile</h2>
+      <div className="flex items-center gap-4">
+        <Avatar photoURL={photoURL} name={displayName || user.email} size={64} />
+        <div className="flex flex-wrap gap-2">
+          <label
+            className={`px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 cursor-pointer ${
+              uploading ? "opacity-50 pointer-events-none" : ""
+            }`}
+          >
+            {uploading ? "Saving..." : "Change picture"}
+            <input
+              type="file"
+              accept="image/*"
+              onChange={handlePictureChange}
+              className="sr-only"
+              disabled={uploading}
+            />
+          </label>
+          {photoURL && (
+            <button
+              onClick={() => changePicture(removeAvatar)}
+              className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 disabled:opacity-50"
+              disabled={uploading}
+            >
+              Remove
+            </button>
+          )}
+        </div>
+      </div>
+
+      <form onSubmit={handleSaveName} className="flex flex-col sm:flex-row gap-2">
+        <label htmlFor="display-name" className="sr-only">
+          Display name
+        </label>
+        <input
+          id="display-name"
+          type="text"
+          value={displayName}
+          onChange={(e) => setDisplayName(e.target.value)}
+          maxLength={DISPLAY_NAME_MAX_LENGTH}
+          placeholder="Display name"
+          className="flex-grow p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777]"
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+          disabled={saving || displayName.trim() === (user.displayName || "")}
+        >
+          {saving ? "Saving..." : "Save name"}
+        </button>
+      </form>
+
+      {notice && <p className="text-sm text-green-700">{notice}</p>}
+      {error && (
+        <p className="p-3 bg-red-100 text-red-700 rounded-md" role="alert">
+          {error}
+        </p>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,213 @@
+"use client"; // This is a client component
+
+import React from "react";
+import { RECURRENCE_FREQUENCIES, WEEKDAY_LABELS } from "@/app/lib/recurrence";
+
+const FREQUENCY_LABELS = { daily: "Daily", weekly: "Weekly", monthly: "Monthly", yearly: "Yearly" };
+const UNIT_LABELS = { daily: "day(s)", weekly: "week(s)", monthly: "month(s)", yearly: "year(s)" };
+
+// Builds a fresh rule for a frequency, stepped in the browser's own time zone
+function createRule(freq) {
+  return {
+    freq,
+    interval: 1,
+    byWeekday: [],
+    byMonthDay: null,
+    until: null,
+    count: null,
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC",
+  };
+}
+
+// Formats an ISO date for <input type="date"> in local time
+function toDateInputValue(isoString) {
+  if (!isoString) {
+    return "";
+  }
+  const date = new Date(isoString);
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Form controls for a todo's repeat rule (see app/lib/recurrence.js).
+// `value` is the rule or null ("does not repeat"); every edit calls onChange with the new rule.
+export default function RecurrenceEditor({ value, onChange, disabled = false }) {
+  const rule = value;
+  const endMode = !rule ? "never" : rule.until ? "until" : rule.count ? "count" : "never";
+
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  const handleFrequencyChange = (e) => {
+    const freq = e.target.value;
+    if (!freq) {
+      onChange(null);
+    } else if (!rule) {
+      onChange(createRule(freq));
+    } else {
+      // Weekdays and day of month only apply to their own frequency
+      update({ freq, byWeekday: [], byMonthDay: null });
+    }
+  };
+
+  const handleWeekdayToggle = (day) => {
+    const byWeekday = rule.byWeekday.includes(day)
+      ? rule.byWeekday.filter((selected) => selected !== day)
+      : [...rule.byWeekday, day].sort();
+    update({ byWeekday });
+  };
+
+  const handleEndModeChange = (e) => {
+    const mode = e.target.value;
+    if (mode === "until") {
+      // Default to one month from now, inclusive of that whole day
+      const until = new Date();
+      until.setMonth(until.getMonth() + 1);
+      until.setHours(23, 59, 59, 999);
+      update({ until: until.toISOString(), count: null });
+    } else if (mode === "count") {
+      update({ until: null, count: 10 });
+    } else {
+      update({ until: null, count: null });
+    }
+  };
+
+  const handleUntilChange = (e) => {
+    if (!e.target.value) {
+      return;
+    }
+    const until = new Date(`${e.target.value}T23:59:59.999`); // Local end of the chosen day
+    update({ until: until.toISOString() });
+  };
+
+  const inputClass =
+    "p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777] text-sm";
+
+  return (
+    <div className="flex flex-col gap-3 text-sm text-gray-700">
+      <div className="flex flex-wrap items-center gap-2">
+        <label htmlFor="recurrence-frequency">Repeat</label>
+        <select
+          id="recurrence-frequency"
+          value={rule ? rule.freq : ""}
+          onChange={handleFrequencyChange}
+          className={inputClass}
+          disabled={disabled}
+        >
+          <option value="">Does not repeat</option>
+          {RECURRENCE_FREQUENCIES.map((freq) => (
+            <option key={freq} value={freq}>
+              {FREQUENCY_LABELS[freq]}
+            </option>
+          ))}
+        </select>
+
+        {rule && (
+          <>
+            <label htmlFor="recurrence-interval">every</label>
+            <input
+              id="recurrence-interval"
+              type="number"
+              min={1}
+              max={366}
+              value={rule.interval}
+              onChange={(e) => update({ interval: Math.max(1, Number(e.target.value) || 1) })}
+              className={`${inputClass} w-20`}
+              disabled={disabled}
+            />
+            <span>{UNIT_LABELS[rule.freq]}</span>
+          </>
+        )}
+      </div>
+
+      {rule && rule.freq === "weekly" && (
+        <div className="flex flex-wrap items-center gap-1" role="group" aria-label="Repeat on">
+          <span className="mr-1">On</span>
+          {WEEKDAY_LABELS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => handleWeekdayToggle(day)}
+              className={`px-2 py-1 rounded-md border ${
+                rule.byWeekday.includes(day)
+                  ? "bg-indigo-600 text-white border-indigo-600"
+                  : "bg-white text-gray-700 border-gray-300"
+              }`}
+              aria-pressed={rule.byWeekday.includes(day)}
+              disabled={disabled}
+            >
+              {label}
+            </button>
+          ))}
+          {rule.byWeekday.length === 0 && (
+            <span className="ml-2 text-gray-500">(same weekday as the due date)</span>
+          )}
+        </div>
+      )}
+
+      {rule && rule.freq === "monthly" && (
+        <div className="flex flex-wrap items-center gap-2">
+          <label htmlFor="recurrence-month-day">On day</label>
+          <input
+            id="recurrence-month-day"
+            type="number"
+            min={1}
+            max={31}
+            placeholder="due date's day"
+            value={rule.byMonthDay || ""}
+            onChange={(e) =>
+              update({
+                byMonthDay: e.target.value
+                  ? Math.min(31, Math.max(1, Number(e.target.value)))
+                  : null,
+              })
+            }
+            className={`${inputClass} w-36`}
+            disabled={disabled}
+          />
+        </div>
+      )}
+
+      {rule && (
+        <div className="flex flex-wrap items-center gap-2">
+          <label htmlFor="recurrence-end">Ends</label>
+          <select
+            id="recurrence-end"
+            value={endMode}
+            onChange={handleEndModeChange}
+            className={inputClass}
+            disabled={disabled}
+          >
+            <option value="never">Never</option>
+            <option value="until">On date</option>
+            <option value="count">After</option>
+          </select>
+          {endMode === "until" && (
+            <input
+              type="date"
+              value={toDateInputValue(rule.until)}
+              onChange={handleUntilChange}
+              className={inputClass}
+              aria-label="End date"
+              disabled={disabled}
+            />
+          )}
+          {endMode === "count" && (
+            <>
+              <input
+                type="number"
+                min={1}
+                max={1000}
+                value={rule.count}
+                onChange={(e) => update({ count: Math.max(1, Number(e.target.value) || 1) })}
+                className={`${inputClass} w-20`}
+                aria-label="Number of occurrences"
+                disabled={disabled}
+              />
+              <span>occurrences</span>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+"use client"; // This is a client component
+
+import React, { useState } from "react";
+import { REMINDER_OPTIONS, describeReminder } from "@/app/lib/reminders";
+import { MAX_REMINDERS } from "@/app/lib/todoValidation";
+
+// Adds and removes the reminders of one todo, each in minutes before its due date.
+// onChange(reminders) receives the complete new list and should return a promise that settles
+// once it is saved. Without a due date there is nothing to remind of, so adding is disabled.
+export default function ReminderEditor({ reminders, hasDueDate, onChange }) {
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const saveReminders = async (nextReminders) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await onChange(nextReminders);
+    } catch (err) {
+      setError(`Failed to save reminders: ${err.message}`);
+      console.error("Save reminders error:", err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddReminder = (e) => {
+    const offset = Number(e.target.value);
+    e.target.value = ""; // Back to the placeholder
+    if (!reminders.includes(offset)) {
+      saveReminders([...reminders, offset].sort((a, b) => a - b));
+    }
+  };
+
+  const availableOptions = REMINDER_OPTIONS.filter((offset) => !reminders.includes(offset));
+
+  return (
+    <div className="flex flex-col gap-2">
+      {reminders.length > 0 && (
+        <ul className="flex flex-wrap gap-2">
+          {reminders.map((offset) => (
+            <li
+              key={offset}
+              className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700 text-sm"
+            >
+              {describeReminder(offset)}
+              <button
+                onClick={() => saveReminders(reminders.filter((item) => item !== offset))}
+                className="text-indigo-400 hover:text-indigo-700 disabled:opacity-50"
+                aria-label={`Remove reminder ${describeReminder(offset)}`}
+                disabled={saving}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {hasDueDate ? (
+        reminders.length < MAX_REMINDERS &&
+        availableOptions.length > 0 && (
+          <select
+            defaultValue=""
+            onChange={handleAddReminder}
+            className="self-start p-2 border border-gray-300 rounded-md text-gray-700 text-sm"
+            aria-label="Add a reminder"
+            disabled={saving}
+          >
+            <option value="" disabled>
+              Add a reminder...
+            </option>
+            {availableOptions.map((offset) => (
+              <option key={offset} value={offset}>
+                {describeReminder(offset)}
+              </option>
+            ))}
+          </select>
+        )
+      ) : (
+        <p className="text-sm text-gray-500">Set a due date to get reminders.</p>
+      )}
+      {error && (
+        <p className="text-sm text-red-600" role="alert">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
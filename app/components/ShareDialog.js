@@ -0,0 +1,182 @@
+"use client"; // This is a client component
+
+import React, { useState, useEffect, useCallback } from "react";
+// Import our API helper functions
+import { fetchInvitations, createInvitation, revokeInvitation } from "@/utils/helper";
+import { COLLABORATOR_ROLES } from "@/app/lib/sharing";
+
+// Dialog for the owner of a todo or list to invite people by email and revoke their access.
+// `resourceType` is "todo" or "list"; `resourceName` is shown in the title.
+export default function ShareDialog({ resourceType, resourceId, resourceName, onClose }) {
+  const [invitations, setInvitations] = useState([]); // Pending and accepted, newest first
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("viewer");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadInvitations = useCallback(async () => {
+    try {
+      const data = await fetchInvitations({ resourceType, resourceId });
+      setInvitations(data.sent);
+    } catch (err) {
+      setError("Failed to load who has access: " + err.message);
+      console.error("Load invitations error:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [resourceType, resourceId]);
+
+  useEffect(() => {
+    loadInvitations();
+  }, [loadInvitations]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) {
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      const invitation = await createInvitation({
+        resourceType,
+        resourceId,
+        email: email.trim(),
+        role,
+      });
+      setInvitations((prevInvitations) => [invitation, ...prevInvitations]);
+      setEmail(""); // Clear the input field
+    } catch (err) {
+      setError("Failed to send invitation: " + err.message);
+      console.error("Invite error:", err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await revokeInvitation(invitation.id);
+      setInvitations((prevInvitations) =>
+        prevInvitations.filter((candidate) => candidate.id !== invitation.id)
+      );
+    } catch (err) {
+      setError("Failed to revoke access: " + err.message);
+      console.error("Revoke invitation error:", err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="w-full max-w-md bg-white rounded-lg shadow-xl p-6"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="share-dialog-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-4 mb-4">
+          <h2 id="share-dialog-title" className="text-lg font-bold text-gray-900 break-words">
+            Share &ldquo;{resourceName}&rdquo;
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-700 text-xl leading-none"
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+
+        {error && (
+          <div
+            className="bg-red-100 border border-red-400 text-red-700 px-3 py-2 rounded mb-3 text-sm"
+            role="alert"
+          >
+            {error}
+          </div>
+        )}
+
+        {/* Invite Form */}
+        <form onSubmit={handleInvite} className="flex flex-col sm:flex-row gap-2 mb-4">
+          <input
+            type="email"
+            className="flex-grow p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777] text-sm"
+            placeholder="Email address"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            disabled={saving}
+            required
+          />
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="p-2 border border-gray-300 rounded-md text-gray-700 text-sm"
+            aria-label="Role"
+            disabled={saving}
+          >
+            {COLLABORATOR_ROLES.map((collaboratorRole) => (
+              <option key={collaboratorRole} value={collaboratorRole}>
+                {collaboratorRole === "editor" ? "Can edit" : "Can view"}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+            disabled={saving || !email.trim()}
+          >
+            Invite
+          </button>
+        </form>
+
+        {/* People with access or an open invitation */}
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : invitations.length === 0 ? (
+          <p className="text-sm text-gray-500">Only you can see this {resourceType}.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {invitations.map((invitation) => (
+              <li key={invitation.id} className="flex items-center justify-between gap-2 py-2">
+                <div className="min-w-0">
+                  <p className="text-sm text-gray-800 truncate">{invitation.email}</p>
+                  <p className="text-xs text-gray-500">
+                    {invitation.role === "editor" ? "Can edit" : "Can view"}
+                    {invitation.status === "pending" && " · Invitation pending"}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRevoke(invitation)}
+                  className="px-2 py-1 text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                  disabled={saving}
+                >
+                  {invitation.status === "pending" ? "Cancel invite" : "Remove"}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+"use client"; // This is a client component
+
+import React, { useState } from "react";
+import {
+  EmailAuthProvider,
+  linkWithCredential,
+  updatePassword,
+  verifyBeforeUpdateEmail,
+} from "firebase/auth";
+import { reauthenticate, hasPasswordSignIn, getActionCodeSettings } from "@/app/lib/authProviders";
+import { getAuthErrorMessage } from "./AuthForm";
+
+const inputClass =
+  "block w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777]";
+
+// The password field that confirms it's the user before a change, or a note that their
+// Google or GitHub sign-in will pop up instead
+export function CurrentPasswordField({ user, value, onChange, id }) {
+  if (!hasPasswordSignIn(user)) {
+    return (
+      <p className="text-sm text-gray-500">
+        You&apos;ll be asked to sign in with your account provider again to confirm it&apos;s you.
+      </p>
+    );
+  }
+  return (
+    <div>
+      <label htmlFor={id} className="block text-sm text-gray-700 mb-1">
+        Current password
+      </label>
+      <input
+        id={id}
+        type="password"
+        autoComplete="current-password"
+        required
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className={inputClass}
+      />
+    </div>
+  );
+}
+
+// Settings section for changing the email address and the password. Both need the user to
+// confirm it's them first (Firebase asks for a recent sign-in).
+export default function SignInSettings({ user }) {
+  const hasPassword = hasPasswordSignIn(user);
+  const [newEmail, setNewEmail] = useState("");
+  const [emailPassword, setEmailPassword] = useState("");
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [pending, setPending] = useState(null); // "email" or "password" while saving
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+
+  const runChange = async (kind, change) => {
+    setPending(kind);
+    setError(null);
+    setNotice(null);
+    try {
+      setNotice(await change());
+    } catch (err) {
+      setError(getAuthErrorMessage(err));
+      console.error(`Error changing ${kind}:`, err);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const handleChangeEmail = (e) => {
+    e.preventDefault();
+    runChange("email", async () => {
+      await reauthenticate(user, emailPassword);
+      // The address only changes once the link sent to it is opened, so typos can't lock anyone out
+      await verifyBeforeUpdateEmail(user, newEmail.trim(), getActionCodeSettings());
+      setNewEmail("");
+      setEmailPassword("");
+      return `We sent a link to ${newEmail.trim()}. Your email changes once you open it, and you'll need to sign in again then.`;
+    });
+  };
+
+  const handleChangePassword = (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setError("The new passwords don't match.");
+      return;
+    }
+    runChange("password", async () => {
+      await reauthenticate(user, currentPassword);
+      if (hasPassword) {
+        await updatePassword(user, newPassword);
+      } else {
+        // Google or GitHub users can add a password to sign in with their email as well
+        await linkWithCredential(user, EmailAuthProvider.credential(user.email, newPassword));
+      }
+      setCurrentPassword("");
+      setNewPassword("");
+      setConfirmPassword("");
+      return hasPassword
+        ? "Your password was changed. Other devices will have to sign in again."
+        : "Your password was set. You can now also sign in with your email and password.";
+    });
+  };
+
+  return (
+    <section className="space-y-6">
+      <h2 className="text-xl font-semibold text-gray-800">Sign-in</h2>
+
+      <form onSubmit={handleChangeEmail} className="space-y-3">
+        <h3 className="font-semibold text-gray-700">Email</h3>
+        <p className="text-sm text-gray-600">
+          Currently <span className="font-semibold break-all">{user.email}</span>
+          {user.emailVerified ? "" : " (not verified)"}.
+        </p>
+        <div>
+          <label htmlFor="new-email" className="block text-sm text-gray-700 mb-1">
+            New email
+          </label>
+          <input
+            id="new-email"
+            type="email"
+            autoComplete="email"
+            required
+            value={newEmail}
+            onChange={(e) => setNewEmail(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <CurrentPasswordField
+          user={user}
+          id="email-current-password"
+          value={emailPassword}
+          onChange={setEmailPassword}
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+          disabled={pending !== null}
+        >
+          {pending === "email" ? "Sending..." : "Change email"}
+        </button>
+      </form>
+
+      <form onSubmit={handleChangePassword} className="space-y-3">
+        <h3 className="font-semibold text-gray-700">Password</h3>
+        <CurrentPasswordField
+          user={user}
+          id="password-current-password"
+          value={currentPassword}
+          onChange={setCurrentPassword}
+        />
+        <div>
+          <label htmlFor="new-password" className="block text-sm text-gray-700 mb-1">
+            {hasPassword ? "New password" : "Password"}
+          </label>
+          <input
+            id="new-password"
+            type="password"
+            autoComplete="new-password"
+            required
+            minLength={6}
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="confirm-password" className="block text-sm text-gray-700 mb-1">
+            Repeat it
+          </label>
+          <input
+            id="confirm-password"
+            type="password"
+            autoComplete="new-password"
+            required
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+          disabled={pending !== null}
+        >
+          {pending === "password" ? "Saving..." : hasPassword ? "Change password" : "Set password"}
+        </button>
+      </form>
+
+      {notice && <p className="text-sm text-green-700">{notice}</p>}
+      {error && (
+        <p className="p-3 bg-red-100 text-red-700 rounded-md" role="alert">
+          {error}
+        </p>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,192 @@
+"use client"; // This is a client component
+
+import React, { useState } from "react";
+// Import our API helper functions
+import {
+  addSubtask,
+  updateSubtask,
+  deleteSubtask,
+  reorderSubtasks,
+  updateTodo,
+} from "@/utils/helper";
+import { SUBTASK_TEXT_MAX_LENGTH } from "@/app/lib/todoValidation";
+
+// Checklist editor for the subtasks of one todo, shown on the todo details page.
+// Every change resolves to the updated todo, which is handed back through onTodoChange.
+export default function SubtaskChecklist({ todo, onTodoChange }) {
+  const [newSubtaskText, setNewSubtaskText] = useState("");
+  const [saving, setSaving] = useState(false); // True while a subtask change is being saved
+  const [error, setError] = useState(null);
+
+  const subtasks = todo.subtasks || [];
+  const completedCount = subtasks.filter((subtask) => subtask.completed).length;
+
+  // Runs one subtask request and passes the resulting todo up
+  const saveChange = async (request, errorLabel) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const updatedTodo = await request();
+      onTodoChange(updatedTodo);
+      return true;
+    } catch (err) {
+      setError(`${errorLabel}: ${err.message}`);
+      console.error(`${errorLabel}:`, err);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Handle adding a subtask at the end of the list
+  const handleAddSubtask = async (e) => {
+    e.preventDefault();
+    const text = newSubtaskText.trim();
+    if (!text) {
+      return;
+    }
+    const saved = await saveChange(() => addSubtask(todo.id, text), "Failed to add subtask");
+    if (saved) {
+      setNewSubtaskText(""); // Clear the input field
+    }
+  };
+
+  const handleToggleSubtask = (subtask) => {
+    saveChange(
+      () => updateSubtask(todo.id, subtask.id, { completed: !subtask.completed }),
+      "Failed to update subtask"
+    );
+  };
+
+  const handleDeleteSubtask = (subtask) => {
+    saveChange(() => deleteSubtask(todo.id, subtask.id), "Failed to delete subtask");
+  };
+
+  // Moves a subtask one place up (-1) or down (+1)
+  const handleMoveSubtask = (index, direction) => {
+    const order = subtasks.map((subtask) => subtask.id);
+    const [movedId] = order.splice(index, 1);
+    order.splice(index + direction, 0, movedId);
+    saveChange(() => reorderSubtasks(todo.id, order), "Failed to reorder subtasks");
+  };
+
+  const handleAutoCompleteChange = (e) => {
+    const autoCompleteParent = e.target.checked;
+    saveChange(
+      () => updateTodo(todo.id, { autoCompleteParent }),
+      "Failed to update auto-complete setting"
+    );
+  };
+
+  return (
+    <div className="mt-8">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-xl font-bold text-gray-900">Subtasks</h2>
+        {subtasks.length > 0 && (
+          <span className="text-sm text-gray-600">
+            {completedCount}/{subtasks.length} done
+          </span>
+        )}
+      </div>
+
+      {/* Progress bar */}
+      {subtasks.length > 0 && (
+        <div className="h-2 bg-gray-200 rounded-full mb-4 overflow-hidden">
+          <div
+            className="h-full bg-indigo-600 transition-all"
+            style={{ width: `${(completedCount / subtasks.length) * 100}%` }}
+          />
+        </div>
+      )}
+
+      {error && (
+        <div
+          className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded mb-3 text-sm"
+          role="alert"
+        >
+          {error}
+        </div>
+      )}
+
+      <ul className="space-y-2 mb-4">
+        {subtasks.map((subtask, index) => (
+          <li
+            key={subtask.id}
+            className="flex items-center gap-2 bg-gray-50 p-2 rounded-md border border-gray-200"
+          >
+            <input
+              type="checkbox"
+              checked={subtask.completed}
+              onChange={() => handleToggleSubtask(subtask)}
+              className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded flex-shrink-0"
+              disabled={saving}
+              aria-label={`Mark "${subtask.text}" as ${subtask.completed ? "not done" : "done"}`}
+            />
+            <span
+              className={`flex-grow text-base break-words ${
+                subtask.completed ? "line-through text-gray-500" : "text-gray-800"
+              }`}
+            >
+              {subtask.text}
+            </span>
+            <button
+              onClick={() => handleMoveSubtask(index, -1)}
+              className="px-2 py-1 text-gray-500 hover:text-gray-800 disabled:opacity-30 disabled:cursor-not-allowed"
+              disabled={saving || index === 0}
+              aria-label={`Move "${subtask.text}" up`}
+            >
+              ↑
+            </button>
+            <button
+              onClick={() => handleMoveSubtask(index, 1)}
+              className="px-2 py-1 text-gray-500 hover:text-gray-800 disabled:opacity-30 disabled:cursor-not-allowed"
+              disabled={saving || index === subtasks.length - 1}
+              aria-label={`Move "${subtask.text}" down`}
+            >
+              ↓
+            </button>
+            <button
+              onClick={() => handleDeleteSubtask(subtask)}
+              className="px-2 py-1 text-red-500 hover:text-red-700 disabled:opacity-30 disabled:cursor-not-allowed"
+              disabled={saving}
+              aria-label={`Delete "${subtask.text}"`}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {/* Add Subtask Form */}
+      <form onSubmit={handleAddSubtask} className="flex gap-2">
+        <input
+          type="text"
+          className="flex-grow p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777] text-sm sm:text-base"
+          placeholder="Add a subtask..."
+          value={newSubtaskText}
+          maxLength={SUBTASK_TEXT_MAX_LENGTH}
+          onChange={(e) => setNewSubtaskText(e.target.value)}
+          disabled={saving}
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+          disabled={saving || !newSubtaskText.trim()}
+        >
+          Add
+        </button>
+      </form>
+
+      <label className="flex items-center gap-2 mt-4 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={Boolean(todo.autoCompleteParent)}
+          onChange={handleAutoCompleteChange}
+          className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+          disabled={saving}
+        />
+        Complete this todo automatically when every subtask is done
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+"use client"; // This is a client component
+
+import React from "react";
+
+// A row of tag chips. Clicking a chip calls onSelect(tag), e.g. to filter by it;
+// with onRemove, each chip also gets a × button. `selectedTag` is highlighted.
+export default function TagChips({ tags, selectedTag, onSelect, onRemove, disabled = false }) {
+  if (!tags || tags.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="flex flex-wrap gap-1" aria-label="Tags">
+      {tags.map((tag) => (
+        <li
+          key={tag}
+          className={`flex items-center rounded-full text-xs font-medium ${
+            tag === selectedTag ? "bg-indigo-600 text-white" : "bg-indigo-50 text-indigo-700"
+          }`}
+        >
+          <button
+            type="button"
+            onClick={() => onSelect?.(tag)}
+            className="px-2 py-0.5 hover:underline disabled:no-underline"
+            disabled={disabled || !onSelect}
+            aria-pressed={onSelect ? tag === selectedTag : undefined}
+          >
+            {tag}
+          </button>
+          {onRemove && (
+            <button
+              type="button"
+              onClick={() => onRemove(tag)}
+              className="pr-2 opacity-60 hover:opacity-100 disabled:opacity-30"
+              disabled={disabled}
+              aria-label={`Remove tag ${tag}`}
+            >
+              ×
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
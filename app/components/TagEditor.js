@@ -0,0 +1,85 @@
+"use client"; // This is a client component
+
+import React, { useState } from "react";
+import TagChips from "./TagChips";
+import { normalizeTag, MAX_TAGS, TAG_MAX_LENGTH } from "@/app/lib/todoValidation";
+
+// Adds and removes the tags of one todo. onChange(tags) receives the complete new list
+// and should return a promise that settles once it is saved.
+// onSelect(tag) is passed on to the chips, e.g. to jump to the todos with that tag.
+export default function TagEditor({ tags, onChange, onSelect }) {
+  const [newTag, setNewTag] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const saveTags = async (nextTags) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await onChange(nextTags);
+      return true;
+    } catch (err) {
+      setError(`Failed to save tags: ${err.message}`);
+      console.error("Save tags error:", err);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddTag = async (e) => {
+    e.preventDefault();
+    const tag = normalizeTag(newTag);
+    if (!tag) {
+      setError("Tags use letters, digits and - _ / . only, like #urgent or @errands.");
+      return;
+    }
+    if (tags.includes(tag)) {
+      setNewTag(""); // Already there
+      return;
+    }
+    if (tags.length >= MAX_TAGS) {
+      setError(`A todo can have at most ${MAX_TAGS} tags.`);
+      return;
+    }
+    const saved = await saveTags([...tags, tag]);
+    if (saved) {
+      setNewTag(""); // Clear the input field
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-2">
+      <TagChips
+        tags={tags}
+        onSelect={onSelect}
+        onRemove={(tag) => saveTags(tags.filter((candidate) => candidate !== tag))}
+        disabled={saving}
+      />
+      <form onSubmit={handleAddTag} className="flex gap-2">
+        <input
+          type="text"
+          className="flex-grow min-w-0 p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777] text-sm"
+          placeholder="Add a tag, e.g. #urgent or @errands"
+          value={newTag}
+          maxLength={TAG_MAX_LENGTH + 1}
+          onChange={(e) => setNewTag(e.target.value)}
+          disabled={saving}
+          aria-label="New tag"
+        />
+        <button
+          type="submit"
+          className="px-3 py-1 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+          disabled={saving || !newTag.trim()}
+        >
+          Add
+        </button>
+      </form>
+      {error && (
+        <p className="text-sm text-red-600" role="alert">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+"use client"; // This is a client component
+
+import React, { useState } from "react";
+// Import our API helper functions
+import { renameTag, mergeTags } from "@/utils/helper";
+import { TAG_MAX_LENGTH } from "@/app/lib/todoValidation";
+
+// Sidebar section listing the tags on the user's todos with their counts.
+// Clicking a tag filters by it (clicking it again clears the filter). Tags can be renamed,
+// or several merged into one; onTagsRewritten(sources, target) runs after either.
+export default function TagList({ tags, selectedTag, onSelect, onTagsRewritten }) {
+  const [renamingTag, setRenamingTag] = useState(null);
+  const [renamingTo, setRenamingTo] = useState("");
+  const [merging, setMerging] = useState(false); // Merge mode shows a checkbox per tag
+  const [mergeSources, setMergeSources] = useState([]);
+  const [mergeTarget, setMergeTarget] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Runs a rename or merge request, then tells the parent what changed
+  const saveRewrite = async (request, sources, errorLabel) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await request();
+      await onTagsRewritten(sources, result.tag);
+      return true;
+    } catch (err) {
+      setError(`${errorLabel}: ${err.message}`);
+      console.error(`${errorLabel}:`, err);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRenameTag = async (e) => {
+    e.preventDefault();
+    if (!renamingTo.trim()) {
+      return;
+    }
+    const saved = await saveRewrite(
+      () => renameTag(renamingTag, renamingTo.trim()),
+      [renamingTag],
+      "Failed to rename tag"
+    );
+    if (saved) {
+      setRenamingTag(null);
+    }
+  };
+
+  const handleMergeTags = async (e) => {
+    e.preventDefault();
+    if (mergeSources.length < 2 || !mergeTarget.trim()) {
+      return;
+    }
+    const saved = await saveRewrite(
+      () => mergeTags(mergeSources, mergeTarget.trim()),
+      mergeSources,
+      "Failed to merge tags"
+    );
+    if (saved) {
+      setMerging(false);
+      setMergeSources([]);
+      setMergeTarget("");
+    }
+  };
+
+  const toggleMergeSource = (tag) => {
+    setMergeSources((prevSources) =>
+      prevSources.includes(tag)
+        ? prevSources.filter((source) => source !== tag)
+        : [...prevSources, tag]
+    );
+    setMergeTarget((currentTarget) => currentTarget || tag); // Suggest the first one picked
+  };
+
+  if (tags.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="mt-6" aria-label="Tags">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wide">Tags</h2>
+        {tags.length > 1 && (
+          <button
+            onClick={() => {
+              setMerging(!merging);
+              setMergeSources([]);
+              setMergeTarget("");
+            }}
+            className="text-xs text-indigo-600 hover:text-indigo-800"
+            disabled={saving}
+            aria-pressed={merging}
+          >
+            {merging ? "Cancel merge" : "Merge..."}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div
+          className="bg-red-100 border border-red-400 text-red-700 px-3 py-2 rounded mb-3 text-xs"
+          role="alert"
+        >
+          {error}
+        </div>
+      )}
+
+      <ul className="space-y-1 mb-2">
+        {tags.map(({ tag, count }) => (
+          <li key={tag}>
+            {renamingTag === tag ? (
+              <form onSubmit={handleRenameTag} className="flex gap-1">
+                <input
+                  type="text"
+                  className="flex-grow min-w-0 p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777] text-sm"
+                  value={renamingTo}
+                  maxLength={TAG_MAX_LENGTH + 1}
+                  onChange={(e) => setRenamingTo(e.target.value)}
+                  disabled={saving}
+                  aria-label="New tag name"
+                  autoFocus
+                />
+                <button
+                  type="submit"
+                  className="px-2 text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                  disabled={saving || !renamingTo.trim()}
+                >
+                  Save
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setRenamingTag(null)}
+                  className="px-2 text-sm text-gray-500 hover:text-gray-700"
+                  disabled={saving}
+                >
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <div className="flex items-center">
+                {merging && (
+                  <input
+                    type="checkbox"
+                    checked={mergeSources.includes(tag)}
+                    onChange={() => toggleMergeSource(tag)}
+                    className="mr-2 h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                    disabled={saving}
+                    aria-label={`Merge ${tag}`}
+                  />
+                )}
+                <button
+                  onClick={() => onSelect(tag === selectedTag ? "" : tag)}
+                  className={`flex-grow flex items-center justify-between gap-2 px-3 py-1 rounded-md text-left text-sm ${
+                    tag === selectedTag
+                      ? "bg-indigo-600 text-white"
+                      : "text-gray-700 hover:bg-gray-100"
+                  }`}
+                  aria-pressed={tag === selectedTag}
+                >
+                  <span className="truncate">{tag}</span>
+                  <span className="text-xs opacity-75">{count}</span>
+                </button>
+                <button
+                  onClick={() => {
+                    setRenamingTag(tag);
+                    setRenamingTo(tag);
+                  }}
+                  className="px-1 text-gray-400 hover:text-gray-700 text-sm"
+                  disabled={saving}
+                  aria-label={`Rename tag ${tag}`}
+                >
+                  ✎
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* Merge Form: every todo tagged with a checked tag gets the target tag instead */}
+      {merging && (
+        <form onSubmit={handleMergeTags} className="flex flex-col gap-1 text-xs text-gray-700">
+          <span>
+            Merge {mergeSources.length} checked tag{mergeSources.length === 1 ? "" : "s"} into:
+          </span>
+          <div className="flex gap-1">
+            <input
+              type="text"
+              className="flex-grow min-w-0 p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777] text-sm"
+              value={mergeTarget}
+              maxLength={TAG_MAX_LENGTH + 1}
+              onChange={(e) => setMergeTarget(e.target.value)}
+              disabled={saving}
+              aria-label="Merged tag name"
+            />
+            <button
+              type="submit"
+              className="px-3 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+              disabled={saving || mergeSources.length < 2 || !mergeTarget.trim()}
+            >
+              Merge
+            </button>
+          </div>
+        </form>
+      )}
+    </section>
+  );
+}
@@ -1,6 +1,6 @@
 "use client"; // This is a client component
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
 // To get the logged-in user's info if needed
 import { useAuth } from "@/app/contexts/AuthContext";
 // To add a logout functionality
@@ -11,41 +11,464 @@ import { auth } from "../lib/firebaseClient";
 import { useRouter } from "next/navigation";
 
 // Import our API helper functions
-import { fetchTodos, createTodo, updateTodo, deleteTodo } from "@/utils/helper";
+import {
+  fetchTodos,
+  createTodo,
+  updateTodo,
+  deleteTodo,
+  fetchTodoById,
+  fetchLists,
+  fetchTags,
+  batchUpdateTodos,
+  restoreTodos,
+  reorderTodo,
+  subscribeToTodoChanges,
+  isOfflineError,
+} from "@/utils/helper";
+import {
+  loadCachedTodos,
+  cacheTodos,
+  removeCachedTodo,
+  enqueueMutation,
+  getOutbox,
+} from "@/utils/offlineStore";
+import { replayOutbox, resolveConflict } from "@/utils/offlineSync";
+import { TODO_PRIORITIES, BATCH_ACTION_FIELDS, MAX_BATCH_ITEMS } from "@/app/lib/todoValidation";
+import { describeRecurrence } from "@/app/lib/recurrence";
+import { parseQuickAdd, toTodoPayload } from "@/app/lib/quickAdd";
+import { describeDueDate, toDateTimeLocalValue, fromDateTimeLocalValue } from "@/app/lib/dueDates";
+import RecurrenceEditor from "./RecurrenceEditor";
+import ListSidebar, { SHARED_WITH_ME } from "./ListSidebar";
+import ShareDialog from "./ShareDialog";
+import InvitationsPanel from "./InvitationsPanel";
+import TagChips from "./TagChips";
+import TagList from "./TagList";
+import TodoSearch from "./TodoSearch";
+import TrashView from "./TrashView";
+import UndoToast from "./UndoToast";
+import ImportDialog from "./ImportDialog";
+import ExportMenu from "./ExportMenu";
+import NotificationBell from "./NotificationBell";
+import { Avatar } from "./ProfileSettings";
+import { getTodoRole, getOtherMembers, hasRole } from "@/app/lib/sharing";
 
-export default function TodoApp() {
-  const { user } = useAuth(); // Get the current user
+const PAGE_SIZE = 20; // Number of todos requested per page while scrolling
+const CLEAR_COMPLETED_PAGE_SIZE = 100; // Largest page the API serves
+const LIST_COUNTS_REFRESH_DELAY_MS = 1000; // Batches list/tag count refreshes during bursts of changes
+const DUE_LABEL_REFRESH_MS = 60000; // Keeps "Today"/"overdue" labels current while the page is open
+
+// Badge colours for each of TODO_PRIORITIES
+const PRIORITY_BADGE_STYLES = {
+  high: "bg-red-100 text-red-700",
+  medium: "bg-yellow-100 text-yellow-800",
+  low: "bg-green-100 text-green-700",
+};
+
+function formatPriority(priority) {
+  return priority.charAt(0).toUpperCase() + priority.slice(1);
+}
+
+// The sort for the manual order, the only one todos can be dragged in
+const MANUAL_ORDER_SORT = "position:asc";
+
+// Options for the sort dropdown; value is "<field>:<order>"
+const SORT_OPTIONS = [
+  { value: MANUAL_ORDER_SORT, label: "Manual order" },
+  { value: "createdAt:desc", label: "Newest first" },
+  { value: "createdAt:asc", label: "Oldest first" },
+  { value: "dueDate:asc", label: "Due date (soonest)" },
+  { value: "dueDate:desc", label: "Due date (latest)" },
+  { value: "updatedAt:desc", label: "Recently updated" },
+  { value: "text:asc", label: "Alphabetical" },
+];
+
+// Checks a todo against the list filters, so live changes only show up where they belong.
+// Mirrors GET /api/todos: a list shows every member's todos, "shared with me" the todos shared
+// with `uid` directly, and no list the user's own todos.
+function matchesFilters(todo, filters, uid) {
+  if (filters.listId === SHARED_WITH_ME) {
+    if (!todo.collaboratorIds?.includes(uid)) {
+      return false;
+    }
+  } else if (filters.listId) {
+    if (todo.listId !== filters.listId) {
+      return false;
+    }
+  } else if (todo.userId && todo.userId !== uid) {
+    return false;
+  }
+  if (filters.tag && !todo.tags?.includes(filters.tag)) {
+    return false;
+  }
+  if (filters.completed && String(todo.completed) !== filters.completed) {
+    return false;
+  }
+  if (filters.priority && todo.priority !== filters.priority) {
+    return false;
+  }
+  return true;
+}
+
+// Orders todos like GET /api/todos?sort=position: by position, then by ID. Todos without a
+// position yet (just added, not saved) go on top, where new todos go.
+function compareByPosition(a, b) {
+  if ((a.position ?? "") !== (b.position ?? "")) {
+    return (a.position ?? "") < (b.position ?? "") ? -1 : 1;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+// The local change each bulk action makes to a todo (delete removes it instead)
+const BULK_ACTION_CHANGES = {
+  complete: () => ({ completed: true }),
+  uncomplete: () => ({ completed: false }),
+  setPriority: (priority) => ({ priority }),
+  setDueDate: (dueDate) => ({ dueDate }),
+  move: (listId) => ({ listId }),
+};
+
+// Todos created while offline keep their temporary ID until the outbox is synced
+function isTempId(id) {
+  return id.startsWith("temp-");
+}
+
+// Offline cache writes are best-effort; a failure there must never break the UI
+function persistQuietly(promise) {
+  promise.catch((err) => console.warn("Offline cache update failed:", err));
+}
+
+// Short description of a queued change, shown when it conflicts with the server copy
+function describeMutation(mutation) {
+  if (mutation.type === "delete") {
+    return "delete it";
+  }
+  return Object.entries(mutation.payload)
+    .map(([field, value]) => `set ${field} to "${value}"`)
+    .join(", ");
+}
+
+// `initialTag` filters by a tag from the start, for "/?tag=..." links such as the
+// tag chips on the details page
+export default function TodoApp({ initialTag = "" }) {
+  const { user, isAdmin } = useAuth(); // Get the current user
   const [todos, setTodos] = useState([]);
   const [newTodoText, setNewTodoText] = useState("");
-  const [loading, setLoading] = useState(true); // General loading state for API operations
+  // Repeat options for the new todo; a repeating todo needs a first due date to step from
+  const [showRepeatOptions, setShowRepeatOptions] = useState(false);
+  const [newTodoRecurrence, setNewTodoRecurrence] = useState(null);
+  const [newTodoDueDate, setNewTodoDueDate] = useState(""); // <input type="datetime-local"> value
+  const [newTodoPriority, setNewTodoPriority] = useState(""); // "" for no priority
+  // Quick-add fields the user chose to keep as plain text, e.g. ["dueDate"]
+  const [quickAddIgnored, setQuickAddIgnored] = useState([]);
+  const [loading, setLoading] = useState(true); // Loading state for the initial list fetch
   const [error, setError] = useState(null);
   const router = useRouter();
 
+  // Filters and sort applied to the list; empty strings mean "no filter"
+  const [filters, setFilters] = useState({
+    listId: "",
+    tag: initialTag,
+    completed: "",
+    priority: "",
+    sort: MANUAL_ORDER_SORT,
+  });
+  // The user's lists with their todo counts, shown in the sidebar
+  const [lists, setLists] = useState([]);
+  // The tags on the user's todos with their counts: [{ tag, count }]
+  const [tags, setTags] = useState([]);
+  const listCountsTimerRef = useRef(null);
+  // The todo or list whose share dialog is open: { resourceType, resourceId, resourceName }
+  const [sharingTarget, setSharingTarget] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  // Cursor for the next page (null when everything has been loaded)
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Sentinel element at the end of the list; loading more starts when it scrolls into view
+  const loadMoreRef = useRef(null);
+  // Status of the live update stream: "connecting", "live" or "reconnecting"
+  const [liveStatus, setLiveStatus] = useState("connecting");
+
+  // Offline mode: the list comes from the IndexedDB cache and changes wait in the outbox
+  const [isOffline, setIsOffline] = useState(false);
+  const [pendingSyncCount, setPendingSyncCount] = useState(0);
+  // Queued changes the server rejected because the todo changed meanwhile
+  const [conflicts, setConflicts] = useState([]);
+
   // Stores the ID of the todo currently being edited. Null if no todo is in edit mode.
   const [editingTodoId, setEditingTodoId] = useState(null);
   // Stores the text content of the todo being edited in the input field.
   const [editingTodoText, setEditingTodoText] = useState("");
+  // Due date (<input type="datetime-local"> value) and priority ("" for none) being edited
+  const [editingTodoDueDate, setEditingTodoDueDate] = useState("");
+  const [editingTodoPriority, setEditingTodoPriority] = useState("");
+  // The current time for the due labels, refreshed every minute
+  const [now, setNow] = useState(() => new Date());
+
+  // Multi-select for bulk actions: IDs of the selected todos, and the last one clicked
+  // (the anchor for shift-click ranges)
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const lastSelectedIdRef = useRef(null);
+  const [bulkSaving, setBulkSaving] = useState(false);
+  const [confirmingClearCompleted, setConfirmingClearCompleted] = useState(false);
+  // Trash: whether it replaces the todo list, and the toast offering to undo the last delete
+  const [showTrash, setShowTrash] = useState(false);
+  const [undoToast, setUndoToast] = useState(null); // { key, message, ids }
+
+  // Drag and drop in the manual order: the todo being dragged, and where it would be dropped
+  // ({ id, after }: above or below the todo with that ID)
+  const [draggedTodoId, setDraggedTodoId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  // Read out to screen readers after a move
+  const [reorderAnnouncement, setReorderAnnouncement] = useState("");
+  // The todo whose drag handle gets the focus back after a keyboard move re-renders the list
+  const refocusHandleIdRef = useRef(null);
+
+  // Per-row request state, keyed by todo ID: { pending: boolean, error: string | null }.
+  // Rows without an entry are idle. Only the row being saved is disabled, never the whole list.
+  const [rowStates, setRowStates] = useState({});
+
+  // Sets (or clears, when state is null) the request state of a single row
+  const setRowState = (id, state) => {
+    setRowStates((prevStates) => {
+      const nextStates = { ...prevStates };
+      if (state) {
+        nextStates[id] = state;
+      } else {
+        delete nextStates[id];
+      }
+      return nextStates;
+    });
+  };
+
+  // Latest filters and row states, read by the live update handler without re-subscribing
+  const filtersRef = useRef(filters);
+  const rowStatesRef = useRef(rowStates);
+  useEffect(() => {
+    filtersRef.current = filters;
+    rowStatesRef.current = rowStates;
+  }, [filters, rowStates]);
+
+  // A different view starts with nothing selected
+  useEffect(() => {
+    setSelectedIds(new Set());
+    lastSelectedIdRef.current = null;
+  }, [filters]);
 
-  // Function to load todos from the API
-  const loadTodos = async () => {
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), DUE_LABEL_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Merges changes into one todo in local state
+  const patchTodoInList = (id, changes) => {
+    setTodos((prevTodos) =>
+      prevTodos.map((todo) => (todo.id === id ? { ...todo, ...changes } : todo))
+    );
+  };
+
+  // Builds the fetchTodos options for the current filters
+  const buildQueryOptions = useCallback(
+    (cursor) => {
+      const [sort, order] = filters.sort.split(":");
+      const shared = filters.listId === SHARED_WITH_ME;
+      return {
+        listId: shared ? "" : filters.listId,
+        shared: shared ? "true" : "",
+        tag: filters.tag,
+        completed: filters.completed,
+        priority: filters.priority,
+        sort,
+        order,
+        limit: PAGE_SIZE,
+        cursor,
+      };
+    },
+    [filters]
+  );
+
+  // Function to load the first page of todos from the API
+  const loadTodos = useCallback(async () => {
     setLoading(true); // Set loading true at the start of fetch
     setError(null); // Clear previous errors before loading
     try {
-      const data = await fetchTodos();
-      if (Array.isArray(data)) {
-        setTodos(data);
-      } else if (data && Array.isArray(data.todos)) {
-        // Fallback if API sends { todos: [...] }
+      const data = await fetchTodos(buildQueryOptions(null));
+      if (data && Array.isArray(data.todos)) {
         setTodos(data.todos);
+        setNextCursor(data.nextCursor || null);
+        persistQuietly(cacheTodos(user.uid, data.todos));
       } else {
         setTodos([]); // Default to empty array if unexpected data structure
+        setNextCursor(null);
       }
+      setIsOffline(false);
     } catch (err) {
-      setError("Failed to load todos: " + err.message);
-      console.error("Load todos error:", err);
+      if (isOfflineError(err)) {
+        // Fall back to the last known list
+        const cachedTodos = await loadCachedTodos(user.uid).catch(() => []);
+        setTodos(cachedTodos.filter((todo) => matchesFilters(todo, filters, user.uid)));
+        setNextCursor(null);
+        setIsOffline(true);
+      } else {
+        setError("Failed to load todos: " + err.message);
+        console.error("Load todos error:", err);
+      }
     } finally {
       setLoading(false); // Set loading false after fetch completes
     }
+  }, [user, filters, buildQueryOptions]);
+
+  // Function to append the next page of todos
+  const loadMoreTodos = useCallback(async () => {
+    if (!nextCursor || loadingMore) {
+      return;
+    }
+    setLoadingMore(true);
+    try {
+      const data = await fetchTodos(buildQueryOptions(nextCursor));
+      setTodos((prevTodos) => {
+        // Skip anything already in the list (e.g. a todo that moved while paging)
+        const knownIds = new Set(prevTodos.map((todo) => todo.id));
+        return [...prevTodos, ...data.todos.filter((todo) => !knownIds.has(todo.id))];
+      });
+      setNextCursor(data.nextCursor || null);
+      persistQuietly(cacheTodos(user.uid, data.todos));
+    } catch (err) {
+      setError("Failed to load more todos: " + err.message);
+      console.error("Load more todos error:", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [user, nextCursor, loadingMore, buildQueryOptions]);
+
+  // Function to load the lists (and their counts) for the sidebar
+  const loadLists = useCallback(async () => {
+    try {
+      setLists(await fetchLists());
+    } catch (err) {
+      if (!isOfflineError(err)) {
+        setError("Failed to load lists: " + err.message);
+        console.error("Load lists error:", err);
+      }
+    }
+  }, []);
+
+  // Function to load the tags (and their counts) for the sidebar
+  const loadTags = useCallback(async () => {
+    try {
+      setTags(await fetchTags());
+    } catch (err) {
+      if (!isOfflineError(err)) {
+        console.error("Load tags error:", err); // The tag section just stays as it was
+      }
+    }
+  }, []);
+
+  // Reloads the list and tag counts shortly after todos change, once per burst of changes
+  const scheduleListCountsRefresh = useCallback(() => {
+    clearTimeout(listCountsTimerRef.current);
+    listCountsTimerRef.current = setTimeout(() => {
+      loadLists();
+      loadTags();
+    }, LIST_COUNTS_REFRESH_DELAY_MS);
+  }, [loadLists, loadTags]);
+
+  // Handle picking a list in the sidebar ("" shows every list).
+  // The API can't filter "shared with me" by tag, so picking it clears the tag filter.
+  const handleSelectList = (listId) => {
+    setShowTrash(false);
+    setFilters((prevFilters) => ({
+      ...prevFilters,
+      listId,
+      tag: listId === SHARED_WITH_ME ? "" : prevFilters.tag,
+    }));
+  };
+
+  // Handle clicking a tag ("" clears the tag filter)
+  const handleSelectTag = (tag) => {
+    setShowTrash(false);
+    setFilters((prevFilters) => ({
+      ...prevFilters,
+      tag,
+      listId: tag && prevFilters.listId === SHARED_WITH_ME ? "" : prevFilters.listId,
+    }));
+  };
+
+  // Handle a tag rename or merge: keep filtering by the tag under its new name
+  const handleTagsRewritten = async (sources, target) => {
+    if (sources.includes(filters.tag)) {
+      handleSelectTag(target); // Reloads the todos through the filter change
+    } else {
+      loadTodos();
+    }
+    await loadTags();
+  };
+
+  // Handle a change in one of the filter dropdowns
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prevFilters) => ({ ...prevFilters, [name]: value }));
+  };
+
+  // Puts a change made while offline into the persistent outbox
+  const queueOfflineMutation = async (mutation) => {
+    setIsOffline(true);
+    try {
+      await enqueueMutation(user.uid, mutation);
+      const outbox = await getOutbox(user.uid);
+      setPendingSyncCount(outbox.length);
+    } catch (err) {
+      setError("Could not save your change for later: " + err.message);
+      console.error("Outbox error:", err);
+    }
+  };
+
+  // Applies `changes` to a todo right away, then saves them.
+  // On failure only the changed fields are rolled back and the error is shown on that row.
+  // While offline the change is kept and queued instead.
+  // Resolves to the server's copy of the todo, or null when it wasn't saved (yet).
+  const applyOptimisticUpdate = async (id, changes, errorLabel) => {
+    const previousTodo = todos.find((todo) => todo.id === id);
+    if (!previousTodo) {
+      return null;
+    }
+    const rollback = Object.fromEntries(
+      Object.keys(changes).map((field) => [field, previousTodo[field]])
+    );
+
+    patchTodoInList(id, changes);
+    persistQuietly(cacheTodos(user.uid, [{ ...previousTodo, ...changes }]));
+
+    if (isTempId(id)) {
+      // Not on the server yet: fold the change into the queued create
+      await queueOfflineMutation({ type: "update", todoId: id, payload: changes });
+      return null;
+    }
+
+    setRowState(id, { pending: true, error: null });
+
+    try {
+      const updatedTodo = await updateTodo(id, changes);
+      patchTodoInList(id, updatedTodo); // Take the server's copy (e.g. the new updatedAt)
+      persistQuietly(cacheTodos(user.uid, [updatedTodo]));
+      setRowState(id, null);
+      return updatedTodo;
+    } catch (err) {
+      if (isOfflineError(err)) {
+        await queueOfflineMutation({
+          type: "update",
+          todoId: id,
+          payload: changes,
+          baseUpdatedAt: previousTodo.updatedAt, // Lets the server spot conflicting edits on replay
+        });
+        setRowState(id, null);
+        return null;
+      }
+      patchTodoInList(id, rollback);
+      persistQuietly(cacheTodos(user.uid, [previousTodo]));
+      setRowState(id, { pending: false, error: `${errorLabel}: ${err.message}` });
+      console.error(`${errorLabel}:`, err);
+      return null;
+    }
   };
 
   // Handle adding a new todo item
@@ -55,34 +478,261 @@ export default function TodoApp() {
       setError("Todo text cannot be empty.");
       return;
     }
+    // Dates, priorities, tags and repeats typed into the text; the pickers win over them
+    const input = newTodoText;
+    const parsed = toTodoPayload(parseQuickAdd(input, { ignore: quickAddIgnored }));
+    if (!parsed.text) {
+      setError("Todo text cannot be empty: add a few words besides the date, tags or priority.");
+      return;
+    }
+    const newTodoData = { ...parsed, completed: false }; // Include completed: false for new todos
+    if (filters.listId && filters.listId !== SHARED_WITH_ME) {
+      newTodoData.listId = filters.listId; // Add to the list being viewed (the server defaults to the Inbox)
+    }
+    if (newTodoDueDate) {
+      newTodoData.dueDate = fromDateTimeLocalValue(newTodoDueDate); // Local time -> ISO
+    }
+    if (newTodoPriority) {
+      newTodoData.priority = newTodoPriority;
+    }
+    if (newTodoRecurrence) {
+      newTodoData.recurrence = newTodoRecurrence;
+    }
+    if (newTodoData.recurrence && !newTodoData.dueDate) {
+      setError("A repeating todo needs a due date.");
+      return;
+    }
     setError(null); // Clear previous errors
-    setLoading(true); // Indicate loading for this operation
+
+    // Show the todo immediately under a temporary ID until the server assigns the real one
+    const tempId = `temp-${crypto.randomUUID()}`;
+    const now = new Date().toISOString();
+    const tempTodo = {
+      id: tempId,
+      userId: user.uid,
+      priority: null,
+      dueDate: null,
+      recurrence: null,
+      tags: [],
+      ...newTodoData,
+      createdAt: now,
+      updatedAt: now,
+    };
+    setTodos((prevTodos) => [tempTodo, ...prevTodos]);
+    setRowState(tempId, { pending: true, error: null });
+    setNewTodoText(""); // Clear the input field
+    setQuickAddIgnored([]);
+    setNewTodoRecurrence(null);
+    setNewTodoDueDate("");
+    setNewTodoPriority("");
+    setShowRepeatOptions(false);
 
     try {
-      await createTodo({ text: newTodoText, completed: false }); // Include completed: false for new todos
-      setNewTodoText(""); // Clear the input field
-      await loadTodos(); // Reload the list to show the new todo
+      const createdTodo = await createTodo(newTodoData);
+      // The live stream may already have delivered this todo, so drop any copy of it first
+      setTodos((prevTodos) =>
+        prevTodos
+          .filter((todo) => todo.id !== createdTodo.id)
+          .map((todo) => (todo.id === tempId ? createdTodo : todo))
+      );
+      persistQuietly(cacheTodos(user.uid, [createdTodo]));
     } catch (err) {
+      if (isOfflineError(err)) {
+        // Keep the temporary row; it's created for real when the outbox syncs
+        persistQuietly(cacheTodos(user.uid, [tempTodo]));
+        await queueOfflineMutation({ type: "create", todoId: tempId, payload: newTodoData });
+        return;
+      }
+      // Roll back: drop the temporary row and give the text back so nothing is lost
+      setTodos((prevTodos) => prevTodos.filter((todo) => todo.id !== tempId));
+      setNewTodoText((currentText) => currentText || input);
       setError("Failed to add todo: " + err.message);
       console.error("Add todo error:", err);
     } finally {
-      setLoading(false); // End loading for this operation
+      setRowState(tempId, null);
+    }
+  };
+
+  // Moves a todo to `toIndex` in the list (counted without the todo itself) and saves the new
+  // order. The server places it between its new neighbours, skipping unsaved todos, so the move
+  // holds in every view. On failure the old order comes back; a 409 means the list changed.
+  const handleMoveTodo = async (id, toIndex) => {
+    const previousTodos = todos;
+    const todo = previousTodos.find((item) => item.id === id);
+    const others = previousTodos.filter((item) => item.id !== id);
+    if (!todo || toIndex < 0 || toIndex > others.length) {
+      return;
+    }
+    const nextTodos = [...others.slice(0, toIndex), todo, ...others.slice(toIndex)];
+    if (nextTodos.every((item, index) => item === previousTodos[index])) {
+      return; // Dropped where it already was
+    }
+    const previousTodo = others.slice(0, toIndex).findLast((item) => !isTempId(item.id));
+    const nextTodo = others.slice(toIndex).find((item) => !isTempId(item.id));
+    if (!previousTodo && !nextTodo) {
+      return;
+    }
+
+    setTodos(nextTodos);
+    setError(null);
+    setReorderAnnouncement(
+      `Moved "${todo.text}" to position ${toIndex + 1} of ${nextTodos.length}.`
+    );
+    setRowState(id, { pending: true, error: null });
+    try {
+      const movedTodo = await reorderTodo(id, {
+        previousId: previousTodo?.id ?? null,
+        nextId: nextTodo?.id ?? null,
+      });
+      patchTodoInList(id, { position: movedTodo.position });
+      persistQuietly(cacheTodos(user.uid, [movedTodo]));
+      setRowState(id, null);
+    } catch (err) {
+      setRowState(id, null);
+      if (err.status === 409) {
+        setError(err.message);
+        loadTodos(); // Show the order as it is now
+        return;
+      }
+      setTodos((currentTodos) =>
+        currentTodos === nextTodos ? previousTodos : [...currentTodos].sort(compareByPosition)
+      );
+      setRowState(id, { pending: false, error: `Failed to move todo: ${err.message}` });
+      console.error("Move todo error:", err);
+    }
+  };
+
+  // Arrow keys on a drag handle move its todo one place up or down
+  const handleReorderKeyDown = (e, id) => {
+    const step = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+    if (!step) {
+      return;
+    }
+    e.preventDefault();
+    const index = todos.findIndex((todo) => todo.id === id);
+    refocusHandleIdRef.current = id;
+    handleMoveTodo(id, index + step);
+  };
+
+  // Dragging over a row: drop above it on its top half and below it on its bottom half
+  const handleDragOverTodo = (e, id) => {
+    if (!draggedTodoId) {
+      return; // Not one of our rows being dragged
+    }
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    const { top, height } = e.currentTarget.getBoundingClientRect();
+    const after = e.clientY > top + height / 2;
+    if (dropTarget?.id !== id || dropTarget.after !== after) {
+      setDropTarget({ id, after });
+    }
+  };
+
+  const handleDropTodo = (e) => {
+    e.preventDefault();
+    if (draggedTodoId && dropTarget && dropTarget.id !== draggedTodoId) {
+      const others = todos.filter((todo) => todo.id !== draggedTodoId);
+      const targetIndex = others.findIndex((todo) => todo.id === dropTarget.id);
+      handleMoveTodo(draggedTodoId, targetIndex + (dropTarget.after ? 1 : 0));
+    }
+    setDraggedTodoId(null);
+    setDropTarget(null);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedTodoId(null);
+    setDropTarget(null);
+  };
+
+  // After a keyboard move React re-inserts the row, which can take the focus off its handle
+  useEffect(() => {
+    const id = refocusHandleIdRef.current;
+    if (id) {
+      refocusHandleIdRef.current = null;
+      document.querySelector(`[data-reorder-handle="${CSS.escape(id)}"]`)?.focus();
+    }
+  }, [todos]);
+
+  // Offers to undo a delete that reached the server; a newer delete replaces the offer
+  const showUndoToast = (message, ids) => {
+    setUndoToast({ key: Date.now(), message, ids });
+  };
+
+  const dismissUndoToast = useCallback(() => setUndoToast(null), []);
+
+  // Shows restored todos again, if they match the current filters
+  const handleTodosRestored = (restoredTodos) => {
+    persistQuietly(cacheTodos(user.uid, restoredTodos));
+    const visibleTodos = restoredTodos.filter((todo) =>
+      matchesFilters(todo, filtersRef.current, user.uid)
+    );
+    setTodos((prevTodos) => [
+      ...visibleTodos.filter((todo) => !prevTodos.some((item) => item.id === todo.id)),
+      ...prevTodos,
+    ]);
+    scheduleListCountsRefresh();
+  };
+
+  // Handle "Undo" in the toast: brings the deleted todos back from the trash
+  const handleUndoDelete = async () => {
+    const { ids } = undoToast;
+    setUndoToast(null);
+    setError(null);
+    try {
+      const data = await restoreTodos(ids);
+      handleTodosRestored(data.results.filter((result) => result.ok).map((result) => result.todo));
+      const failedCount = data.results.filter((result) => !result.ok).length;
+      if (failedCount > 0) {
+        setError(`${failedCount} todo${failedCount === 1 ? "" : "s"} couldn't be restored.`);
+      }
+    } catch (err) {
+      setError("Failed to undo the delete: " + err.message);
+      console.error("Undo delete error:", err);
     }
   };
 
   //Handle Delete Todo
   const handleDeleteTodo = async (id) => {
-    setError(null); // Clear previous errors
-    setLoading(true); // Indicate loading for this operation
+    const index = todos.findIndex((todo) => todo.id === id);
+    if (index === -1) {
+      return;
+    }
+    const deletedTodo = todos[index];
+
+    setTodos((prevTodos) => prevTodos.filter((todo) => todo.id !== id));
+    persistQuietly(removeCachedTodo(id));
+
+    if (isTempId(id)) {
+      // Never reached the server: just drop the queued create
+      await queueOfflineMutation({ type: "delete", todoId: id });
+      return;
+    }
+
+    setRowState(id, { pending: true, error: null });
 
     try {
       await deleteTodo(id);
-      await loadTodos(); // Reload the list to reflect deletion
+      setRowState(id, null);
+      showUndoToast(`Deleted "${deletedTodo.text}"`, [id]);
     } catch (err) {
-      setError("Failed to delete todo: " + err.message);
+      if (isOfflineError(err)) {
+        await queueOfflineMutation({
+          type: "delete",
+          todoId: id,
+          baseUpdatedAt: deletedTodo.updatedAt,
+        });
+        setRowState(id, null);
+        return;
+      }
+      persistQuietly(cacheTodos(user.uid, [deletedTodo]));
+      // Roll back: put the todo back where it was
+      setTodos((prevTodos) => {
+        const restoredTodos = [...prevTodos];
+        restoredTodos.splice(Math.min(index, restoredTodos.length), 0, deletedTodo);
+        return restoredTodos;
+      });
+      setRowState(id, { pending: false, error: "Failed to delete todo: " + err.message });
       console.error("Delete todo error:", err);
-    } finally {
-      setLoading(false); // End loading
     }
   };
 
@@ -90,29 +740,37 @@ export default function TodoApp() {
   const handleEditClick = (todo) => {
     setEditingTodoId(todo.id); // Set the ID of the todo to be edited
     setEditingTodoText(todo.text); // Pre-fill the input with current todo text
-    setError(null); // Clear any existing errors when starting edit
+    setEditingTodoDueDate(toDateTimeLocalValue(todo.dueDate));
+    setEditingTodoPriority(todo.priority || "");
+    setRowState(todo.id, null); // Clear any existing row error when starting edit
   };
 
   //Handle Update Todo
-  const handleUpdateTodo = async (id) => {
+  // Only the fields that changed are sent, so an edit doesn't overwrite someone else's change
+  // to the other fields
+  const handleUpdateTodo = (todo) => {
     if (!editingTodoText.trim()) {
-      setError("Todo text cannot be empty.");
+      setRowState(todo.id, { pending: false, error: "Todo text cannot be empty." });
       return;
     }
-    setError(null); // Clear previous errors
-    setLoading(true); // Indicate loading
-
-    try {
-      // Call the helper function to update the todo
-      await updateTodo(id, { text: editingTodoText });
-      setEditingTodoId(null); // Exit editing mode
-      setEditingTodoText(""); // Clear editing input field
-      await loadTodos(); // Reload todos to show the updated item
-    } catch (err) {
-      setError("Failed to update todo: " + err.message);
-      console.error("Update todo error:", err);
-    } finally {
-      setLoading(false); // End loading
+    if (todo.recurrence && !editingTodoDueDate) {
+      setRowState(todo.id, { pending: false, error: "A repeating todo needs a due date." });
+      return;
+    }
+    const changes = {};
+    const text = editingTodoText.trim();
+    if (text !== todo.text) {
+      changes.text = text;
+    }
+    if (editingTodoDueDate !== toDateTimeLocalValue(todo.dueDate)) {
+      changes.dueDate = fromDateTimeLocalValue(editingTodoDueDate);
+    }
+    if (editingTodoPriority !== (todo.priority || "")) {
+      changes.priority = editingTodoPriority || null;
+    }
+    handleCancelEdit(); // Exit editing mode
+    if (Object.keys(changes).length > 0) {
+      applyOptimisticUpdate(todo.id, changes, "Failed to update todo");
     }
   };
 
@@ -120,7 +778,8 @@ export default function TodoApp() {
   const handleCancelEdit = () => {
     setEditingTodoId(null); // Exit editing mode
     setEditingTodoText(""); // Clear editing input
-    setError(null); // Clear errors
+    setEditingTodoDueDate("");
+    setEditingTodoPriority("");
   };
 
   // Navigate to view details page
@@ -130,31 +789,374 @@ export default function TodoApp() {
 
   //Handle Toggling Completed Status
   const handleToggleCompleted = async (id, currentCompletedStatus) => {
+    // Send the inverse of the current status
+    const updatedTodo = await applyOptimisticUpdate(
+      id,
+      { completed: !currentCompletedStatus },
+      "Failed to update todo status"
+    );
+
+    // Completing a repeating todo creates its next occurrence on the server. The live stream
+    // usually delivers it, but fetch it directly too in case the stream is down.
+    if (updatedTodo?.nextOccurrenceId && !currentCompletedStatus) {
+      try {
+        const nextTodo = await fetchTodoById(updatedTodo.nextOccurrenceId);
+        if (!matchesFilters(nextTodo, filtersRef.current, user.uid)) {
+          return;
+        }
+        setTodos((prevTodos) =>
+          prevTodos.some((todo) => todo.id === nextTodo.id) ? prevTodos : [nextTodo, ...prevTodos]
+        );
+      } catch (err) {
+        console.error("Load next occurrence error:", err);
+      }
+    }
+  };
+
+  // Handle clicking a row's select checkbox; with Shift held, everything between it and the
+  // previously clicked row gets the same state
+  const handleToggleSelected = (id, shiftKey) => {
+    const select = !selectedIds.has(id);
+    const anchorIndex = todos.findIndex((todo) => todo.id === lastSelectedIdRef.current);
+    const index = todos.findIndex((todo) => todo.id === id);
+    const rangeIds =
+      shiftKey && anchorIndex !== -1
+        ? todos
+            .slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+            .map((todo) => todo.id)
+        : [id];
+
+    setSelectedIds((prevIds) => {
+      const nextIds = new Set(prevIds);
+      for (const rangeId of rangeIds) {
+        if (select && !isTempId(rangeId)) {
+          nextIds.add(rangeId);
+        } else {
+          nextIds.delete(rangeId);
+        }
+      }
+      return nextIds;
+    });
+    lastSelectedIdRef.current = id;
+  };
+
+  // Handle the "select all" checkbox: selects every loaded todo, or clears the selection
+  const handleToggleSelectAll = () => {
+    const selectableIds = todos.map((todo) => todo.id).filter((id) => !isTempId(id));
+    const allSelected = selectableIds.every((id) => selectedIds.has(id));
+    setSelectedIds(allSelected ? new Set() : new Set(selectableIds));
+  };
+
+  // Applies one bulk action to `targets` right away, then saves it with batch requests.
+  // Todos the server rejected are put back and show the reason on their row.
+  const applyBulkAction = async (targets, action, value = null) => {
+    if (targets.length === 0) {
+      return;
+    }
+    const targetIds = new Set(targets.map((todo) => todo.id));
+    const shownIds = new Set(todos.map((todo) => todo.id)); // Targets can be on unloaded pages
+    const changes = action === "delete" ? null : BULK_ACTION_CHANGES[action](value);
+    setBulkSaving(true);
     setError(null);
-    setLoading(true); // Indicate loading for this operation
+
+    setTodos((prevTodos) =>
+      changes
+        ? prevTodos
+            .map((todo) => (targetIds.has(todo.id) ? { ...todo, ...changes } : todo))
+            .filter(
+              (todo) =>
+                !targetIds.has(todo.id) || matchesFilters(todo, filtersRef.current, user.uid)
+            )
+        : prevTodos.filter((todo) => !targetIds.has(todo.id))
+    );
+
+    // Puts the given todos back the way they were
+    const putBackTodos = (failedIds) => {
+      setTodos((prevTodos) => {
+        const removedTodos = targets.filter(
+          (todo) =>
+            failedIds.has(todo.id) &&
+            shownIds.has(todo.id) &&
+            !prevTodos.some((item) => item.id === todo.id)
+        );
+        return [
+          ...removedTodos,
+          ...prevTodos.map((todo) =>
+            failedIds.has(todo.id) ? targets.find((target) => target.id === todo.id) : todo
+          ),
+        ];
+      });
+    };
 
     try {
-      // Send the inverse of the current status
-      await updateTodo(id, { completed: !currentCompletedStatus });
-      await loadTodos(); // Reload the list to reflect the change
+      const valueField = BATCH_ACTION_FIELDS[action];
+      const results = [];
+      for (let start = 0; start < targets.length; start += MAX_BATCH_ITEMS) {
+        const ids = targets.slice(start, start + MAX_BATCH_ITEMS).map((todo) => todo.id);
+        const operation = valueField ? { action, ids, [valueField]: value } : { action, ids };
+        const data = await batchUpdateTodos([operation]);
+        results.push(...data.results);
+      }
+
+      const failedResults = results.filter((result) => !result.ok);
+      if (failedResults.length > 0) {
+        putBackTodos(new Set(failedResults.map((result) => result.id)));
+        for (const result of failedResults) {
+          setRowState(result.id, { pending: false, error: result.error });
+        }
+      }
+      for (const result of results.filter((item) => item.ok)) {
+        if (changes) {
+          const todo = targets.find((target) => target.id === result.id);
+          persistQuietly(cacheTodos(user.uid, [{ ...todo, ...changes }]));
+        } else {
+          persistQuietly(removeCachedTodo(result.id));
+        }
+      }
+      const deletedIds = changes
+        ? []
+        : results.filter((result) => result.ok).map((result) => result.id);
+      if (deletedIds.length > 0) {
+        showUndoToast(
+          `Deleted ${deletedIds.length} todo${deletedIds.length === 1 ? "" : "s"}`,
+          deletedIds
+        );
+      }
+      scheduleListCountsRefresh();
     } catch (err) {
-      setError("Failed to update todo status: " + err.message);
-      console.error("Toggle completed error:", err);
+      putBackTodos(targetIds);
+      setError(
+        isOfflineError(err)
+          ? "Bulk changes need a connection. Nothing was changed."
+          : "Failed to apply the bulk change: " + err.message
+      );
+      console.error("Bulk action error:", err);
     } finally {
-      setLoading(false); // End loading
+      setBulkSaving(false);
+    }
+  };
+
+  // Handle a button in the bulk action toolbar
+  const handleBulkAction = async (action, value = null) => {
+    const targets = todos.filter((todo) => selectedIds.has(todo.id));
+    await applyBulkAction(targets, action, value);
+    setSelectedIds(new Set());
+  };
+
+  // Handle "Clear completed": deletes every completed todo the user owns in the current view,
+  // including the ones on pages that haven't been loaded yet
+  const handleClearCompleted = async () => {
+    setConfirmingClearCompleted(false);
+    setBulkSaving(true);
+    try {
+      const completedTodos = [];
+      let cursor = null;
+      do {
+        const page = await fetchTodos({
+          ...buildQueryOptions(cursor),
+          completed: "true",
+          limit: CLEAR_COMPLETED_PAGE_SIZE,
+        });
+        completedTodos.push(...page.todos);
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      const ownedTodos = completedTodos.filter((todo) => {
+        const todoList = lists.find((list) => list.id === todo.listId) || null;
+        return getTodoRole(todo, todoList, user.uid) === "owner";
+      });
+      await applyBulkAction(ownedTodos, "delete");
+    } catch (err) {
+      setError("Failed to clear completed todos: " + err.message);
+      console.error("Clear completed error:", err);
+    } finally {
+      setBulkSaving(false);
+    }
+  };
+
+  // Sends queued offline changes to the server and refreshes the list afterwards
+  const syncOutbox = useCallback(async () => {
+    if (!user) {
+      return;
+    }
+    try {
+      const result = await replayOutbox(user.uid);
+
+      // Swap rows created offline for the todos the server actually created
+      for (const { mutation, todo } of result.synced) {
+        if (mutation.type === "create" && todo) {
+          setTodos((prevTodos) =>
+            prevTodos
+              .filter((item) => item.id !== todo.id)
+              .map((item) => (item.id === mutation.todoId ? todo : item))
+          );
+          persistQuietly(removeCachedTodo(mutation.todoId));
+          persistQuietly(cacheTodos(user.uid, [todo]));
+        }
+      }
+
+      if (result.failed.length > 0) {
+        setError(
+          "Some offline changes could not be saved: " +
+            result.failed.map(({ error: failure }) => failure.message).join(" ")
+        );
+      }
+      setConflicts(result.conflicts);
+      setPendingSyncCount(result.remaining);
+
+      if (result.synced.length > 0) {
+        await loadTodos(); // Pick up the server's view of everything that was replayed
+      }
+    } catch (err) {
+      console.error("Offline sync error:", err);
+    }
+  }, [user, loadTodos]);
+
+  // Latest syncOutbox, so the online/offline listeners don't re-register on every filter change
+  const syncOutboxRef = useRef(syncOutbox);
+  useEffect(() => {
+    syncOutboxRef.current = syncOutbox;
+  }, [syncOutbox]);
+
+  // Effect to track connectivity and replay the outbox whenever the connection comes back
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+    setIsOffline(!navigator.onLine);
+    syncOutboxRef.current(); // Send anything left over from an earlier offline session
+
+    const handleOnline = () => {
+      setIsOffline(false);
+      syncOutboxRef.current();
+    };
+    const handleOffline = () => setIsOffline(true);
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, [user]);
+
+  // Handle a conflict between an offline change and a newer server copy
+  const handleResolveConflict = async (mutation, resolution) => {
+    try {
+      const todo = await resolveConflict(mutation, resolution);
+      if (todo) {
+        setTodos((prevTodos) =>
+          prevTodos.some((item) => item.id === todo.id)
+            ? prevTodos.map((item) => (item.id === todo.id ? todo : item))
+            : [todo, ...prevTodos]
+        );
+        persistQuietly(cacheTodos(user.uid, [todo]));
+      } else {
+        setTodos((prevTodos) => prevTodos.filter((item) => item.id !== mutation.todoId));
+        persistQuietly(removeCachedTodo(mutation.todoId));
+      }
+      setConflicts((prevConflicts) => prevConflicts.filter((item) => item.seq !== mutation.seq));
+      await syncOutbox(); // Later changes to the same todo were waiting behind this one
+    } catch (err) {
+      setError("Failed to resolve the conflict: " + err.message);
+      console.error("Resolve conflict error:", err);
     }
   };
 
-  // Effect to load todos when the component mounts or user changes
+  // Effect to load todos when the component mounts, the user changes or the filters change
   useEffect(() => {
     if (user) {
       // Only load if a user is logged in
       loadTodos();
     } else {
       setTodos([]); // Clear todos if no user
+      setNextCursor(null);
       setLoading(false); // Stop loading if no user
     }
-  }, [user]); // Re-run if the user object changes
+  }, [user, loadTodos]); // Re-run if the user object or the filters change
+
+  // Effect to load the lists and tags when the user changes
+  useEffect(() => {
+    if (user) {
+      loadLists();
+      loadTags();
+    } else {
+      setLists([]);
+      setTags([]);
+    }
+    return () => clearTimeout(listCountsTimerRef.current);
+  }, [user, loadLists, loadTags]);
+
+  // Effect to load the next page when the sentinel below the list becomes visible
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor) {
+      return;
+    }
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) {
+          loadMoreTodos();
+        }
+      },
+      { rootMargin: "200px" } // Start loading a little before the end is reached
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadMoreTodos]);
+
+  // Applies a change pushed by the live stream (from this tab, another tab or another device)
+  const handleLiveChange = useCallback(
+    (type, data) => {
+      scheduleListCountsRefresh(); // Any change can move a sidebar count
+      if (type === "removed") {
+        setTodos((prevTodos) => prevTodos.filter((todo) => todo.id !== data.id));
+        persistQuietly(removeCachedTodo(data.id));
+        return;
+      }
+      persistQuietly(cacheTodos(user.uid, [data]));
+      // Leave rows with a save in flight alone; the save's own response settles them
+      if (rowStatesRef.current[data.id]?.pending) {
+        return;
+      }
+      const visible = matchesFilters(data, filtersRef.current, user.uid);
+      const manualOrder = filtersRef.current.sort === MANUAL_ORDER_SORT;
+      setTodos((prevTodos) => {
+        const exists = prevTodos.some((todo) => todo.id === data.id);
+        if (exists) {
+          if (!visible) {
+            return prevTodos.filter((todo) => todo.id !== data.id); // No longer matches the filters
+          }
+          const nextTodos = prevTodos.map((todo) => (todo.id === data.id ? data : todo));
+          // It may have been moved elsewhere (e.g. in another tab)
+          return manualOrder ? nextTodos.sort(compareByPosition) : nextTodos;
+        }
+        // New todos go on top; edits to todos outside the loaded pages are ignored
+        return type === "added" && visible ? [data, ...prevTodos] : prevTodos;
+      });
+    },
+    [user, scheduleListCountsRefresh]
+  );
+
+  // Latest loadTodos, so a reconnect reloads with the current filters without re-subscribing on
+  // every filter change (which would drop the connection)
+  const loadTodosRef = useRef(loadTodos);
+  useEffect(() => {
+    loadTodosRef.current = loadTodos;
+  }, [loadTodos]);
+
+  // Effect to subscribe to live updates while a user is signed in
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+    const unsubscribe = subscribeToTodoChanges({
+      onChange: handleLiveChange,
+      onStatusChange: setLiveStatus,
+      onReconnect: () => loadTodosRef.current(), // Catch up on anything missed while disconnected
+    });
+    return unsubscribe;
+  }, [user, handleLiveChange]);
 
   // Handle user logout
   const handleSignOut = async () => {
@@ -167,6 +1169,52 @@ export default function TodoApp() {
     }
   };
 
+  // Handle accepting an invitation: the shared list (or todo) should show up right away
+  const handleInvitationAccepted = () => {
+    loadLists();
+    loadTodos();
+  };
+
+  // Handle a finished import: show the new todos and their counts
+  const handleImported = () => {
+    loadTodos();
+    scheduleListCountsRefresh();
+  };
+
+  const selectedList = lists.find((list) => list.id === filters.listId);
+  const selectedCount = todos.filter((todo) => selectedIds.has(todo.id)).length;
+  const selectableCount = todos.filter((todo) => !isTempId(todo.id)).length;
+  // Viewers of a shared list can't add todos to it
+  const canAddTodos = !selectedList || hasRole(selectedList.role, "editor");
+  // What the add form's text will set besides the text itself, shown as chips under the form
+  const quickAdd = parseQuickAdd(newTodoText, { ignore: quickAddIgnored });
+  const quickAddChips = [
+    quickAdd.dueDate && {
+      field: "dueDate",
+      label: `Due ${describeDueDate(quickAdd.dueDate, now).label}`,
+      overridden: Boolean(newTodoDueDate),
+    },
+    quickAdd.priority && {
+      field: "priority",
+      label: `${formatPriority(quickAdd.priority)} priority`,
+      overridden: Boolean(newTodoPriority),
+    },
+    quickAdd.tags.length > 0 && {
+      field: "tags",
+      label: quickAdd.tags.map((tag) => `#${tag}`).join(" "),
+      overridden: false,
+    },
+    quickAdd.recurrence && {
+      field: "recurrence",
+      label: describeRecurrence(quickAdd.recurrence),
+      overridden: Boolean(newTodoRecurrence),
+    },
+  ].filter(Boolean);
+  // Todos can only be moved in the manual order, and only online
+  const canReorder = filters.sort === MANUAL_ORDER_SORT && !isOffline;
+  // Imports go to the list being viewed, if the user can add to it
+  const importListId = selectedList && !selectedList.isInbox && canAddTodos ? selectedList.id : "";
+
   // Conditional rendering for initial loading state (when no todos are displayed yet)
   if (loading && todos.length === 0) {
     return (
@@ -180,15 +1228,58 @@ export default function TodoApp() {
     <div className="min-h-screen bg-gray-100 p-4 sm:p-8">
       <div className="max-w-6xl mx-auto bg-white p-4 sm:p-6 md:p-8 rounded-lg shadow-xl">
         <div className="flex flex-col sm:flex-row justify-between items-center mb-6 gap-4 sm:gap-0">
-          <h1 className="text-xl sm:text-2xl md:text-xl lg:text-4xl font-extrabold text-gray-900 text-center sm:text-left">
-            Welcome, {user ? user.email : "Guest"}! Your Todos
-          </h1>
-          <button
-            onClick={handleSignOut}
-            className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 w-full sm:w-auto"
-          >
-            Sign Out
-          </button>
+          <div className="flex items-center gap-3">
+            {user && <Avatar photoURL={user.photoURL} name={user.displayName || user.email} />}
+            <div>
+              <h1 className="text-xl sm:text-2xl md:text-xl lg:text-4xl font-extrabold text-gray-900 text-center sm:text-left">
+                Welcome, {user ? user.displayName || user.email : "Guest"}! Your Todos
+              </h1>
+              {/* Live update indicator */}
+              <p className="flex items-center justify-center sm:justify-start gap-2 mt-1 text-xs text-gray-500">
+                <span
+                  className={`inline-block h-2 w-2 rounded-full ${
+                    liveStatus === "live" ? "bg-green-500" : "bg-yellow-400"
+                  }`}
+                />
+                {liveStatus === "live"
+                  ? "Live"
+                  : liveStatus === "reconnecting"
+                    ? "Reconnecting..."
+                    : "Connecting..."}
+              </p>
+            </div>
+          </div>
+          <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+            <NotificationBell disabled={isOffline} />
+            <button
+              onClick={() => setShowImport(true)}
+              className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 disabled:opacity-50 w-full sm:w-auto"
+              disabled={isOffline}
+            >
+              Import
+            </button>
+            <ExportMenu onError={setError} />
+            <button
+              onClick={() => router.push("/settings")}
+              className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 w-full sm:w-auto"
+            >
+              Settings
+            </button>
+            {isAdmin && (
+              <button
+                onClick={() => router.push("/admin")}
+                className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 w-full sm:w-auto"
+              >
+                Admin
+              </button>
+            )}
+            <button
+              onClick={handleSignOut}
+              className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 w-full sm:w-auto"
+            >
+              Sign Out
+            </button>
+          </div>
         </div>
 
         {/* Display Error Message at the top if there is one */}
@@ -202,120 +1293,727 @@ export default function TodoApp() {
           </div>
         )}
 
-        {/* Add Todo Form */}
-        <form onSubmit={handleAddTodo} className="flex flex-col sm:flex-row gap-4 mb-8">
-          {" "}
-          {/* Added flex-col for small screens */}
-          <input
-            type="text"
-            className="flex-grow p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777] text-sm sm:text-base" // Adjusted text size
-            placeholder="Add a new todo..."
-            value={newTodoText}
-            onChange={(e) => setNewTodoText(e.target.value)}
-            disabled={loading} // Disable input when any action is loading
-          />
-          <button
-            type="submit"
-            className="px-6 py-3 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
-            disabled={loading} // Disable button when any action is loading
+        {/* Invitations to todos and lists other users shared */}
+        {user && <InvitationsPanel onAccepted={handleInvitationAccepted} />}
+
+        {/* Offline status */}
+        {(isOffline || pendingSyncCount > 0) && (
+          <div
+            className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded mb-4 text-sm sm:text-base"
+            role="status"
           >
-            Add Todo
-          </button>
-        </form>
-
-        {/* Todo List */}
-        {todos.length === 0 && !loading ? (
-          <p className="text-center text-gray-500 text-sm sm:text-lg">
-            No todos yet! Add one above.
-          </p>
-        ) : (
-          <ul className="space-y-4">
-            {todos.map((todo) => (
-              <li
-                key={todo.id}
-                className="flex flex-col sm:flex-row items-start sm:items-center justify-between bg-gray-50 p-3 sm:p-4 rounded-md shadow-sm border border-gray-200"
+            {isOffline
+              ? "You're offline. Showing your last saved todos; changes will sync when you reconnect."
+              : "Back online. Syncing your offline changes..."}
+            {pendingSyncCount > 0 &&
+              ` (${pendingSyncCount} change${pendingSyncCount === 1 ? "" : "s"} waiting)`}
+          </div>
+        )}
+
+        {/* Conflicts between offline changes and newer server copies */}
+        {conflicts.map((mutation) => (
+          <div
+            key={mutation.seq}
+            className="bg-orange-50 border border-orange-300 text-orange-900 px-4 py-3 rounded mb-4 text-sm"
+            role="alert"
+          >
+            <p>
+              &ldquo;{mutation.conflict.text}&rdquo; was changed on another device while you were
+              offline. You wanted to {describeMutation(mutation)}.
+            </p>
+            <div className="flex gap-2 mt-2">
+              <button
+                onClick={() => handleResolveConflict(mutation, "mine")}
+                className="px-3 py-1 bg-orange-600 text-white rounded-md hover:bg-orange-700"
               >
-                {/* --- CONDITIONAL RENDERING FOR EDITING --- */}
-                {editingTodoId === todo.id ? (
-                  // Editing mode: Show input and Update/Cancel buttons
-                  <div className="flex-grow flex flex-col sm:flex-row items-start sm:items-center gap-2 w-full">
-                    <input
-                      type="text"
-                      className="flex-grow p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-[#777] text-sm sm:text-base w-full"
-                      value={editingTodoText}
-                      onChange={(e) => setEditingTodoText(e.target.value)}
-                      disabled={loading} // Disable input while an operation is pending
-                    />
-                    <div className="flex gap-2 w-full sm:w-auto mt-2 sm:mt-0">
-                      {" "}
-                      {/* Buttons wrap, full width on small screens */}
-                      <button
-                        onClick={() => handleUpdateTodo(todo.id)}
-                        className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed text-sm w-full sm:w-auto"
-                        disabled={loading} // Disable button while an operation is pending
-                      >
-                        Update
-                      </button>
-                      <button
-                        onClick={handleCancelEdit}
-                        className="px-3 py-2 bg-gray-400 text-white rounded-md hover:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-300 disabled:opacity-50 disabled:cursor-not-allowed text-sm w-full sm:w-auto"
-                        disabled={loading} // Disable button while an operation is pending
-                      >
-                        Cancel
-                      </button>
-                    </div>
-                  </div>
-                ) : (
-                  // Display mode: Show todo text and Edit/Delete buttons
-                  <>
-                    <div className="flex items-center flex-grow mb-2 sm:mb-0 min-w-0">
-                      {" "}
-                      <input
-                        type="checkbox"
-                        checked={todo.completed}
-                        onChange={() => handleToggleCompleted(todo.id, todo.completed)}
-                        className="mr-3 h-5 w-5 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded flex-shrink-0" // flex-shrink-0 to keep its size
-                        disabled={loading}
-                      />
-                      <span
-                        className={`text-base sm:text-lg text-gray-800 ${
-                          todo.completed ? "line-through text-gray-500" : ""
-                        } break-words`}
-                        // style={{ minWidth: "0" }}
-                      >
-                        {todo.text}
-                      </span>
-                    </div>
-                    <div className="flex items-center space-x-3 flex-shrink-0">
-                      <button
-                        onClick={() => handleViewDetails(todo.id)}
-                        className="px-3 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-400 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
-                        disabled={loading}
-                      >
-                        View
-                      </button>
-                      <button
-                        onClick={() => handleEditClick(todo)}
-                        className="px-3 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-400 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
-                        disabled={loading} // Disable button while an operation is pending
-                      >
-                        Edit
-                      </button>
-                      <button
-                        onClick={() => handleDeleteTodo(todo.id)}
-                        className="px-3 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-400 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
-                        disabled={loading} // Disable button while an operation is pending
-                      >
-                        Delete
-                      </button>
-                    </div>
-                  </>
+                Keep my change
+              </button>
+              <button
+                onClick={() => handleResolveConflict(mutation, "theirs")}
+                className="px-3 py-1 bg-white border border-orange-400 rounded-md hover:bg-orange-100"
+              >
+                Keep the server version
+              </button>
+            </div>
+          </div>
+        ))}
+
+        <div className="flex flex-col md:flex-row gap-6">
+          <div className="md:w-60 flex-shrink-0">
+            <ListSidebar
+              lists={lists}
+              selectedListId={filters.listId}
+              onSelect={handleSelectList}
+              onListsChange={loadLists}
+              showingTrash={showTrash}
+              onShowTrash={() => setShowTrash(true)}
+              onShare={(list) =>
+                setSharingTarget({
+                  resourceType: "list",
+                  resourceId: list.id,
+                  resourceName: list.name,
+                })
+              }
+            />
+            <TagList
+              tags={tags}
+              selectedTag={filters.tag}
+              onSelect={handleSelectTag}
+              onTagsRewritten={handleTagsRewritten}
+            />
+          </div>
+
+          {showTrash && (
+            <div className="flex-grow min-w-0">
+              <TrashView onRestored={(todo) => handleTodosRestored([todo])} />
+            </div>
+          )}
+
+          {/* Kept mounted while the Trash is open, so the loaded todos stay as they were */}
+          <div className={`flex-grow min-w-0 ${showTrash ? "hidden" : ""}`}>
+            <TodoSearch onOpenTodo={handleViewDetails} />
+
+            {/* Add Todo Form */}
+            <form onSubmit={handleAddTodo} className="flex flex-col sm:flex-row gap-4 mb-8">
+              {" "}
+              {/* Added flex-col for small screens */}
+              <input
+                type="text"
+                className="flex-grow p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777] text-sm sm:text-base" // Adjusted text size
+                placeholder={
+                  !canAddTodos
+                    ? "You can only view this list."
+                    : selectedList
+                      ? `Add a new todo to ${selectedList.name}...`
+                      : "Add a new todo..."
+                }
+                value={newTodoText}
+                onChange={(e) => {
+                  setNewTodoText(e.target.value);
+                  if (!e.target.value.trim()) {
+                    setQuickAddIgnored([]); // Starting over
+                  }
+                }}
+                disabled={!canAddTodos}
+                aria-describedby={quickAddChips.length > 0 ? "quick-add-preview" : undefined}
+              />
+              <input
+                type="datetime-local"
+                value={newTodoDueDate}
+                onChange={(e) => setNewTodoDueDate(e.target.value)}
+                className="p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777] text-sm"
+                aria-label="Due date"
+                disabled={!canAddTodos}
+              />
+              <select
+                value={newTodoPriority}
+                onChange={(e) => setNewTodoPriority(e.target.value)}
+                className="p-3 border border-gray-300 rounded-md text-gray-700 text-sm"
+                aria-label="Priority"
+                disabled={!canAddTodos}
+              >
+                <option value="">No priority</option>
+                {TODO_PRIORITIES.map((priority) => (
+                  <option key={priority} value={priority}>
+                    {formatPriority(priority)} priority
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => setShowRepeatOptions(!showRepeatOptions)}
+                className={`px-4 py-3 border rounded-md text-sm w-full sm:w-auto ${
+                  newTodoRecurrence
+                    ? "bg-indigo-50 border-indigo-400 text-indigo-700"
+                    : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+                }`}
+                aria-expanded={showRepeatOptions}
+              >
+                ↻ Repeat
+              </button>
+              <button
+                type="submit"
+                className="px-6 py-3 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+                disabled={!canAddTodos || !newTodoText.trim()}
+              >
+                Add Todo
+              </button>
+            </form>
+
+            {/* Quick-add preview: what the text sets; × keeps a phrase as part of the text */}
+            {quickAddChips.length > 0 && (
+              <div
+                id="quick-add-preview"
+                className="-mt-6 mb-8 flex flex-wrap items-center gap-2 text-xs"
+                aria-live="polite"
+              >
+                {quickAddChips.map((chip) => (
+                  <span
+                    key={chip.field}
+                    className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full border ${
+                      chip.overridden
+                        ? "border-gray-200 bg-gray-50 text-gray-400 line-through"
+                        : "border-indigo-200 bg-indigo-50 text-indigo-700"
+                    }`}
+                    title={chip.overridden ? "The value picked in the form is used instead" : ""}
+                  >
+                    {chip.label}
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setQuickAddIgnored((prevIgnored) => [...prevIgnored, chip.field])
+                      }
+                      className="text-gray-500 hover:text-gray-800"
+                      aria-label={`Keep "${quickAdd.matches
+                        .filter((match) => match.field === chip.field)
+                        .map((match) => match.text)
+                        .join(" ")}" as text`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+
+            {/* Repeat options for the new todo */}
+            {showRepeatOptions && (
+              <div className="-mt-4 mb-8 p-4 border border-gray-200 rounded-md bg-gray-50 flex flex-col gap-3">
+                <RecurrenceEditor value={newTodoRecurrence} onChange={setNewTodoRecurrence} />
+                {newTodoRecurrence && !newTodoDueDate && !quickAdd.dueDate && (
+                  <p className="text-sm text-yellow-700">
+                    Set a due date too: the first occurrence is due then.
+                  </p>
                 )}
-              </li>
-            ))}
-          </ul>
-        )}
+              </div>
+            )}
+
+            {/* Filters */}
+            <div className="flex flex-col sm:flex-row gap-3 mb-6 text-sm">
+              <select
+                name="completed"
+                value={filters.completed}
+                onChange={handleFilterChange}
+                className="p-2 border border-gray-300 rounded-md text-gray-700"
+                aria-label="Filter by status"
+              >
+                <option value="">All todos</option>
+                <option value="false">Active</option>
+                <option value="true">Completed</option>
+              </select>
+              <select
+                name="priority"
+                value={filters.priority}
+                onChange={handleFilterChange}
+                className="p-2 border border-gray-300 rounded-md text-gray-700"
+                aria-label="Filter by priority"
+              >
+                <option value="">Any priority</option>
+                {TODO_PRIORITIES.map((priority) => (
+                  <option key={priority} value={priority}>
+                    {formatPriority(priority)} priority
+                  </option>
+                ))}
+              </select>
+              <select
+                name="sort"
+                value={filters.sort}
+                onChange={handleFilterChange}
+                className="p-2 border border-gray-300 rounded-md text-gray-700"
+                aria-label="Sort todos"
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              {/* Active tag filter */}
+              {filters.tag && (
+                <button
+                  onClick={() => handleSelectTag("")}
+                  className="px-3 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700"
+                  aria-label={`Stop filtering by ${filters.tag}`}
+                >
+                  {filters.tag} ×
+                </button>
+              )}
+              {filters.listId !== SHARED_WITH_ME && filters.completed !== "false" && (
+                <button
+                  onClick={() => setConfirmingClearCompleted(true)}
+                  className="px-3 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 sm:ml-auto"
+                  disabled={bulkSaving || isOffline}
+                >
+                  Clear completed
+                </button>
+              )}
+            </div>
+
+            {/* Confirmation for "Clear completed" */}
+            {confirmingClearCompleted && (
+              <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-4 p-3 border border-red-200 bg-red-50 rounded-md text-sm text-gray-700">
+                <span>
+                  Delete every completed todo you own
+                  {selectedList ? ` in ${selectedList.name}` : ""}
+                  {filters.tag ? ` tagged ${filters.tag}` : ""}?
+                </span>
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleClearCompleted}
+                    className="px-3 py-1 bg-red-600 text-white rounded-md hover:bg-red-700"
+                  >
+                    Delete them
+                  </button>
+                  <button
+                    onClick={() => setConfirmingClearCompleted(false)}
+                    className="px-3 py-1 bg-white border border-gray-300 rounded-md hover:bg-gray-100"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Bulk action toolbar for the selected todos */}
+            {selectedCount > 0 && (
+              <div
+                className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-indigo-50 border border-indigo-200 rounded-md text-sm"
+                role="toolbar"
+                aria-label="Bulk actions"
+              >
+                <span className="font-medium text-indigo-900 mr-2">{selectedCount} selected</span>
+                <button
+                  onClick={() => handleBulkAction("complete")}
+                  className="px-3 py-1 bg-white border border-indigo-300 rounded-md hover:bg-indigo-100 disabled:opacity-50"
+                  disabled={bulkSaving}
+                >
+                  Complete
+                </button>
+                <button
+                  onClick={() => handleBulkAction("uncomplete")}
+                  className="px-3 py-1 bg-white border border-indigo-300 rounded-md hover:bg-indigo-100 disabled:opacity-50"
+                  disabled={bulkSaving}
+                >
+                  Mark active
+                </button>
+                <select
+                  value=""
+                  onChange={(e) =>
+                    handleBulkAction(
+                      "setPriority",
+                      e.target.value === "none" ? null : e.target.value
+                    )
+                  }
+                  className="p-1 border border-indigo-300 rounded-md text-gray-700 bg-white"
+                  aria-label="Set priority of the selected todos"
+                  disabled={bulkSaving}
+                >
+                  <option value="" disabled>
+                    Set priority...
+                  </option>
+                  {TODO_PRIORITIES.map((priority) => (
+                    <option key={priority} value={priority}>
+                      {formatPriority(priority)}
+                    </option>
+                  ))}
+                  <option value="none">No priority</option>
+                </select>
+                <label className="flex items-center gap-1 text-gray-700">
+                  Due
+                  <input
+                    type="date"
+                    value=""
+                    onChange={(e) =>
+                      e.target.value &&
+                      handleBulkAction(
+                        "setDueDate",
+                        new Date(`${e.target.value}T00:00`).toISOString()
+                      )
+                    }
+                    className="p-1 border border-indigo-300 rounded-md text-gray-700 bg-white"
+                    disabled={bulkSaving}
+                  />
+                </label>
+                <button
+                  onClick={() => handleBulkAction("setDueDate", null)}
+                  className="px-3 py-1 bg-white border border-indigo-300 rounded-md hover:bg-indigo-100 disabled:opacity-50"
+                  disabled={bulkSaving}
+                >
+                  Clear due date
+                </button>
+                <select
+                  value=""
+                  onChange={(e) => handleBulkAction("move", e.target.value)}
+                  className="p-1 border border-indigo-300 rounded-md text-gray-700 bg-white"
+                  aria-label="Move the selected todos to a list"
+                  disabled={bulkSaving}
+                >
+                  <option value="" disabled>
+                    Move to...
+                  </option>
+                  {lists
+                    .filter((list) => hasRole(list.role, "editor"))
+                    .map((list) => (
+                      <option key={list.id} value={list.id}>
+                        {list.name}
+                      </option>
+                    ))}
+                </select>
+                <button
+                  onClick={() => handleBulkAction("delete")}
+                  className="px-3 py-1 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+                  disabled={bulkSaving}
+                >
+                  Delete
+                </button>
+                <button
+                  onClick={() => setSelectedIds(new Set())}
+                  className="px-3 py-1 text-gray-600 hover:text-gray-800 sm:ml-auto"
+                  disabled={bulkSaving}
+                >
+                  Clear selection
+                </button>
+              </div>
+            )}
+
+            {/* Todo List */}
+            {todos.length === 0 && !loading ? (
+              <p className="text-center text-gray-500 text-sm sm:text-lg">
+                {filters.completed || filters.priority || filters.tag
+                  ? "No todos match these filters."
+                  : filters.listId === SHARED_WITH_ME
+                    ? "Nothing has been shared with you yet."
+                    : filters.listId
+                      ? "No todos in this list yet! Add one above."
+                      : "No todos yet! Add one above."}
+              </p>
+            ) : (
+              <>
+                {/* Select all loaded todos; Shift-click a row's box to select a range */}
+                <label className="flex items-center gap-2 mb-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={selectedCount > 0 && selectedCount === selectableCount}
+                    onChange={handleToggleSelectAll}
+                    className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                    disabled={selectableCount === 0 || bulkSaving}
+                  />
+                  Select all
+                </label>
+                <p className="sr-only" aria-live="polite">
+                  {reorderAnnouncement}
+                </p>
+                <ul
+                  className="space-y-4"
+                  onDragLeave={(e) => {
+                    if (!e.currentTarget.contains(e.relatedTarget)) {
+                      setDropTarget(null); // Left the list
+                    }
+                  }}
+                >
+                  {todos.map((todo) => {
+                    const rowState = rowStates[todo.id];
+                    const rowPending = Boolean(rowState?.pending); // Only this row is locked while saving
+                    // What the user may do with this todo, and who else can see it
+                    const todoList = lists.find((list) => list.id === todo.listId) || null;
+                    const role = getTodoRole(todo, todoList, user.uid);
+                    const canEdit = hasRole(role, "editor");
+                    const otherMembers = getOtherMembers(todo, todoList, user.uid);
+                    const due = todo.dueDate ? describeDueDate(todo.dueDate, now) : null;
+                    const overdue = Boolean(due?.overdue) && !todo.completed;
+                    const canMove = canReorder && canEdit && !isTempId(todo.id);
+                    const isDropTarget = dropTarget?.id === todo.id && draggedTodoId !== todo.id;
+                    return (
+                      <li
+                        key={todo.id}
+                        className={`relative flex flex-col p-3 sm:p-4 rounded-md shadow-sm border ${
+                          overdue ? "bg-red-50" : "bg-gray-50"
+                        } ${rowState?.error || overdue ? "border-red-300" : "border-gray-200"} ${
+                          rowPending || draggedTodoId === todo.id ? "opacity-60" : ""
+                        }`}
+                        aria-busy={rowPending}
+                        onDragOver={canReorder ? (e) => handleDragOverTodo(e, todo.id) : undefined}
+                        onDrop={canReorder ? handleDropTodo : undefined}
+                      >
+                        {/* Where the dragged todo would land */}
+                        {isDropTarget && (
+                          <span
+                            className={`absolute left-0 right-0 h-0.5 bg-indigo-500 ${
+                              dropTarget.after ? "-bottom-2.5" : "-top-2.5"
+                            }`}
+                            aria-hidden="true"
+                          />
+                        )}
+                        <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between w-full">
+                          {/* --- CONDITIONAL RENDERING FOR EDITING --- */}
+                          {editingTodoId === todo.id ? (
+                            // Editing mode: Show input and Update/Cancel buttons
+                            <div className="flex-grow flex flex-col sm:flex-row items-start sm:items-center gap-2 w-full">
+                              <input
+                                type="text"
+                                className="flex-grow p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-[#777] text-sm sm:text-base w-full"
+                                value={editingTodoText}
+                                onChange={(e) => setEditingTodoText(e.target.value)}
+                                disabled={rowPending} // Disable input while this row is saving
+                              />
+                              <input
+                                type="datetime-local"
+                                value={editingTodoDueDate}
+                                onChange={(e) => setEditingTodoDueDate(e.target.value)}
+                                className="p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-[#777] text-sm w-full sm:w-auto"
+                                aria-label="Due date"
+                                disabled={rowPending}
+                              />
+                              <select
+                                value={editingTodoPriority}
+                                onChange={(e) => setEditingTodoPriority(e.target.value)}
+                                className="p-2 border border-gray-300 rounded-md text-gray-700 text-sm w-full sm:w-auto"
+                                aria-label="Priority"
+                                disabled={rowPending}
+                              >
+                                <option value="">No priority</option>
+                                {TODO_PRIORITIES.map((priority) => (
+                                  <option key={priority} value={priority}>
+                                    {formatPriority(priority)}
+                                  </option>
+                                ))}
+                              </select>
+                              <div className="flex gap-2 w-full sm:w-auto mt-2 sm:mt-0">
+                                {" "}
+                                {/* Buttons wrap, full width on small screens */}
+                                <button
+                                  onClick={() => handleUpdateTodo(todo)}
+                                  className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed text-sm w-full sm:w-auto"
+                                  disabled={rowPending} // Disable button while this row is saving
+                                >
+                                  Update
+                                </button>
+                                <button
+                                  onClick={handleCancelEdit}
+                                  className="px-3 py-2 bg-gray-400 text-white rounded-md hover:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-300 disabled:opacity-50 disabled:cursor-not-allowed text-sm w-full sm:w-auto"
+                                  disabled={rowPending} // Disable button while this row is saving
+                                >
+                                  Cancel
+                                </button>
+                              </div>
+                            </div>
+                          ) : (
+                            // Display mode: Show todo text and Edit/Delete buttons
+                            <>
+                              <div className="flex items-center flex-grow mb-2 sm:mb-0 min-w-0">
+                                {" "}
+                                {/* Drag handle: drag with the mouse, or focus it and use the arrow keys */}
+                                {canMove && (
+                                  <button
+                                    type="button"
+                                    draggable
+                                    onDragStart={(e) => {
+                                      const row = e.currentTarget.closest("li");
+                                      e.dataTransfer.effectAllowed = "move";
+                                      e.dataTransfer.setData("text/plain", todo.text);
+                                      e.dataTransfer.setDragImage(row, 16, 16);
+                                      setDraggedTodoId(todo.id);
+                                    }}
+                                    onDragEnd={handleDragEnd}
+                                    onKeyDown={(e) => handleReorderKeyDown(e, todo.id)}
+                                    data-reorder-handle={todo.id}
+                                    className="mr-2 px-1 text-gray-400 hover:text-gray-700 cursor-grab active:cursor-grabbing focus:outline-none focus:ring-2 focus:ring-indigo-500 rounded flex-shrink-0"
+                                    aria-label={`Move "${todo.text}" (use the up and down arrow keys)`}
+                                    title="Drag to reorder, or use the arrow keys"
+                                  >
+                                    ⠿
+                                  </button>
+                                )}
+                                {/* Selects the todo for bulk actions (not the completed checkbox) */}
+                                <input
+                                  type="checkbox"
+                                  checked={selectedIds.has(todo.id)}
+                                  onChange={(e) =>
+                                    handleToggleSelected(todo.id, e.nativeEvent.shiftKey)
+                                  }
+                                  className="mr-3 h-4 w-4 accent-gray-500 flex-shrink-0"
+                                  disabled={isTempId(todo.id) || bulkSaving}
+                                  aria-label={`Select "${todo.text}"`}
+                                />
+                                <input
+                                  type="checkbox"
+                                  checked={todo.completed}
+                                  onChange={() => handleToggleCompleted(todo.id, todo.completed)}
+                                  className="mr-3 h-5 w-5 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded flex-shrink-0" // flex-shrink-0 to keep its size
+                                  disabled={rowPending || !canEdit} // Viewers can't check todos off
+                                />
+                                <span
+                                  className={`text-base sm:text-lg text-gray-800 ${
+                                    todo.completed ? "line-through text-gray-500" : ""
+                                  } break-words`}
+                                  // style={{ minWidth: "0" }}
+                                >
+                                  {todo.text}
+                                </span>
+                                {todo.priority && (
+                                  <span
+                                    className={`ml-3 px-2 py-0.5 rounded-full text-xs font-medium flex-shrink-0 ${
+                                      PRIORITY_BADGE_STYLES[todo.priority] ||
+                                      "bg-gray-200 text-gray-700"
+                                    }`}
+                                    title={`${formatPriority(todo.priority)} priority`}
+                                  >
+                                    {formatPriority(todo.priority)}
+                                  </span>
+                                )}
+                                {/* Relative due date, e.g. "Tomorrow" or "3 days overdue" */}
+                                {due && (
+                                  <time
+                                    dateTime={todo.dueDate}
+                                    className={`ml-3 text-xs flex-shrink-0 ${
+                                      overdue ? "text-red-700 font-semibold" : "text-gray-500"
+                                    }`}
+                                    title={`Due ${new Date(todo.dueDate).toLocaleString()}`}
+                                  >
+                                    {due.label}
+                                  </time>
+                                )}
+                                {/* Repeat indicator */}
+                                {todo.recurrence && (
+                                  <span
+                                    className="ml-3 text-indigo-600 flex-shrink-0"
+                                    title={describeRecurrence(todo.recurrence)}
+                                    aria-label={describeRecurrence(todo.recurrence)}
+                                  >
+                                    ↻
+                                  </span>
+                                )}
+                                {/* Subtask progress, e.g. "3/5" */}
+                                {todo.subtasks?.length > 0 && (
+                                  <span
+                                    className="ml-3 px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700 text-xs font-medium flex-shrink-0"
+                                    title="Subtasks completed"
+                                  >
+                                    {todo.subtasks.filter((subtask) => subtask.completed).length}/
+                                    {todo.subtasks.length}
+                                  </span>
+                                )}
+                                {/* Who else can see this todo */}
+                                {otherMembers.length > 0 && (
+                                  <span
+                                    className="ml-3 px-2 py-0.5 rounded-full bg-gray-200 text-gray-700 text-xs font-medium flex-shrink-0"
+                                    title={`Also visible to: ${otherMembers
+                                      .map(
+                                        (member) =>
+                                          `${member.email || "another user"} (${member.role})`
+                                      )
+                                      .join(", ")}`}
+                                  >
+                                    👥 {otherMembers.length}
+                                  </span>
+                                )}
+                              </div>
+                              <div className="flex items-center space-x-3 flex-shrink-0">
+                                <button
+                                  onClick={() => handleViewDetails(todo.id)}
+                                  className="px-3 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-400 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+                                  disabled={rowPending}
+                                >
+                                  View
+                                </button>
+                                {role === "owner" && !isTempId(todo.id) && (
+                                  <button
+                                    onClick={() =>
+                                      setSharingTarget({
+                                        resourceType: "todo",
+                                        resourceId: todo.id,
+                                        resourceName: todo.text,
+                                      })
+                                    }
+                                    className="px-3 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+                                    disabled={rowPending}
+                                  >
+                                    Share
+                                  </button>
+                                )}
+                                {canEdit && (
+                                  <button
+                                    onClick={() => handleEditClick(todo)}
+                                    className="px-3 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-400 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+                                    disabled={rowPending} // Disable button while this row is saving
+                                  >
+                                    Edit
+                                  </button>
+                                )}
+                                {role === "owner" && (
+                                  <button
+                                    onClick={() => handleDeleteTodo(todo.id)}
+                                    className="px-3 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-400 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+                                    disabled={rowPending} // Disable button while this row is saving
+                                  >
+                                    Delete
+                                  </button>
+                                )}
+                              </div>
+                            </>
+                          )}
+                        </div>
+
+                        {/* Tags; clicking one filters the list by it */}
+                        {todo.tags?.length > 0 && editingTodoId !== todo.id && (
+                          <div className="mt-2 sm:ml-8">
+                            <TagChips
+                              tags={todo.tags}
+                              selectedTag={filters.tag}
+                              onSelect={handleSelectTag}
+                            />
+                          </div>
+                        )}
+
+                        {/* Row-level error, e.g. after a failed save was rolled back */}
+                        {rowState?.error && (
+                          <div
+                            className="flex items-center justify-between gap-2 mt-2 text-sm text-red-700"
+                            role="alert"
+                          >
+                            <span>{rowState.error}</span>
+                            <button
+                              onClick={() => setRowState(todo.id, null)}
+                              className="text-red-500 hover:text-red-700"
+                              aria-label="Dismiss error"
+                            >
+                              ×
+                            </button>
+                          </div>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </>
+            )}
+
+            {/* Infinite scroll sentinel and status */}
+            <div ref={loadMoreRef} className="h-1" />
+            {loadingMore && (
+              <p className="text-center text-gray-500 text-sm mt-4">Loading more todos...</p>
+            )}
+          </div>
+        </div>
       </div>
+
+      {sharingTarget && <ShareDialog {...sharingTarget} onClose={() => setSharingTarget(null)} />}
+      {showImport && (
+        <ImportDialog
+          lists={lists}
+          defaultListId={importListId}
+          onImported={handleImported}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+      {undoToast && (
+        <UndoToast
+          key={undoToast.key}
+          message={undoToast.message}
+          onUndo={handleUndoDelete}
+          onDismiss={dismissUndoToast}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,198 @@
+"use client"; // This is a client component
+
+import React, { useState, useEffect } from "react";
+// Import our API helper functions
+import { fetchTodoHistory, revertTodo } from "@/utils/helper";
+import { useAuth } from "@/app/contexts/AuthContext";
+import { describeRecurrence } from "@/app/lib/recurrence";
+import { describeReminder } from "@/app/lib/reminders";
+
+const ACTION_LABELS = {
+  create: "Created",
+  update: "Edited",
+  complete: "Completed",
+  reopen: "Reopened",
+  delete: "Moved to the trash",
+  restore: "Restored from the trash",
+  revert: "Reverted to an earlier version",
+};
+
+const FIELD_LABELS = {
+  text: "Text",
+  notes: "Notes",
+  completed: "Completed",
+  priority: "Priority",
+  dueDate: "Due date",
+  reminders: "Reminders",
+  recurrence: "Repeats",
+  autoCompleteParent: "Auto-complete",
+  listId: "List",
+  tags: "Tags",
+  subtasks: "Subtasks",
+};
+
+// Entries whose field changes are worth listing; the others say it all in their label
+const DETAILED_ACTIONS = ["update", "restore", "revert"];
+const TEXT_PREVIEW_LENGTH = 60;
+
+// A short, readable form of one recorded field value
+function formatValue(field, value) {
+  switch (field) {
+    case "text":
+    case "notes":
+      if (!value) {
+        return "(empty)";
+      }
+      return value.length > TEXT_PREVIEW_LENGTH
+        ? `“${value.slice(0, TEXT_PREVIEW_LENGTH)}…”`
+        : `“${value}”`;
+    case "completed":
+      return value ? "Yes" : "No";
+    case "autoCompleteParent":
+      return value ? "On" : "Off";
+    case "dueDate":
+      return value ? new Date(value).toLocaleString() : "None";
+    case "reminders":
+      return value && value.length > 0 ? value.map(describeReminder).join(", ") : "None";
+    case "recurrence":
+      return describeRecurrence(value);
+    case "tags":
+      return value && value.length > 0 ? value.join(" ") : "None";
+    case "subtasks": {
+      const subtasks = value || [];
+      const doneCount = subtasks.filter((subtask) => subtask.completed).length;
+      return `${subtasks.length} (${doneCount} done)`;
+    }
+    default:
+      return value ?? "None";
+  }
+}
+
+// Timeline of the changes to one todo, shown on the todo details page.
+// Each entry but the newest has a Revert button that brings the todo back to how it was
+// right after that change; the reverted todo is handed back through onTodoChange.
+export default function TodoHistory({ todo, onTodoChange }) {
+  const { user } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revertingId, setRevertingId] = useState(null); // Entry being reverted to
+  const [error, setError] = useState(null);
+
+  // Reload whenever the todo changes, since every change adds an entry
+  useEffect(() => {
+    let cancelled = false;
+    const loadHistory = async () => {
+      try {
+        const history = await fetchTodoHistory(todo.id);
+        if (!cancelled) {
+          setEntries(history);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError("Failed to load the history: " + err.message);
+        }
+        console.error("Load history error:", err);
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [todo.id, todo.updatedAt]);
+
+  const handleRevert = async (entry) => {
+    setRevertingId(entry.id);
+    setError(null);
+    try {
+      const revertedTodo = await revertTodo(todo.id, entry.id);
+      onTodoChange(revertedTodo);
+    } catch (err) {
+      setError("Failed to revert: " + err.message);
+      console.error("Revert todo error:", err);
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  const describeActor = (entry) => {
+    if (entry.actorId === user?.uid) {
+      return "You";
+    }
+    return entry.actorEmail || "Another user";
+  };
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-xl font-bold text-gray-900 mb-3">History</h2>
+
+      {error && (
+        <div
+          className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded mb-3 text-sm"
+          role="alert"
+        >
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading the history...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No changes have been recorded yet.</p>
+      ) : (
+        <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+          {entries.map((entry, index) => {
+            const changedFields = DETAILED_ACTIONS.includes(entry.action)
+              ? Object.keys(entry.changes)
+              : [];
+            return (
+              <li key={entry.id} className="ml-4">
+                <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-indigo-600 border-2 border-white" />
+                <div className="flex flex-wrap items-baseline justify-between gap-2">
+                  <p className="text-sm text-gray-800">
+                    <span className="font-semibold">
+                      {ACTION_LABELS[entry.action] || "Changed"}
+                    </span>{" "}
+                    by {describeActor(entry)}
+                  </p>
+                  {entry.createdAt && (
+                    <time dateTime={entry.createdAt} className="text-xs text-gray-500">
+                      {new Date(entry.createdAt).toLocaleString()}
+                    </time>
+                  )}
+                </div>
+                {changedFields.length > 0 && (
+                  <ul className="mt-1 text-xs text-gray-600 space-y-0.5">
+                    {changedFields.map((field) => {
+                      const { before, after } = entry.changes[field];
+                      return (
+                        <li key={field} className="break-words">
+                          <span className="font-medium">{FIELD_LABELS[field] || field}:</span>{" "}
+                          {field === "listId"
+                            ? "moved to another list"
+                            : `${formatValue(field, before)} → ${formatValue(field, after)}`}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+                {index > 0 && (
+                  <button
+                    onClick={() => handleRevert(entry)}
+                    className="mt-1 text-xs text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                    disabled={revertingId !== null}
+                  >
+                    {revertingId === entry.id ? "Reverting..." : "Revert to this version"}
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,178 @@
+"use client"; // This is a client component
+
+import React, { useState, useEffect, useRef } from "react";
+// Import our API helper functions
+import { searchTodos, isOfflineError } from "@/utils/helper";
+import { SEARCH_QUERY_MAX_LENGTH } from "@/app/lib/searchText";
+
+const SEARCH_DELAY_MS = 300; // Wait for a pause in typing before searching
+const NOTES_SNIPPET_LENGTH = 160;
+const NOTES_SNIPPET_LEAD = 40; // Characters shown before the first match in the notes
+
+// Renders `text` with the [start, end] ranges wrapped in <mark>
+function Highlighted({ text, ranges }) {
+  const parts = [];
+  let position = 0;
+  for (const [start, end] of ranges) {
+    if (start > position) {
+      parts.push(text.slice(position, start));
+    }
+    parts.push(
+      <mark key={start} className="bg-yellow-200 text-inherit rounded-sm">
+        {text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  }
+  parts.push(text.slice(position));
+  return <>{parts}</>;
+}
+
+// A short piece of the notes around the first match, with the ranges moved to match it
+function getNotesSnippet(notes, ranges) {
+  const start = Math.max(0, ranges[0][0] - NOTES_SNIPPET_LEAD);
+  const end = Math.min(notes.length, start + NOTES_SNIPPET_LENGTH);
+  return {
+    text: `${start > 0 ? "…" : ""}${notes.slice(start, end)}${end < notes.length ? "…" : ""}`,
+    ranges: ranges
+      .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+      .map(([rangeStart, rangeEnd]) => {
+        const offset = start > 0 ? 1 - start : 0; // Account for the leading "…"
+        return [rangeStart + offset, rangeEnd + offset];
+      }),
+  };
+}
+
+// Search box for the todo list. Results show up below it, best match first, with the
+// matching words highlighted; onOpenTodo(id) runs when one is picked.
+export default function TodoSearch({ onOpenTodo }) {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState(null); // null until the current query has results
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const latestQueryRef = useRef(""); // Drops responses to queries the user has typed past
+
+  useEffect(() => {
+    const trimmedQuery = query.trim();
+    latestQueryRef.current = trimmedQuery;
+    if (!trimmedQuery) {
+      setResults(null);
+      setSearching(false);
+      setError(null);
+      return;
+    }
+
+    setSearching(true);
+    const timer = setTimeout(async () => {
+      try {
+        const data = await searchTodos(trimmedQuery);
+        if (latestQueryRef.current === trimmedQuery) {
+          setResults(data.results);
+          setError(null);
+        }
+      } catch (err) {
+        if (latestQueryRef.current === trimmedQuery) {
+          setResults(null);
+          setError(
+            isOfflineError(err)
+              ? "Search isn't available offline."
+              : `Search failed: ${err.message}`
+          );
+          console.error("Search error:", err);
+        }
+      } finally {
+        if (latestQueryRef.current === trimmedQuery) {
+          setSearching(false);
+        }
+      }
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  return (
+    <div className="mb-6">
+      <input
+        type="search"
+        className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777] text-sm sm:text-base"
+        placeholder="Search todos, notes and tags..."
+        value={query}
+        maxLength={SEARCH_QUERY_MAX_LENGTH}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") {
+            setQuery("");
+          }
+        }}
+        aria-label="Search todos"
+      />
+
+      {query.trim() && (
+        <div
+          className="mt-2 border border-gray-200 rounded-md bg-white shadow-sm"
+          role="region"
+          aria-label="Search results"
+        >
+          {error ? (
+            <p className="px-4 py-3 text-sm text-red-700" role="alert">
+              {error}
+            </p>
+          ) : searching && !results ? (
+            <p className="px-4 py-3 text-sm text-gray-500">Searching...</p>
+          ) : results && results.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-500">
+              No todos match &ldquo;{query.trim()}&rdquo;.
+            </p>
+          ) : (
+            results && (
+              <ul className={`divide-y divide-gray-100 ${searching ? "opacity-60" : ""}`}>
+                {results.map(({ todo, highlights }) => {
+                  const notesSnippet =
+                    highlights.notes.length > 0
+                      ? getNotesSnippet(todo.notes, highlights.notes)
+                      : null;
+                  return (
+                    <li key={todo.id}>
+                      <button
+                        onClick={() => onOpenTodo(todo.id)}
+                        className="w-full text-left px-4 py-3 hover:bg-gray-50 focus:outline-none focus:bg-gray-50"
+                      >
+                        <span
+                          className={`block text-sm sm:text-base text-gray-800 break-words ${
+                            todo.completed ? "line-through text-gray-500" : ""
+                          }`}
+                        >
+                          <Highlighted text={todo.text} ranges={highlights.text} />
+                        </span>
+                        {notesSnippet && (
+                          <span className="block mt-1 text-xs text-gray-500 break-words">
+                            <Highlighted text={notesSnippet.text} ranges={notesSnippet.ranges} />
+                          </span>
+                        )}
+                        {todo.tags?.length > 0 && (
+                          <span className="flex flex-wrap gap-1 mt-1">
+                            {todo.tags.map((tag) => (
+                              <span
+                                key={tag}
+                                className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                                  highlights.tags.includes(tag)
+                                    ? "bg-yellow-200 text-gray-900"
+                                    : "bg-indigo-50 text-indigo-700"
+                                }`}
+                              >
+                                {tag}
+                              </span>
+                            ))}
+                          </span>
+                        )}
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+"use client"; // This is a client component
+
+import React, { useState, useEffect, useCallback } from "react";
+// Import our API helper functions
+import { fetchTrash, restoreTodos, deleteTodoForever } from "@/utils/helper";
+
+// The Trash: deleted todos with Restore and "Delete forever" buttons.
+// onRestored(todo) runs for each restored todo, so the parent can show it again.
+export default function TrashView({ onRestored }) {
+  const [todos, setTodos] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null); // Todo being restored or deleted
+  const [error, setError] = useState(null);
+
+  const loadTrash = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await fetchTrash();
+      setTodos(data.todos);
+      setRetentionDays(data.retentionDays);
+    } catch (err) {
+      setError("Failed to load the trash: " + err.message);
+      console.error("Load trash error:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const handleRestore = async (todo) => {
+    setSavingId(todo.id);
+    setError(null);
+    try {
+      const data = await restoreTodos([todo.id]);
+      const [result] = data.results;
+      if (!result.ok) {
+        throw new Error(result.error);
+      }
+      setTodos((prevTodos) => prevTodos.filter((item) => item.id !== todo.id));
+      onRestored(result.todo);
+    } catch (err) {
+      setError(`Failed to restore "${todo.text}": ${err.message}`);
+      console.error("Restore todo error:", err);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleDeleteForever = async (todo) => {
+    setSavingId(todo.id);
+    setError(null);
+    try {
+      await deleteTodoForever(todo.id);
+      setTodos((prevTodos) => prevTodos.filter((item) => item.id !== todo.id));
+    } catch (err) {
+      setError(`Failed to delete "${todo.text}": ${err.message}`);
+      console.error("Delete todo forever error:", err);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <section aria-label="Trash">
+      <h2 className="text-lg font-bold text-gray-900 mb-1">Trash</h2>
+      {retentionDays && (
+        <p className="text-sm text-gray-500 mb-4">
+          Deleted todos stay here for {retentionDays} days, then they are deleted for good.
+        </p>
+      )}
+
+      {error && (
+        <div
+          className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm"
+          role="alert"
+        >
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-center text-gray-500 text-sm">Loading the trash...</p>
+      ) : todos.length === 0 ? (
+        <p className="text-center text-gray-500 text-sm sm:text-lg">The trash is empty.</p>
+      ) : (
+        <ul className="space-y-3">
+          {todos.map((todo) => (
+            <li
+              key={todo.id}
+              className={`flex flex-col sm:flex-row sm:items-center justify-between gap-2 bg-gray-50 p-3 sm:p-4 rounded-md shadow-sm border border-gray-200 ${
+                savingId === todo.id ? "opacity-60" : ""
+              }`}
+              aria-busy={savingId === todo.id}
+            >
+              <div className="min-w-0">
+                <p
+                  className={`text-base text-gray-800 break-words ${
+                    todo.completed ? "line-through text-gray-500" : ""
+                  }`}
+                >
+                  {todo.text}
+                </p>
+                {todo.deletedAt && (
+                  <p className="text-xs text-gray-500">
+                    Deleted {new Date(todo.deletedAt).toLocaleString()}
+                    {todo.purgeAt &&
+                      ` · Deleted for good on ${new Date(todo.purgeAt).toLocaleDateString()}`}
+                  </p>
+                )}
+              </div>
+              <div className="flex gap-2 flex-shrink-0">
+                <button
+                  onClick={() => handleRestore(todo)}
+                  className="px-3 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50 text-sm"
+                  disabled={savingId === todo.id}
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => handleDeleteForever(todo)}
+                  className="px-3 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 disabled:opacity-50 text-sm"
+                  disabled={savingId === todo.id}
+                >
+                  Delete forever
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,34 @@
+"use client"; // This is a client component
+
+import React, { useEffect } from "react";
+
+export const UNDO_TOAST_DURATION_MS = 6000;
+
+// A toast at the bottom of the screen with an Undo button, e.g. after deleting a todo.
+// It dismisses itself after UNDO_TOAST_DURATION_MS; give it a new `key` for each message
+// so the timer starts over.
+export default function UndoToast({ message, onUndo, onDismiss }) {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, UNDO_TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [onDismiss]);
+
+  return (
+    <div
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 flex items-center gap-4 bg-gray-900 text-white px-4 py-3 rounded-md shadow-lg text-sm max-w-[calc(100%-2rem)]"
+      role="status"
+    >
+      <span className="truncate">{message}</span>
+      <button onClick={onUndo} className="font-semibold text-indigo-300 hover:text-indigo-200">
+        Undo
+      </button>
+      <button
+        onClick={onDismiss}
+        className="text-gray-400 hover:text-gray-200"
+        aria-label="Dismiss"
+      >
+        ×
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+"use client"; // This is a client component
+
+import React, { useState, useEffect, useCallback } from "react";
+import { sendEmailVerification, signOut } from "firebase/auth";
+import { auth } from "@/app/lib/firebaseClient";
+import { getActionCodeSettings } from "@/app/lib/authProviders";
+import { getAuthErrorMessage } from "./AuthForm";
+
+// Shown instead of the app to users who signed up with a password and haven't verified their
+// email yet (the API turns them away until then). Checks again whenever the tab gets focus,
+// since the link in the email is usually opened in another tab.
+export default function VerifyEmailNotice({ user }) {
+  const [checking, setChecking] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Reloads the user; a fresh ID token then carries email_verified and AuthContext lets them in
+  const checkVerified = useCallback(
+    async ({ quiet = false } = {}) => {
+      setChecking(true);
+      setError(null);
+      try {
+        await user.reload();
+        if (user.emailVerified) {
+          await user.getIdToken(true);
+        } else if (!quiet) {
+          setNotice("Your email isn't verified yet. Open the link in the email we sent you.");
+        }
+      } catch (err) {
+        if (!quiet) {
+          setError(getAuthErrorMessage(err));
+        }
+        console.error("Error checking email verification:", err);
+      } finally {
+        setChecking(false);
+      }
+    },
+    [user]
+  );
+
+  useEffect(() => {
+    const handleFocus = () => checkVerified({ quiet: true });
+    window.addEventListener("focus", handleFocus);
+    return () => window.removeEventListener("focus", handleFocus);
+  }, [checkVerified]);
+
+  const handleResend = async () => {
+    setSending(true);
+    setError(null);
+    setNotice(null);
+    try {
+      await sendEmailVerification(user, getActionCodeSettings());
+      setNotice(`We sent a new link to ${user.email}.`);
+    } catch (err) {
+      setError(getAuthErrorMessage(err));
+      console.error("Error sending verification email:", err);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 py-12 px-4">
+      <div className="max-w-md w-full space-y-6 bg-white p-10 rounded-xl shadow-lg text-center">
+        <h2 className="text-3xl font-extrabold text-gray-900">Verify Your Email</h2>
+        <p className="text-gray-700">
+          We sent a link to <span className="font-semibold break-all">{user.email}</span>. Open it
+          to confirm your address, then come back here to start using your todos.
+        </p>
+
+        {notice && (
+          <p
+            className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded"
+            role="status"
+          >
+            {notice}
+          </p>
+        )}
+        {error && (
+          <p
+            className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded"
+            role="alert"
+          >
+            {error}
+          </p>
+        )}
+
+        <div className="flex flex-col gap-2">
+          <button
+            onClick={() => checkVerified()}
+            disabled={checking}
+            className="w-full py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {checking ? "Checking..." : "I've Verified My Email"}
+          </button>
+          <button
+            onClick={handleResend}
+            disabled={sending}
+            className="w-full py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            {sending ? "Sending..." : "Send the Link Again"}
+          </button>
+          <button
+            onClick={() => signOut(auth)}
+            className="text-sm text-indigo-600 hover:text-indigo-500"
+          >
+            Use a different account
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
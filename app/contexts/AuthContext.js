@@ -3,14 +3,17 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
  // Import our Firebase Auth instance
 import { auth } from '../lib/firebaseClient';
- // Import the listener for auth state changes
-import { onAuthStateChanged } from 'firebase/auth';
+ // Import the listener for sign-in changes (it also fires when the ID token is refreshed)
+import { onIdTokenChanged } from 'firebase/auth';
+import { needsEmailVerification } from '../lib/authErrors';
 
 // 1. Create the Context
 // This will hold the user object and a loading state
 const AuthContext = createContext({
   user: null,
   loading: true, // Initially true, as we're checking the auth state
+  isAdmin: false, // The "admin" custom claim of the user's ID token (see serverAuth.js)
+  needsVerification: false, // Signed up with a password and hasn't verified the email yet
 });
 
 // 2. Create the AuthProvider Component
@@ -18,11 +21,18 @@ const AuthContext = createContext({
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [needsVerification, setNeedsVerification] = useState(false);
 
   // useEffect to listen for Firebase auth state changes
   useEffect(() => {
-    // onAuthStateChanged returns an unsubscribe function
-    const unsubscribe = onAuthStateChanged(auth, (firebaseUser) => {
+    // onIdTokenChanged returns an unsubscribe function
+    const unsubscribe = onIdTokenChanged(auth, async (firebaseUser) => {
+      // Roles live in the token's claims, so a role given or taken away shows up on the next refresh
+      const tokenResult = firebaseUser ? await firebaseUser.getIdTokenResult().catch(() => null) : null;
+      setIsAdmin(tokenResult?.claims.admin === true);
+      // The API turns these users away until they verify, so the app shouldn't start either
+      setNeedsVerification(needsEmailVerification(tokenResult?.claims));
       setUser(firebaseUser); // firebaseUser will be null if not logged in, or the user object if logged in
       setLoading(false); // Auth state has been determined, so loading is false
     });
@@ -34,7 +44,7 @@ export function AuthProvider({ children }) {
 
 
   return (
-    <AuthContext.Provider value={{ user, loading }}>
+    <AuthContext.Provider value={{ user, loading, isAdmin, needsVerification }}>
       {children}
     </AuthContext.Provider>
   );
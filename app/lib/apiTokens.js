@@ -0,0 +1,133 @@
+// Server-side storage for personal API tokens, kept in the `apiTokens` collection.
+// A user creates them on the settings page for scripts and other tools; they work like an ID
+// token ("Authorization: Bearer tdt_...") on the /api/todos routes, but don't expire.
+//
+// Only a SHA-256 hash of each token is stored, so the token itself is shown once, when it is
+// created. Documents: { userId, name, scope: "read" | "write", tokenHash, hint, createdAt,
+// lastUsedAt }, where `hint` is the end of the token, to tell tokens apart in the list.
+//
+// Revoking the user's sessions (by an admin, or by changing the password) revokes the tokens
+// created before that too: Firebase Auth moves the user's tokensValidAfterTime, and tokens
+// older than it are turned down and left out of the list.
+
+import { createHash, randomBytes } from "crypto";
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+
+export const API_TOKEN_PREFIX = "tdt_";
+
+const TOKEN_BYTES = 32;
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // lastUsedAt is written at most once a minute
+
+function getApiTokensCollection() {
+  return adminDb.collection("apiTokens");
+}
+
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+// Tells a personal API token apart from a Firebase ID token (a JWT)
+export function isApiToken(token) {
+  return token.startsWith(API_TOKEN_PREFIX);
+}
+
+/**
+ * Builds the response shape for a token from its ID and raw Firestore data. The hash stays
+ * on the server.
+ */
+export function serializeApiToken(id, data) {
+  return {
+    id,
+    name: data.name,
+    scope: data.scope,
+    hint: data.hint,
+    createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
+    lastUsedAt: data.lastUsedAt ? data.lastUsedAt.toDate().toISOString() : null,
+  };
+}
+
+// Whether a token created at `createdAt` (a Date) was revoked with the user's sessions
+export function isRevokedWithSessions(createdAt, userRecord) {
+  return (
+    Boolean(userRecord.tokensValidAfterTime) &&
+    createdAt.getTime() < new Date(userRecord.tokensValidAfterTime).getTime()
+  );
+}
+
+// The user's tokens that still work, newest first
+export async function listApiTokens(uid) {
+  const [tokensSnapshot, userRecord] = await Promise.all([
+    getApiTokensCollection().where("userId", "==", uid).get(),
+    admin.auth().getUser(uid),
+  ]);
+  return tokensSnapshot.docs
+    .filter((doc) => !isRevokedWithSessions(doc.get("createdAt").toDate(), userRecord))
+    .map((doc) => serializeApiToken(doc.id, doc.data()))
+    .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+}
+
+/**
+ * Creates a token for the user ({ name, scope } as validateApiTokenPayload returns them).
+ * Resolves to { token, apiToken }: the secret itself, which can't be read back later, and
+ * the stored token's response shape.
+ */
+export async function createApiToken(uid, { name, scope }) {
+  const token = API_TOKEN_PREFIX + randomBytes(TOKEN_BYTES).toString("base64url");
+  const tokenData = {
+    userId: uid,
+    name,
+    scope,
+    tokenHash: hashToken(token),
+    hint: token.slice(-4),
+    createdAt: admin.firestore.Timestamp.now(),
+    lastUsedAt: null,
+  };
+  const tokenRef = await getApiTokensCollection().add(tokenData);
+  return { token, apiToken: serializeApiToken(tokenRef.id, tokenData) };
+}
+
+/**
+ * Revokes (deletes) one of the user's tokens. Resolves to false when the user has no token
+ * with that ID.
+ */
+export async function revokeApiToken(uid, tokenId) {
+  const tokenRef = getApiTokensCollection().doc(tokenId);
+  const tokenDoc = await tokenRef.get();
+  if (!tokenDoc.exists || tokenDoc.get("userId") !== uid) {
+    return false;
+  }
+  await tokenRef.delete();
+  return true;
+}
+
+/**
+ * Looks up the token a request was sent with, and notes that it was used (unless `recordUse`
+ * is false, e.g. for checking again that an open stream's token still works).
+ * Resolves to { id, uid, scope, createdAt }, or null for an unknown or revoked (deleted) token.
+ * Whether it was revoked with the user's sessions is up to the caller, see
+ * isRevokedWithSessions.
+ */
+export async function verifyApiToken(token, { recordUse = true } = {}) {
+  const tokensSnapshot = await getApiTokensCollection()
+    .where("tokenHash", "==", hashToken(token))
+    .limit(1)
+    .get();
+  if (tokensSnapshot.empty) {
+    return null;
+  }
+  const tokenDoc = tokensSnapshot.docs[0];
+
+  const lastUsedAt = tokenDoc.get("lastUsedAt");
+  if (recordUse && (!lastUsedAt || Date.now() - lastUsedAt.toMillis() > LAST_USED_RESOLUTION_MS)) {
+    // Bookkeeping only; a failed write mustn't fail the request
+    await tokenDoc.ref
+      .update({ lastUsedAt: admin.firestore.FieldValue.serverTimestamp() })
+      .catch((error) => console.error("Error recording API token use:", error));
+  }
+  return {
+    id: tokenDoc.id,
+    uid: tokenDoc.get("userId"),
+    scope: tokenDoc.get("scope"),
+    createdAt: tokenDoc.get("createdAt").toDate(),
+  };
+}
@@ -0,0 +1,31 @@
+// Error codes the API sends with 401 and 403 responses (as `code`), so the client can tell why a
+// request wasn't authenticated, and the rule for which sign-ins must verify their email first.
+// This module has no server-only imports.
+//
+//   missing - no "Authorization: Bearer <ID token>" header: sign in first
+//   invalid - the token is malformed or not a Firebase ID token of this project
+//   expired - the token is past its expiry: get a fresh one and retry
+//   revoked - the user's sessions were ended (e.g. a password change or an admin action):
+//             sign in again
+//   disabled - the account is disabled
+//   unverified - (403) the user signed up with a password and hasn't confirmed their email yet
+//   recentLogin - (403) the change needs a recent sign-in: reauthenticate, then retry
+export const AUTH_ERROR_CODES = {
+  missing: "auth/missing-token",
+  invalid: "auth/invalid-token",
+  expired: "auth/token-expired",
+  revoked: "auth/token-revoked",
+  disabled: "auth/user-disabled",
+  unverified: "auth/email-not-verified",
+  recentLogin: "auth/requires-recent-login",
+};
+
+/**
+ * Whether the user behind decoded ID token claims still has to verify their email address.
+ * Only email/password sign-ins need to before using the app: Google vouches for its addresses,
+ * and GitHub users can use it with an unconfirmed address, but have to verify it before they
+ * accept an invitation sent to it (see /api/invitations/[id]/accept).
+ */
+export function needsEmailVerification(claims) {
+  return claims?.firebase?.sign_in_provider === "password" && claims.email_verified !== true;
+}
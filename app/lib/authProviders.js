@@ -0,0 +1,62 @@
+// Client-side helpers for signing in: the Google and GitHub providers, the links in sign-in
+// emails, and proving who you are again before sensitive changes to an account.
+
+import {
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  GithubAuthProvider,
+  reauthenticateWithCredential,
+  reauthenticateWithPopup,
+} from "firebase/auth";
+
+// The sign-in providers offered next to email and password. Each one has to be enabled in the
+// Firebase console (Authentication > Sign-in method), with "One account per email address".
+export const OAUTH_PROVIDERS = {
+  google: {
+    label: "Google",
+    providerId: "google.com",
+    create: () => new GoogleAuthProvider(),
+    credentialFromError: (err) => GoogleAuthProvider.credentialFromError(err),
+  },
+  github: {
+    label: "GitHub",
+    providerId: "github.com",
+    create: () => {
+      const provider = new GithubAuthProvider();
+      provider.addScope("user:email"); // Needed for accounts that keep their email private
+      return provider;
+    },
+    credentialFromError: (err) => GithubAuthProvider.credentialFromError(err),
+  },
+};
+
+// Where the links in verification and password reset emails lead back to. The domain has to be
+// one of the authorized domains of the Firebase project.
+export function getActionCodeSettings() {
+  return { url: window.location.origin };
+}
+
+// Whether the user can sign in with an email and password
+export function hasPasswordSignIn(user) {
+  return user.providerData.some((provider) => provider.providerId === "password");
+}
+
+/**
+ * Signs the user in again, as Firebase asks before changing their email or password or
+ * deleting them: with `password` for accounts that have one, or else through a popup of their
+ * Google or GitHub sign-in. Afterwards their ID token is fresh, with a recent `auth_time`.
+ */
+export async function reauthenticate(user, password) {
+  if (hasPasswordSignIn(user)) {
+    await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+  } else {
+    const provider = Object.values(OAUTH_PROVIDERS).find(({ providerId }) =>
+      user.providerData.some((data) => data.providerId === providerId)
+    );
+    if (!provider) {
+      throw new Error("This account has no sign-in method that can be confirmed here.");
+    }
+    await reauthenticateWithPopup(user, provider.create());
+  }
+  await user.getIdToken(true);
+}
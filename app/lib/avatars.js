@@ -0,0 +1,43 @@
+// Server-side storage for profile pictures uploaded on the settings page.
+// Each one is a small image in the `avatars` collection ({ userId, contentType, data,
+// updatedAt }, with the user's ID as document ID), served by /api/avatars/[uid]. The user's
+// Firebase `photoURL` points there, so it shows up wherever the app shows a photo, the same
+// way as the photos of Google and GitHub sign-ins.
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+
+function getAvatarRef(uid) {
+  return adminDb.collection("avatars").doc(uid);
+}
+
+/**
+ * Saves the user's new profile picture ({ contentType, base64 }, see validateAvatarPayload) and
+ * points their photoURL at it. `origin` is the app's origin, e.g. "https://todos.example.com".
+ * Resolves to the new photoURL.
+ */
+export async function saveAvatar(uid, { contentType, base64 }, origin) {
+  await getAvatarRef(uid).set({
+    userId: uid,
+    contentType,
+    data: Buffer.from(base64, "base64"),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  // A new URL for each picture, so browsers can cache every one of them for good
+  const photoURL = new URL(`/api/avatars/${uid}?v=${Date.now()}`, origin).href;
+  await admin.auth().updateUser(uid, { photoURL });
+  return photoURL;
+}
+
+// Removes the user's profile picture and their photoURL
+export async function deleteAvatar(uid) {
+  await getAvatarRef(uid).delete();
+  await admin.auth().updateUser(uid, { photoURL: null });
+}
+
+// The user's profile picture as { contentType, data } (data a Buffer), or null
+export async function getAvatar(uid) {
+  const avatarDoc = await getAvatarRef(uid).get();
+  return avatarDoc.exists
+    ? { contentType: avatarDoc.get("contentType"), data: avatarDoc.get("data") }
+    : null;
+}
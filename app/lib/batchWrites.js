@@ -0,0 +1,56 @@
+// Helper for writing to many Firestore documents at once.
+
+import { adminDb } from "@/app/lib/firebaseAdmin.cjs";
+
+export const BATCH_LIMIT = 500; // Firestore allows at most 500 writes per batch
+
+/**
+ * Writes one change per document reference, split across as many batches as needed.
+ * `write(batch, ref)` adds the write for one document to the batch.
+ */
+export async function writeInBatches(refs, write) {
+  for (let start = 0; start < refs.length; start += BATCH_LIMIT) {
+    const batch = adminDb.batch();
+    for (const ref of refs.slice(start, start + BATCH_LIMIT)) {
+      write(batch, ref);
+    }
+    await batch.commit();
+  }
+}
+
+/**
+ * Commits groups of writes, packing whole groups into batches so that each group is applied
+ * all-or-nothing. A group is an array of `(batch) => void` functions, one write each.
+ * Resolves to one entry per group: null once committed, or the error of its batch.
+ */
+export async function commitWriteGroups(groups) {
+  const outcomes = new Array(groups.length).fill(null);
+  let batch = adminDb.batch();
+  let batchGroups = []; // Indexes of the groups in the current batch
+  let writeCount = 0;
+
+  const commit = async () => {
+    if (batchGroups.length === 0) {
+      return;
+    }
+    try {
+      await batch.commit();
+    } catch (error) {
+      batchGroups.forEach((index) => (outcomes[index] = error));
+    }
+    batch = adminDb.batch();
+    batchGroups = [];
+    writeCount = 0;
+  };
+
+  for (const [index, writes] of groups.entries()) {
+    if (writeCount + writes.length > BATCH_LIMIT) {
+      await commit();
+    }
+    writes.forEach((write) => write(batch));
+    batchGroups.push(index);
+    writeCount += writes.length;
+  }
+  await commit();
+  return outcomes;
+}
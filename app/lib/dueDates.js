@@ -0,0 +1,67 @@
+// Helpers for showing and editing due dates in the browser, in the user's local time.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_SHOWN_AS_WEEKDAY = 6; // Due within a week: "Friday" reads better than a date
+
+// Midnight at the start of the date's local day, in milliseconds
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+function hasTimeOfDay(date) {
+  return date.getHours() !== 0 || date.getMinutes() !== 0;
+}
+
+/**
+ * Describes a due date relative to `now`, counting in calendar days:
+ * { label, overdue } with labels like "Today 3:00 PM", "Tomorrow", "Friday", "Mar 14" or
+ * "3 days overdue". `overdue` is true once the due time has passed; a due date at midnight
+ * counts as due some time that day, so it is overdue from the next day on.
+ */
+export function describeDueDate(dueDate, now = new Date()) {
+  const date = new Date(dueDate);
+  const days = Math.round((startOfDay(date) - startOfDay(now)) / DAY_MS);
+  const time = hasTimeOfDay(date)
+    ? ` ${date.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}`
+    : "";
+  const overdue = time ? date.getTime() < now.getTime() : days < 0;
+
+  let label;
+  if (days < 0) {
+    label = `${-days} day${days === -1 ? "" : "s"} overdue`;
+  } else if (days === 0) {
+    label = overdue ? `Overdue since${time}` : `Today${time}`;
+  } else if (days === 1) {
+    label = `Tomorrow${time}`;
+  } else if (days <= DAYS_SHOWN_AS_WEEKDAY) {
+    label = date.toLocaleDateString([], { weekday: "long" }) + time;
+  } else {
+    label = date.toLocaleDateString([], {
+      month: "short",
+      day: "numeric",
+      ...(date.getFullYear() !== now.getFullYear() ? { year: "numeric" } : {}),
+    });
+  }
+  return { label, overdue };
+}
+
+/**
+ * The value for an <input type="datetime-local"> showing a date (an ISO string or Date) in
+ * local time, or "" for no date.
+ */
+export function toDateTimeLocalValue(value) {
+  if (!value) {
+    return "";
+  }
+  const date = new Date(value);
+  const pad = (number) => String(number).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+}
+
+// An <input type="datetime-local"> value (local time) as an ISO string, or null when empty
+export function fromDateTimeLocalValue(value) {
+  return value ? new Date(value).toISOString() : null;
+}
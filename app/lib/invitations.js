@@ -0,0 +1,112 @@
+// Server-side helpers for sharing invitations.
+// An owner invites someone by email to a todo or a list as a viewer or editor. The invitation
+// is stored in the `invitations` collection until the invitee accepts it (which adds them to the
+// item's collaborators), declines it, or the owner revokes it (which also removes their access).
+//
+// Invitation documents:
+//   { resourceType: "todo" | "list", resourceId, resourceName, email, role,
+//     status: "pending" | "accepted" | "declined" | "revoked",
+//     invitedBy, invitedByEmail, acceptedBy, createdAt, updatedAt }
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { serializeInvitation } from "@/app/lib/todoSerializer";
+
+const RESOURCE_COLLECTIONS = { todo: "todos", list: "lists" };
+
+// Firestore reference of the todo or list an invitation is about
+export function getShareTargetRef(resourceType, resourceId) {
+  return adminDb.collection(RESOURCE_COLLECTIONS[resourceType]).doc(resourceId);
+}
+
+/**
+ * Accepts a pending invitation on behalf of `user` ({ uid, email }).
+ * Adds the user to the item's collaborators in the same transaction that marks the invitation
+ * accepted. Resolves to { invitation } or { error, status }.
+ */
+export async function acceptInvitation(invitationId, user) {
+  const invitationRef = adminDb.collection("invitations").doc(invitationId);
+
+  return adminDb.runTransaction(async (transaction) => {
+    const invitationDoc = await transaction.get(invitationRef);
+    if (!invitationDoc.exists) {
+      return { error: "Invitation not found.", status: 404 };
+    }
+    const invitation = invitationDoc.data();
+    if (!user.email || invitation.email !== user.email) {
+      return { error: "Forbidden: This invitation was sent to someone else.", status: 403 };
+    }
+    if (invitation.status !== "pending") {
+      return { error: `This invitation was already ${invitation.status}.`, status: 409 };
+    }
+
+    const targetRef = getShareTargetRef(invitation.resourceType, invitation.resourceId);
+    const targetDoc = await transaction.get(targetRef);
+    if (!targetDoc.exists) {
+      return { error: `The shared ${invitation.resourceType} no longer exists.`, status: 410 };
+    }
+
+    transaction.update(targetRef, {
+      [`collaborators.${user.uid}`]: { role: invitation.role, email: user.email },
+      collaboratorIds: admin.firestore.FieldValue.arrayUnion(user.uid),
+      ownerEmail: targetDoc.get("ownerEmail") || invitation.invitedByEmail,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    const changes = {
+      status: "accepted",
+      acceptedBy: user.uid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    transaction.update(invitationRef, changes);
+
+    return { invitation: serializeInvitation(invitationId, { ...invitation, ...changes }) };
+  });
+}
+
+/**
+ * Ends an invitation: "revoked" when the owner withdraws it, "declined" when the invitee turns
+ * it down. If it had been accepted, the collaborator loses access to the item as well.
+ */
+export async function endInvitation(invitationId, invitation, status) {
+  const invitationRef = adminDb.collection("invitations").doc(invitationId);
+  const batch = adminDb.batch();
+
+  if (invitation.status === "accepted" && invitation.acceptedBy) {
+    const targetRef = getShareTargetRef(invitation.resourceType, invitation.resourceId);
+    const targetDoc = await targetRef.get();
+    if (targetDoc.exists) {
+      batch.update(targetRef, {
+        [`collaborators.${invitation.acceptedBy}`]: admin.firestore.FieldValue.delete(),
+        collaboratorIds: admin.firestore.FieldValue.arrayRemove(invitation.acceptedBy),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+  }
+  batch.update(invitationRef, {
+    status,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await batch.commit();
+}
+
+/**
+ * Closes every open invitation to a todo or list that is being deleted.
+ */
+export async function revokeResourceInvitations(resourceType, resourceId) {
+  const invitationsSnapshot = await adminDb
+    .collection("invitations")
+    .where("resourceType", "==", resourceType)
+    .where("resourceId", "==", resourceId)
+    .where("status", "in", ["pending", "accepted"])
+    .get();
+  if (invitationsSnapshot.empty) {
+    return;
+  }
+  const batch = adminDb.batch();
+  for (const doc of invitationsSnapshot.docs) {
+    batch.update(doc.ref, {
+      status: "revoked",
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+  await batch.commit();
+}
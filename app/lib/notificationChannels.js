@@ -0,0 +1,161 @@
+// Delivery of notifications over pluggable channels.
+// A channel is { name, isConfigured(), deliver(notification, recipient) }, where
+// `notification` is { type, todoId, title, body, dueDate } and `recipient` is { uid, email }.
+// deliver resolves once the notification is on its way and throws when it can't be sent.
+//
+//   inApp - the in-app inbox (see notifications.js)
+//   email - an email sent through an HTTP email API such as Resend's: EMAIL_API_URL,
+//           EMAIL_API_KEY and EMAIL_FROM
+//   push  - web push to every browser the user enabled it on: NEXT_PUBLIC_VAPID_PUBLIC_KEY,
+//           VAPID_PRIVATE_KEY and VAPID_SUBJECT (a mailto: or https: URL)
+//
+// NOTIFICATION_CHANNELS (comma-separated names) picks the channels in use; by default that's
+// every channel whose env variables are set. A channel named there without its env variables
+// fails every delivery.
+
+import webPush from "web-push";
+import {
+  createNotification,
+  getPushSubscriptions,
+  deletePushSubscription,
+} from "@/app/lib/notifications";
+
+const PUSH_TTL_SECONDS = 24 * 60 * 60; // How long a push service keeps trying to deliver
+const EXPIRED_SUBSCRIPTION_STATUSES = [404, 410]; // The browser unsubscribed
+
+// Where the todo behind a notification can be opened: a full URL when APP_URL is set
+function getTodoUrl(todoId) {
+  const path = `/todos/${todoId}`;
+  return process.env.APP_URL ? new URL(path, process.env.APP_URL).toString() : path;
+}
+
+const inAppChannel = {
+  name: "inApp",
+  isConfigured: () => true,
+  async deliver(notification, recipient) {
+    await createNotification(recipient.uid, notification);
+  },
+};
+
+const emailChannel = {
+  name: "email",
+  isConfigured: () =>
+    Boolean(process.env.EMAIL_API_URL && process.env.EMAIL_API_KEY && process.env.EMAIL_FROM),
+  async deliver(notification, recipient) {
+    if (!emailChannel.isConfigured()) {
+      throw new Error("Email isn't configured: set EMAIL_API_URL, EMAIL_API_KEY and EMAIL_FROM.");
+    }
+    if (!recipient.email) {
+      return; // Nowhere to send it
+    }
+    const lines = [notification.title, notification.body];
+    if (process.env.APP_URL) {
+      lines.push("", getTodoUrl(notification.todoId)); // Relative links are no use in an email
+    }
+    const email = {
+      from: process.env.EMAIL_FROM,
+      to: recipient.email,
+      subject: `Reminder: ${notification.title}`,
+      text: lines.join("\n"),
+    };
+
+    const { EMAIL_API_URL, EMAIL_API_KEY } = process.env;
+    const response = await fetch(EMAIL_API_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${EMAIL_API_KEY}` },
+      body: JSON.stringify(email),
+    });
+    if (!response.ok) {
+      throw new Error(`Email API responded with ${response.status}: ${await response.text()}`);
+    }
+  },
+};
+
+const pushChannel = {
+  name: "push",
+  isConfigured: () =>
+    Boolean(
+      process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY &&
+      process.env.VAPID_PRIVATE_KEY &&
+      process.env.VAPID_SUBJECT
+    ),
+  async deliver(notification, recipient) {
+    if (!pushChannel.isConfigured()) {
+      throw new Error(
+        "Push isn't configured: set NEXT_PUBLIC_VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT."
+      );
+    }
+    const subscriptions = await getPushSubscriptions(recipient.uid);
+    if (subscriptions.length === 0) {
+      return; // Push isn't enabled in any of the user's browsers
+    }
+    const payload = JSON.stringify({
+      title: notification.title,
+      body: notification.body,
+      url: getTodoUrl(notification.todoId),
+      tag: `${notification.type}-${notification.todoId}`,
+    });
+
+    const publicKey = process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY;
+    const { VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+
+    const results = await Promise.allSettled(
+      subscriptions.map((subscription) =>
+        webPush.sendNotification(subscription, payload, {
+          TTL: PUSH_TTL_SECONDS,
+          vapidDetails: { subject: VAPID_SUBJECT, publicKey, privateKey: VAPID_PRIVATE_KEY },
+        })
+      )
+    );
+    const errors = [];
+    for (const [index, result] of results.entries()) {
+      if (result.status === "fulfilled") {
+        continue;
+      }
+      if (EXPIRED_SUBSCRIPTION_STATUSES.includes(result.reason?.statusCode)) {
+        await deletePushSubscription(subscriptions[index].endpoint);
+      } else {
+        errors.push(result.reason);
+      }
+    }
+    // Failing only when no browser got it keeps one broken subscription from blocking the rest
+    if (errors.length > 0 && errors.length === results.length) {
+      throw errors[0];
+    }
+  },
+};
+
+const CHANNELS = [inAppChannel, emailChannel, pushChannel];
+
+// The channels picked by NOTIFICATION_CHANNELS, see above
+export function getNotificationChannels() {
+  if (!process.env.NOTIFICATION_CHANNELS) {
+    return CHANNELS.filter((channel) => channel.isConfigured());
+  }
+  const names = process.env.NOTIFICATION_CHANNELS.split(",").map((name) => name.trim());
+  return CHANNELS.filter((channel) => names.includes(channel.name));
+}
+
+/**
+ * Delivers a notification to one recipient over every channel, each on its own, so one
+ * failing channel doesn't stop the others. Resolves to { delivered, failed }, the names of the
+ * channels that did and didn't deliver it.
+ */
+export async function deliverNotification(
+  notification,
+  recipient,
+  channels = getNotificationChannels()
+) {
+  const delivered = [];
+  const failed = [];
+  for (const channel of channels) {
+    try {
+      await channel.deliver(notification, recipient);
+      delivered.push(channel.name);
+    } catch (error) {
+      console.error(`Error delivering notification over ${channel.name}:`, error);
+      failed.push(channel.name);
+    }
+  }
+  return { delivered, failed };
+}
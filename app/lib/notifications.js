@@ -0,0 +1,132 @@
+// Server-side storage for notifications.
+// The in-app inbox lives in the `notifications` collection, one document per notification:
+//   { userId, type: "reminder", todoId, title, body, dueDate, createdAt, readAt }
+// where readAt is null until the user reads it. The browsers a user enabled web push on are
+// kept in `pushSubscriptions`, one document per subscription endpoint.
+//
+// Listing the inbox needs a composite index on notifications (userId, createdAt desc).
+
+import { createHash } from "node:crypto";
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { writeInBatches } from "@/app/lib/batchWrites";
+import { serializeNotification } from "@/app/lib/todoSerializer";
+
+export const NOTIFICATIONS_PAGE_SIZE = 20;
+
+function getNotificationsCollection() {
+  return adminDb.collection("notifications");
+}
+
+// --- Inbox ---
+
+/**
+ * Adds a notification to the user's inbox. `notification` is
+ * { type, todoId, title, body, dueDate } with dueDate a Date or null.
+ * Resolves to the new notification's ID.
+ */
+export async function createNotification(uid, notification) {
+  const notificationRef = await getNotificationsCollection().add({
+    ...notification,
+    userId: uid,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    readAt: null,
+  });
+  return notificationRef.id;
+}
+
+/**
+ * The user's latest notifications, newest first, plus how many of all of them are unread:
+ * { notifications, unreadCount }.
+ */
+export async function listNotifications(uid, { limit = NOTIFICATIONS_PAGE_SIZE } = {}) {
+  const [notificationsSnapshot, unreadSnapshot] = await Promise.all([
+    getNotificationsCollection()
+      .where("userId", "==", uid)
+      .orderBy("createdAt", "desc")
+      .limit(limit)
+      .get(),
+    getNotificationsCollection()
+      .where("userId", "==", uid)
+      .where("readAt", "==", null)
+      .count()
+      .get(),
+  ]);
+  return {
+    notifications: notificationsSnapshot.docs.map((doc) =>
+      serializeNotification(doc.id, doc.data())
+    ),
+    unreadCount: unreadSnapshot.data().count,
+  };
+}
+
+/**
+ * Marks the user's notifications as read: the ones in `ids`, or all of them when `all` is set.
+ * IDs of other users' notifications are ignored. Resolves to the number marked.
+ */
+export async function markNotificationsRead(uid, { ids, all = false }) {
+  let unreadDocs;
+  if (all) {
+    const unreadSnapshot = await getNotificationsCollection()
+      .where("userId", "==", uid)
+      .where("readAt", "==", null)
+      .select()
+      .get();
+    unreadDocs = unreadSnapshot.docs;
+  } else {
+    const notificationDocs = await adminDb.getAll(
+      ...ids.map((id) => getNotificationsCollection().doc(id))
+    );
+    unreadDocs = notificationDocs.filter(
+      (doc) => doc.exists && doc.get("userId") === uid && !doc.get("readAt")
+    );
+  }
+
+  await writeInBatches(
+    unreadDocs.map((doc) => doc.ref),
+    (batch, ref) => batch.update(ref, { readAt: admin.firestore.FieldValue.serverTimestamp() })
+  );
+  return unreadDocs.length;
+}
+
+// --- Push subscriptions ---
+
+// One document per endpoint, so subscribing the same browser twice doesn't add a second one
+function getPushSubscriptionRef(endpoint) {
+  const id = createHash("sha256").update(endpoint).digest("hex");
+  return adminDb.collection("pushSubscriptions").doc(id);
+}
+
+// Saves a browser's push subscription ({ endpoint, keys }) for the user
+export async function savePushSubscription(uid, subscription) {
+  await getPushSubscriptionRef(subscription.endpoint).set({
+    ...subscription,
+    userId: uid,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Removes a push subscription. When `uid` is given, only a subscription of that user is removed.
+ * Resolves to true when one was removed.
+ */
+export async function deletePushSubscription(endpoint, uid = null) {
+  const subscriptionRef = getPushSubscriptionRef(endpoint);
+  const subscriptionDoc = await subscriptionRef.get();
+  if (!subscriptionDoc.exists || (uid && subscriptionDoc.get("userId") !== uid)) {
+    return false;
+  }
+  await subscriptionRef.delete();
+  return true;
+}
+
+// The user's push subscriptions, as { endpoint, keys }
+export async function getPushSubscriptions(uid) {
+  const subscriptionsSnapshot = await adminDb
+    .collection("pushSubscriptions")
+    .where("userId", "==", uid)
+    .get();
+  return subscriptionsSnapshot.docs.map((doc) => ({
+    endpoint: doc.get("endpoint"),
+    keys: doc.get("keys"),
+  }));
+}
@@ -0,0 +1,374 @@
+// Natural-language quick add: reads the fields of a todo out of one line of text.
+// "Call dentist tomorrow 3pm !high #health every month" becomes the todo "Call dentist",
+// due tomorrow at 3pm, with high priority, the tag #health and a monthly repeat rule.
+// This module has no server-only imports: the add box uses it for its live preview, and
+// POST /api/todos/quick-add for clients that send the raw line.
+//
+// Recognized phrases (case-insensitive, anywhere in the line):
+//   dates       today, tonight, tomorrow, monday / on mon / next friday, next week|month|year,
+//               in 3 days|weeks|months, in 2 hours|minutes, 2026-11-03, nov 3(rd)( 2026), 3 nov
+//   times       3pm, 3:30 pm, at 15:00, noon, midnight
+//   priorities  !high, !medium (!med), !low, !1 to !3, !!! (high), !! (medium)
+//   tags        #word, @word
+//   repeats     daily, weekly, monthly, yearly, every day|weekday|week|month|year,
+//               every other week, every 2 weeks, every mon and thu
+// Dates and times are read in the given time zone. A date without a time is due at midnight,
+// i.e. some time that day; a time without a date is the next time the clock shows it.
+
+import { normalizeTag } from "@/app/lib/todoValidation";
+import { getZonedParts, zonedPartsToDate } from "@/app/lib/recurrence";
+
+export const QUICK_ADD_FIELDS = ["dueDate", "priority", "tags", "recurrence"];
+
+const MINUTE_MS = 60 * 1000;
+const TONIGHT_HOUR = 20; // "tonight" without a time means 8pm
+
+// Phrases only count as whole words: after the start or a space, before the end, a space or
+// punctuation. So "today's" or "mon" inside "money" are left alone.
+const START = "(?<=^|\\s)";
+const END = "(?=$|\\s|[,.;:!?)])";
+
+const WEEKDAY_NAMES = [
+  ["sunday", "sun"],
+  ["monday", "mon"],
+  ["tuesday", "tues", "tue"],
+  ["wednesday", "wed"],
+  ["thursday", "thurs", "thur", "thu"],
+  ["friday", "fri"],
+  ["saturday", "sat"],
+];
+const MONTH_NAMES = [
+  ["january", "jan"],
+  ["february", "feb"],
+  ["march", "mar"],
+  ["april", "apr"],
+  ["may"],
+  ["june", "jun"],
+  ["july", "jul"],
+  ["august", "aug"],
+  ["september", "sept", "sep"],
+  ["october", "oct"],
+  ["november", "nov"],
+  ["december", "dec"],
+];
+const WEEKDAY = WEEKDAY_NAMES.flat().join("|");
+const FULL_WEEKDAY = WEEKDAY_NAMES.map(([name]) => name).join("|");
+const MONTH = MONTH_NAMES.flat().join("|");
+const UNITS = { day: "daily", week: "weekly", month: "monthly", year: "yearly" };
+const PRIORITY_MARKERS = {
+  high: "high",
+  medium: "medium",
+  med: "medium",
+  low: "low",
+  1: "high",
+  2: "medium",
+  3: "low",
+  "!!": "high",
+  "!": "medium",
+};
+
+function findIndex(names, word) {
+  return names.findIndex((aliases) => aliases.includes(word.toLowerCase()));
+}
+
+function phrase(pattern) {
+  return new RegExp(`${START}(?:${pattern})${END}`, "iu");
+}
+
+// --- Repeat rules ---
+
+const RECURRENCE_PATTERNS = [
+  {
+    regex: phrase(`(daily|weekly|monthly|yearly|annually)`),
+    read: ([, word]) => ({
+      freq: word.toLowerCase() === "annually" ? "yearly" : word.toLowerCase(),
+      interval: 1,
+    }),
+  },
+  {
+    regex: phrase(`every\\s+weekday`),
+    read: () => ({ freq: "weekly", interval: 1, byWeekday: [1, 2, 3, 4, 5] }),
+  },
+  {
+    regex: phrase(`every\\s+(other\\s+|\\d{1,3}\\s+)?(day|week|month|year)s?`),
+    read: ([, every, unit]) => {
+      const interval = !every ? 1 : every.trim().toLowerCase() === "other" ? 2 : Number(every);
+      return { freq: UNITS[unit.toLowerCase()], interval };
+    },
+  },
+  {
+    regex: phrase(
+      `every\\s+((?:${WEEKDAY})(?:(?:\\s*,\\s*|\\s+and\\s+|\\s*,\\s*and\\s+)(?:${WEEKDAY}))*)`
+    ),
+    read: ([, days]) => ({
+      freq: "weekly",
+      interval: 1,
+      byWeekday: days
+        .split(/\s*,\s*(?:and\s+)?|\s+and\s+/i)
+        .map((day) => findIndex(WEEKDAY_NAMES, day)),
+    }),
+  },
+];
+
+// --- Dates ---
+// Each reader gets the regex match and today's date ({ year, month, day } in the time zone)
+// and returns { date } (a calendar day) or { instant } (an exact time, for "in 2 hours").
+
+function addDays(date, days) {
+  const result = new Date(Date.UTC(date.year, date.month, date.day + days));
+  return { year: result.getUTCFullYear(), month: result.getUTCMonth(), day: result.getUTCDate() };
+}
+
+// The same day `months` months later, or that month's last day when it is shorter
+function addMonths(date, months) {
+  const target = new Date(Date.UTC(date.year, date.month + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0));
+  return {
+    year: target.getUTCFullYear(),
+    month: target.getUTCMonth(),
+    day: Math.min(date.day, lastDay.getUTCDate()),
+  };
+}
+
+function getWeekday(date) {
+  return new Date(Date.UTC(date.year, date.month, date.day)).getUTCDay();
+}
+
+// The next day that is `weekday`: today counts unless `skipToday` is set
+function nextWeekday(today, weekday, skipToday = false) {
+  const daysAhead = (weekday - getWeekday(today) + 7) % 7;
+  return addDays(today, daysAhead === 0 && skipToday ? 7 : daysAhead);
+}
+
+function isValidDay(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && date.getUTCDate() === day;
+}
+
+// A day of a named month: this year's, or next year's once this year's has passed
+function readMonthDay(today, month, day, year) {
+  let date = { year: year ? Number(year) : today.year, month, day: Number(day) };
+  if (
+    !year &&
+    Date.UTC(date.year, month, date.day) < Date.UTC(today.year, today.month, today.day)
+  ) {
+    date = { ...date, year: date.year + 1 };
+  }
+  return isValidDay(date.year, date.month, date.day) ? { date } : null;
+}
+
+const DATE_PATTERNS = [
+  {
+    regex: phrase(`(today|tonight|tomorrow|tmrw|tmr)`),
+    read: ([, word], today) => {
+      const lowerWord = word.toLowerCase();
+      if (lowerWord === "today" || lowerWord === "tonight") {
+        return { date: today, defaultHour: lowerWord === "tonight" ? TONIGHT_HOUR : null };
+      }
+      return { date: addDays(today, 1) };
+    },
+  },
+  {
+    regex: phrase(`in\\s+(\\d{1,3}|an?)\\s+(minute|min|hour|hr|day|week|month|year)s?`),
+    read: ([, count, unit], today, now) => {
+      const amount = /^an?$/i.test(count) ? 1 : Number(count);
+      const lowerUnit = unit.toLowerCase();
+      if (["minute", "min", "hour", "hr"].includes(lowerUnit)) {
+        const minutes = lowerUnit.startsWith("h") ? amount * 60 : amount;
+        return { instant: new Date(now.getTime() + minutes * MINUTE_MS) };
+      }
+      if (lowerUnit === "day" || lowerUnit === "week") {
+        return { date: addDays(today, lowerUnit === "week" ? amount * 7 : amount) };
+      }
+      return { date: addMonths(today, lowerUnit === "year" ? amount * 12 : amount) };
+    },
+  },
+  {
+    regex: phrase(`next\\s+(week|month|year)`),
+    read: ([, unit], today) => {
+      const lowerUnit = unit.toLowerCase();
+      if (lowerUnit === "week") {
+        return { date: addDays(today, 7) };
+      }
+      return { date: addMonths(today, lowerUnit === "year" ? 12 : 1) };
+    },
+  },
+  {
+    regex: phrase(`(on|this|next)\\s+(${WEEKDAY})`),
+    read: ([, prefix, day], today) => ({
+      date: nextWeekday(today, findIndex(WEEKDAY_NAMES, day), prefix.toLowerCase() === "next"),
+    }),
+  },
+  {
+    // Abbreviations need "on" etc. in front: "sat" or "sun" alone are too likely to be words
+    regex: phrase(`(${FULL_WEEKDAY})`),
+    read: ([, day], today) => ({ date: nextWeekday(today, findIndex(WEEKDAY_NAMES, day)) }),
+  },
+  {
+    regex: phrase(`(?:on\\s+)?(\\d{4})-(\\d{1,2})-(\\d{1,2})`),
+    read: ([, year, month, day]) => {
+      const date = { year: Number(year), month: Number(month) - 1, day: Number(day) };
+      return isValidDay(date.year, date.month, date.day) ? { date } : null;
+    },
+  },
+  {
+    regex: phrase(`(?:on\\s+)?(${MONTH})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`),
+    read: ([, month, day, year], today) =>
+      readMonthDay(today, findIndex(MONTH_NAMES, month), day, year),
+  },
+  {
+    regex: phrase(
+      `(?:on\\s+)?(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH})(?:,?\\s+(\\d{4}))?`
+    ),
+    read: ([, day, month, year], today) =>
+      readMonthDay(today, findIndex(MONTH_NAMES, month), day, year),
+  },
+];
+
+// --- Times ---
+// Each reader returns { hour, minute } on a 24-hour clock, or null for an impossible time.
+
+const TIME_PATTERNS = [
+  {
+    regex: phrase(`(?:at\\s+)?(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)`),
+    read: ([, hour, minute = "0", meridiem]) => {
+      const clockHour = Number(hour);
+      if (clockHour < 1 || clockHour > 12 || Number(minute) > 59) {
+        return null;
+      }
+      const isPm = meridiem.toLowerCase().startsWith("p");
+      return { hour: (clockHour % 12) + (isPm ? 12 : 0), minute: Number(minute) };
+    },
+  },
+  {
+    regex: phrase(`(?:at\\s+)?([01]?\\d|2[0-3]):([0-5]\\d)`),
+    read: ([, hour, minute]) => ({ hour: Number(hour), minute: Number(minute) }),
+  },
+  {
+    regex: phrase(`(?:at\\s+)?(noon|midday|midnight)`),
+    read: ([, word]) => ({ hour: word.toLowerCase() === "midnight" ? 0 : 12, minute: 0 }),
+  },
+];
+
+const PRIORITY_REGEX = phrase(`!(high|medium|med|low|[123])|!(!!?)`);
+const TAG_REGEX = new RegExp(`${START}[#@][\\p{L}\\p{N}_\\-/.]*[\\p{L}\\p{N}_]${END}`, "gu");
+
+/**
+ * Parses a quick-add line. Returns
+ *   { text, dueDate, priority, tags, recurrence, matches }
+ * where `text` is the line without the recognized phrases, `dueDate` a Date or null,
+ * `recurrence` a rule for validateRecurrenceRule (or null), and `matches` lists what was
+ * recognized, as [{ field, text }], for previews. Fields named in `ignore` are left in the text.
+ * `now` and `timeZone` (an IANA zone, the runtime's own by default) anchor relative dates.
+ */
+export function parseQuickAdd(input, { now = new Date(), timeZone, ignore = [] } = {}) {
+  const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  const nowParts = getZonedParts(now, zone);
+  const today = { year: nowParts.year, month: nowParts.month, day: nowParts.day };
+  const matches = [];
+  let rest = input;
+
+  // Blanks out a recognized phrase (keeping the positions of the others) and records it
+  const take = (field, match) => {
+    rest =
+      rest.slice(0, match.index) +
+      " ".repeat(match[0].length) +
+      rest.slice(match.index + match[0].length);
+    matches.push({ field, text: match[0].trim() });
+  };
+
+  // The first pattern that matches and reads as a valid value
+  const findFirst = (field, patterns, ...args) => {
+    if (ignore.includes(field)) {
+      return null;
+    }
+    for (const { regex, read } of patterns) {
+      const match = regex.exec(rest);
+      const value = match && read(match, ...args);
+      if (value) {
+        take(field, match);
+        return value;
+      }
+    }
+    return null;
+  };
+
+  // Repeat phrases go first, so "every monday" isn't read as the date "monday"
+  const rule = findFirst("recurrence", RECURRENCE_PATTERNS);
+  const dateValue = findFirst("dueDate", DATE_PATTERNS, today, now);
+  const time = dateValue?.instant ? null : findFirst("dueDate", TIME_PATTERNS);
+
+  let dueDate = dateValue?.instant || null;
+  if (!dueDate && (dateValue || time || rule)) {
+    const hour = time ? time.hour : (dateValue?.defaultHour ?? 0);
+    const minute = time ? time.minute : 0;
+    const toInstant = (date) =>
+      zonedPartsToDate({ ...date, hour, minute, second: 0, millisecond: 0 }, zone);
+    // Without a date, the first day from `from` on that fits the repeat rule (if any)
+    const firstDay = (from) =>
+      rule?.byWeekday
+        ? rule.byWeekday
+            .map((weekday) => nextWeekday(from, weekday))
+            .sort((a, b) => Date.UTC(a.year, a.month, a.day) - Date.UTC(b.year, b.month, b.day))[0]
+        : from;
+
+    dueDate = toInstant(dateValue ? dateValue.date : firstDay(today));
+    if (!dateValue && time && dueDate < now) {
+      dueDate = toInstant(firstDay(addDays(today, 1))); // Today's has passed
+    }
+  }
+
+  let priority = null;
+  const priorityMatch = ignore.includes("priority") ? null : PRIORITY_REGEX.exec(rest);
+  if (priorityMatch) {
+    priority = PRIORITY_MARKERS[(priorityMatch[1] || priorityMatch[2]).toLowerCase()];
+    take("priority", priorityMatch);
+  }
+
+  const tags = [];
+  if (!ignore.includes("tags")) {
+    for (const match of [...rest.matchAll(TAG_REGEX)]) {
+      const tag = normalizeTag(match[0]);
+      if (tag) {
+        take("tags", match);
+        if (!tags.includes(tag)) {
+          tags.push(tag);
+        }
+      }
+    }
+  }
+
+  return {
+    // Punctuation that followed a removed phrase goes back onto the word before it
+    text: rest
+      .replace(/\s+/g, " ")
+      .replace(/ ([,.;:!?])(?= |$)/g, "$1")
+      .trim(),
+    dueDate,
+    priority,
+    tags,
+    recurrence: rule ? { byWeekday: [], ...rule, timeZone: zone } : null,
+    matches,
+  };
+}
+
+/**
+ * The parsed line as a POST /api/todos payload (dates as ISO strings), with only the fields
+ * that were found.
+ */
+export function toTodoPayload(parsed) {
+  const payload = { text: parsed.text };
+  if (parsed.dueDate) {
+    payload.dueDate = parsed.dueDate.toISOString();
+  }
+  if (parsed.priority) {
+    payload.priority = parsed.priority;
+  }
+  if (parsed.tags.length > 0) {
+    payload.tags = parsed.tags;
+  }
+  if (parsed.recurrence) {
+    payload.recurrence = parsed.recurrence;
+  }
+  return payload;
+}
@@ -0,0 +1,372 @@
+// Repeat rules for recurring todos, modelled on iCalendar RRULEs.
+// This module has no server-only imports: the API uses it to validate rules and to
+// advance due dates, and the UI uses it to describe them.
+//
+// A rule looks like:
+//   {
+//     freq: "daily" | "weekly" | "monthly" | "yearly",
+//     interval: 1,              // every N days/weeks/months/years
+//     byWeekday: [1, 3],        // weekly only: 0 = Sunday ... 6 = Saturday (empty = the due date's weekday)
+//     byMonthDay: 15,           // monthly and yearly: day of month (null = the due date's day)
+//     until: "2026-12-31T...",  // optional ISO date; no occurrence after it
+//     count: 10,                // optional total number of occurrences, including the first
+//     timeZone: "Europe/Berlin" // IANA zone the dates are stepped in, so "9am" stays 9am across DST
+//   }
+
+export const RECURRENCE_FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+export const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const RRULE_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const MAX_INTERVAL = 366;
+const MAX_COUNT = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validates and normalizes a repeat rule. `null` clears the rule.
+ * Returns { value } or { error }, like the validators in todoValidation.
+ */
+export function validateRecurrenceRule(rule) {
+  if (rule === null) {
+    return { value: null };
+  }
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    return { error: "Repeat rule must be an object." };
+  }
+
+  const { freq, interval = 1, byWeekday = [], byMonthDay = null } = rule;
+  const { until = null, count = null, timeZone = "UTC" } = rule;
+
+  if (!RECURRENCE_FREQUENCIES.includes(freq)) {
+    return { error: `Repeat frequency must be one of: ${RECURRENCE_FREQUENCIES.join(", ")}.` };
+  }
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    return { error: `Repeat interval must be a whole number between 1 and ${MAX_INTERVAL}.` };
+  }
+  if (
+    !Array.isArray(byWeekday) ||
+    !byWeekday.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+  ) {
+    return { error: "Repeat weekdays must be numbers from 0 (Sunday) to 6 (Saturday)." };
+  }
+  if (byWeekday.length > 0 && freq !== "weekly") {
+    return { error: "Repeat weekdays can only be used with a weekly rule." };
+  }
+  if (byMonthDay !== null) {
+    if (!Number.isInteger(byMonthDay) || byMonthDay < 1 || byMonthDay > 31) {
+      return { error: "Repeat day of month must be between 1 and 31." };
+    }
+    if (freq !== "monthly" && freq !== "yearly") {
+      return { error: "Repeat day of month can only be used with a monthly or yearly rule." };
+    }
+  }
+  if (until !== null && count !== null) {
+    return { error: "A repeat rule can end on a date or after a count, not both." };
+  }
+  let untilIso = null;
+  if (until !== null) {
+    const untilDate = new Date(until);
+    if (typeof until !== "string" || Number.isNaN(untilDate.getTime())) {
+      return { error: "Repeat end date is not a valid date." };
+    }
+    untilIso = untilDate.toISOString();
+  }
+  if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_COUNT)) {
+    return { error: `Repeat count must be a whole number between 1 and ${MAX_COUNT}.` };
+  }
+  if (typeof timeZone !== "string" || !isValidTimeZone(timeZone)) {
+    return { error: "Repeat time zone is not a valid IANA time zone." };
+  }
+
+  return {
+    value: {
+      freq,
+      interval,
+      byWeekday: [...new Set(byWeekday)].sort(),
+      byMonthDay,
+      until: untilIso,
+      count,
+      timeZone,
+    },
+  };
+}
+
+// --- Time zone helpers ---
+// Dates are stepped in the rule's time zone (wall-clock time), then converted back to instants.
+
+// Wall-clock parts of an instant in a time zone
+export function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return {
+    year: value("year"),
+    month: value("month") - 1, // 0-based like Date
+    day: value("day"),
+    hour: value("hour"),
+    minute: value("minute"),
+    second: value("second"),
+    millisecond: date.getUTCMilliseconds(),
+  };
+}
+
+// Offset (ms) of a time zone from UTC at a given instant
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+    parts.millisecond
+  );
+  return asUtc - date.getTime();
+}
+
+// Converts wall-clock parts in a time zone to an instant. Date.UTC normalizes overflowing days/months.
+export function zonedPartsToDate(parts, timeZone) {
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+    parts.millisecond
+  );
+  let instant = asUtc - getTimeZoneOffset(new Date(asUtc), timeZone);
+  // Re-check once: the offset can differ on the other side of a DST change
+  instant = asUtc - getTimeZoneOffset(new Date(instant), timeZone);
+  return new Date(instant);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Day number (days since the epoch) of a calendar date, for whole-day arithmetic
+function toDayNumber(year, month, day) {
+  return Math.floor(Date.UTC(year, month, day) / DAY_MS);
+}
+
+/**
+ * Pins a rule to its first due date: a monthly or yearly rule without a day of month gets the
+ * due date's day, and a weekly rule without weekdays gets the due date's weekday. Without this,
+ * a todo due on the 31st would drift to the 28th after February and stay there (and one due on
+ * February 29 would stay on the 28th after the first year that isn't a leap year).
+ */
+export function anchorRecurrenceRule(rule, dueDate) {
+  const parts = getZonedParts(new Date(dueDate), rule.timeZone || "UTC");
+  if ((rule.freq === "monthly" || rule.freq === "yearly") && !rule.byMonthDay) {
+    return { ...rule, byMonthDay: parts.day };
+  }
+  if (rule.freq === "weekly" && (!rule.byWeekday || rule.byWeekday.length === 0)) {
+    return {
+      ...rule,
+      byWeekday: [new Date(Date.UTC(parts.year, parts.month, parts.day)).getUTCDay()],
+    };
+  }
+  return rule;
+}
+
+/**
+ * Moves a rule along with its todo's due date, from `previousDueDate` to `dueDate`. A day of
+ * month or a single weekday that is just the previous due date's (as anchorRecurrenceRule
+ * fills it in, or as the editor sends it back) becomes the new due date's; days the user
+ * picked apart from the due date stay. A todo moved from the 31st to the 10th then repeats on
+ * the 10th, and one moved from a Monday to a Tuesday on Tuesdays.
+ */
+export function reanchorRecurrenceRule(rule, previousDueDate, dueDate) {
+  const previous = getZonedParts(new Date(previousDueDate), rule.timeZone || "UTC");
+  const previousWeekday = new Date(
+    Date.UTC(previous.year, previous.month, previous.day)
+  ).getUTCDay();
+  const unanchored = { ...rule };
+  if (rule.byMonthDay === previous.day) {
+    unanchored.byMonthDay = null;
+  }
+  if (rule.byWeekday?.length === 1 && rule.byWeekday[0] === previousWeekday) {
+    unanchored.byWeekday = [];
+  }
+  return anchorRecurrenceRule(unanchored, dueDate);
+}
+
+// --- Next occurrence ---
+
+/**
+ * Computes the due date of the occurrence after `dueDate`.
+ * `occurrence` is the 1-based number of the current occurrence (used with `count`).
+ * Returns null when the rule has ended.
+ * Months without the requested day (e.g. the 31st) use their last day instead.
+ */
+export function getNextOccurrence(rule, dueDate, occurrence = 1) {
+  if (rule.count !== null && rule.count !== undefined && occurrence >= rule.count) {
+    return null;
+  }
+
+  const timeZone = rule.timeZone || "UTC";
+  const current = getZonedParts(new Date(dueDate), timeZone);
+  const next = { ...current };
+
+  switch (rule.freq) {
+    case "daily":
+      next.day += rule.interval;
+      break;
+
+    case "weekly": {
+      const currentDayNumber = toDayNumber(current.year, current.month, current.day);
+      const weekdays = rule.byWeekday && rule.byWeekday.length > 0 ? rule.byWeekday : null;
+      if (!weekdays) {
+        next.day += 7 * rule.interval;
+        break;
+      }
+      // Weeks start on Monday (the RRULE default). Walk forward to the next chosen weekday
+      // that falls in the current week or in a week `interval` weeks later.
+      const weekStart = (dayNumber) =>
+        dayNumber - ((new Date(dayNumber * DAY_MS).getUTCDay() + 6) % 7);
+      const currentWeekStart = weekStart(currentDayNumber);
+      for (let offset = 1; offset <= 7 * rule.interval + 7; offset += 1) {
+        const candidate = currentDayNumber + offset;
+        const weeksApart = (weekStart(candidate) - currentWeekStart) / 7;
+        const weekday = new Date(candidate * DAY_MS).getUTCDay();
+        if (weeksApart % rule.interval === 0 && weekdays.includes(weekday)) {
+          next.day += offset;
+          break;
+        }
+      }
+      break;
+    }
+
+    case "monthly": {
+      const targetDay = rule.byMonthDay || current.day;
+      next.day = 1; // Avoid overflowing while the month changes
+      next.month += rule.interval;
+      const normalized = new Date(Date.UTC(next.year, next.month, 1));
+      next.year = normalized.getUTCFullYear();
+      next.month = normalized.getUTCMonth();
+      next.day = Math.min(targetDay, daysInMonth(next.year, next.month));
+      break;
+    }
+
+    case "yearly": {
+      const targetDay = rule.byMonthDay || current.day;
+      next.year += rule.interval;
+      next.day = Math.min(targetDay, daysInMonth(next.year, current.month)); // Feb 29 -> Feb 28
+      break;
+    }
+
+    default:
+      return null;
+  }
+
+  const nextDate = zonedPartsToDate(next, timeZone);
+  if (rule.until && nextDate.getTime() > new Date(rule.until).getTime()) {
+    return null;
+  }
+  return nextDate;
+}
+
+// --- Display helpers ---
+
+/**
+ * Human-readable summary, e.g. "Every 2 weeks on Mon, Wed, until 12/31/2026".
+ */
+export function describeRecurrence(rule) {
+  if (!rule) {
+    return "Does not repeat";
+  }
+  const units = { daily: "day", weekly: "week", monthly: "month", yearly: "year" };
+  const unit = units[rule.freq];
+  let summary = rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+
+  if (rule.freq === "weekly" && rule.byWeekday && rule.byWeekday.length > 0) {
+    summary += ` on ${rule.byWeekday.map((day) => WEEKDAY_LABELS[day]).join(", ")}`;
+  }
+  if (rule.freq === "monthly" && rule.byMonthDay) {
+    summary += ` on day ${rule.byMonthDay}`;
+  }
+  if (rule.until) {
+    summary += `, until ${new Date(rule.until).toLocaleDateString()}`;
+  }
+  if (rule.count) {
+    summary += `, ${rule.count} time${rule.count === 1 ? "" : "s"}`;
+  }
+  return summary;
+}
+
+/**
+ * The rule in iCalendar RRULE syntax, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE".
+ */
+export function toRRule(rule) {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`, `INTERVAL=${rule.interval}`];
+  if (rule.byWeekday && rule.byWeekday.length > 0) {
+    parts.push(`BYDAY=${rule.byWeekday.map((day) => RRULE_WEEKDAYS[day]).join(",")}`);
+  }
+  // A yearly rule's day is that of the due date: with FREQ=YEARLY, BYMONTHDAY means every month
+  if (rule.byMonthDay && rule.freq === "monthly") {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${rule.until.replace(/[-:]/g, "").replace(/\.\d{3}/, "")}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  return parts.join(";");
+}
+
+/**
+ * Reads a rule from iCalendar RRULE syntax (the reverse of toRRule), stepping in `timeZone`.
+ * `parseDate` turns an UNTIL value into an ISO string. Returns the rule unvalidated (see
+ * validateRecurrenceRule), or null when it uses parts this app can't represent.
+ */
+export function fromRRule(rrule, timeZone, parseDate) {
+  const parts = Object.fromEntries(
+    rrule
+      .replace(/^RRULE:/i, "")
+      .split(";")
+      .map((part) => part.split("="))
+      .map(([name, value = ""]) => [name.toUpperCase(), value.toUpperCase()])
+  );
+  const freq = parts.FREQ?.toLowerCase();
+  const supported = ["FREQ", "INTERVAL", "BYDAY", "BYMONTHDAY", "UNTIL", "COUNT", "WKST"];
+  if (
+    !RECURRENCE_FREQUENCIES.includes(freq) ||
+    Object.keys(parts).some((name) => !supported.includes(name)) ||
+    (freq === "yearly" && parts.BYMONTHDAY) // Every month in iCalendar, see toRRule
+  ) {
+    return null;
+  }
+
+  const rule = {
+    freq,
+    interval: parts.INTERVAL ? Number(parts.INTERVAL) : 1,
+    byWeekday: parts.BYDAY ? parts.BYDAY.split(",").map((day) => RRULE_WEEKDAYS.indexOf(day)) : [],
+    byMonthDay: parts.BYMONTHDAY ? Number(parts.BYMONTHDAY) : null,
+    until: parts.UNTIL ? parseDate(parts.UNTIL) : null,
+    count: parts.COUNT ? Number(parts.COUNT) : null,
+    timeZone,
+  };
+  // "BYDAY=1MO" (the first Monday) and the like have no equivalent here
+  if (rule.byWeekday.includes(-1)) {
+    return null;
+  }
+  return rule;
+}
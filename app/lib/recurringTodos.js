@@ -0,0 +1,48 @@
+// Server-side helpers for generating the next occurrence of a recurring todo.
+
+import { admin } from "@/app/lib/firebaseAdmin.cjs";
+import { getNextOccurrence } from "@/app/lib/recurrence";
+
+// Fields that belong to one occurrence only and are not carried over to the next
+const PER_OCCURRENCE_FIELDS = [
+  "completed",
+  "dueDate",
+  "remindersSent",
+  "occurrence",
+  "createdAt",
+  "updatedAt",
+  "previousOccurrenceId",
+  "nextOccurrenceId",
+];
+
+/**
+ * Builds the Firestore data for the occurrence after `todoData` (whose document ID is `todoId`),
+ * or returns null when the repeat rule has ended.
+ * Everything else (text, priority, the rule itself, subtasks...) is copied, with subtasks reset.
+ */
+export function buildNextOccurrence(todoId, todoData) {
+  const currentDueDate = todoData.dueDate.toDate ? todoData.dueDate.toDate() : todoData.dueDate;
+  const occurrence = todoData.occurrence || 1;
+  const nextDueDate = getNextOccurrence(todoData.recurrence, currentDueDate, occurrence);
+  if (!nextDueDate) {
+    return null;
+  }
+
+  const nextTodo = { ...todoData };
+  for (const field of PER_OCCURRENCE_FIELDS) {
+    delete nextTodo[field];
+  }
+  if (Array.isArray(todoData.subtasks)) {
+    nextTodo.subtasks = todoData.subtasks.map((subtask) => ({ ...subtask, completed: false }));
+  }
+
+  return {
+    ...nextTodo,
+    completed: false,
+    dueDate: nextDueDate,
+    occurrence: occurrence + 1,
+    previousOccurrenceId: todoId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
@@ -0,0 +1,130 @@
+// Server-side scheduler for due-date reminders, run by the /api/reminders/send cron job.
+// Each run looks at the open todos due between REMINDER_GRACE_HOURS ago and the largest
+// reminder offset ahead, and sends every reminder whose time has come but that hasn't been
+// sent for the todo's current due date. A reminder missed for longer than the grace period
+// (e.g. while the job wasn't running) is dropped rather than sent late.
+//
+// When several reminders of one todo are due at once, only one notification goes out.
+// Reminders are marked as sent before they are delivered, so overlapping runs never send the
+// same reminder twice; the price is that a reminder whose delivery fails isn't retried.
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { MAX_REMINDER_OFFSET } from "@/app/lib/todoValidation";
+import { getReminderTime, describeDueTime } from "@/app/lib/reminders";
+import { deliverNotification } from "@/app/lib/notificationChannels";
+
+const DEFAULT_REMINDER_GRACE_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// How late a reminder may still be sent, configurable through the REMINDER_GRACE_HOURS env
+// variable. It should be longer than the time between two runs of the job.
+export const REMINDER_GRACE_HOURS =
+  Number.parseInt(process.env.REMINDER_GRACE_HOURS, 10) > 0
+    ? Number.parseInt(process.env.REMINDER_GRACE_HOURS, 10)
+    : DEFAULT_REMINDER_GRACE_HOURS;
+
+// The offsets already sent for the todo's current due date
+function getSentReminders(todoData) {
+  const { remindersSent } = todoData;
+  return remindersSent && remindersSent.dueTime === todoData.dueDate.toMillis()
+    ? remindersSent.offsets
+    : [];
+}
+
+// The todo's reminders that are due at `now` (in milliseconds) and haven't been sent yet
+function getPendingReminders(todoData, now) {
+  if (todoData.completed || !todoData.dueDate || !Array.isArray(todoData.reminders)) {
+    return [];
+  }
+  const dueTime = todoData.dueDate.toMillis();
+  const sent = getSentReminders(todoData);
+  return todoData.reminders.filter((offset) => {
+    const reminderTime = getReminderTime(dueTime, offset);
+    return (
+      !sent.includes(offset) &&
+      reminderTime <= now &&
+      reminderTime > now - REMINDER_GRACE_HOURS * HOUR_MS
+    );
+  });
+}
+
+// Marks the todo's pending reminders as sent. Resolves to the todo's data when there were any,
+// or null when there is nothing to send (any more).
+async function claimPendingReminders(todoRef, now) {
+  return adminDb.runTransaction(async (transaction) => {
+    const todoDoc = await transaction.get(todoRef);
+    if (!todoDoc.exists) {
+      return null;
+    }
+    const todoData = todoDoc.data();
+    const pending = getPendingReminders(todoData, now);
+    if (pending.length === 0) {
+      return null;
+    }
+    // Bookkeeping only, so updatedAt stays as it is
+    transaction.update(todoRef, {
+      remindersSent: {
+        dueTime: todoData.dueDate.toMillis(),
+        offsets: [...getSentReminders(todoData), ...pending],
+      },
+    });
+    return todoData;
+  });
+}
+
+/**
+ * Sends the reminders that are due at `now` to the owners of their todos.
+ * Resolves to { checked, sent }: the number of todos looked at and of notifications sent.
+ */
+export async function sendDueReminders(now = Date.now()) {
+  const todosSnapshot = await adminDb
+    .collection("todos")
+    .where(
+      "dueDate",
+      ">=",
+      admin.firestore.Timestamp.fromMillis(now - REMINDER_GRACE_HOURS * HOUR_MS)
+    )
+    .where(
+      "dueDate",
+      "<=",
+      admin.firestore.Timestamp.fromMillis(now + MAX_REMINDER_OFFSET * MINUTE_MS)
+    )
+    .select("completed", "dueDate", "reminders", "remindersSent")
+    .get();
+
+  const recipients = new Map(); // Owner UID -> { uid, email }, looked up once per run
+  let sent = 0;
+  for (const doc of todosSnapshot.docs) {
+    if (getPendingReminders(doc.data(), now).length === 0) {
+      continue;
+    }
+    try {
+      const todoData = await claimPendingReminders(doc.ref, now);
+      if (!todoData) {
+        continue;
+      }
+
+      if (!recipients.has(todoData.userId)) {
+        const owner = await admin.auth().getUser(todoData.userId);
+        recipients.set(todoData.userId, { uid: owner.uid, email: owner.email || null });
+      }
+      const { delivered } = await deliverNotification(
+        {
+          type: "reminder",
+          todoId: doc.id,
+          title: todoData.text,
+          body: describeDueTime(todoData.dueDate.toMillis(), now),
+          dueDate: todoData.dueDate.toDate(),
+        },
+        recipients.get(todoData.userId)
+      );
+      if (delivered.length > 0) {
+        sent++;
+      }
+    } catch (error) {
+      console.error(`Error sending the reminder for todo ${doc.id}:`, error);
+    }
+  }
+  return { checked: todosSnapshot.size, sent };
+}
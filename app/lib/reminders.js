@@ -0,0 +1,54 @@
+// Due-date reminders, shared by the client and the server.
+// A todo's `reminders` field lists when to remind its owner, in minutes before the due date:
+// [0, 1440] means "at due time" and "1 day before". Which of them have been sent for the
+// current due date is kept in `remindersSent` (see reminderScheduler.js), so moving the due
+// date arms them all again.
+
+const MINUTE_MS = 60 * 1000;
+
+// The choices offered in the UI, in minutes before the due date
+export const REMINDER_OPTIONS = [0, 5, 15, 30, 60, 120, 1440, 2880, 10080];
+
+const UNITS = [
+  { minutes: 7 * 24 * 60, name: "week" },
+  { minutes: 24 * 60, name: "day" },
+  { minutes: 60, name: "hour" },
+  { minutes: 1, name: "minute" },
+];
+
+/**
+ * A duration in minutes in words, in the largest unit that divides it, e.g. 90 -> "90 minutes",
+ * 120 -> "2 hours". With `{ round: true }` it is rounded to the largest unit that fits instead.
+ */
+export function formatMinutes(minutes, { round = false } = {}) {
+  const unit =
+    UNITS.find((candidate) =>
+      round ? minutes >= candidate.minutes : minutes % candidate.minutes === 0
+    ) || UNITS[UNITS.length - 1];
+  const count = Math.max(1, Math.round(minutes / unit.minutes));
+  return `${count} ${unit.name}${count === 1 ? "" : "s"}`;
+}
+
+// One reminder in words, e.g. 0 -> "At due time", 1440 -> "1 day before"
+export function describeReminder(offset) {
+  return offset === 0 ? "At due time" : `${formatMinutes(offset)} before`;
+}
+
+// The time a reminder is due, in milliseconds, for a due date in milliseconds
+export function getReminderTime(dueTime, offset) {
+  return dueTime - offset * MINUTE_MS;
+}
+
+/**
+ * How a due date stands at `now` (both in milliseconds), for the text of a reminder:
+ * "Due in 1 day", "Due now" or "Overdue by 2 hours".
+ */
+export function describeDueTime(dueTime, now) {
+  const minutes = Math.round((dueTime - now) / MINUTE_MS);
+  if (minutes === 0) {
+    return "Due now";
+  }
+  return minutes > 0
+    ? `Due in ${formatMinutes(minutes, { round: true })}`
+    : `Overdue by ${formatMinutes(-minutes, { round: true })}`;
+}
@@ -0,0 +1,124 @@
+// Tokenizing, matching and ranking for todo search.
+// This module has no server-only imports: the search API uses it to index and rank todos,
+// and the UI uses the same matching to highlight results.
+//
+// Matching is case- and accent-insensitive and prefix-aware: the query "gro" matches the
+// word "Groceries". Every query term has to match somewhere in the todo's text, notes or tags.
+
+export const SEARCH_QUERY_MAX_LENGTH = 200;
+export const MAX_QUERY_TERMS = 10;
+// Words are indexed by their prefixes up to this length; longer terms are checked in memory
+export const MAX_INDEXED_TERM_LENGTH = 15;
+// Keeps index documents well under Firestore's per-document index entry limit
+const MAX_INDEX_TERMS = 10000;
+
+// Points per matching term, by field; a whole-word match counts double a prefix match
+const FIELD_WEIGHTS = { text: 3, tags: 2, notes: 1 };
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lower case without accents, so "Café" matches "cafe"
+function normalizeWord(word) {
+  return word.normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+/**
+ * Splits text into words: [{ word, start, end }], where `word` is normalized and
+ * start/end are its position in the original text.
+ */
+export function tokenize(text) {
+  if (typeof text !== "string") {
+    return [];
+  }
+  return [...text.matchAll(WORD_PATTERN)].map((match) => ({
+    word: normalizeWord(match[0]),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+// The distinct normalized terms of a search query, at most MAX_QUERY_TERMS of them
+export function parseSearchQuery(query) {
+  return [...new Set(tokenize(query).map(({ word }) => word))].slice(0, MAX_QUERY_TERMS);
+}
+
+// The index term a query term is looked up by
+export function getIndexTerm(term) {
+  return term.slice(0, MAX_INDEXED_TERM_LENGTH);
+}
+
+/**
+ * The index terms for a todo: every prefix of every word in its text, tags and notes,
+ * so that a prefix search is a single array-contains lookup.
+ */
+export function buildSearchTerms(todo) {
+  const terms = new Set();
+  for (const value of [todo.text, ...(todo.tags || []), todo.notes]) {
+    for (const { word } of tokenize(value)) {
+      const indexedWord = getIndexTerm(word);
+      for (let length = 1; length <= indexedWord.length; length++) {
+        terms.add(indexedWord.slice(0, length));
+      }
+    }
+    if (terms.size >= MAX_INDEX_TERMS) {
+      break; // Very long notes: the text and tags come first, so they are always indexed
+    }
+  }
+  return [...terms].slice(0, MAX_INDEX_TERMS);
+}
+
+/**
+ * The parts of `text` matched by the query terms, as sorted [start, end] ranges.
+ * Only the matching prefix of a word is included.
+ */
+export function findMatches(text, terms) {
+  const ranges = [];
+  for (const { word, start, end } of tokenize(text)) {
+    const matchLength = Math.max(
+      0,
+      ...terms.filter((term) => word.startsWith(term)).map((term) => term.length)
+    );
+    if (matchLength > 0) {
+      ranges.push([start, Math.min(end, start + matchLength)]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Ranks a todo against the query terms.
+ * Returns null when some term matches nowhere, otherwise `{ score, highlights }` where
+ * highlights holds the matched ranges of `text` and `notes` and the matching `tags`.
+ */
+export function scoreTodo(todo, terms) {
+  const fieldWords = {
+    text: tokenize(todo.text),
+    tags: (todo.tags || []).flatMap((tag) => tokenize(tag)),
+    notes: tokenize(todo.notes),
+  };
+
+  let score = 0;
+  for (const term of terms) {
+    let termScore = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const { word } of fieldWords[field]) {
+        if (word.startsWith(term)) {
+          termScore = Math.max(termScore, word === term ? weight * 2 : weight);
+        }
+      }
+    }
+    if (termScore === 0) {
+      return null;
+    }
+    score += termScore;
+  }
+
+  return {
+    score,
+    highlights: {
+      text: findMatches(todo.text, terms),
+      notes: findMatches(todo.notes, terms),
+      tags: (todo.tags || []).filter((tag) => findMatches(tag, terms).length > 0),
+    },
+  };
+}
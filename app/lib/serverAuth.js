@@ -0,0 +1,186 @@
+// Server-side authentication helpers shared by the API routes.
+// Requests carry a Firebase ID token ("Authorization: Bearer <token>"), which is verified
+// here; the /api/todos routes also take a personal API token (see apiTokens.js) in its place.
+// Account roles such as "admin" are Firebase custom claims set to true on the user
+// (admin.auth().setCustomUserClaims(uid, { admin: true })); they show up in new ID tokens.
+
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { admin } from "@/app/lib/firebaseAdmin.cjs";
+import { AUTH_ERROR_CODES, needsEmailVerification } from "@/app/lib/authErrors";
+import { isApiToken, verifyApiToken, isRevokedWithSessions } from "@/app/lib/apiTokens";
+
+// Roles an account can have through custom claims
+export const ACCOUNT_ROLES = ["admin"];
+
+// The 401 for each reason a token is turned down (see authErrors.js)
+const AUTH_ERROR_MESSAGES = {
+  missing: "Authentication required.",
+  invalid: "Authentication failed: the sign-in token is not valid.",
+  expired: "Your sign-in has expired. Please try again.",
+  revoked: "Your session has ended. Please sign in again.",
+  disabled: "This account has been disabled.",
+};
+
+// Firebase Admin error codes that mean the token was turned down, and why
+const TOKEN_ERROR_REASONS = {
+  "auth/argument-error": "invalid",
+  "auth/invalid-argument": "invalid",
+  "auth/invalid-id-token": "invalid",
+  "auth/id-token-expired": "expired",
+  "auth/id-token-revoked": "revoked",
+  "auth/user-not-found": "revoked", // Deleted since the token was issued
+  "auth/user-disabled": "disabled",
+};
+
+// Requests a read-only API token may make
+const READ_METHODS = ["GET", "HEAD"];
+
+function authErrorResponse(reason) {
+  return NextResponse.json(
+    { error: AUTH_ERROR_MESSAGES[reason], code: AUTH_ERROR_CODES[reason] },
+    { status: 401 }
+  );
+}
+
+// Whether decoded token claims give the account a role
+export function hasAccountRole(claims, role) {
+  return claims?.[role] === true;
+}
+
+function forbiddenResponse(error) {
+  return { response: NextResponse.json({ error }, { status: 403 }) };
+}
+
+// Authenticates a request made with a personal API token, see authenticateRequest
+async function authenticateApiToken(request, token, recordUse) {
+  const apiToken = await verifyApiToken(token, { recordUse });
+  if (!apiToken) {
+    return { response: authErrorResponse("invalid") }; // Unknown or revoked
+  }
+  let userRecord;
+  try {
+    userRecord = await admin.auth().getUser(apiToken.uid);
+  } catch (error) {
+    if (error.code === "auth/user-not-found") {
+      return { response: authErrorResponse("revoked") };
+    }
+    throw error;
+  }
+  if (userRecord.disabled) {
+    return { response: authErrorResponse("disabled") };
+  }
+  if (isRevokedWithSessions(apiToken.createdAt, userRecord)) {
+    return { response: authErrorResponse("revoked") };
+  }
+  if (apiToken.scope === "read" && !READ_METHODS.includes(request.method)) {
+    return forbiddenResponse("Forbidden: This API token is read-only.");
+  }
+  return {
+    uid: apiToken.uid,
+    email: userRecord.email?.toLowerCase() || null,
+    claims: null,
+    apiToken: { id: apiToken.id, scope: apiToken.scope },
+  };
+}
+
+// --- Helper function to authenticate a request ---
+// Verifies the request's ID token. Returns { uid, email, claims } on success (email in lower
+// case, or null if the account has none; claims is the whole decoded token, custom claims
+// included), or { response } with the error response to send:
+//   401 with a `code` from AUTH_ERROR_CODES when there is no valid token,
+//   403 with the "unverified" code when the user signed up with a password and hasn't
+//       verified their email yet (unless `allowUnverified` is set),
+//   403 when `accountRole` is given and the user doesn't have it,
+//   503 when the token couldn't be checked at all (e.g. Google's keys couldn't be fetched).
+// With `allowApiTokens`, a personal API token works as well: then `claims` is null and
+// `apiToken` is { id, scope }, and read-only tokens get a 403 for anything but GET and HEAD.
+// Disabled and deleted users' tokens are turned down, and so are tokens created before the
+// user's sessions were last revoked. `recordApiTokenUse: false` leaves the token's lastUsedAt
+// as it is.
+// With `checkRevoked` (always on with `accountRole`), tokens issued before the user's
+// sessions were revoked, and tokens of disabled users, are turned down too. That costs a user
+// lookup, so it's meant for sensitive routes.
+export async function authenticateRequest(
+  request,
+  {
+    checkRevoked = false,
+    accountRole,
+    allowUnverified = false,
+    allowApiTokens = false,
+    recordApiTokenUse = true,
+  } = {}
+) {
+  const authHeader = request.headers.get("Authorization");
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return { response: authErrorResponse("missing") };
+  }
+  const idToken = authHeader.slice("Bearer ".length).trim();
+  if (!idToken) {
+    return { response: authErrorResponse("missing") };
+  }
+  if (isApiToken(idToken)) {
+    if (!allowApiTokens || accountRole) {
+      return forbiddenResponse("Forbidden: Personal API tokens only work with the todo API.");
+    }
+    try {
+      return await authenticateApiToken(request, idToken, recordApiTokenUse);
+    } catch (error) {
+      console.error("Error verifying API token:", error);
+      return {
+        response: NextResponse.json(
+          { error: "Sign-in could not be checked right now. Please try again." },
+          { status: 503 }
+        ),
+      };
+    }
+  }
+
+  let claims;
+  try {
+    claims = await admin.auth().verifyIdToken(idToken, checkRevoked || Boolean(accountRole));
+  } catch (error) {
+    const reason = TOKEN_ERROR_REASONS[error.code];
+    if (reason) {
+      return { response: authErrorResponse(reason) }; // Expected; not worth logging
+    }
+    console.error("Error verifying ID token:", error);
+    return {
+      response: NextResponse.json(
+        { error: "Sign-in could not be checked right now. Please try again." },
+        { status: 503 }
+      ),
+    };
+  }
+
+  if (!allowUnverified && needsEmailVerification(claims)) {
+    return {
+      response: NextResponse.json(
+        {
+          error: "Please verify your email address first.",
+          code: AUTH_ERROR_CODES.unverified,
+        },
+        { status: 403 }
+      ),
+    };
+  }
+  if (accountRole && !hasAccountRole(claims, accountRole)) {
+    return forbiddenResponse(`Forbidden: This needs the ${accountRole} role.`);
+  }
+  return { uid: claims.uid, email: claims.email?.toLowerCase() || null, claims };
+}
+
+// --- Helper function to authorize scheduled jobs ---
+// Cron jobs (see vercel.json) must send the CRON_SECRET env variable as a bearer token:
+// "Authorization: Bearer <CRON_SECRET>". Returns null when the request may run the job,
+// or the error response to send back.
+export function authorizeCronRequest(request) {
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) {
+    console.error("CRON_SECRET is not set; refusing to run the scheduled job.");
+    return NextResponse.json({ error: "Scheduled jobs are not configured." }, { status: 503 });
+  }
+  if (request.headers.get("authorization") !== `Bearer ${cronSecret}`) {
+    return NextResponse.json({ error: "Authentication required." }, { status: 401 });
+  }
+  return null;
+}
@@ -0,0 +1,79 @@
+// Roles for todos and lists shared with other users.
+// This module has no server-only imports: the API uses it for access checks, and the UI uses it
+// to decide which actions to offer.
+//
+// A shared todo or list stores its collaborators next to the owner's `userId`:
+//   collaborators:   { [uid]: { role: "viewer" | "editor", email } }
+//   collaboratorIds: [uid, ...]  // the same uids, so queries can use array-contains
+//
+// Viewers can read; editors can also change todos (and add todos to a shared list);
+// only the owner can delete, move or share. Owning a list makes you owner of every todo in it.
+
+export const COLLABORATOR_ROLES = ["viewer", "editor"];
+export const SHARE_RESOURCE_TYPES = ["todo", "list"];
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+/**
+ * The role a user has on one todo or list document: "owner", "editor", "viewer" or null.
+ */
+export function getResourceRole(data, uid) {
+  if (!data || !uid) {
+    return null;
+  }
+  if (data.userId === uid) {
+    return "owner";
+  }
+  return data.collaborators?.[uid]?.role || null;
+}
+
+// Tells whether `role` is at least `requiredRole`
+export function hasRole(role, requiredRole) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[requiredRole];
+}
+
+// The stronger of two roles (either may be null)
+export function highestRole(role, otherRole) {
+  return (ROLE_RANK[otherRole] || 0) > (ROLE_RANK[role] || 0) ? otherRole : role;
+}
+
+/**
+ * The role a user has on a todo, taking the list it is in into account.
+ * `list` is the todo's list document data, or null when it isn't known/shared.
+ */
+export function getTodoRole(todo, list, uid) {
+  const todoRole = getResourceRole(todo, uid);
+  return list && list.id === todo.listId
+    ? highestRole(todoRole, getResourceRole(list, uid))
+    : todoRole;
+}
+
+/**
+ * Everyone other than `uid` who can see a todo: its owner and its collaborators,
+ * plus the owner and collaborators of its list. Returns [{ uid, email, role }].
+ */
+export function getOtherMembers(todo, list, uid) {
+  const members = new Map();
+  const addMembers = (data) => {
+    if (!data) {
+      return;
+    }
+    if (data.userId && !members.has(data.userId)) {
+      members.set(data.userId, { uid: data.userId, email: data.ownerEmail || null, role: "owner" });
+    }
+    for (const [memberUid, { role, email }] of Object.entries(data.collaborators || {})) {
+      const known = members.get(memberUid);
+      members.set(memberUid, {
+        uid: memberUid,
+        email: email || known?.email || null,
+        role: highestRole(known?.role || null, role),
+      });
+    }
+  };
+  addMembers(todo);
+  if (list && list.id === todo.listId) {
+    addMembers(list);
+  }
+  members.delete(uid);
+  return [...members.values()];
+}
@@ -0,0 +1,82 @@
+// Server-side helpers for the ordered checklist of subtasks stored on each todo.
+// Subtasks live in a `subtasks` array on the todo document, so a todo and its
+// progress are always read together and the order is simply the array order.
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { serializeTodo } from "@/app/lib/todoSerializer";
+import { buildNextOccurrence } from "@/app/lib/recurringTodos";
+import { getSearchIndexRef, buildSearchIndexEntry } from "@/app/lib/todoSearchIndex";
+import { buildHistoryWrite } from "@/app/lib/todoHistory";
+
+/**
+ * Changes a todo's subtasks inside a transaction.
+ * `mutate(subtasks)` receives a copy of the current array and returns either
+ * `{ subtasks }` with the new array, or `{ error, status }` to abort.
+ * When the todo has autoCompleteParent set, its `completed` flag follows the subtasks:
+ * done once every subtask is done, open again as soon as one isn't. Completing a recurring
+ * todo this way creates its next occurrence, just like completing it through PUT /api/todos/[id].
+ * `uid` is the user making the change, for the todo's history.
+ * Resolves to `{ todo }` (the updated, serialized todo) or the `{ error, status }` from mutate.
+ */
+export async function updateSubtasks(todoId, uid, mutate) {
+  const todoRef = adminDb.collection("todos").doc(todoId);
+
+  const result = await adminDb.runTransaction(async (transaction) => {
+    const todoDoc = await transaction.get(todoRef);
+    if (!todoDoc.exists) {
+      return { error: "Todo item not found.", status: 404 };
+    }
+    const todoData = todoDoc.data();
+
+    const mutation = mutate([...(todoData.subtasks || [])]);
+    if (mutation.error) {
+      return mutation;
+    }
+
+    const updates = {
+      subtasks: mutation.subtasks,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (todoData.autoCompleteParent && mutation.subtasks.length > 0) {
+      updates.completed = mutation.subtasks.every((subtask) => subtask.completed);
+    }
+
+    const completesOccurrence =
+      updates.completed === true &&
+      !todoData.completed &&
+      !todoData.nextOccurrenceId &&
+      todoData.recurrence &&
+      todoData.dueDate;
+    if (completesOccurrence) {
+      const nextTodo = buildNextOccurrence(todoId, { ...todoData, ...updates });
+      if (nextTodo) {
+        const nextTodoRef = adminDb.collection("todos").doc();
+        transaction.set(nextTodoRef, nextTodo);
+        transaction.set(getSearchIndexRef(nextTodoRef.id), buildSearchIndexEntry(nextTodo));
+        buildHistoryWrite(nextTodoRef.id, {
+          action: "create",
+          before: {},
+          after: nextTodo,
+          actorId: uid,
+        })(transaction);
+        updates.nextOccurrenceId = nextTodoRef.id;
+      }
+    }
+
+    transaction.update(todoRef, updates);
+    buildHistoryWrite(todoId, {
+      action: "update",
+      before: todoData,
+      after: { ...todoData, ...updates },
+      actorId: uid,
+    })?.(transaction);
+    return {};
+  });
+
+  if (result.error) {
+    return result;
+  }
+
+  const updatedTodoDoc = await todoRef.get();
+  return { todo: serializeTodo(updatedTodoDoc.id, updatedTodoDoc.data()) };
+}
@@ -0,0 +1,103 @@
+// Server-side access checks for individual todo items and lists.
+// Access is role based (see sharing.js): the owner, editors and viewers of a todo or of its list.
+
+import { adminDb } from "@/app/lib/firebaseAdmin.cjs";
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { authenticateRequest } from "@/app/lib/serverAuth";
+import { getResourceRole, hasRole, highestRole } from "@/app/lib/sharing";
+
+// What each role may not do, for the 403 message
+const FORBIDDEN_MESSAGES = {
+  viewer: "Forbidden: You only have view access to this",
+  editor: "Forbidden: Only the owner can do this to this",
+};
+
+// The 403 message for a user with `role` (null = no access) on a todo or list
+export function getForbiddenMessage(role, noun) {
+  return role
+    ? `${FORBIDDEN_MESSAGES[role]} ${noun}.`
+    : `Forbidden: You do not have access to this ${noun}.`;
+}
+
+function forbiddenResponse(role, noun) {
+  return NextResponse.json({ error: getForbiddenMessage(role, noun) }, { status: 403 });
+}
+
+// --- Helper function to check a user's access to a todo ---
+// The user's role is the highest of their role on the todo itself and on the list it is in.
+// Returns { exists, authorized, role, data }; `authorized` means the role is at least requiredRole.
+export async function checkTodoAccess(todoId, userId, requiredRole = "viewer") {
+  const todoDoc = await adminDb.collection("todos").doc(todoId).get();
+  if (!todoDoc.exists) {
+    return { exists: false };
+  }
+  const todoData = todoDoc.data();
+  let role = getResourceRole(todoData, userId);
+
+  if (todoData.listId && role !== "owner") {
+    const listDoc = await adminDb.collection("lists").doc(todoData.listId).get();
+    if (listDoc.exists) {
+      role = highestRole(role, getResourceRole(listDoc.data(), userId));
+    }
+  }
+  return { exists: true, authorized: hasRole(role, requiredRole), role, data: todoData };
+}
+
+// --- Helper function to authenticate a request and check access to a todo ---
+// Used by the routes nested under /api/todos/[id], which take personal API tokens too.
+// Returns { uid, role, data } on success, or { response } with the error response to send.
+export async function authorizeTodoAccess(request, id, requiredRole = "viewer") {
+  const auth = await authenticateRequest(request, { allowApiTokens: true });
+  if (auth.response) {
+    return { response: auth.response };
+  }
+  const { uid } = auth;
+  if (!id) {
+    return { response: NextResponse.json({ error: "Todo ID is required." }, { status: 400 }) };
+  }
+
+  const access = await checkTodoAccess(id, uid, requiredRole);
+
+  if (!access.exists) {
+    return { response: NextResponse.json({ error: "Todo item not found." }, { status: 404 }) };
+  }
+  if (!access.authorized) {
+    return { response: forbiddenResponse(access.role, "todo item") };
+  }
+  return { uid, role: access.role, data: access.data };
+}
+
+// --- Helper function to check a user's access to a list ---
+// Returns { exists, authorized, role, data }, like checkTodoAccess.
+export async function checkListAccess(listId, userId, requiredRole = "viewer") {
+  const listDoc = await adminDb.collection("lists").doc(listId).get();
+  if (!listDoc.exists) {
+    return { exists: false };
+  }
+  const listData = listDoc.data();
+  const role = getResourceRole(listData, userId);
+  return { exists: true, authorized: hasRole(role, requiredRole), role, data: listData };
+}
+
+// --- Helper function to authenticate a request and check access to a list ---
+// Used by the /api/lists/[id] routes. Returns { uid, role, data } or { response }, like authorizeTodoAccess.
+export async function authorizeListAccess(request, id, requiredRole = "viewer") {
+  const auth = await authenticateRequest(request);
+  if (auth.response) {
+    return { response: auth.response };
+  }
+  const { uid } = auth;
+  if (!id) {
+    return { response: NextResponse.json({ error: "List ID is required." }, { status: 400 }) };
+  }
+
+  const access = await checkListAccess(id, uid, requiredRole);
+
+  if (!access.exists) {
+    return { response: NextResponse.json({ error: "List not found." }, { status: 404 }) };
+  }
+  if (!access.authorized) {
+    return { response: forbiddenResponse(access.role, "list") };
+  }
+  return { uid, role: access.role, data: access.data };
+}
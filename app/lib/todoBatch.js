@@ -0,0 +1,155 @@
+// Server-side bulk changes to many todos at once, for POST /api/todos/batch.
+// Every todo is checked on its own, so one todo the user can't change doesn't stop the rest.
+// Deleted todos go to the trash, like with DELETE /api/todos/[id].
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { commitWriteGroups } from "@/app/lib/batchWrites";
+import { checkTodoAccess, getForbiddenMessage } from "@/app/lib/todoAccess";
+import { checkListReference } from "@/app/lib/todoLists";
+import { buildNextOccurrence } from "@/app/lib/recurringTodos";
+import { reanchorRecurrenceRule } from "@/app/lib/recurrence";
+import { getSearchIndexRef, buildSearchIndexEntry } from "@/app/lib/todoSearchIndex";
+import { buildTrashWrites } from "@/app/lib/todoTrash";
+import { buildHistoryWrite } from "@/app/lib/todoHistory";
+
+// The role each action needs, like the single-todo routes: deleting and moving is for owners
+const ACTION_ROLES = {
+  complete: "editor",
+  uncomplete: "editor",
+  setPriority: "editor",
+  setDueDate: "editor",
+  delete: "owner",
+  move: "owner",
+};
+
+/**
+ * The writes that apply one action to one todo, as `{ writes }` (see commitWriteGroups),
+ * or `{ error }` when the action can't apply to this todo.
+ * Completing a repeating todo also creates its next occurrence, like PUT /api/todos/[id].
+ */
+function buildTodoWrites(id, todoData, action, value, uid) {
+  const todoRef = adminDb.collection("todos").doc(id);
+  if (action === "delete") {
+    return { writes: buildTrashWrites(id, todoData, uid) };
+  }
+
+  const updates = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+  const writes = [];
+  if (action === "complete" || action === "uncomplete") {
+    updates.completed = action === "complete";
+  } else if (action === "setPriority") {
+    updates.priority = value;
+  } else if (action === "setDueDate") {
+    if (!value && todoData.recurrence) {
+      return { error: "A repeating todo needs a due date." };
+    }
+    updates.dueDate = value;
+    if (todoData.recurrence) {
+      // The rule's day of month or weekday follows the due date, like PUT /api/todos/[id]
+      updates.recurrence = reanchorRecurrenceRule(
+        todoData.recurrence,
+        todoData.dueDate.toDate(),
+        value
+      );
+    }
+  } else if (action === "move") {
+    updates.listId = value;
+  }
+
+  const completesOccurrence =
+    updates.completed === true &&
+    !todoData.completed &&
+    !todoData.nextOccurrenceId &&
+    todoData.recurrence &&
+    todoData.dueDate;
+  if (completesOccurrence) {
+    const nextTodo = buildNextOccurrence(id, { ...todoData, ...updates });
+    if (nextTodo) {
+      const nextTodoRef = adminDb.collection("todos").doc();
+      writes.push(
+        (batch) => batch.set(nextTodoRef, nextTodo),
+        (batch) => batch.set(getSearchIndexRef(nextTodoRef.id), buildSearchIndexEntry(nextTodo)),
+        buildHistoryWrite(nextTodoRef.id, {
+          action: "create",
+          before: {},
+          after: nextTodo,
+          actorId: uid,
+        })
+      );
+      updates.nextOccurrenceId = nextTodoRef.id;
+    }
+  }
+
+  writes.push((batch) => batch.update(todoRef, updates));
+  const historyWrite = buildHistoryWrite(id, {
+    action: "update",
+    before: todoData,
+    after: { ...todoData, ...updates },
+    actorId: uid,
+  });
+  if (historyWrite) {
+    writes.push(historyWrite);
+  }
+  return { writes, nextOccurrenceId: updates.nextOccurrenceId };
+}
+
+/**
+ * Applies validated batch operations (see validateBatchPayload) for the user.
+ * Resolves to one result per todo, in request order:
+ *   { id, action, ok: true, nextOccurrenceId? } or { id, action, ok: false, status, error }
+ */
+export async function applyTodoBatch(uid, operations) {
+  const results = [];
+  const groups = []; // Writes per todo that passed its checks
+  const groupResults = []; // The result each group fills in
+
+  for (const { action, ids, value } of operations) {
+    const listError = action === "move" ? await checkListReference(value, uid) : null;
+    const accesses = await Promise.all(
+      ids.map((id) => checkTodoAccess(id, uid, ACTION_ROLES[action]))
+    );
+
+    ids.forEach((id, index) => {
+      const access = accesses[index];
+      const fail = (status, error) => results.push({ id, action, ok: false, status, error });
+      if (!access.exists) {
+        return fail(404, "Todo item not found.");
+      }
+      if (!access.authorized) {
+        return fail(403, getForbiddenMessage(access.role, "todo item"));
+      }
+      if (listError) {
+        return fail(400, listError);
+      }
+      const { writes, error, nextOccurrenceId } = buildTodoWrites(
+        id,
+        access.data,
+        action,
+        value,
+        uid
+      );
+      if (error) {
+        return fail(400, error);
+      }
+      const result = { id, action, ok: true };
+      if (nextOccurrenceId) {
+        result.nextOccurrenceId = nextOccurrenceId;
+      }
+      results.push(result);
+      groups.push(writes);
+      groupResults.push(result);
+    });
+  }
+
+  const outcomes = await commitWriteGroups(groups);
+  outcomes.forEach((error, index) => {
+    if (error) {
+      console.error("Error committing todo batch:", error);
+      const result = groupResults[index];
+      delete result.nextOccurrenceId;
+      Object.assign(result, { ok: false, status: 500, error: "Failed to save this change." });
+    }
+  });
+
+  return results;
+}
@@ -0,0 +1,65 @@
+// Server-side creation of a single todo, shared by POST /api/todos and POST /api/todos/quick-add.
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { serializeTodo } from "@/app/lib/todoSerializer";
+import { anchorRecurrenceRule } from "@/app/lib/recurrence";
+import { ensureInboxList, checkListReference } from "@/app/lib/todoLists";
+import { indexTodo } from "@/app/lib/todoSearchIndex";
+import { recordTodoHistory } from "@/app/lib/todoHistory";
+import { getTopPositions } from "@/app/lib/todoPositions";
+
+/**
+ * Creates a todo for the user from a validated payload (see validateTodoPayload).
+ * New todos go to the Inbox unless the payload names a list, and on top of the manual order.
+ * `options.position` puts it elsewhere in that order, and `options.subtasks` gives it a checklist
+ * (both are for copies of existing todos; clients can't set them).
+ * Returns `{ todo }` with the created todo, or `{ fieldErrors }` when the list can't be used.
+ */
+export async function createTodoForUser(uid, data, options = {}) {
+  if (data.listId) {
+    const listError = await checkListReference(data.listId, uid);
+    if (listError) {
+      return { fieldErrors: { listId: listError } };
+    }
+  }
+  const listId = data.listId || (await ensureInboxList(uid));
+  const position = options.position ?? (await getTopPositions(uid, listId, 1))[0];
+
+  const newTodoData = {
+    text: data.text,
+    notes: data.notes ?? "",
+    completed: data.completed,
+    // Always store dueDate/priority/updatedAt (even as null) so that sorting by them
+    // doesn't skip this todo: Firestore's orderBy ignores documents missing the field.
+    dueDate: data.dueDate ?? null,
+    priority: data.priority ?? null,
+    reminders: data.reminders ?? [],
+    autoCompleteParent: data.autoCompleteParent ?? false,
+    recurrence: data.recurrence ? anchorRecurrenceRule(data.recurrence, data.dueDate) : null,
+    tags: data.tags ?? [],
+    listId,
+    position,
+    userId: uid, // <--- CRUCIAL: Link todo to the authenticated user
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  if (options.subtasks) {
+    newTodoData.subtasks = options.subtasks;
+  }
+  if (newTodoData.recurrence) {
+    newTodoData.occurrence = 1; // First occurrence of the series
+  }
+
+  const docRef = await adminDb.collection("todos").add(newTodoData);
+  await indexTodo(docRef.id, newTodoData); // Make it searchable right away
+  await recordTodoHistory(docRef.id, {
+    action: "create",
+    before: {},
+    after: newTodoData,
+    actorId: uid,
+  });
+  const createdDoc = await docRef.get(); // Re-read to resolve the server timestamps
+
+  return { todo: serializeTodo(docRef.id, createdDoc.data()) };
+}
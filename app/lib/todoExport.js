@@ -0,0 +1,33 @@
+// Server-side helper for downloading a user's todos as a file, for /api/todos/export and the
+// admin console's export of a user's todos.
+
+import { adminDb } from "@/app/lib/firebaseAdmin.cjs";
+import { NextResponse } from "next/server"; // For Next.js App Router responses
+import { serializeTodo } from "@/app/lib/todoSerializer";
+import { formatTodos, TODO_FILE_TYPES } from "@/app/lib/todoFormats";
+
+/**
+ * The response with every todo `uid` owns as a file attachment in `format` (one of
+ * TODO_FILE_FORMATS), oldest todo first. `filenamePrefix` starts the file's name.
+ */
+export async function createTodoExportResponse(uid, format, { filenamePrefix = "todos" } = {}) {
+  const [todosSnapshot, listsSnapshot] = await Promise.all([
+    adminDb.collection("todos").where("userId", "==", uid).get(),
+    adminDb.collection("lists").where("userId", "==", uid).get(),
+  ]);
+  const todos = todosSnapshot.docs
+    .map((doc) => serializeTodo(doc.id, doc.data()))
+    .sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
+  const listNames = new Map(listsSnapshot.docs.map((doc) => [doc.id, doc.get("name")]));
+
+  const { contentType, extension } = TODO_FILE_TYPES[format];
+  const filename = `${filenamePrefix}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  return new NextResponse(formatTodos(todos, format, listNames), {
+    status: 200,
+    headers: {
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "no-store",
+    },
+  });
+}
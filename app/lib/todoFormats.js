@@ -0,0 +1,488 @@
+// Converting todos to and from JSON, CSV and iCalendar, for /api/todos/export and /api/todos/import.
+// This module has no server-only imports: it works on serialized todos (see todoSerializer.js)
+// going out, and produces todo payloads for validateTodoPayload coming in.
+//
+// CSV columns and JSON fields are named after the todo fields. iCalendar todos are VTODO
+// components: SUMMARY is the text, DESCRIPTION the notes, CATEGORIES the tags, and DUE, PRIORITY,
+// STATUS and RRULE map to the due date, priority, completed flag and repeat rule. DUE is written
+// in the repeat rule's time zone (TZID), which an import takes the rule's time zone from.
+
+import { toRRule, fromRRule, zonedPartsToDate, getZonedParts } from "@/app/lib/recurrence";
+
+// Content type and file extension of each format in TODO_FILE_FORMATS (see todoValidation.js)
+export const TODO_FILE_TYPES = {
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ics: { contentType: "text/calendar; charset=utf-8", extension: "ics" },
+};
+
+// Spreadsheets run cells starting with these as formulas, so exported cells that do get a "'"
+// in front, which the import takes off again. Cells that already start with "'" get one too,
+// so the import can always take off exactly one.
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r']/;
+const CSV_FORMULA_ESCAPE_PATTERN = /^'(?=[=+\-@\t\r'])/;
+
+const CSV_COLUMNS = [
+  "text",
+  "notes",
+  "completed",
+  "priority",
+  "dueDate",
+  "tags",
+  "list",
+  "createdAt",
+  "updatedAt",
+];
+
+// iCalendar PRIORITY runs from 1 (highest) to 9 (lowest); 0 means none
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+const ICS_LINE_LENGTH = 75; // Octets per line before it has to be folded
+const ICS_PRODUCT_ID = "-//Firebase Todo App//Todos//EN";
+
+// --- Export ---
+
+function toJson(todos, listNames) {
+  return JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      todos: todos.map((todo) => ({
+        id: todo.id,
+        text: todo.text,
+        notes: todo.notes || "",
+        completed: todo.completed,
+        priority: todo.priority || null,
+        dueDate: todo.dueDate,
+        reminders: todo.reminders || [],
+        recurrence: todo.recurrence || null,
+        tags: todo.tags || [],
+        list: listNames.get(todo.listId) || null,
+        subtasks: todo.subtasks || [],
+        createdAt: todo.createdAt,
+        updatedAt: todo.updatedAt,
+      })),
+    },
+    null,
+    2
+  );
+}
+
+function escapeCsvValue(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (CSV_FORMULA_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(todos, listNames) {
+  const rows = todos.map((todo) =>
+    [
+      todo.text,
+      todo.notes,
+      todo.completed,
+      todo.priority,
+      todo.dueDate,
+      (todo.tags || []).join(" "),
+      listNames.get(todo.listId),
+      todo.createdAt,
+      todo.updatedAt,
+    ].map(escapeCsvValue)
+  );
+  return [CSV_COLUMNS, ...rows].map((row) => row.join(",")).join("\r\n") + "\r\n";
+}
+
+function escapeIcsText(text) {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// "2026-03-01T09:30:00.000Z" -> "20260301T093000Z"
+function toIcsDateTime(isoString) {
+  return isoString.replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// The DUE property: wall-clock time in `timeZone` with its TZID, or UTC without one
+function toIcsDue(isoString, timeZone) {
+  if (!timeZone || timeZone === "UTC") {
+    return `DUE:${toIcsDateTime(isoString)}`;
+  }
+  const parts = getZonedParts(new Date(isoString), timeZone);
+  const pad = (number, length = 2) => String(number).padStart(length, "0");
+  const date = `${pad(parts.year, 4)}${pad(parts.month + 1)}${pad(parts.day)}`;
+  const time = `${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+  return `DUE;TZID=${timeZone}:${date}T${time}`;
+}
+
+// Splits a content line into lines of at most ICS_LINE_LENGTH octets, without splitting characters
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const lines = [];
+  let current = "";
+  let currentLength = 0;
+  for (const char of line) {
+    const charLength = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts towards their length
+    const limit = lines.length === 0 ? ICS_LINE_LENGTH : ICS_LINE_LENGTH - 1;
+    if (currentLength + charLength > limit) {
+      lines.push(current);
+      current = "";
+      currentLength = 0;
+    }
+    current += char;
+    currentLength += charLength;
+  }
+  lines.push(current);
+  return lines.join("\r\n ");
+}
+
+function toIcs(todos) {
+  const now = toIcsDateTime(new Date().toISOString());
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${ICS_PRODUCT_ID}`];
+  for (const todo of todos) {
+    lines.push("BEGIN:VTODO", `UID:${todo.id}`, `DTSTAMP:${now}`);
+    lines.push(`SUMMARY:${escapeIcsText(todo.text)}`);
+    if (todo.notes) {
+      lines.push(`DESCRIPTION:${escapeIcsText(todo.notes)}`);
+    }
+    if (todo.dueDate) {
+      lines.push(toIcsDue(todo.dueDate, todo.recurrence?.timeZone));
+    }
+    if (todo.recurrence) {
+      lines.push(`RRULE:${toRRule(todo.recurrence)}`);
+    }
+    lines.push(`PRIORITY:${ICS_PRIORITIES[todo.priority] || 0}`);
+    lines.push(`STATUS:${todo.completed ? "COMPLETED" : "NEEDS-ACTION"}`);
+    if (todo.tags?.length > 0) {
+      lines.push(`CATEGORIES:${todo.tags.map(escapeIcsText).join(",")}`);
+    }
+    if (todo.createdAt) {
+      lines.push(`CREATED:${toIcsDateTime(todo.createdAt)}`);
+    }
+    if (todo.updatedAt) {
+      lines.push(`LAST-MODIFIED:${toIcsDateTime(todo.updatedAt)}`);
+    }
+    lines.push("END:VTODO");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Writes serialized todos as a file in `format` ("json", "csv" or "ics").
+ * `listNames` maps list IDs to names, for the JSON and CSV `list` field.
+ */
+export function formatTodos(todos, format, listNames = new Map()) {
+  if (format === "csv") {
+    return toCsv(todos, listNames);
+  }
+  if (format === "ics") {
+    return toIcs(todos);
+  }
+  return toJson(todos, listNames);
+}
+
+// --- Import ---
+// Each parser returns { rows: [{ row, values }] } where `row` is the 1-based position in the
+// file and `values` a todo payload plus an optional `list` name, or { rows, error } when the
+// file can't be read at all. A row that can't be turned into a payload has `error` instead.
+
+// Keeps only the fields a todo payload can have, plus `list`
+function pickTodoFields(item) {
+  const values = {};
+  for (const field of [
+    "text",
+    "notes",
+    "completed",
+    "priority",
+    "dueDate",
+    "reminders",
+    "recurrence",
+    "tags",
+  ]) {
+    if (Object.hasOwn(item, field)) {
+      values[field] = item[field];
+    }
+  }
+  if (typeof item.list === "string" && item.list.trim()) {
+    values.list = item.list.trim();
+  }
+  return values;
+}
+
+function parseJson(content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    return { rows: [], error: "The file is not valid JSON." };
+  }
+  const items = Array.isArray(parsed) ? parsed : parsed?.todos;
+  if (!Array.isArray(items)) {
+    return {
+      rows: [],
+      error: "The JSON must be a list of todos or an object with a `todos` list.",
+    };
+  }
+  return {
+    rows: items.map((item, index) =>
+      item && typeof item === "object" && !Array.isArray(item)
+        ? { row: index + 1, values: pickTodoFields(item) }
+        : { row: index + 1, error: "Each todo must be a JSON object." }
+    ),
+  };
+}
+
+// RFC 4180 records: quoted fields can hold commas, doubled quotes and line breaks
+function parseCsvRecords(content) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  for (let index = 0; index < content.length; index++) {
+    const char = content[index];
+    if (inQuotes) {
+      if (char === '"' && content[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[index + 1] === "\n") {
+        index++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return { records, unterminated: inQuotes };
+}
+
+const CSV_TRUE_VALUES = ["true", "yes", "y", "1", "x", "done", "completed"];
+const CSV_FALSE_VALUES = ["", "false", "no", "n", "0", "open"];
+
+// A CSV cell as the value of a todo field; anything unexpected is passed on for the validator
+function readCsvValue(field, value) {
+  const trimmed = value.trim();
+  switch (field) {
+    case "completed": {
+      const lower = trimmed.toLowerCase();
+      if (CSV_TRUE_VALUES.includes(lower)) {
+        return true;
+      }
+      return CSV_FALSE_VALUES.includes(lower) ? false : trimmed;
+    }
+    case "priority":
+      return trimmed ? trimmed.toLowerCase() : null;
+    case "dueDate":
+      return trimmed || null;
+    case "tags":
+      return trimmed.split(/[\s,]+/).filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+function parseCsv(content) {
+  const { records, unterminated } = parseCsvRecords(content.replace(/^\uFEFF/, ""));
+  if (unterminated) {
+    return { rows: [], error: "The CSV has a quoted value that is never closed." };
+  }
+  const [header = [], ...dataRecords] = records;
+  const columns = header.map((name) => {
+    const normalized = name.trim().toLowerCase();
+    return CSV_COLUMNS.find((column) => column.toLowerCase() === normalized) || null;
+  });
+  if (!columns.includes("text")) {
+    return { rows: [], error: "The CSV needs a header row with at least a `text` column." };
+  }
+
+  const rows = [];
+  dataRecords.forEach((record, index) => {
+    if (record.every((value) => !value.trim())) {
+      return; // Blank line
+    }
+    const values = {};
+    columns.forEach((column, columnIndex) => {
+      // Timestamps are set by the server, so those columns are only there for the export
+      if (column && column !== "createdAt" && column !== "updatedAt") {
+        const value = (record[columnIndex] ?? "").replace(CSV_FORMULA_ESCAPE_PATTERN, "");
+        values[column] = readCsvValue(column, value);
+      }
+    });
+    if (typeof values.list === "string" && !values.list.trim()) {
+      delete values.list;
+    }
+    rows.push({ row: index + 2, values: pickTodoFields(values) }); // Row 1 is the header
+  });
+  return { rows };
+}
+
+function unescapeIcsText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === "n" ? "\n" : char));
+}
+
+// Splits on commas that aren't escaped, for CATEGORIES
+function splitIcsList(value) {
+  return value
+    .split(/(?<!\\),/)
+    .map(unescapeIcsText)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads an iCalendar DATE or DATE-TIME as an ISO string. UTC values end in "Z"; the others are
+ * wall-clock times in their TZID, or in `timeZone` when they have none (all-day dates are read
+ * as midnight). Returns the value unchanged when it isn't a date, so validation reports it.
+ */
+function parseIcsDate(value, tzid, timeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) {
+    return value;
+  }
+  const [, year, month, day, hour = "0", minute = "0", second = "0", utc] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month) - 1,
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+    millisecond: 0,
+  };
+  try {
+    return zonedPartsToDate(parts, utc ? "UTC" : tzid || timeZone).toISOString();
+  } catch {
+    return value; // Unknown TZID
+  }
+}
+
+// Content lines of an iCalendar file as { name, params, value }, with folded lines joined
+function parseIcsLines(content) {
+  return content
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) => {
+      const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/); // First colon outside quotes
+      const [name, ...paramList] = line.slice(0, colon).split(";");
+      const params = Object.fromEntries(
+        paramList.map((param) => {
+          const [paramName, paramValue = ""] = param.split("=");
+          return [paramName.toUpperCase(), paramValue.replace(/^"|"$/g, "")];
+        })
+      );
+      return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    });
+}
+
+function readIcsPriority(value) {
+  const priority = Number(value);
+  if (priority >= 1 && priority <= 4) {
+    return "high";
+  }
+  if (priority === 5) {
+    return "medium";
+  }
+  return priority >= 6 && priority <= 9 ? "low" : null;
+}
+
+function parseIcs(content, timeZone) {
+  const lines = parseIcsLines(content);
+  if (lines[0]?.name !== "BEGIN" || lines[0].value.toUpperCase() !== "VCALENDAR") {
+    return { rows: [], error: "The file is not an iCalendar file." };
+  }
+
+  const rows = [];
+  let todo = null; // Lines of the VTODO being read
+  let nestedDepth = 0; // Components inside it (e.g. a VALARM), whose lines are skipped
+  for (const line of lines) {
+    if (todo === null) {
+      if (line.name === "BEGIN" && line.value.toUpperCase() === "VTODO") {
+        todo = [];
+      }
+    } else if (line.name === "BEGIN") {
+      nestedDepth++;
+    } else if (line.name === "END" && nestedDepth > 0) {
+      nestedDepth--;
+    } else if (line.name === "END") {
+      rows.push(readIcsTodo(todo, rows.length + 1, timeZone));
+      todo = null;
+    } else if (nestedDepth === 0) {
+      todo.push(line);
+    }
+  }
+  return { rows };
+}
+
+function readIcsTodo(lines, row, timeZone) {
+  const values = { tags: [] };
+  let dueTimeZone = null; // TZID of DUE, which the repeat rule steps in too
+  let rrule = null;
+  for (const { name, params, value } of lines) {
+    if (name === "SUMMARY") {
+      values.text = unescapeIcsText(value);
+    } else if (name === "DESCRIPTION") {
+      values.notes = unescapeIcsText(value);
+    } else if (name === "STATUS") {
+      values.completed = value.toUpperCase() === "COMPLETED";
+    } else if (name === "COMPLETED") {
+      values.completed = true;
+    } else if (name === "PRIORITY") {
+      values.priority = readIcsPriority(value);
+    } else if (name === "DUE") {
+      dueTimeZone = params.TZID || null;
+      values.dueDate = parseIcsDate(value, params.TZID, timeZone);
+    } else if (name === "CATEGORIES") {
+      values.tags.push(...splitIcsList(value));
+    } else if (name === "RRULE") {
+      rrule = value;
+    }
+  }
+
+  if (values.text === undefined) {
+    return { row, error: "The todo has no SUMMARY." };
+  }
+  if (rrule) {
+    values.recurrence = fromRRule(rrule, dueTimeZone || timeZone, (until) =>
+      parseIcsDate(until, dueTimeZone, timeZone)
+    );
+    if (!values.recurrence) {
+      return { row, error: `The repeat rule "${rrule}" isn't supported.` };
+    }
+  }
+  return { row, values };
+}
+
+/**
+ * Reads a JSON, CSV or iCalendar file into todo payloads, see the parsers above.
+ * `timeZone` is used for iCalendar dates that don't name their own.
+ */
+export function parseTodoFile(content, format, { timeZone = "UTC" } = {}) {
+  if (format === "csv") {
+    return parseCsv(content);
+  }
+  if (format === "ics") {
+    return parseIcs(content, timeZone);
+  }
+  return parseJson(content);
+}
@@ -0,0 +1,200 @@
+// Server-side change history for todos, kept in the `todoHistory` collection.
+// Every create, update, completion, delete and restore of a todo adds an entry holding the
+// before and after values of the fields it changed, who changed it and when. Entries live
+// outside the todo document, so a todo keeps its history through the trash and back.
+//
+// Any earlier version of a todo can be rebuilt from its current data by undoing the changes
+// of the entries after it, newest first (see getTodoVersion).
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { writeInBatches } from "@/app/lib/batchWrites";
+
+// The todo fields whose changes are recorded; the server-managed ones are left out
+export const HISTORY_FIELDS = [
+  "text",
+  "notes",
+  "completed",
+  "priority",
+  "dueDate",
+  "reminders",
+  "recurrence",
+  "autoCompleteParent",
+  "listId",
+  "tags",
+  "subtasks",
+];
+
+const USER_LOOKUP_LIMIT = 100; // admin.auth().getUsers() takes at most 100 identifiers
+
+function getHistoryCollection() {
+  return adminDb.collection("todoHistory");
+}
+
+// A value as plain JSON: Timestamps and Dates become ISO strings, missing values null
+function toPlainValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value.toDate === "function") {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  }
+  if (typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toPlainValue(item)])
+    );
+  }
+  return value;
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(toPlainValue(a)) === JSON.stringify(toPlainValue(b));
+}
+
+/**
+ * The recorded fields that differ between two versions of a todo's data, as
+ * `{ field: { before, after } }`. Pass `{}` as `before` for a new todo.
+ */
+export function diffTodoFields(before, after) {
+  const changes = {};
+  for (const field of HISTORY_FIELDS) {
+    if (!isSameValue(before[field], after[field])) {
+      changes[field] = { before: before[field] ?? null, after: after[field] ?? null };
+    }
+  }
+  return changes;
+}
+
+// An update that only completes or reopens the todo is recorded as such
+function getUpdateAction(changes) {
+  const fields = Object.keys(changes);
+  if (fields.length === 1 && fields[0] === "completed") {
+    return changes.completed.after ? "complete" : "reopen";
+  }
+  return "update";
+}
+
+/**
+ * The write that records one change to a todo, for a batch, a transaction or commitWriteGroups,
+ * or null when an update changes none of the recorded fields.
+ * `action` is "create", "update", "delete", "restore" or "revert"; "update" becomes
+ * "complete" or "reopen" when only `completed` changed. `before` and `after` are the todo's
+ * raw Firestore data around the change, and `actorId` the user making it.
+ */
+export function buildHistoryWrite(todoId, { action, before, after, actorId, revertedTo = null }) {
+  const changes = diffTodoFields(before, after);
+  if ((action === "update" || action === "revert") && Object.keys(changes).length === 0) {
+    return null;
+  }
+  const entry = {
+    todoId,
+    userId: after.userId || before.userId, // The todo's owner
+    action: action === "update" ? getUpdateAction(changes) : action,
+    changes,
+    actorId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (revertedTo) {
+    entry.revertedTo = revertedTo;
+  }
+  const entryRef = getHistoryCollection().doc();
+  return (batch) => batch.set(entryRef, entry);
+}
+
+// Records one change to a todo on its own, see buildHistoryWrite
+export async function recordTodoHistory(todoId, change) {
+  const write = buildHistoryWrite(todoId, change);
+  if (write) {
+    const batch = adminDb.batch();
+    write(batch);
+    await batch.commit();
+  }
+}
+
+// The todo's history entries, oldest first
+async function getHistoryDocs(todoId) {
+  const historySnapshot = await getHistoryCollection().where("todoId", "==", todoId).get();
+  return historySnapshot.docs.sort(
+    (a, b) => (a.get("createdAt")?.toMillis() ?? 0) - (b.get("createdAt")?.toMillis() ?? 0)
+  );
+}
+
+// Email addresses of the given users, for showing who made each change
+async function getUserEmails(uids) {
+  const emails = new Map();
+  for (let start = 0; start < uids.length; start += USER_LOOKUP_LIMIT) {
+    const { users } = await admin
+      .auth()
+      .getUsers(uids.slice(start, start + USER_LOOKUP_LIMIT).map((uid) => ({ uid })));
+    for (const user of users) {
+      emails.set(user.uid, user.email || null);
+    }
+  }
+  return emails;
+}
+
+/**
+ * A todo's history, newest first. Each entry is
+ * `{ id, action, changes, actorId, actorEmail, createdAt, revertedTo }`, with the values in
+ * `changes` as plain JSON (dates as ISO strings).
+ */
+export async function listTodoHistory(todoId) {
+  const historyDocs = await getHistoryDocs(todoId);
+  const actorEmails = await getUserEmails([
+    ...new Set(historyDocs.map((doc) => doc.get("actorId"))),
+  ]);
+  return historyDocs.reverse().map((doc) => {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      action: data.action,
+      changes: toPlainValue(data.changes),
+      actorId: data.actorId,
+      actorEmail: actorEmails.get(data.actorId) ?? null,
+      createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
+      revertedTo: data.revertedTo || null,
+    };
+  });
+}
+
+/**
+ * The recorded fields of a todo as they were right after history entry `entryId`,
+ * rebuilt from the todo's current Firestore data.
+ * Returns `{ version }`, or `{ error, status }` when the entry doesn't belong to the todo.
+ */
+export async function getTodoVersion(todoId, entryId, currentData) {
+  const historyDocs = await getHistoryDocs(todoId);
+  const entryIndex = historyDocs.findIndex((doc) => doc.id === entryId);
+  if (entryIndex === -1) {
+    return { error: "History entry not found.", status: 404 };
+  }
+
+  const version = Object.fromEntries(
+    HISTORY_FIELDS.map((field) => [field, currentData[field] ?? null])
+  );
+  for (const doc of historyDocs.slice(entryIndex + 1).reverse()) {
+    for (const [field, { before }] of Object.entries(doc.get("changes") || {})) {
+      version[field] = before;
+    }
+  }
+  return { version };
+}
+
+// Deletes the history of the given todos, e.g. once they are purged from the trash
+export async function deleteTodoHistory(todoIds) {
+  for (const todoId of todoIds) {
+    const historySnapshot = await getHistoryCollection()
+      .where("todoId", "==", todoId)
+      .select()
+      .get();
+    await writeInBatches(
+      historySnapshot.docs.map((doc) => doc.ref),
+      (batch, ref) => batch.delete(ref)
+    );
+  }
+}
@@ -0,0 +1,122 @@
+// Server-side import of todos from a JSON, CSV or iCalendar file, for POST /api/todos/import.
+// Every row is validated like a POST /api/todos payload. A dry run only reports what would be
+// imported; a real import creates the valid rows in batches and skips the rest.
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { commitWriteGroups } from "@/app/lib/batchWrites";
+import { validateTodoPayload, MAX_IMPORT_TODOS } from "@/app/lib/todoValidation";
+import { parseTodoFile } from "@/app/lib/todoFormats";
+import { anchorRecurrenceRule } from "@/app/lib/recurrence";
+import { ensureInboxList } from "@/app/lib/todoLists";
+import { getSearchIndexRef, buildSearchIndexEntry } from "@/app/lib/todoSearchIndex";
+import { buildHistoryWrite } from "@/app/lib/todoHistory";
+import { getTopPositions } from "@/app/lib/todoPositions";
+
+// The Firestore data for an imported todo: the same fields POST /api/todos stores
+function buildImportedTodo(data, listId, position, uid) {
+  const todo = {
+    text: data.text,
+    notes: data.notes ?? "",
+    completed: data.completed,
+    dueDate: data.dueDate ?? null,
+    priority: data.priority ?? null,
+    reminders: data.reminders ?? [],
+    autoCompleteParent: false,
+    recurrence: data.recurrence ? anchorRecurrenceRule(data.recurrence, data.dueDate) : null,
+    tags: data.tags ?? [],
+    listId,
+    position,
+    userId: uid,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (todo.recurrence) {
+    todo.occurrence = 1;
+  }
+  return todo;
+}
+
+/**
+ * Imports the todos in a file for the user. `listId` (already checked by the caller, or null
+ * for the Inbox) is the list for todos that don't name one of the user's own lists by name.
+ * Returns `{ error }` when the file can't be read, otherwise
+ *   { rows: [{ row, ok, todo?, id?, errors? }], valid, invalid, created? }
+ * where `todo` is the validated todo (dry run) and `id` the created todo's ID.
+ */
+export async function importTodos(uid, { format, content, dryRun, listId, timeZone }) {
+  const parsed = parseTodoFile(content, format, { timeZone });
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+  if (parsed.rows.length === 0) {
+    return { error: "The file has no todos in it." };
+  }
+  if (parsed.rows.length > MAX_IMPORT_TODOS) {
+    return { error: `A file can have at most ${MAX_IMPORT_TODOS} todos.` };
+  }
+
+  const listsSnapshot = await adminDb.collection("lists").where("userId", "==", uid).get();
+  const listIdsByName = new Map(
+    listsSnapshot.docs.map((doc) => [doc.get("name").toLowerCase(), doc.id])
+  );
+  const defaultListId = listId || (await ensureInboxList(uid));
+
+  const rows = parsed.rows.map(({ row, values, error }) => {
+    if (error) {
+      return { row, ok: false, errors: { row: error } };
+    }
+    const { list, ...payload } = values;
+    const { data, errors } = validateTodoPayload(payload);
+    if (errors) {
+      return { row, ok: false, errors };
+    }
+    const rowListId = (list && listIdsByName.get(list.toLowerCase())) || defaultListId;
+    return { row, ok: true, todo: { ...data, listId: rowListId } };
+  });
+  const validRows = rows.filter((row) => row.ok);
+  const summary = { valid: validRows.length, invalid: rows.length - validRows.length };
+
+  if (dryRun) {
+    return {
+      ...summary,
+      rows: rows.map((row) =>
+        row.ok
+          ? { ...row, todo: { ...row.todo, dueDate: row.todo.dueDate?.toISOString() ?? null } }
+          : row
+      ),
+    };
+  }
+
+  // On top of the manual order, in the order of the file
+  const positions = await getTopPositions(uid, defaultListId, validRows.length);
+  const groups = validRows.map((row, index) => {
+    const todoRef = adminDb.collection("todos").doc();
+    const todoData = buildImportedTodo(row.todo, row.todo.listId, positions[index], uid);
+    row.id = todoRef.id;
+    return [
+      (batch) => batch.set(todoRef, todoData),
+      (batch) => batch.set(getSearchIndexRef(todoRef.id), buildSearchIndexEntry(todoData)),
+      buildHistoryWrite(todoRef.id, {
+        action: "create",
+        before: {},
+        after: todoData,
+        actorId: uid,
+      }),
+    ];
+  });
+  const outcomes = await commitWriteGroups(groups);
+  outcomes.forEach((error, index) => {
+    if (error) {
+      console.error("Error committing todo import:", error);
+      const row = validRows[index];
+      delete row.id;
+      Object.assign(row, { ok: false, errors: { row: "Failed to save this todo." } });
+    }
+  });
+
+  return {
+    ...summary,
+    created: validRows.filter((row) => row.ok).length,
+    rows: rows.map(({ todo, ...row }) => row), // Just the new IDs; clients reload their todos
+  };
+}
@@ -0,0 +1,131 @@
+// Server-side helpers for todo lists ("Work", "Home", ...).
+// Every todo belongs to exactly one list through its `listId`. Each user has a built-in
+// "Inbox" list, which new todos go to by default and which can't be deleted.
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { checkListAccess } from "@/app/lib/todoAccess";
+import { writeInBatches, commitWriteGroups } from "@/app/lib/batchWrites";
+import { buildHistoryWrite } from "@/app/lib/todoHistory";
+import { assignLegacyPositions } from "@/app/lib/todoPositions";
+
+export const INBOX_LIST_NAME = "Inbox";
+
+// The Inbox has a fixed ID per user, so creating it twice can't make two of them
+export function getInboxListId(uid) {
+  return `inbox-${uid}`;
+}
+
+/**
+ * Returns the ID of the user's Inbox, creating it on first use.
+ * Todos created before lists existed have no listId; they are moved into the Inbox
+ * once, when it is created, so every todo shows up under some list. Likewise todos from
+ * before the manual order get a position once, so sorting by position doesn't skip them.
+ */
+export async function ensureInboxList(uid) {
+  const inboxRef = adminDb.collection("lists").doc(getInboxListId(uid));
+  const inboxDoc = await inboxRef.get();
+  if (
+    inboxDoc.exists &&
+    inboxDoc.get("legacyTodosAssigned") &&
+    inboxDoc.get("legacyPositionsAssigned")
+  ) {
+    return inboxRef.id;
+  }
+
+  if (!inboxDoc.exists) {
+    // create() fails if another request created the Inbox first, which is fine
+    await inboxRef
+      .create({
+        name: INBOX_LIST_NAME,
+        isInbox: true,
+        legacyTodosAssigned: false,
+        legacyPositionsAssigned: false,
+        userId: uid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      })
+      .catch((error) => {
+        if (error.code !== 6) {
+          throw error; // Anything but ALREADY_EXISTS
+        }
+      });
+  }
+
+  // Firestore can't query for a missing field, so look through the user's todos once
+  const todosSnapshot = await adminDb.collection("todos").where("userId", "==", uid).get();
+  const positions = assignLegacyPositions(todosSnapshot.docs);
+  const legacyDocs = todosSnapshot.docs.filter(
+    (doc) => !doc.get("listId") || positions.has(doc.id)
+  );
+  await writeInBatches(legacyDocs, (batch, doc) =>
+    batch.update(doc.ref, {
+      ...(doc.get("listId") ? {} : { listId: inboxRef.id }),
+      ...(positions.has(doc.id) ? { position: positions.get(doc.id) } : {}),
+    })
+  );
+  await inboxRef.update({ legacyTodosAssigned: true, legacyPositionsAssigned: true });
+
+  return inboxRef.id;
+}
+
+/**
+ * Checks that a todo may be put in the given list: the user's own list, or one shared with
+ * them as an editor. Returns an error message for the `listId` field, or null when the list is fine.
+ */
+export async function checkListReference(listId, uid) {
+  if (listId === getInboxListId(uid)) {
+    await ensureInboxList(uid);
+    return null;
+  }
+  const access = await checkListAccess(listId, uid, "editor");
+  if (!access.exists || !access.role) {
+    return "List not found.";
+  }
+  return access.authorized ? null : "You only have view access to this list.";
+}
+
+// Number of todos in a list (from every member), in total and not yet completed
+export async function countListTodos(listId) {
+  const listTodos = adminDb.collection("todos").where("listId", "==", listId);
+  const [totalSnapshot, openSnapshot] = await Promise.all([
+    listTodos.count().get(),
+    listTodos.where("completed", "==", false).count().get(),
+  ]);
+  return { todoCount: totalSnapshot.data().count, openCount: openSnapshot.data().count };
+}
+
+/**
+ * Empties a list before it is deleted by moving each todo to its own owner's Inbox
+ * (a shared list can hold todos that collaborators added). `uid` is the user deleting the list.
+ * Returns the number of todos moved.
+ * To delete the todos with the list instead, see trashListTodos in todoTrash.js.
+ */
+export async function moveListTodosToInbox(listId, uid) {
+  const todosSnapshot = await adminDb.collection("todos").where("listId", "==", listId).get();
+
+  const ownerIds = [...new Set(todosSnapshot.docs.map((doc) => doc.get("userId")))];
+  for (const ownerId of ownerIds) {
+    const inboxId = await ensureInboxList(ownerId);
+    const ownerTodoDocs = todosSnapshot.docs.filter((doc) => doc.get("userId") === ownerId);
+    const outcomes = await commitWriteGroups(
+      ownerTodoDocs.map((doc) => [
+        (batch) =>
+          batch.update(doc.ref, {
+            listId: inboxId,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          }),
+        buildHistoryWrite(doc.id, {
+          action: "update",
+          before: doc.data(),
+          after: { ...doc.data(), listId: inboxId },
+          actorId: uid,
+        }),
+      ])
+    );
+    const error = outcomes.find(Boolean);
+    if (error) {
+      throw error;
+    }
+  }
+  return todosSnapshot.size;
+}
@@ -0,0 +1,70 @@
+// Server-side helpers for the manual order of todos (GET /api/todos?sort=position).
+// Every todo has a `position`: a fractional index key from the fractional-indexing package.
+// Keys compare as plain strings and there is always room for another key between two of them,
+// so moving a todo only rewrites that todo.
+//
+// There is one order for all todos: every view (a list, "shared with me", a filtered view)
+// shows its todos in that order, minus the ones it leaves out. New todos go on top.
+//
+// Looking up neighbours needs composite indexes on todos (userId, position asc) and
+// (userId, position desc).
+
+import { generateKeyBetween, generateNKeysBetween } from "fractional-indexing";
+import { adminDb } from "@/app/lib/firebaseAdmin.cjs";
+
+// The position of the first or last todo a query matches, or null when there is none
+async function getEdgePosition(query, direction) {
+  const snapshot = await query.orderBy("position", direction).limit(1).select("position").get();
+  return snapshot.empty ? null : snapshot.docs[0].get("position");
+}
+
+/**
+ * `count` positions above every todo of the user and (when given) every todo in the list,
+ * in order, for new todos.
+ */
+export async function getTopPositions(uid, listId, count) {
+  const todos = adminDb.collection("todos");
+  const firstPositions = await Promise.all([
+    getEdgePosition(todos.where("userId", "==", uid), "asc"),
+    listId ? getEdgePosition(todos.where("listId", "==", listId), "asc") : null,
+  ]);
+  const first = firstPositions.filter(Boolean).sort()[0] ?? null;
+  return generateNKeysBetween(null, first, count);
+}
+
+/**
+ * The position for a todo the user `uid` dropped between two others: `previousPosition` is the
+ * one that ends up above it and `nextPosition` the one below it (null at the top or end of the
+ * view). Resolves to null when the two are no longer in that order.
+ *
+ * With just one neighbour, the todo goes right next to it: otherwise todos the view doesn't
+ * show could end up between the two. Neighbours that share a position (e.g. occurrences of a
+ * repeating todo, which keep the position of the first one) can't have a todo put between
+ * them; it goes right below both instead. Only the user's own todos count as neighbours there.
+ */
+export async function getPositionBetween(uid, previousPosition, nextPosition) {
+  if (previousPosition !== null && nextPosition !== null && previousPosition > nextPosition) {
+    return null;
+  }
+  const todos = adminDb.collection("todos").where("userId", "==", uid);
+  if (previousPosition !== null && (nextPosition === null || nextPosition === previousPosition)) {
+    nextPosition = await getEdgePosition(todos.where("position", ">", previousPosition), "asc");
+  } else if (previousPosition === null && nextPosition !== null) {
+    previousPosition = await getEdgePosition(todos.where("position", "<", nextPosition), "desc");
+  }
+  return generateKeyBetween(previousPosition, nextPosition);
+}
+
+/**
+ * Positions for todos from before the manual order existed, as a Map of document ID to
+ * position. They go below the user's other todos, newest first as they used to be listed.
+ */
+export function assignLegacyPositions(todoDocs) {
+  const positioned = todoDocs.map((doc) => doc.get("position")).filter(Boolean);
+  const last = positioned.sort().at(-1) ?? null;
+  const legacyDocs = todoDocs
+    .filter((doc) => !doc.get("position"))
+    .sort((a, b) => (b.get("createdAt")?.toMillis() ?? 0) - (a.get("createdAt")?.toMillis() ?? 0));
+  const positions = generateNKeysBetween(last, null, legacyDocs.length);
+  return new Map(legacyDocs.map((doc, index) => [doc.id, positions[index]]));
+}
@@ -0,0 +1,231 @@
+// Parses the query string for GET /api/todos into filter, sort and pagination options,
+// and encodes/decodes the opaque cursors used for pagination.
+// Also parses the query string for GET /api/todos/search.
+
+import { TODO_PRIORITIES, normalizeTag } from "@/app/lib/todoValidation";
+import { SEARCH_QUERY_MAX_LENGTH, parseSearchQuery } from "@/app/lib/searchText";
+
+// "position" is the manual order (see todoPositions.js)
+export const TODO_SORT_FIELDS = ["createdAt", "updatedAt", "dueDate", "text", "position"];
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 50;
+
+// Sort fields stored as Firestore Timestamps (cursor values are kept as milliseconds)
+const TIMESTAMP_SORT_FIELDS = ["createdAt", "updatedAt", "dueDate"];
+// The range of a Firestore Timestamp, for cursor values
+const MIN_TIMESTAMP_MS = Date.parse("0001-01-01T00:00:00.000Z");
+const MAX_TIMESTAMP_MS = Date.parse("9999-12-31T23:59:59.999Z");
+
+function parseDateParam(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Reads list options from URLSearchParams.
+ * Returns `{ options, errors }` where `errors` maps each bad parameter to a message (or is null).
+ */
+export function parseTodoListParams(searchParams) {
+  const errors = {};
+  const options = {
+    listId: null,
+    shared: false,
+    tag: null,
+    completed: null,
+    priority: null,
+    dueAfter: null,
+    dueBefore: null,
+    sort: "createdAt",
+    order: "desc",
+    limit: DEFAULT_PAGE_SIZE,
+    cursor: null,
+  };
+
+  const listId = searchParams.get("listId");
+  if (listId !== null) {
+    if (listId.trim() && !listId.includes("/")) {
+      options.listId = listId.trim();
+    } else {
+      errors.listId = "List ID must be a non-empty string.";
+    }
+  }
+
+  // shared=true lists the todos other users shared with this user directly
+  const shared = searchParams.get("shared");
+  if (shared !== null) {
+    if (shared === "true" || shared === "false") {
+      options.shared = shared === "true";
+    } else {
+      errors.shared = "Shared must be true or false.";
+    }
+  }
+  if (options.shared && options.listId) {
+    errors.shared = "Shared can't be combined with a list.";
+  }
+
+  const tag = searchParams.get("tag");
+  if (tag !== null) {
+    options.tag = normalizeTag(tag);
+    if (!options.tag) {
+      errors.tag = "Tag is not a valid tag.";
+    } else if (options.shared) {
+      // Firestore allows only one array-contains filter per query
+      errors.tag = "Tag can't be combined with shared=true.";
+    }
+  }
+
+  const completed = searchParams.get("completed");
+  if (completed !== null) {
+    if (completed === "true" || completed === "false") {
+      options.completed = completed === "true";
+    } else {
+      errors.completed = "Completed must be true or false.";
+    }
+  }
+
+  const priority = searchParams.get("priority");
+  if (priority !== null) {
+    if (TODO_PRIORITIES.includes(priority)) {
+      options.priority = priority;
+    } else {
+      errors.priority = `Priority must be one of: ${TODO_PRIORITIES.join(", ")}.`;
+    }
+  }
+
+  for (const param of ["dueAfter", "dueBefore"]) {
+    const value = searchParams.get(param);
+    if (value !== null) {
+      options[param] = parseDateParam(value);
+      if (!options[param]) {
+        errors[param] = "Must be a valid date.";
+      }
+    }
+  }
+
+  const hasDueRange = options.dueAfter || options.dueBefore;
+  const sort = searchParams.get("sort");
+  if (sort !== null) {
+    if (TODO_SORT_FIELDS.includes(sort)) {
+      options.sort = sort;
+    } else {
+      errors.sort = `Sort must be one of: ${TODO_SORT_FIELDS.join(", ")}.`;
+    }
+  } else if (hasDueRange) {
+    options.sort = "dueDate"; // A range filter on dueDate needs dueDate as the sort field
+  }
+  if (hasDueRange && options.sort !== "dueDate" && !errors.sort) {
+    errors.sort = "Due-date range filters can only be combined with sort=dueDate.";
+  }
+
+  const order = searchParams.get("order");
+  if (order !== null) {
+    if (order === "asc" || order === "desc") {
+      options.order = order;
+    } else {
+      errors.order = "Order must be asc or desc.";
+    }
+  }
+
+  const limit = searchParams.get("limit");
+  if (limit !== null) {
+    const parsedLimit = Number(limit);
+    if (Number.isInteger(parsedLimit) && parsedLimit >= 1 && parsedLimit <= MAX_PAGE_SIZE) {
+      options.limit = parsedLimit;
+    } else {
+      errors.limit = `Limit must be a whole number between 1 and ${MAX_PAGE_SIZE}.`;
+    }
+  }
+
+  const cursor = searchParams.get("cursor");
+  if (cursor !== null) {
+    options.cursor = decodeCursor(cursor, options.sort);
+    if (!options.cursor) {
+      errors.cursor = "Cursor is invalid or does not match the sort field.";
+    }
+  }
+
+  return { options, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Builds an opaque cursor pointing just after the given todo document.
+ * It records the sort field, that field's value and the document ID (the tiebreaker).
+ */
+export function encodeCursor(doc, sort) {
+  let value = doc.get(sort) ?? null;
+  if (value && TIMESTAMP_SORT_FIELDS.includes(sort)) {
+    value = value.toMillis();
+  }
+  return Buffer.from(JSON.stringify([sort, value, doc.id])).toString("base64url");
+}
+
+// Whether a cursor value fits the sort field: milliseconds for timestamps, else a string
+function isValidCursorValue(value, sort) {
+  if (value === null) {
+    return true; // Todos without the field (e.g. no due date)
+  }
+  if (TIMESTAMP_SORT_FIELDS.includes(sort)) {
+    return Number.isInteger(value) && value >= MIN_TIMESTAMP_MS && value <= MAX_TIMESTAMP_MS;
+  }
+  return typeof value === "string";
+}
+
+// Returns { value, id } for startAfter(), or null when the cursor is malformed
+function decodeCursor(cursor, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!Array.isArray(decoded)) {
+      return null;
+    }
+    const [cursorSort, value, id] = decoded;
+    if (
+      cursorSort !== sort ||
+      !isValidCursorValue(value, sort) ||
+      typeof id !== "string" ||
+      !id ||
+      id.includes("/")
+    ) {
+      return null;
+    }
+    return { value, id };
+  } catch {
+    return null;
+  }
+}
+
+export function isTimestampSortField(sort) {
+  return TIMESTAMP_SORT_FIELDS.includes(sort);
+}
+
+/**
+ * Reads search options (`q` and `limit`) from URLSearchParams.
+ * Returns `{ options: { terms, limit }, errors }` like parseTodoListParams.
+ */
+export function parseTodoSearchParams(searchParams) {
+  const errors = {};
+  const options = { terms: [], limit: DEFAULT_SEARCH_LIMIT };
+
+  const query = searchParams.get("q") || "";
+  if (query.length > SEARCH_QUERY_MAX_LENGTH) {
+    errors.q = `Search must be at most ${SEARCH_QUERY_MAX_LENGTH} characters.`;
+  } else {
+    options.terms = parseSearchQuery(query);
+    if (options.terms.length === 0) {
+      errors.q = "Search must contain at least one letter or digit.";
+    }
+  }
+
+  const limit = searchParams.get("limit");
+  if (limit !== null) {
+    const parsedLimit = Number(limit);
+    if (Number.isInteger(parsedLimit) && parsedLimit >= 1 && parsedLimit <= MAX_SEARCH_LIMIT) {
+      options.limit = parsedLimit;
+    } else {
+      errors.limit = `Limit must be a whole number between 1 and ${MAX_SEARCH_LIMIT}.`;
+    }
+  }
+
+  return { options, errors: Object.keys(errors).length > 0 ? errors : null };
+}
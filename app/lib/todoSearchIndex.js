@@ -0,0 +1,131 @@
+// Server-side search index for todos, kept in the `todoSearchIndex` collection.
+// Firestore has no full-text search, so each todo has an index document (with the todo's ID)
+// holding every word prefix of its text, tags and notes (see searchText.js). A search looks up
+// one term with array-contains and checks the other terms in memory.
+//
+// Only a user's own todos go through the index. Todos shared with them are matched directly,
+// since the index is keyed by owner and there are few of those.
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { writeInBatches } from "@/app/lib/batchWrites";
+import { buildSearchTerms, getIndexTerm, scoreTodo } from "@/app/lib/searchText";
+import { serializeTodo } from "@/app/lib/todoSerializer";
+
+// Todo fields the index is built from; changing any of them means re-indexing the todo
+export const SEARCHABLE_FIELDS = ["text", "notes", "tags"];
+
+const IN_QUERY_LIMIT = 30; // Firestore allows at most 30 values in an "in" filter
+
+export function getSearchIndexRef(todoId) {
+  return adminDb.collection("todoSearchIndex").doc(todoId);
+}
+
+// The index document for a todo's raw Firestore data
+export function buildSearchIndexEntry(todoData) {
+  return {
+    userId: todoData.userId,
+    terms: buildSearchTerms(todoData),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+export async function indexTodo(todoId, todoData) {
+  await getSearchIndexRef(todoId).set(buildSearchIndexEntry(todoData));
+}
+
+export async function removeFromSearchIndex(todoId) {
+  await getSearchIndexRef(todoId).delete();
+}
+
+/**
+ * Brings the user's index up to date when it doesn't cover every todo, e.g. for todos
+ * created before search existed. Comparing the two counts keeps this cheap in the usual case.
+ */
+async function ensureSearchIndex(uid) {
+  const todosQuery = adminDb.collection("todos").where("userId", "==", uid);
+  const indexQuery = adminDb.collection("todoSearchIndex").where("userId", "==", uid);
+  const [todoCount, indexCount] = await Promise.all([
+    todosQuery.count().get(),
+    indexQuery.count().get(),
+  ]);
+  if (todoCount.data().count === indexCount.data().count) {
+    return;
+  }
+
+  const [todosSnapshot, indexSnapshot] = await Promise.all([
+    todosQuery.get(),
+    indexQuery.select().get(),
+  ]);
+  const todoData = new Map(todosSnapshot.docs.map((doc) => [doc.id, doc.data()]));
+  await writeInBatches(
+    todosSnapshot.docs.map((doc) => getSearchIndexRef(doc.id)),
+    (batch, ref) => batch.set(ref, buildSearchIndexEntry(todoData.get(ref.id)))
+  );
+  // Entries left behind by todos that no longer exist
+  await writeInBatches(
+    indexSnapshot.docs.filter((doc) => !todoData.has(doc.id)).map((doc) => doc.ref),
+    (batch, ref) => batch.delete(ref)
+  );
+}
+
+/**
+ * Searches every todo the user can see for the given (parsed) query terms.
+ * Returns up to `limit` results `{ todo, score, highlights }`, best match first
+ * (ties go to the most recently updated todo).
+ */
+export async function searchTodos(uid, terms, limit) {
+  await ensureSearchIndex(uid);
+
+  // The longest term narrows the lookup down the most
+  const lookupTerm = getIndexTerm(
+    terms.reduce((longest, term) => (term.length > longest.length ? term : longest))
+  );
+  const [ownIndexSnapshot, sharedTodosSnapshot, sharedListsSnapshot] = await Promise.all([
+    adminDb
+      .collection("todoSearchIndex")
+      .where("userId", "==", uid)
+      .where("terms", "array-contains", lookupTerm)
+      .get(),
+    adminDb.collection("todos").where("collaboratorIds", "array-contains", uid).get(),
+    adminDb.collection("lists").where("collaboratorIds", "array-contains", uid).get(),
+  ]);
+
+  // Only load the own todos whose index has every term
+  const ownTodoRefs = ownIndexSnapshot.docs
+    .filter((doc) => terms.every((term) => doc.get("terms").includes(getIndexTerm(term))))
+    .map((doc) => adminDb.collection("todos").doc(doc.id));
+  const sharedListIds = sharedListsSnapshot.docs.map((doc) => doc.id);
+  const listTodoQueries = [];
+  for (let start = 0; start < sharedListIds.length; start += IN_QUERY_LIMIT) {
+    const listIds = sharedListIds.slice(start, start + IN_QUERY_LIMIT);
+    listTodoQueries.push(adminDb.collection("todos").where("listId", "in", listIds).get());
+  }
+  const [ownTodoDocs, listTodoSnapshots] = await Promise.all([
+    ownTodoRefs.length > 0 ? adminDb.getAll(...ownTodoRefs) : [],
+    Promise.all(listTodoQueries),
+  ]);
+
+  // A todo can turn up more than once (e.g. shared directly and through its list)
+  const candidates = new Map();
+  for (const doc of [
+    ...ownTodoDocs,
+    ...sharedTodosSnapshot.docs,
+    ...listTodoSnapshots.flatMap((snapshot) => snapshot.docs),
+  ]) {
+    if (doc.exists) {
+      candidates.set(doc.id, doc.data());
+    }
+  }
+
+  const results = [];
+  for (const [id, data] of candidates) {
+    const match = scoreTodo(data, terms);
+    if (match) {
+      results.push({ todo: serializeTodo(id, data), ...match });
+    }
+  }
+  results.sort(
+    (a, b) => b.score - a.score || (b.todo.updatedAt || "").localeCompare(a.todo.updatedAt || "")
+  );
+  return results.slice(0, limit);
+}
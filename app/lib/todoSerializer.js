@@ -0,0 +1,57 @@
+// Converts Firestore todo, list, invitation and notification documents into plain JSON
+// for API responses.
+
+// Fields stored as Firestore Timestamps that the client expects as ISO strings
+const TIMESTAMP_FIELDS = ["createdAt", "updatedAt", "dueDate"];
+
+function toIsoString(value) {
+  return value && typeof value.toDate === "function" ? value.toDate().toISOString() : null;
+}
+
+/**
+ * Builds the response shape for a todo from its ID and raw Firestore data.
+ */
+export function serializeTodo(id, data) {
+  const todo = { id, ...data };
+  for (const field of TIMESTAMP_FIELDS) {
+    todo[field] = toIsoString(data[field]);
+  }
+  return todo;
+}
+
+/**
+ * Builds the response shape for a list from its ID and raw Firestore data.
+ */
+export function serializeList(id, data) {
+  return {
+    id,
+    ...data,
+    createdAt: toIsoString(data.createdAt),
+    updatedAt: toIsoString(data.updatedAt),
+  };
+}
+
+/**
+ * Builds the response shape for a sharing invitation from its ID and raw Firestore data.
+ */
+export function serializeInvitation(id, data) {
+  return {
+    id,
+    ...data,
+    createdAt: toIsoString(data.createdAt),
+    updatedAt: toIsoString(data.updatedAt),
+  };
+}
+
+/**
+ * Builds the response shape for a notification from its ID and raw Firestore data.
+ */
+export function serializeNotification(id, data) {
+  return {
+    id,
+    ...data,
+    dueDate: toIsoString(data.dueDate),
+    createdAt: toIsoString(data.createdAt),
+    readAt: toIsoString(data.readAt),
+  };
+}
@@ -0,0 +1,70 @@
+// Server-side helpers for todo tags ("#urgent", "@errands", ...).
+// Tags live in each todo's `tags` array. Counting, renaming and merging only look at the
+// user's own todos: tags on todos someone else owns belong to that owner.
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { commitWriteGroups } from "@/app/lib/batchWrites";
+import { getSearchIndexRef, buildSearchIndexEntry } from "@/app/lib/todoSearchIndex";
+import { buildHistoryWrite } from "@/app/lib/todoHistory";
+
+/**
+ * Every tag on the user's todos with the number of todos carrying it,
+ * most used first (ties in alphabetical order). Returns [{ tag, count }].
+ */
+export async function listTagCounts(uid) {
+  const todosSnapshot = await adminDb
+    .collection("todos")
+    .where("userId", "==", uid)
+    .select("tags")
+    .get();
+
+  const counts = new Map();
+  for (const doc of todosSnapshot.docs) {
+    for (const tag of doc.get("tags") || []) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Replaces each of the `sources` tags with `target` on every todo of the user,
+ * keeping each todo's tags free of duplicates. Returns the number of todos changed.
+ */
+export async function rewriteTags(uid, sources, target) {
+  const todosSnapshot = await adminDb
+    .collection("todos")
+    .where("userId", "==", uid)
+    .where("tags", "array-contains-any", sources)
+    .get();
+
+  const outcomes = await commitWriteGroups(
+    todosSnapshot.docs.map((doc) => {
+      const tags = doc.get("tags").map((tag) => (sources.includes(tag) ? target : tag));
+      const todoData = doc.data();
+      const newTodoData = { ...todoData, tags: [...new Set(tags)] };
+      return [
+        (batch) =>
+          batch.update(doc.ref, {
+            tags: newTodoData.tags,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          }),
+        // Tags are searchable, so the search index changes with them
+        (batch) => batch.set(getSearchIndexRef(doc.id), buildSearchIndexEntry(newTodoData)),
+        buildHistoryWrite(doc.id, {
+          action: "update",
+          before: todoData,
+          after: newTodoData,
+          actorId: uid,
+        }),
+      ].filter(Boolean);
+    })
+  );
+  const error = outcomes.find(Boolean);
+  if (error) {
+    throw error;
+  }
+  return todosSnapshot.size;
+}
@@ -0,0 +1,186 @@
+// Server-side helpers for the trash.
+// Deleting a todo moves its document from `todos` to `trashedTodos` (same ID, plus `deletedAt`
+// and `deletedBy`), so none of the todo queries have to skip deleted items. Restoring moves it
+// back. Trashed todos older than TRASH_RETENTION_DAYS are purged for good.
+//
+// The trash of a todo is visible to its owner and to whoever deleted it (e.g. the list owner).
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { writeInBatches, commitWriteGroups } from "@/app/lib/batchWrites";
+import { getSearchIndexRef, buildSearchIndexEntry } from "@/app/lib/todoSearchIndex";
+import { ensureInboxList } from "@/app/lib/todoLists";
+import { revokeResourceInvitations } from "@/app/lib/invitations";
+import { serializeTodo } from "@/app/lib/todoSerializer";
+import { buildHistoryWrite, deleteTodoHistory } from "@/app/lib/todoHistory";
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a todo stays in the trash, configurable through the TRASH_RETENTION_DAYS env variable
+export const TRASH_RETENTION_DAYS =
+  Number.parseInt(process.env.TRASH_RETENTION_DAYS, 10) > 0
+    ? Number.parseInt(process.env.TRASH_RETENTION_DAYS, 10)
+    : DEFAULT_TRASH_RETENTION_DAYS;
+
+function getTrashRef(todoId) {
+  return adminDb.collection("trashedTodos").doc(todoId);
+}
+
+// Only the todo's owner and the user who deleted it can restore or purge it
+function canManageTrashedTodo(data, uid) {
+  return data.userId === uid || data.deletedBy === uid;
+}
+
+/**
+ * Builds the response shape for a trashed todo: a todo plus `deletedAt` and `purgeAt`.
+ */
+export function serializeTrashedTodo(id, data) {
+  const deletedAt = data.deletedAt?.toDate ? data.deletedAt.toDate() : null;
+  return {
+    ...serializeTodo(id, data),
+    deletedAt: deletedAt ? deletedAt.toISOString() : null,
+    purgeAt: deletedAt
+      ? new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString()
+      : null,
+  };
+}
+
+/**
+ * The writes that move one todo to the trash, for a batch or commitWriteGroups.
+ * `todoData` is the todo's current Firestore data; `uid` is the user deleting it.
+ */
+export function buildTrashWrites(todoId, todoData, uid) {
+  return [
+    (batch) =>
+      batch.set(getTrashRef(todoId), {
+        ...todoData,
+        deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+        deletedBy: uid,
+      }),
+    (batch) => batch.delete(adminDb.collection("todos").doc(todoId)),
+    (batch) => batch.delete(getSearchIndexRef(todoId)),
+    buildHistoryWrite(todoId, {
+      action: "delete",
+      before: todoData,
+      after: todoData,
+      actorId: uid,
+    }),
+  ];
+}
+
+// Moves every todo in a list to the trash, e.g. when the list is deleted along with them
+export async function trashListTodos(listId, uid) {
+  const todosSnapshot = await adminDb.collection("todos").where("listId", "==", listId).get();
+  const outcomes = await commitWriteGroups(
+    todosSnapshot.docs.map((doc) => buildTrashWrites(doc.id, doc.data(), uid))
+  );
+  const error = outcomes.find(Boolean);
+  if (error) {
+    throw error;
+  }
+  return todosSnapshot.size;
+}
+
+/**
+ * The user's trash, most recently deleted first: the todos they own and the ones they deleted.
+ */
+export async function listTrash(uid) {
+  const [ownSnapshot, deletedSnapshot] = await Promise.all([
+    adminDb.collection("trashedTodos").where("userId", "==", uid).get(),
+    adminDb.collection("trashedTodos").where("deletedBy", "==", uid).get(),
+  ]);
+  const todos = new Map();
+  for (const doc of [...ownSnapshot.docs, ...deletedSnapshot.docs]) {
+    todos.set(doc.id, serializeTrashedTodo(doc.id, doc.data()));
+  }
+  return [...todos.values()].sort((a, b) => (b.deletedAt || "").localeCompare(a.deletedAt || ""));
+}
+
+/**
+ * Puts a trashed todo back. If its list was deleted in the meantime it goes to its owner's Inbox.
+ * Returns `{ todo }`, or `{ error, status }` when it can't be restored.
+ */
+export async function restoreTrashedTodo(todoId, uid) {
+  const trashDoc = await getTrashRef(todoId).get();
+  if (!trashDoc.exists) {
+    return { error: "Todo item not found in the trash.", status: 404 };
+  }
+  if (!canManageTrashedTodo(trashDoc.data(), uid)) {
+    return { error: "Forbidden: You cannot restore this todo item.", status: 403 };
+  }
+
+  const trashedData = trashDoc.data();
+  const todoData = { ...trashedData };
+  delete todoData.deletedAt;
+  delete todoData.deletedBy;
+  const listDoc = todoData.listId
+    ? await adminDb.collection("lists").doc(todoData.listId).get()
+    : null;
+  if (!listDoc?.exists) {
+    todoData.listId = await ensureInboxList(todoData.userId);
+  }
+  todoData.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+
+  const todoRef = adminDb.collection("todos").doc(todoId);
+  const batch = adminDb.batch();
+  batch.create(todoRef, todoData); // Fails instead of overwriting if it was restored meanwhile
+  batch.set(getSearchIndexRef(todoId), buildSearchIndexEntry(todoData));
+  batch.delete(getTrashRef(todoId));
+  buildHistoryWrite(todoId, {
+    action: "restore",
+    before: trashedData,
+    after: todoData,
+    actorId: uid,
+  })(batch);
+  try {
+    await batch.commit();
+  } catch (error) {
+    if (error.code === 6) {
+      return { error: "This todo item has already been restored.", status: 409 }; // ALREADY_EXISTS
+    }
+    throw error;
+  }
+
+  const restoredDoc = await todoRef.get();
+  return { todo: serializeTodo(todoId, restoredDoc.data()) };
+}
+
+/**
+ * Deletes a trashed todo for good. Returns `{}`, or `{ error, status }` like restoreTrashedTodo.
+ */
+export async function deleteTrashedTodo(todoId, uid) {
+  const trashDoc = await getTrashRef(todoId).get();
+  if (!trashDoc.exists) {
+    return { error: "Todo item not found in the trash.", status: 404 };
+  }
+  if (!canManageTrashedTodo(trashDoc.data(), uid)) {
+    return { error: "Forbidden: You cannot delete this todo item.", status: 403 };
+  }
+  await getTrashRef(todoId).delete();
+  await revokeResourceInvitations("todo", todoId);
+  await deleteTodoHistory([todoId]);
+  return {};
+}
+
+/**
+ * Deletes every trashed todo older than TRASH_RETENTION_DAYS for good, optionally only the
+ * ones owned by `userId`. Returns the number of todos purged.
+ */
+export async function purgeExpiredTrash({ userId = null } = {}) {
+  const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+  let query = adminDb.collection("trashedTodos").where("deletedAt", "<=", cutoff);
+  if (userId) {
+    query = query.where("userId", "==", userId);
+  }
+  const expiredSnapshot = await query.select().get();
+
+  await writeInBatches(
+    expiredSnapshot.docs.map((doc) => doc.ref),
+    (batch, ref) => batch.delete(ref)
+  );
+  for (const doc of expiredSnapshot.docs) {
+    await revokeResourceInvitations("todo", doc.id);
+  }
+  await deleteTodoHistory(expiredSnapshot.docs.map((doc) => doc.id));
+  return expiredSnapshot.size;
+}
@@ -0,0 +1,935 @@
+// Shared validation for todo payloads sent to the /api/todos routes.
+// This module has no server-only imports, so client components can reuse the same limits.
+
+import { validateRecurrenceRule } from "@/app/lib/recurrence";
+import { COLLABORATOR_ROLES, SHARE_RESOURCE_TYPES } from "@/app/lib/sharing";
+
+export const TODO_TEXT_MAX_LENGTH = 500;
+export const TODO_NOTES_MAX_LENGTH = 10000;
+export const TODO_PRIORITIES = ["low", "medium", "high"];
+export const SUBTASK_TEXT_MAX_LENGTH = 200;
+export const MAX_SUBTASKS = 100;
+export const LIST_NAME_MAX_LENGTH = 100;
+export const TAG_MAX_LENGTH = 50;
+export const MAX_TAGS = 20;
+export const MAX_MERGE_SOURCES = 30; // Firestore's limit for array-contains-any
+export const BATCH_ACTIONS = [
+  "complete",
+  "uncomplete",
+  "delete",
+  "setPriority",
+  "move",
+  "setDueDate",
+];
+export const MAX_BATCH_ITEMS = 500; // Todos per batch request, across all of its operations
+export const TODO_FILE_FORMATS = ["json", "csv", "ics"]; // For import and export
+export const MAX_IMPORT_LENGTH = 1000000; // Characters in an imported file
+export const MAX_IMPORT_TODOS = 1000;
+export const MAX_REMINDERS = 5;
+export const MAX_REMINDER_OFFSET = 7 * 24 * 60; // Minutes before the due date: one week
+export const QUICK_ADD_MAX_LENGTH = 1000; // Characters in a quick-add line, phrases included
+export const API_TOKEN_SCOPES = ["read", "write"]; // Read-only, or read and write
+export const API_TOKEN_NAME_MAX_LENGTH = 100;
+export const MAX_API_TOKENS = 20; // Per user
+export const AVATAR_TYPES = ["image/jpeg", "image/png", "image/webp"];
+export const AVATAR_MAX_BYTES = 200 * 1024; // The settings page sends 256px images, far less
+
+// The todo field that carries the value of each batch action that takes one
+export const BATCH_ACTION_FIELDS = {
+  setPriority: "priority",
+  move: "listId",
+  setDueDate: "dueDate",
+};
+
+// A tag is "#word" or "@word": letters, digits and - _ / . after the sigil
+const TAG_PATTERN = new RegExp(`^[#@][\\p{L}\\p{N}_\\-/.]{1,${TAG_MAX_LENGTH}}$`, "u");
+
+/**
+ * Normalizes a tag as typed by a user: trimmed, lower case, and with a "#" added when it
+ * doesn't start with "#" or "@" already. Returns null when it isn't a valid tag.
+ */
+export function normalizeTag(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  let tag = value.trim().toLowerCase();
+  if (!tag.startsWith("#") && !tag.startsWith("@")) {
+    tag = `#${tag}`;
+  }
+  return TAG_PATTERN.test(tag) ? tag : null;
+}
+
+// Fields the server manages itself. Clients may never set them directly.
+// (Subtasks are changed through /api/todos/[id]/subtasks, collaborators through /api/invitations.)
+const READ_ONLY_FIELDS = [
+  "id",
+  "userId",
+  "createdAt",
+  "updatedAt",
+  "subtasks",
+  "occurrence",
+  "previousOccurrenceId",
+  "nextOccurrenceId",
+  "collaborators",
+  "collaboratorIds",
+  "ownerEmail",
+  "remindersSent",
+  "position", // Changed through PATCH /api/todos/reorder
+];
+
+// Deliberately loose: the invitee proves the address by signing in with it
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// --- Per-field validators ---
+// Each validator returns { value } with the normalized value, or { error } with a message.
+const fieldValidators = {
+  text(value) {
+    if (typeof value !== "string") {
+      return { error: "Text must be a string." };
+    }
+    const text = value.trim();
+    if (!text) {
+      return { error: "Text cannot be empty." };
+    }
+    if (text.length > TODO_TEXT_MAX_LENGTH) {
+      return { error: `Text must be at most ${TODO_TEXT_MAX_LENGTH} characters.` };
+    }
+    return { value: text };
+  },
+
+  // Longer free-form description; an empty string clears it
+  notes(value) {
+    if (value === null) {
+      return { value: "" };
+    }
+    if (typeof value !== "string") {
+      return { error: "Notes must be a string." };
+    }
+    if (value.length > TODO_NOTES_MAX_LENGTH) {
+      return { error: `Notes must be at most ${TODO_NOTES_MAX_LENGTH} characters.` };
+    }
+    return { value };
+  },
+
+  completed(value) {
+    if (typeof value !== "boolean") {
+      return { error: "Completed must be true or false." };
+    }
+    return { value };
+  },
+
+  priority(value) {
+    if (value === null || value === "") {
+      return { value: null }; // Clears the priority
+    }
+    if (!TODO_PRIORITIES.includes(value)) {
+      return { error: `Priority must be one of: ${TODO_PRIORITIES.join(", ")}.` };
+    }
+    return { value };
+  },
+
+  dueDate(value) {
+    if (value === null || value === "") {
+      return { value: null }; // Clears the due date
+    }
+    if (typeof value !== "string" && typeof value !== "number") {
+      return { error: "Due date must be a date string or timestamp." };
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { error: "Due date is not a valid date." };
+    }
+    return { value: date };
+  },
+
+  // When true, the todo completes itself once every subtask is done
+  autoCompleteParent(value) {
+    if (typeof value !== "boolean") {
+      return { error: "Auto-complete must be true or false." };
+    }
+    return { value };
+  },
+
+  // Repeat rule, see recurrence.js; null stops the todo from repeating
+  recurrence(value) {
+    return validateRecurrenceRule(value);
+  },
+
+  // Free-form tags like "#urgent" or "@errands"; duplicates are dropped
+  tags(value) {
+    if (!Array.isArray(value)) {
+      return { error: "Tags must be a list of strings." };
+    }
+    const tags = [];
+    for (const rawTag of value) {
+      const tag = normalizeTag(rawTag);
+      if (!tag) {
+        return {
+          error: `"${rawTag}" is not a valid tag. Use letters, digits, - _ / . (at most ${TAG_MAX_LENGTH}).`,
+        };
+      }
+      if (!tags.includes(tag)) {
+        tags.push(tag);
+      }
+    }
+    if (tags.length > MAX_TAGS) {
+      return { error: `A todo can have at most ${MAX_TAGS} tags.` };
+    }
+    return { value: tags };
+  },
+
+  // When to be reminded, in minutes before the due date (0 is "at due time"); sorted, no duplicates
+  reminders(value) {
+    if (!Array.isArray(value)) {
+      return { error: "Reminders must be a list of minutes before the due date." };
+    }
+    if (
+      !value.every(
+        (offset) => Number.isInteger(offset) && offset >= 0 && offset <= MAX_REMINDER_OFFSET
+      )
+    ) {
+      return {
+        error: `Each reminder must be a whole number of minutes from 0 to ${MAX_REMINDER_OFFSET}.`,
+      };
+    }
+    const reminders = [...new Set(value)].sort((a, b) => a - b);
+    if (reminders.length > MAX_REMINDERS) {
+      return { error: `A todo can have at most ${MAX_REMINDERS} reminders.` };
+    }
+    return { value: reminders };
+  },
+
+  // The list the todo belongs to. The routes check that the list exists and is the user's.
+  listId(value) {
+    if (typeof value !== "string" || !value.trim() || value.includes("/")) {
+      return { error: "List ID must be a non-empty string." };
+    }
+    return { value: value.trim() };
+  },
+};
+
+/**
+ * Validates a todo payload against the whitelist of client-settable fields.
+ * Pass `{ partial: true }` for updates, where every field is optional.
+ * Returns `{ data, errors }`: `data` holds the normalized values, and `errors`
+ * maps each rejected field to a message (or is null when the payload is valid).
+ */
+export function validateTodoPayload(payload, { partial = false } = {}) {
+  const data = {};
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data, errors: { body: "Request body must be a JSON object." } };
+  }
+
+  for (const [field, value] of Object.entries(payload)) {
+    if (READ_ONLY_FIELDS.includes(field)) {
+      errors[field] = "This field cannot be set.";
+      continue;
+    }
+    if (!Object.hasOwn(fieldValidators, field)) {
+      errors[field] = "Unknown field.";
+      continue;
+    }
+    const result = fieldValidators[field](value);
+    if (result.error) {
+      errors[field] = result.error;
+    } else {
+      data[field] = result.value;
+    }
+  }
+
+  if (!partial) {
+    if (!Object.hasOwn(payload, "text")) {
+      errors.text = "Text is required.";
+    }
+    if (!Object.hasOwn(data, "completed")) {
+      data.completed = false; // New todos start out incomplete
+    }
+    if (data.recurrence && !data.dueDate && !errors.dueDate) {
+      errors.recurrence = "A repeating todo needs a due date.";
+    }
+  } else if (Object.keys(payload).length === 0) {
+    errors.body = "No fields to update.";
+  }
+
+  return { data, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Validates a subtask payload ({ text, completed }).
+ * Works like validateTodoPayload: returns `{ data, errors }`, with `{ partial: true }` for updates.
+ */
+export function validateSubtaskPayload(payload, { partial = false } = {}) {
+  const data = {};
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data, errors: { body: "Request body must be a JSON object." } };
+  }
+
+  for (const [field, value] of Object.entries(payload)) {
+    if (field === "text") {
+      if (typeof value !== "string" || !value.trim()) {
+        errors.text = "Subtask text cannot be empty.";
+      } else if (value.trim().length > SUBTASK_TEXT_MAX_LENGTH) {
+        errors.text = `Subtask text must be at most ${SUBTASK_TEXT_MAX_LENGTH} characters.`;
+      } else {
+        data.text = value.trim();
+      }
+    } else if (field === "completed") {
+      if (typeof value !== "boolean") {
+        errors.completed = "Completed must be true or false.";
+      } else {
+        data.completed = value;
+      }
+    } else {
+      errors[field] = "Unknown field.";
+    }
+  }
+
+  if (!partial) {
+    if (!Object.hasOwn(payload, "text")) {
+      errors.text = "Subtask text is required.";
+    }
+    if (!Object.hasOwn(data, "completed")) {
+      data.completed = false;
+    }
+  } else if (Object.keys(payload).length === 0) {
+    errors.body = "No fields to update.";
+  }
+
+  return { data, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Validates a list payload ({ name }).
+ * Works like validateTodoPayload: returns `{ data, errors }`, with `{ partial: true }` for updates.
+ */
+export function validateListPayload(payload, { partial = false } = {}) {
+  const data = {};
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data, errors: { body: "Request body must be a JSON object." } };
+  }
+
+  for (const [field, value] of Object.entries(payload)) {
+    if (field === "name") {
+      if (typeof value !== "string" || !value.trim()) {
+        errors.name = "List name cannot be empty.";
+      } else if (value.trim().length > LIST_NAME_MAX_LENGTH) {
+        errors.name = `List name must be at most ${LIST_NAME_MAX_LENGTH} characters.`;
+      } else {
+        data.name = value.trim();
+      }
+    } else {
+      errors[field] = "Unknown field.";
+    }
+  }
+
+  if (!partial) {
+    if (!Object.hasOwn(payload, "name")) {
+      errors.name = "List name is required.";
+    }
+  } else if (Object.keys(payload).length === 0) {
+    errors.body = "No fields to update.";
+  }
+
+  return { data, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Validates a sharing invitation ({ resourceType, resourceId, email, role }).
+ * Every field is required. Returns `{ data, errors }` like validateTodoPayload.
+ */
+export function validateInvitationPayload(payload) {
+  const data = {};
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data, errors: { body: "Request body must be a JSON object." } };
+  }
+
+  for (const [field, value] of Object.entries(payload)) {
+    if (field === "resourceType") {
+      if (SHARE_RESOURCE_TYPES.includes(value)) {
+        data.resourceType = value;
+      } else {
+        errors.resourceType = `Resource type must be one of: ${SHARE_RESOURCE_TYPES.join(", ")}.`;
+      }
+    } else if (field === "resourceId") {
+      if (typeof value === "string" && value.trim() && !value.includes("/")) {
+        data.resourceId = value.trim();
+      } else {
+        errors.resourceId = "Resource ID must be a non-empty string.";
+      }
+    } else if (field === "email") {
+      if (typeof value === "string" && EMAIL_PATTERN.test(value.trim())) {
+        data.email = value.trim().toLowerCase();
+      } else {
+        errors.email = "Email must be a valid email address.";
+      }
+    } else if (field === "role") {
+      if (COLLABORATOR_ROLES.includes(value)) {
+        data.role = value;
+      } else {
+        errors.role = `Role must be one of: ${COLLABORATOR_ROLES.join(", ")}.`;
+      }
+    } else {
+      errors[field] = "Unknown field.";
+    }
+  }
+
+  for (const field of ["resourceType", "resourceId", "email", "role"]) {
+    if (!Object.hasOwn(payload, field)) {
+      errors[field] = "This field is required.";
+    }
+  }
+
+  return { data, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Validates a tag rename ({ from, to }). Both tags are required and normalized like todo tags.
+ * Returns `{ data, errors }` like validateTodoPayload.
+ */
+export function validateTagRenamePayload(payload) {
+  const data = {};
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data, errors: { body: "Request body must be a JSON object." } };
+  }
+
+  for (const [field, value] of Object.entries(payload)) {
+    if (field === "from" || field === "to") {
+      const tag = normalizeTag(value);
+      if (tag) {
+        data[field] = tag;
+      } else {
+        errors[field] = "Must be a valid tag.";
+      }
+    } else {
+      errors[field] = "Unknown field.";
+    }
+  }
+
+  for (const field of ["from", "to"]) {
+    if (!Object.hasOwn(payload, field)) {
+      errors[field] = "This field is required.";
+    }
+  }
+  if (data.from && data.from === data.to) {
+    errors.to = "The new name must differ from the current one.";
+  }
+
+  return { data, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Validates a tag merge ({ sources, target }): every todo tagged with one of `sources`
+ * ends up tagged with `target` instead. Returns `{ data, errors }` like validateTodoPayload.
+ */
+export function validateTagMergePayload(payload) {
+  const data = {};
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data, errors: { body: "Request body must be a JSON object." } };
+  }
+
+  for (const [field, value] of Object.entries(payload)) {
+    if (field === "sources") {
+      const sources = Array.isArray(value) ? value.map(normalizeTag) : [];
+      if (sources.length === 0 || sources.includes(null)) {
+        errors.sources = "Sources must be a non-empty list of valid tags.";
+      } else if (new Set(sources).size > MAX_MERGE_SOURCES) {
+        errors.sources = `At most ${MAX_MERGE_SOURCES} tags can be merged at once.`;
+      } else {
+        data.sources = [...new Set(sources)];
+      }
+    } else if (field === "target") {
+      const tag = normalizeTag(value);
+      if (tag) {
+        data.target = tag;
+      } else {
+        errors.target = "Target must be a valid tag.";
+      }
+    } else {
+      errors[field] = "Unknown field.";
+    }
+  }
+
+  for (const field of ["sources", "target"]) {
+    if (!Object.hasOwn(payload, field)) {
+      errors[field] = "This field is required.";
+    }
+  }
+
+  return { data, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Validates a batch request: { operations: [{ action, ids, priority | listId | dueDate }] }.
+ * `priority` goes with setPriority, `listId` with move and `dueDate` with setDueDate (null clears
+ * it). A todo may appear only once per request. Returns `{ data, errors }` like
+ * validateTodoPayload, with data.operations as [{ action, ids, value }].
+ */
+export function validateBatchPayload(payload) {
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data: {}, errors: { body: "Request body must be a JSON object." } };
+  }
+  for (const field of Object.keys(payload)) {
+    if (field !== "operations") {
+      errors[field] = "Unknown field.";
+    }
+  }
+  if (!Array.isArray(payload.operations) || payload.operations.length === 0) {
+    errors.operations = "Operations must be a non-empty list.";
+    return { data: {}, errors };
+  }
+
+  const operations = [];
+  const seenIds = new Set();
+  payload.operations.forEach((operation, index) => {
+    const prefix = `operations.${index}`;
+    if (!operation || typeof operation !== "object" || Array.isArray(operation)) {
+      errors[prefix] = "Each operation must be an object.";
+      return;
+    }
+    const { action, ids, ...rest } = operation;
+    if (!BATCH_ACTIONS.includes(action)) {
+      errors[`${prefix}.action`] = `Action must be one of: ${BATCH_ACTIONS.join(", ")}.`;
+      return;
+    }
+
+    if (
+      !Array.isArray(ids) ||
+      ids.length === 0 ||
+      !ids.every((id) => typeof id === "string" && id.trim() && !id.includes("/"))
+    ) {
+      errors[`${prefix}.ids`] = "IDs must be a non-empty list of todo IDs.";
+    } else if (new Set(ids).size !== ids.length || ids.some((id) => seenIds.has(id))) {
+      errors[`${prefix}.ids`] = "Each todo can appear only once per request.";
+    } else {
+      ids.forEach((id) => seenIds.add(id));
+    }
+
+    const valueField = BATCH_ACTION_FIELDS[action];
+    let value = null;
+    for (const field of Object.keys(rest)) {
+      if (field !== valueField) {
+        errors[`${prefix}.${field}`] = `Unknown field for ${action}.`;
+      }
+    }
+    if (valueField) {
+      if (!Object.hasOwn(rest, valueField)) {
+        errors[`${prefix}.${valueField}`] = "This field is required.";
+      } else {
+        const result = fieldValidators[valueField](rest[valueField]);
+        if (result.error) {
+          errors[`${prefix}.${valueField}`] = result.error;
+        } else {
+          value = result.value;
+        }
+      }
+    }
+    operations.push({ action, ids, value });
+  });
+
+  if (seenIds.size > MAX_BATCH_ITEMS) {
+    errors.operations = `A batch can change at most ${MAX_BATCH_ITEMS} todos.`;
+  }
+
+  return { data: { operations }, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Validates a request naming todos by ID ({ ids }), e.g. to restore them from the trash.
+ * Returns `{ data, errors }` like validateTodoPayload.
+ */
+export function validateTodoIdsPayload(payload) {
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data: {}, errors: { body: "Request body must be a JSON object." } };
+  }
+  for (const field of Object.keys(payload)) {
+    if (field !== "ids") {
+      errors[field] = "Unknown field.";
+    }
+  }
+
+  const { ids } = payload;
+  if (
+    !Array.isArray(ids) ||
+    ids.length === 0 ||
+    !ids.every((id) => typeof id === "string" && id.trim() && !id.includes("/"))
+  ) {
+    errors.ids = "IDs must be a non-empty list of todo IDs.";
+  } else if (new Set(ids).size > MAX_BATCH_ITEMS) {
+    errors.ids = `At most ${MAX_BATCH_ITEMS} todos can be handled at once.`;
+  }
+
+  return {
+    data: errors.ids ? {} : { ids: [...new Set(ids)] },
+    errors: Object.keys(errors).length > 0 ? errors : null,
+  };
+}
+
+/**
+ * Validates a request to revert a todo to an earlier version ({ entryId }, the history entry
+ * the version is from). Returns `{ data, errors }` like validateTodoPayload.
+ */
+export function validateRevertPayload(payload) {
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data: {}, errors: { body: "Request body must be a JSON object." } };
+  }
+  for (const field of Object.keys(payload)) {
+    if (field !== "entryId") {
+      errors[field] = "Unknown field.";
+    }
+  }
+
+  const { entryId } = payload;
+  if (typeof entryId !== "string" || !entryId.trim() || entryId.includes("/")) {
+    errors.entryId = "Entry ID must be the ID of a history entry.";
+  }
+
+  return {
+    data: errors.entryId ? {} : { entryId },
+    errors: Object.keys(errors).length > 0 ? errors : null,
+  };
+}
+
+/**
+ * Validates a request to move a todo in the manual order: { id, previousId, nextId }, the todo
+ * and the todos that should end up right above and below it (null at the top or end of the
+ * list). Returns `{ data, errors }` like validateTodoPayload.
+ */
+export function validateReorderPayload(payload) {
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data: {}, errors: { body: "Request body must be a JSON object." } };
+  }
+  for (const field of Object.keys(payload)) {
+    if (!["id", "previousId", "nextId"].includes(field)) {
+      errors[field] = "Unknown field.";
+    }
+  }
+
+  const isTodoId = (value) => typeof value === "string" && value.trim() && !value.includes("/");
+  const { id, previousId = null, nextId = null } = payload;
+  if (!isTodoId(id)) {
+    errors.id = "ID must be the ID of a todo.";
+  }
+  for (const [field, value] of [
+    ["previousId", previousId],
+    ["nextId", nextId],
+  ]) {
+    if (value !== null && !isTodoId(value)) {
+      errors[field] = "Must be the ID of a todo, or null.";
+    } else if (value !== null && value === id) {
+      errors[field] = "A todo can't be moved next to itself.";
+    }
+  }
+  if (previousId === null && nextId === null) {
+    errors.body = "Give previousId, nextId or both.";
+  } else if (previousId !== null && previousId === nextId) {
+    errors.nextId = "The todos above and below must be different todos.";
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { data: {}, errors };
+  }
+  return { data: { id, previousId, nextId }, errors: null };
+}
+
+/**
+ * Validates an import request: { format, content, dryRun?, listId?, timeZone? }.
+ * `content` is the text of the file; `listId` is the list for todos that don't name one of the
+ * user's lists, and `timeZone` the zone for iCalendar dates that don't name one.
+ * Returns `{ data, errors }` like validateTodoPayload.
+ */
+export function validateImportPayload(payload) {
+  const data = {};
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data, errors: { body: "Request body must be a JSON object." } };
+  }
+
+  for (const [field, value] of Object.entries(payload)) {
+    if (field === "format") {
+      if (!TODO_FILE_FORMATS.includes(value)) {
+        errors.format = `Format must be one of: ${TODO_FILE_FORMATS.join(", ")}.`;
+      } else {
+        data.format = value;
+      }
+    } else if (field === "content") {
+      if (typeof value !== "string" || !value.trim()) {
+        errors.content = "The file is empty.";
+      } else if (value.length > MAX_IMPORT_LENGTH) {
+        errors.content = `The file must be at most ${MAX_IMPORT_LENGTH / 1000000} MB.`;
+      } else {
+        data.content = value;
+      }
+    } else if (field === "dryRun") {
+      if (typeof value !== "boolean") {
+        errors.dryRun = "Dry run must be true or false.";
+      } else {
+        data.dryRun = value;
+      }
+    } else if (field === "listId") {
+      const result = fieldValidators.listId(value);
+      if (result.error) {
+        errors.listId = result.error;
+      } else {
+        data.listId = result.value;
+      }
+    } else if (field === "timeZone") {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: value });
+        data.timeZone = value;
+      } catch {
+        errors.timeZone = "Time zone must be an IANA time zone.";
+      }
+    } else {
+      errors[field] = "Unknown field.";
+    }
+  }
+
+  if (!Object.hasOwn(payload, "format")) {
+    errors.format = "Format is required.";
+  }
+  if (!Object.hasOwn(payload, "content")) {
+    errors.content = "Content is required.";
+  }
+  if (!Object.hasOwn(data, "dryRun")) {
+    data.dryRun = false;
+  }
+
+  return { data, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Validates a quick-add request: { input, timeZone?, listId? }, where `input` is the line to
+ * parse (see quickAdd.js) and `timeZone` the zone its dates are read in.
+ * Returns `{ data, errors }` like validateTodoPayload.
+ */
+export function validateQuickAddPayload(payload) {
+  const data = {};
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data, errors: { body: "Request body must be a JSON object." } };
+  }
+
+  for (const [field, value] of Object.entries(payload)) {
+    if (field === "input") {
+      if (typeof value !== "string" || !value.trim()) {
+        errors.input = "Input cannot be empty.";
+      } else if (value.length > QUICK_ADD_MAX_LENGTH) {
+        errors.input = `Input must be at most ${QUICK_ADD_MAX_LENGTH} characters.`;
+      } else {
+        data.input = value;
+      }
+    } else if (field === "timeZone") {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: value });
+        data.timeZone = value;
+      } catch {
+        errors.timeZone = "Time zone must be an IANA time zone.";
+      }
+    } else if (field === "listId") {
+      const result = fieldValidators.listId(value);
+      if (result.error) {
+        errors.listId = result.error;
+      } else {
+        data.listId = result.value;
+      }
+    } else {
+      errors[field] = "Unknown field.";
+    }
+  }
+
+  if (!Object.hasOwn(payload, "input")) {
+    errors.input = "Input is required.";
+  }
+
+  return { data, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Validates a request to mark notifications as read: { ids } for some of them, or { all: true }.
+ * Returns `{ data, errors }` like validateTodoPayload.
+ */
+export function validateNotificationReadPayload(payload) {
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data: {}, errors: { body: "Request body must be a JSON object." } };
+  }
+  for (const field of Object.keys(payload)) {
+    if (field !== "ids" && field !== "all") {
+      errors[field] = "Unknown field.";
+    }
+  }
+
+  const { ids, all } = payload;
+  if (all !== undefined && all !== true) {
+    errors.all = "All must be true when given.";
+  } else if (all === true && ids !== undefined) {
+    errors.body = "Give either ids or all, not both.";
+  } else if (all !== true) {
+    if (
+      !Array.isArray(ids) ||
+      ids.length === 0 ||
+      !ids.every((id) => typeof id === "string" && id.trim() && !id.includes("/"))
+    ) {
+      errors.ids = "IDs must be a non-empty list of notification IDs.";
+    } else if (new Set(ids).size > MAX_BATCH_ITEMS) {
+      errors.ids = `At most ${MAX_BATCH_ITEMS} notifications can be handled at once.`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { data: {}, errors };
+  }
+  return { data: all ? { all: true } : { ids: [...new Set(ids)] }, errors: null };
+}
+
+/**
+ * Validates a browser push subscription, as PushSubscription.toJSON() returns it:
+ * { endpoint, keys: { p256dh, auth } } (other fields such as expirationTime are ignored).
+ * Returns `{ data, errors }` like validateTodoPayload.
+ */
+export function validatePushSubscriptionPayload(payload) {
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data: {}, errors: { body: "Request body must be a JSON object." } };
+  }
+
+  const { endpoint, keys } = payload;
+  let endpointUrl = null;
+  try {
+    endpointUrl = typeof endpoint === "string" ? new URL(endpoint) : null;
+  } catch {
+    // Reported below
+  }
+  if (!endpointUrl || endpointUrl.protocol !== "https:") {
+    errors.endpoint = "Endpoint must be an https URL.";
+  }
+  if (
+    !keys ||
+    typeof keys !== "object" ||
+    typeof keys.p256dh !== "string" ||
+    !keys.p256dh ||
+    typeof keys.auth !== "string" ||
+    !keys.auth
+  ) {
+    errors.keys = "Keys must hold the p256dh and auth keys of the subscription.";
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { data: {}, errors };
+  }
+  return { data: { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } }, errors: null };
+}
+
+/**
+ * Validates an admin's changes to a user account: { disabled?, admin? }, both booleans.
+ * Returns `{ data, errors }` like validateTodoPayload.
+ */
+export function validateAccountUpdatePayload(payload) {
+  const data = {};
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data, errors: { body: "Request body must be a JSON object." } };
+  }
+  for (const [field, value] of Object.entries(payload)) {
+    if (field !== "disabled" && field !== "admin") {
+      errors[field] = "Unknown field.";
+    } else if (typeof value !== "boolean") {
+      errors[field] = `${field === "admin" ? "Admin" : "Disabled"} must be true or false.`;
+    } else {
+      data[field] = value;
+    }
+  }
+  if (Object.keys(errors).length === 0 && Object.keys(data).length === 0) {
+    errors.body = "Give disabled, admin or both.";
+  }
+
+  return { data, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Validates a new profile picture: { image }, a base64 data URL of a JPEG, PNG or WebP image
+ * of at most AVATAR_MAX_BYTES. Returns `{ data, errors }` like validateTodoPayload, with the
+ * image as { contentType, base64 }.
+ */
+export function validateAvatarPayload(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data: {}, errors: { body: "Request body must be a JSON object." } };
+  }
+  const errors = {};
+  for (const field of Object.keys(payload)) {
+    if (field !== "image") {
+      errors[field] = "Unknown field.";
+    }
+  }
+
+  const match =
+    typeof payload.image === "string" &&
+    payload.image.match(/^data:([a-z/]+);base64,([A-Za-z0-9+/]+={0,2})$/);
+  if (!match || !AVATAR_TYPES.includes(match[1])) {
+    errors.image = "Image must be a JPEG, PNG or WebP image, as a base64 data URL.";
+  } else if (Math.floor((match[2].length * 3) / 4) > AVATAR_MAX_BYTES) {
+    errors.image = `Image must be at most ${AVATAR_MAX_BYTES / 1024} KB.`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { data: {}, errors };
+  }
+  return { data: { contentType: match[1], base64: match[2] }, errors: null };
+}
+
+/**
+ * Validates a request to create a personal API token: { name, scope }, where scope is one of
+ * API_TOKEN_SCOPES. Returns `{ data, errors }` like validateTodoPayload.
+ */
+export function validateApiTokenPayload(payload) {
+  const errors = {};
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { data: {}, errors: { body: "Request body must be a JSON object." } };
+  }
+  for (const field of Object.keys(payload)) {
+    if (field !== "name" && field !== "scope") {
+      errors[field] = "Unknown field.";
+    }
+  }
+
+  const name = typeof payload.name === "string" ? payload.name.trim() : "";
+  if (!name) {
+    errors.name = "Name cannot be empty.";
+  } else if (name.length > API_TOKEN_NAME_MAX_LENGTH) {
+    errors.name = `Name must be at most ${API_TOKEN_NAME_MAX_LENGTH} characters.`;
+  }
+  if (!API_TOKEN_SCOPES.includes(payload.scope)) {
+    errors.scope = `Scope must be one of: ${API_TOKEN_SCOPES.join(", ")}.`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { data: {}, errors };
+  }
+  return { data: { name, scope: payload.scope }, errors: null };
+}
@@ -0,0 +1,162 @@
+// Server-side helpers for a user's account and everything stored about them: activity stats
+// for the admin console, and deleting all of a user's data for good (by an admin, or by the
+// user deleting their own account).
+//
+// A user's data is spread over several collections: the todos, trashed todos, lists, search
+// index, history, notifications, push subscriptions, API tokens and avatar they own
+// (`userId`), the invitations they sent or received, and their place in the `collaborators`
+// of todos and lists others shared with them.
+
+import { adminDb, admin } from "@/app/lib/firebaseAdmin.cjs";
+import { writeInBatches } from "@/app/lib/batchWrites";
+import { moveListTodosToInbox } from "@/app/lib/todoLists";
+import { hasAccountRole } from "@/app/lib/serverAuth";
+
+// Collections whose documents list collaborators (see sharing.js)
+const SHARED_COLLECTIONS = ["todos", "trashedTodos", "lists"];
+
+function toIsoString(dateString) {
+  return dateString ? new Date(dateString).toISOString() : null;
+}
+
+// The Firebase Auth record of a user, or null when there is no such account
+export async function findUserRecord(uid) {
+  try {
+    return await admin.auth().getUser(uid);
+  } catch (error) {
+    if (error.code === "auth/user-not-found" || error.code === "auth/invalid-uid") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * How much a user has and when they were last active: { todoCount, lastActivityAt }.
+ * Activity is the latest of their sign-in, their last token refresh (the app refreshes it
+ * hourly while open) and the last change to one of their todos.
+ */
+export async function getUserActivity(userRecord) {
+  const todosQuery = adminDb.collection("todos").where("userId", "==", userRecord.uid);
+  const [countSnapshot, latestSnapshot] = await Promise.all([
+    todosQuery.count().get(),
+    todosQuery.orderBy("updatedAt", "desc").limit(1).select("updatedAt").get(),
+  ]);
+  const activityTimes = [
+    userRecord.metadata.lastSignInTime,
+    userRecord.metadata.lastRefreshTime,
+    latestSnapshot.docs[0]?.get("updatedAt")?.toDate().toISOString(),
+  ]
+    .filter(Boolean)
+    .map((time) => new Date(time).getTime());
+
+  return {
+    todoCount: countSnapshot.data().count,
+    lastActivityAt: activityTimes.length
+      ? new Date(Math.max(...activityTimes)).toISOString()
+      : null,
+  };
+}
+
+/**
+ * Builds the response shape for a user account from its Firebase Auth record and
+ * getUserActivity stats.
+ */
+export function serializeAccount(userRecord, activity) {
+  return {
+    uid: userRecord.uid,
+    email: userRecord.email || null,
+    emailVerified: userRecord.emailVerified,
+    displayName: userRecord.displayName || null,
+    providers: userRecord.providerData.map((provider) => provider.providerId),
+    disabled: userRecord.disabled,
+    admin: hasAccountRole(userRecord.customClaims, "admin"),
+    createdAt: toIsoString(userRecord.metadata.creationTime),
+    lastSignInAt: toIsoString(userRecord.metadata.lastSignInTime),
+    tokensValidAfter: toIsoString(userRecord.tokensValidAfterTime),
+    ...activity,
+  };
+}
+
+/**
+ * Gives or takes away an account role (see ACCOUNT_ROLES in serverAuth.js), keeping the
+ * user's other custom claims.
+ */
+export async function setAccountRole(uid, role, enabled) {
+  const userRecord = await admin.auth().getUser(uid);
+  const claims = { ...userRecord.customClaims };
+  if (enabled) {
+    claims[role] = true;
+  } else {
+    delete claims[role];
+  }
+  await admin.auth().setCustomUserClaims(uid, claims);
+}
+
+// Deletes every document a query matches; resolves to how many there were
+async function deleteQueryResults(query) {
+  const snapshot = await query.select().get();
+  await writeInBatches(
+    snapshot.docs.map((doc) => doc.ref),
+    (batch, ref) => batch.delete(ref)
+  );
+  return snapshot.size;
+}
+
+/**
+ * Deletes everything stored about a user, then their account, for good (GDPR erasure).
+ * Todos other users keep in the user's lists go back to their owners' Inbox, and the user is
+ * taken off whatever others shared with them. Every step can run again, so a deletion that
+ * failed halfway can simply be retried.
+ * Resolves to the number of documents deleted per kind.
+ */
+export async function deleteUserData(uid) {
+  const userRecord = await findUserRecord(uid); // Null if the account is already gone
+  const email = userRecord?.email?.toLowerCase() || null;
+
+  const owned = (collection) => adminDb.collection(collection).where("userId", "==", uid);
+  const deleted = {
+    todos: await deleteQueryResults(owned("todos")),
+    trashedTodos: await deleteQueryResults(owned("trashedTodos")),
+    searchIndex: await deleteQueryResults(owned("todoSearchIndex")),
+    history: await deleteQueryResults(owned("todoHistory")),
+  };
+
+  // Only other users' todos are left in the user's lists now
+  const listsSnapshot = await owned("lists").get();
+  for (const listDoc of listsSnapshot.docs) {
+    await moveListTodosToInbox(listDoc.id, uid);
+  }
+  deleted.lists = await deleteQueryResults(owned("lists"));
+
+  for (const collection of SHARED_COLLECTIONS) {
+    const sharedSnapshot = await adminDb
+      .collection(collection)
+      .where("collaboratorIds", "array-contains", uid)
+      .select()
+      .get();
+    await writeInBatches(
+      sharedSnapshot.docs.map((doc) => doc.ref),
+      (batch, ref) =>
+        batch.update(ref, {
+          [`collaborators.${uid}`]: admin.firestore.FieldValue.delete(),
+          collaboratorIds: admin.firestore.FieldValue.arrayRemove(uid),
+        })
+    );
+  }
+
+  const invitations = adminDb.collection("invitations");
+  deleted.invitations =
+    (await deleteQueryResults(invitations.where("invitedBy", "==", uid))) +
+    (await deleteQueryResults(invitations.where("acceptedBy", "==", uid))) +
+    (email ? await deleteQueryResults(invitations.where("email", "==", email)) : 0);
+  deleted.notifications = await deleteQueryResults(owned("notifications"));
+  deleted.pushSubscriptions = await deleteQueryResults(owned("pushSubscriptions"));
+  deleted.apiTokens = await deleteQueryResults(owned("apiTokens"));
+  deleted.avatars = await deleteQueryResults(owned("avatars"));
+
+  if (userRecord) {
+    await admin.auth().deleteUser(uid);
+  }
+  return deleted;
+}
@@ -1,11 +1,15 @@
 "use client";
 
+import { use } from "react";
 import { useAuth } from "./contexts/AuthContext";
 import AuthForm from "./components/AuthForm";
+import VerifyEmailNotice from "./components/VerifyEmailNotice";
 import TodoApp from "./components/TodoApp";
+import { normalizeTag } from "./lib/todoValidation";
 
-export default function HomePage() {
-  const { user, loading } = useAuth();
+export default function HomePage({ searchParams }) {
+  const { user, loading, needsVerification } = useAuth();
+  const { tag } = use(searchParams); // "/?tag=..." opens the list filtered by that tag
 
   if (loading) {
     return (
@@ -19,6 +23,10 @@ export default function HomePage() {
     return <AuthForm />;
   }
 
+  if (needsVerification) {
+    return <VerifyEmailNotice user={user} />;
+  }
+
   // If user is logged in, show the main todo application content
-  return <TodoApp />;
+  return <TodoApp initialTag={normalizeTag(tag) || ""} />;
 }
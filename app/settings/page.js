@@ -0,0 +1,74 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import { useAuth } from "@/app/contexts/AuthContext";
+import ProfileSettings from "@/app/components/ProfileSettings";
+import SignInSettings from "@/app/components/SignInSettings";
+import DeleteAccount from "@/app/components/DeleteAccount";
+import ApiTokenSettings from "@/app/components/ApiTokenSettings";
+import ExportMenu from "@/app/components/ExportMenu";
+import VerifyEmailNotice from "@/app/components/VerifyEmailNotice";
+
+// Account settings: profile, sign-in, API tokens, a copy of the user's data, and deleting the
+// account
+export default function SettingsPage() {
+  const router = useRouter();
+  const { user, loading, needsVerification } = useAuth();
+  const [exportError, setExportError] = useState(null);
+
+  useEffect(() => {
+    if (!loading && !user) {
+      router.push("/"); // Signed out (or just deleted the account)
+    }
+  }, [loading, user, router]);
+
+  if (loading || !user) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gray-100">
+        <p className="text-xl text-gray-700">Checking authentication status...</p>
+      </div>
+    );
+  }
+
+  if (needsVerification) {
+    return <VerifyEmailNotice user={user} />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4 sm:p-8">
+      <div className="max-w-2xl mx-auto bg-white p-6 rounded-lg shadow-md space-y-8">
+        <div className="flex justify-between items-center gap-4">
+          <h1 className="text-2xl font-bold text-gray-800">Settings</h1>
+          <button
+            onClick={() => router.push("/")}
+            className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100"
+          >
+            Back to my todos
+          </button>
+        </div>
+
+        <ProfileSettings user={user} />
+        <hr className="border-gray-200" />
+        <SignInSettings user={user} />
+        <hr className="border-gray-200" />
+        <ApiTokenSettings />
+        <hr className="border-gray-200" />
+
+        <section className="space-y-3">
+          <h2 className="text-xl font-semibold text-gray-800">Your data</h2>
+          <p className="text-sm text-gray-600">Download every todo you own as a file.</p>
+          <ExportMenu onError={setExportError} />
+          {exportError && (
+            <p className="p-3 bg-red-100 text-red-700 rounded-md" role="alert">
+              {exportError}
+            </p>
+          )}
+        </section>
+        <hr className="border-gray-200" />
+
+        <DeleteAccount user={user} />
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,28 @@
-"use client"; 
+"use client";
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/navigation';
-import { fetchTodoById } from '@/utils/helper'; 
+import { fetchTodoById, fetchLists, subscribeToTodoChanges, updateTodo, deleteTodo, duplicateTodo } from '@/utils/helper';
 import { useAuth } from '@/app/contexts/AuthContext'; // To check if user is logged in
+import SubtaskChecklist from '@/app/components/SubtaskChecklist';
+import RecurrenceEditor from '@/app/components/RecurrenceEditor';
+import TagEditor from '@/app/components/TagEditor';
+import ReminderEditor from '@/app/components/ReminderEditor';
+import TodoHistory from '@/app/components/TodoHistory';
+import NotesEditor from '@/app/components/NotesEditor';
+import { describeRecurrence } from '@/app/lib/recurrence';
+import { toDateTimeLocalValue, fromDateTimeLocalValue } from '@/app/lib/dueDates';
+import { TODO_PRIORITIES, TODO_TEXT_MAX_LENGTH } from '@/app/lib/todoValidation';
+import { getTodoRole, hasRole } from '@/app/lib/sharing';
+
+const AUTOSAVE_DELAY_MS = 1000; // Typing in the text or notes is saved once it pauses this long
+
+// What the save indicator says for each save status
+const SAVE_STATUS_LABELS = {
+  unsaved: 'Unsaved changes',
+  saving: 'Saving...',
+  saved: 'All changes saved',
+};
 
 export default function TodoDetailsPage({ params }) {
   const router = useRouter();
@@ -13,6 +32,24 @@ export default function TodoDetailsPage({ params }) {
   const [todo, setTodo] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [lists, setLists] = useState([]); // The user's lists, for the role and the list picker
+  const [recurrenceDraft, setRecurrenceDraft] = useState(undefined); // Rule being edited; undefined when not editing
+  const [recurrenceError, setRecurrenceError] = useState(null);
+  const [savingRecurrence, setSavingRecurrence] = useState(false);
+
+  // Autosave: edited fields that aren't saved yet (text, notes, completed, priority, dueDate as
+  // an <input type="datetime-local"> value, listId), and how saving them went
+  const [drafts, setDrafts] = useState({});
+  const [saveStatus, setSaveStatus] = useState(null); // null, "unsaved", "saving", "saved" or "error"
+  const [saveError, setSaveError] = useState(null);
+  const draftsRef = useRef({}); // Latest drafts, read by the autosave timer
+  const saveTimerRef = useRef(null);
+  const saveQueueRef = useRef(Promise.resolve(true)); // Saves run one after another
+
+  // Delete and duplicate
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [actionPending, setActionPending] = useState(false);
+  const [actionError, setActionError] = useState(null);
 
   useEffect(() => {
     const loadTodoDetails = async () => {
@@ -23,6 +60,7 @@ export default function TodoDetailsPage({ params }) {
       }
       setLoading(true);
       setError(null);
+      setSaveStatus(null); // A new todo (e.g. a copy just made) starts without one
       try {
         const fetchedTodo = await fetchTodoById(id);
         setTodo(fetchedTodo);
@@ -32,6 +70,8 @@ export default function TodoDetailsPage({ params }) {
       } finally {
         setLoading(false);
       }
+      // Without the lists the todo's own role still applies, so a failure here isn't shown
+      fetchLists().then(setLists).catch((err) => console.error("Error loading lists:", err));
     };
 
     if (id) { // Ensure ID is available before fetching
@@ -39,8 +79,196 @@ export default function TodoDetailsPage({ params }) {
     }
   }, [id, user, router]); // Re-fetch if ID or user changes
 
+  // Keep the details live: apply changes made to this todo from any tab or device.
+  // Fields with unsaved edits keep showing the edits.
+  useEffect(() => {
+    if (!user || !id) {
+      return;
+    }
+    const unsubscribe = subscribeToTodoChanges({
+      onChange: (type, data) => {
+        if (data.id !== id) {
+          return; // A change to some other todo
+        }
+        if (type === 'removed') {
+          setTodo(null);
+          setError('This todo item was deleted.');
+        } else {
+          setTodo(data);
+        }
+      },
+    });
+    return unsubscribe;
+  }, [id, user]);
+
+  const replaceDrafts = (nextDrafts) => {
+    draftsRef.current = nextDrafts;
+    setDrafts(nextDrafts);
+  };
+
+  // Saves the current drafts. Resolves to true once nothing is left unsaved.
+  const saveDrafts = async () => {
+    const sent = draftsRef.current;
+    if (Object.keys(sent).length === 0) {
+      return true;
+    }
+    if (Object.hasOwn(sent, 'text') && !sent.text.trim()) {
+      setSaveStatus('error');
+      setSaveError('Text cannot be empty.');
+      return false;
+    }
+
+    const changes = { ...sent };
+    if (Object.hasOwn(changes, 'dueDate')) {
+      changes.dueDate = fromDateTimeLocalValue(changes.dueDate); // Local time -> ISO
+    }
+    setSaveStatus('saving');
+    setSaveError(null);
+    try {
+      const updatedTodo = await updateTodo(id, changes);
+      setTodo(updatedTodo);
+      // Fields edited again while saving stay drafts; their own save is already scheduled
+      const remaining = Object.fromEntries(
+        Object.entries(draftsRef.current).filter(([field, value]) => sent[field] !== value)
+      );
+      replaceDrafts(remaining);
+      setSaveStatus(Object.keys(remaining).length > 0 ? 'unsaved' : 'saved');
+      return Object.keys(remaining).length === 0;
+    } catch (err) {
+      setSaveStatus('error');
+      setSaveError(err.message);
+      console.error("Error saving todo:", err);
+      return false;
+    }
+  };
+
+  // Saves the drafts now (after any save already running). Resolves to true when all are saved.
+  const flushDrafts = () => {
+    clearTimeout(saveTimerRef.current);
+    saveQueueRef.current = saveQueueRef.current.then(saveDrafts);
+    return saveQueueRef.current;
+  };
+
+  // Records an edit and saves it after `delay` milliseconds (right away for picks and toggles)
+  const editField = (field, value, delay = 0) => {
+    replaceDrafts({ ...draftsRef.current, [field]: value });
+    setSaveStatus('unsaved');
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(flushDrafts, delay);
+  };
+
+  // Latest saveDrafts, for the cleanup below
+  const saveDraftsRef = useRef(saveDrafts);
+  useEffect(() => {
+    saveDraftsRef.current = saveDrafts;
+  });
+
+  // Leaving the page by any other way than leavePage: don't drop an edit still waiting to be saved
+  useEffect(() => {
+    return () => {
+      clearTimeout(saveTimerRef.current);
+      if (Object.keys(draftsRef.current).length > 0) {
+        saveQueueRef.current.then(() => saveDraftsRef.current());
+      }
+    };
+  }, [id]);
+
+  const hasUnsavedChanges = Object.keys(drafts).length > 0 || saveStatus === 'saving';
+
+  // Closing or reloading the tab with unsaved changes asks first
+  useEffect(() => {
+    if (!hasUnsavedChanges) {
+      return;
+    }
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = ''; // Older browsers only show the prompt with this set
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [hasUnsavedChanges]);
+
+  // Navigates elsewhere in the app, saving pending edits first. If they can't be saved, the
+  // user decides whether to leave without them.
+  const leavePage = async (path) => {
+    const saved = await flushDrafts();
+    if (!saved && !window.confirm('Your latest changes could not be saved. Leave this page and lose them?')) {
+      return;
+    }
+    router.push(path);
+  };
+
+  // Saves the edited repeat rule; null stops the todo from repeating
+  const handleSaveRecurrence = async () => {
+    setSavingRecurrence(true);
+    setRecurrenceError(null);
+    try {
+      const updatedTodo = await updateTodo(id, { recurrence: recurrenceDraft });
+      setTodo(updatedTodo);
+      setRecurrenceDraft(undefined);
+    } catch (err) {
+      setRecurrenceError(`Failed to save repeat rule: ${err.message}`);
+      console.error("Error saving repeat rule:", err);
+    } finally {
+      setSavingRecurrence(false);
+    }
+  };
+
+  // Saves the todo's complete new tag list (TagEditor shows the error if this throws)
+  const handleSaveTags = async (tags) => {
+    const updatedTodo = await updateTodo(id, { tags });
+    setTodo(updatedTodo);
+  };
+
+  // Saves the todo's complete new reminder list (ReminderEditor shows the error if this throws)
+  const handleSaveReminders = async (reminders) => {
+    const updatedTodo = await updateTodo(id, { reminders });
+    setTodo(updatedTodo);
+  };
+
+  // Moves the todo to the trash (it can be restored from there) and goes back to the list
+  const handleDelete = async () => {
+    setActionPending(true);
+    setActionError(null);
+    clearTimeout(saveTimerRef.current);
+    try {
+      await deleteTodo(id);
+      replaceDrafts({}); // Nothing left to save
+      router.push('/');
+    } catch (err) {
+      setActionError(`Failed to delete todo: ${err.message}`);
+      console.error("Error deleting todo:", err);
+      setActionPending(false);
+      setConfirmingDelete(false);
+    }
+  };
+
+  // Copies the todo (with the edits made here) and opens the copy
+  const handleDuplicate = async () => {
+    setActionPending(true);
+    setActionError(null);
+    try {
+      if (!(await flushDrafts())) {
+        setActionError('Save your changes before duplicating this todo.');
+        return;
+      }
+      const copy = await duplicateTodo(id);
+      router.push(`/todos/${copy.id}`);
+    } catch (err) {
+      setActionError(`Failed to duplicate todo: ${err.message}`);
+      console.error("Error duplicating todo:", err);
+    } finally {
+      setActionPending(false);
+    }
+  };
+
+  // Opens the todo list filtered by a tag
+  const handleSelectTag = (tag) => {
+    leavePage(`/?tag=${encodeURIComponent(tag)}`);
+  };
+
   const handleBackToList = () => {
-    router.push('/'); // Navigate back to the main todo list
+    leavePage('/'); // Navigate back to the main todo list
   };
 
   if (loading) {
@@ -56,7 +284,7 @@ export default function TodoDetailsPage({ params }) {
       <div className="min-h-screen flex items-center justify-center bg-red-100 text-red-700 p-4">
         <p>{error}</p>
         <button
-          onClick={handleBackToList}
+          onClick={() => router.push('/')}
           className="ml-4 px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
         >
           Back to List
@@ -70,7 +298,7 @@ export default function TodoDetailsPage({ params }) {
       <div className="min-h-screen flex items-center justify-center bg-gray-100 text-gray-700 p-4">
         <p>Todo item not found.</p>
         <button
-          onClick={handleBackToList}
+          onClick={() => router.push('/')}
           className="ml-4 px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
         >
           Back to List
@@ -79,49 +307,253 @@ export default function TodoDetailsPage({ params }) {
     );
   }
 
+  // Viewers only see the todo; only the owner can delete it or move it to another list
+  const todoList = lists.find((list) => list.id === todo.listId) || null;
+  const role = getTodoRole(todo, todoList, user.uid);
+  const canEdit = hasRole(role, 'editor');
+  const isOwner = role === 'owner';
+  const targetLists = lists.filter((list) => list.id === todo.listId || hasRole(list.role, 'editor'));
+
+  // Each field shows its unsaved edit, if there is one
+  const draftOr = (field, value) => (Object.hasOwn(drafts, field) ? drafts[field] : value);
+  const text = draftOr('text', todo.text);
+  const notes = draftOr('notes', todo.notes || '');
+  const completed = draftOr('completed', todo.completed);
+  const priority = draftOr('priority', todo.priority || '');
+  const dueDate = draftOr('dueDate', toDateTimeLocalValue(todo.dueDate));
+  const listId = draftOr('listId', todo.listId || '');
+
   return (
     <div className="min-h-screen bg-gray-100 p-4 sm:p-8 flex items-center justify-center">
       <div className="max-w-xl w-full bg-white p-6 sm:p-8 rounded-lg shadow-xl">
-        <h1 className="text-3xl sm:text-4xl font-extrabold text-gray-900 mb-6 text-center">Todo Details</h1>
+        <h1 className="text-3xl sm:text-4xl font-extrabold text-gray-900 mb-2 text-center">Todo Details</h1>
 
-        <div className="space-y-4 text-lg">
-          <p>
-            <strong className="text-gray-700">ID:</strong> <span className="text-gray-600 break-all">{todo.id}</span>
-          </p>
-          <p>
-            <strong className="text-gray-700">Text:</strong> <span className="text-gray-800">{todo.text}</span>
-          </p>
-          <p>
-            <strong className="text-gray-700">Completed:</strong>{' '}
-            <span className={`font-semibold ${todo.completed ? 'text-green-600' : 'text-yellow-600'}`}>
-              {todo.completed ? 'Yes' : 'No'}
+        {/* Autosave indicator */}
+        <div className="mb-6 min-h-5 text-sm text-center" role="status" aria-live="polite">
+          {saveStatus === 'error' ? (
+            <span className="text-red-600">
+              Couldn&apos;t save: {saveError}{' '}
+              <button onClick={flushDrafts} className="underline hover:text-red-800">Try again</button>
             </span>
-          </p>
-          {todo.priority && (
-            <p>
-              <strong className="text-gray-700">Priority:</strong> <span className="text-gray-600">{todo.priority}</span>
-            </p>
+          ) : (
+            saveStatus && <span className="text-gray-500">{SAVE_STATUS_LABELS[saveStatus]}</span>
           )}
-          {todo.dueDate && (
-            <p>
-              <strong className="text-gray-700">Due Date:</strong>{' '}
-              <span className="text-gray-600">{new Date(todo.dueDate).toLocaleDateString()}</span>
-            </p>
+        </div>
+
+        <div className="space-y-4 text-lg">
+          <div>
+            <label htmlFor="todo-text" className="block font-bold text-gray-700">Text</label>
+            <input
+              id="todo-text"
+              type="text"
+              value={text}
+              onChange={(e) => editField('text', e.target.value, AUTOSAVE_DELAY_MS)}
+              maxLength={TODO_TEXT_MAX_LENGTH}
+              className="mt-1 w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-gray-800 disabled:bg-gray-50"
+              disabled={!canEdit}
+            />
+          </div>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={completed}
+              onChange={(e) => editField('completed', e.target.checked)}
+              className="h-5 w-5 text-indigo-600 border-gray-300 rounded"
+              disabled={!canEdit}
+            />
+            <strong className="text-gray-700">Completed</strong>
+          </label>
+          <div className="flex flex-col sm:flex-row gap-4">
+            <div>
+              <label htmlFor="todo-priority" className="block font-bold text-gray-700">Priority</label>
+              <select
+                id="todo-priority"
+                value={priority}
+                onChange={(e) => editField('priority', e.target.value)}
+                className="mt-1 p-2 border border-gray-300 rounded-md text-gray-700 text-base"
+                disabled={!canEdit}
+              >
+                <option value="">No priority</option>
+                {TODO_PRIORITIES.map((option) => (
+                  <option key={option} value={option}>
+                    {option.charAt(0).toUpperCase() + option.slice(1)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="todo-due-date" className="block font-bold text-gray-700">Due Date</label>
+              <div className="mt-1 flex items-center gap-2">
+                <input
+                  id="todo-due-date"
+                  type="datetime-local"
+                  value={dueDate}
+                  onChange={(e) => editField('dueDate', e.target.value)}
+                  className="p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 text-[#777] text-base"
+                  disabled={!canEdit}
+                />
+                {dueDate && canEdit && (
+                  <button
+                    onClick={() => editField('dueDate', '')}
+                    className="text-sm text-gray-500 hover:text-gray-800"
+                    aria-label="Clear due date"
+                  >
+                    Clear
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+          {isOwner && targetLists.length > 0 && (
+            <div>
+              <label htmlFor="todo-list" className="block font-bold text-gray-700">List</label>
+              <select
+                id="todo-list"
+                value={listId}
+                onChange={(e) => editField('listId', e.target.value)}
+                className="mt-1 p-2 border border-gray-300 rounded-md text-gray-700 text-base"
+              >
+                {targetLists.map((list) => (
+                  <option key={list.id} value={list.id}>{list.name}</option>
+                ))}
+              </select>
+            </div>
           )}
+          <div>
+            <strong className="text-gray-700">Notes:</strong>
+            <div className="mt-2">
+              <NotesEditor
+                value={notes}
+                onChange={(value) => editField('notes', value, AUTOSAVE_DELAY_MS)}
+                disabled={!canEdit}
+              />
+            </div>
+          </div>
+          <div>
+            <strong className="text-gray-700">Repeats:</strong>{' '}
+            {recurrenceDraft === undefined ? (
+              <>
+                <span className="text-gray-600">{describeRecurrence(todo.recurrence)}</span>
+                {todo.recurrence && todo.occurrence && (
+                  <span className="text-gray-500 text-base">
+                    {' '}(occurrence {todo.occurrence}{todo.recurrence.count ? ` of ${todo.recurrence.count}` : ''})
+                  </span>
+                )}
+                {canEdit && (
+                  <button
+                    onClick={() => setRecurrenceDraft(todo.recurrence || null)}
+                    className="ml-3 px-3 py-1 bg-yellow-500 text-white rounded-md hover:bg-yellow-600 text-sm"
+                  >
+                    Edit
+                  </button>
+                )}
+              </>
+            ) : (
+              <div className="mt-2 p-4 border border-gray-200 rounded-md bg-gray-50">
+                <RecurrenceEditor value={recurrenceDraft} onChange={setRecurrenceDraft} disabled={savingRecurrence} />
+                {recurrenceDraft && !todo.dueDate && (
+                  <p className="mt-2 text-sm text-yellow-700">Set a due date first: a repeating todo steps from its due date.</p>
+                )}
+                {recurrenceError && (
+                  <p className="mt-2 text-sm text-red-600" role="alert">{recurrenceError}</p>
+                )}
+                <div className="mt-3 flex gap-2">
+                  <button
+                    onClick={handleSaveRecurrence}
+                    className="px-3 py-1 bg-green-500 text-white rounded-md hover:bg-green-600 text-sm disabled:opacity-50"
+                    disabled={savingRecurrence || (recurrenceDraft && !todo.dueDate)}
+                  >
+                    Save
+                  </button>
+                  <button
+                    onClick={() => { setRecurrenceDraft(undefined); setRecurrenceError(null); }}
+                    className="px-3 py-1 bg-gray-500 text-white rounded-md hover:bg-gray-600 text-sm"
+                    disabled={savingRecurrence}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+          <div>
+            <strong className="text-gray-700">Reminders:</strong>
+            <div className="mt-2">
+              <ReminderEditor reminders={todo.reminders || []} hasDueDate={Boolean(todo.dueDate)} onChange={handleSaveReminders} />
+            </div>
+          </div>
+          <div>
+            <strong className="text-gray-700">Tags:</strong>
+            <div className="mt-2">
+              <TagEditor tags={todo.tags || []} onChange={handleSaveTags} onSelect={handleSelectTag} />
+            </div>
+          </div>
+          <p className="text-base">
+            <strong className="text-gray-700">ID:</strong> <span className="text-gray-600 break-all">{todo.id}</span>
+          </p>
           {todo.createdAt && (
-            <p>
+            <p className="text-base">
               <strong className="text-gray-700">Created At:</strong>{' '}
               <span className="text-gray-600">{new Date(todo.createdAt).toLocaleString()}</span>
             </p>
           )}
           {todo.updatedAt && (
-            <p>
+            <p className="text-base">
               <strong className="text-gray-700">Last Updated:</strong>{' '}
               <span className="text-gray-600">{new Date(todo.updatedAt).toLocaleString()}</span>
             </p>
           )}
         </div>
 
+        <SubtaskChecklist todo={todo} onTodoChange={setTodo} />
+
+        <TodoHistory todo={todo} onTodoChange={setTodo} />
+
+        {/* Duplicate and delete */}
+        <div className="mt-8 pt-6 border-t border-gray-200">
+          {actionError && (
+            <p className="mb-3 text-sm text-red-600" role="alert">{actionError}</p>
+          )}
+          {confirmingDelete ? (
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="text-gray-700">Move this todo to the trash?</span>
+              <button
+                onClick={handleDelete}
+                className="px-3 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+                disabled={actionPending}
+              >
+                Delete
+              </button>
+              <button
+                onClick={() => setConfirmingDelete(false)}
+                className="px-3 py-2 bg-gray-400 text-white rounded-md hover:bg-gray-500 disabled:opacity-50"
+                disabled={actionPending}
+              >
+                Cancel
+              </button>
+            </div>
+          ) : (
+            <div className="flex flex-wrap gap-2 text-sm">
+              <button
+                onClick={handleDuplicate}
+                className="px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 disabled:opacity-50"
+                disabled={actionPending}
+              >
+                Duplicate
+              </button>
+              {isOwner && (
+                <button
+                  onClick={() => setConfirmingDelete(true)}
+                  className="px-3 py-2 bg-white border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50"
+                  disabled={actionPending}
+                >
+                  Delete
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
         <div className="mt-8 text-center">
           <button
             onClick={handleBackToList}
@@ -1,4 +1,13 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  images: {
+    // Profile pictures: uploaded ones (see app/lib/avatars.js) and those of Google and GitHub
+    localPatterns: [{ pathname: "/api/avatars/**" }],
+    remotePatterns: [
+      { protocol: "https", hostname: "*.googleusercontent.com" },
+      { protocol: "https", hostname: "avatars.githubusercontent.com" },
+    ],
+  },
+};
 
 export default nextConfig;
@@ -0,0 +1,24 @@
+// Service worker for web push notifications (see app/lib/notificationChannels.js).
+// Shows each pushed reminder, and opens its todo when the notification is clicked.
+
+self.addEventListener("push", (event) => {
+  const payload = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(payload.title || "Reminder", {
+      body: payload.body,
+      tag: payload.tag, // A newer reminder for the same todo replaces the older one
+      data: { url: payload.url || "/" },
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data.url, self.location.origin).href;
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const openWindow = windows.find((client) => client.url === url);
+      return openWindow ? openWindow.focus() : self.clients.openWindow(url);
+    })
+  );
+});
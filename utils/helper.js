@@ -1,34 +1,77 @@
 // This file contains client-side helper functions for interacting with our Next.js API routes.
 
+import { signOut } from "firebase/auth";
 import { auth } from "@/app/lib/firebaseClient"; // Import your client-side Firebase auth instance
+import { AUTH_ERROR_CODES } from "@/app/lib/authErrors";
 
 const API_BASE_URL = "/api/todos"; // Our base URL for the todo API routes
+const LISTS_API_URL = "/api/lists";
+const INVITATIONS_API_URL = "/api/invitations";
+const TAGS_API_URL = "/api/tags";
+const TRASH_API_URL = "/api/trash";
+const NOTIFICATIONS_API_URL = "/api/notifications";
+const ACCOUNT_API_URL = "/api/account";
+const API_TOKENS_API_URL = "/api/tokens";
+const ADMIN_USERS_API_URL = "/api/admin/users"; // Admin console; needs the "admin" role
+
+// The `code` of a 401 response (see authErrors.js), read from a copy so the body stays unread
+async function getAuthErrorCode(response) {
+  if (response.status !== 401) {
+    return null;
+  }
+  const errorData = await response
+    .clone()
+    .json()
+    .catch(() => ({}));
+  return errorData.code || null;
+}
 
 /**
  * Generic authenticated fetch wrapper.
  * This function will get the current user's ID token and attach it to the request headers.
+ * Responses are parsed as JSON, or returned as a Blob with `responseType: "blob"` (downloads).
+ * A request turned down for an expired token is retried once with a fresh token; when the
+ * session was revoked or the account disabled, the user is signed out.
  */
-async function fetchAuthenticated(url, options = {}) {
+async function fetchAuthenticated(url, { responseType = "json", ...options } = {}) {
   const user = auth.currentUser; // Get the currently signed-in user
 
   if (!user) {
-    // If no user is signed in, throw an error. 
+    // If no user is signed in, throw an error.
     throw new Error("Authentication required:  User Not Signed In.");
   }
 
-  const idToken = await user.getIdToken(); // Get the Firebase ID Token
+  const send = async (forceRefresh) => {
+    const idToken = await user.getIdToken(forceRefresh); // Get the Firebase ID Token
 
+    const headers = {
+      "Content-Type": "application/json",
+      ...options.headers, // Merge any existing headers
+      Authorization: `Bearer ${idToken}`, // Add the ID token!
+    };
 
-  const headers = {
-    "Content-Type": "application/json",
-    ...options.headers, // Merge any existing headers
-    Authorization: `Bearer ${idToken}`, // Add the ID token!
+    return fetch(url, {
+      ...options, // Spread any other fetch options (method, body, cache, etc.)
+      headers,
+    });
   };
 
-  const response = await fetch(url, {
-    ...options, // Spread any other fetch options (method, body, cache, etc.)
-    headers,
-  });
+  let response;
+  try {
+    response = await send(false);
+    if ((await getAuthErrorCode(response)) === AUTH_ERROR_CODES.expired) {
+      response = await send(true); // The cached token expired (e.g. the clock is off): renew it
+    }
+  } catch (networkError) {
+    // fetch (or refreshing an expired token) only rejects when the network is unreachable
+    if (networkError.name === "TypeError" || networkError.code === "auth/network-request-failed") {
+      const offlineError = new Error("You appear to be offline.");
+      offlineError.offline = true;
+      offlineError.cause = networkError;
+      throw offlineError;
+    }
+    throw networkError;
+  }
 
   // Handle API errors (e.g., 401, 403, 404, 500)
   if (!response.ok) {
@@ -42,7 +85,21 @@ async function fetchAuthenticated(url, options = {}) {
       errorData = { error: response.statusText || `HTTP error! Status: ${response.status}` };
     }
     // Re-throw with a more descriptive error message
-    throw new Error(errorData.error || `API Error (${response.status}): ${response.statusText}`);
+    let message = errorData.error || `API Error (${response.status}): ${response.statusText}`;
+    if (errorData.fieldErrors) {
+      // Validation errors (400) come back per field, e.g. { text: "Text cannot be empty." }
+      message += " " + Object.values(errorData.fieldErrors).join(" ");
+    }
+    const apiError = new Error(message);
+    apiError.status = response.status;
+    apiError.code = errorData.code || null; // Why a 401 happened (AUTH_ERROR_CODES)
+    if (apiError.code === AUTH_ERROR_CODES.revoked || apiError.code === AUTH_ERROR_CODES.disabled) {
+      // This session can't be used any more; AuthContext takes the user back to sign-in
+      signOut(auth).catch((error) => console.error("Error signing out:", error));
+    }
+    apiError.fieldErrors = errorData.fieldErrors || null;
+    apiError.current = errorData.current || null; // Server copy of the todo on a 412 conflict
+    throw apiError;
   }
 
   // Special handling for 204 No Content (DELETE success)
@@ -50,24 +107,64 @@ async function fetchAuthenticated(url, options = {}) {
     return null; // No content to return for 204
   }
 
+  if (responseType === "blob") {
+    return response.blob();
+  }
   return response.json(); // Parse and return the JSON response
 }
 
-// Function to fetch all todo items
-export async function fetchTodos() {
+// Tells whether an error from these helpers was caused by being offline (vs. an API error)
+export function isOfflineError(error) {
+  return Boolean(error && error.offline);
+}
+
+// Builds the If-Match header used to detect edit conflicts (see PUT/DELETE /api/todos/[id])
+function conflictHeaders(ifUpdatedAt) {
+  return ifUpdatedAt ? { "If-Match": `"${ifUpdatedAt}"` } : {};
+}
+
+// Function to fetch a page of todo items.
+// `options` can hold: listId or shared (true = todos shared with me), tag, completed, priority, dueAfter, dueBefore, sort, order, limit, cursor.
+// Resolves to { todos, nextCursor }; pass nextCursor back as `cursor` to get the next page.
+export async function fetchTodos(options = {}) {
   try {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined && value !== null && value !== "") {
+        params.set(key, value instanceof Date ? value.toISOString() : String(value));
+      }
+    }
+    const query = params.toString();
+
     // Use the authenticated fetch wrapper
-    const todos = await fetchAuthenticated(API_BASE_URL, {
+    const page = await fetchAuthenticated(query ? `${API_BASE_URL}?${query}` : API_BASE_URL, {
       method: "GET",
       // cache: 'no-store', // Example caching strategy
     });
-    return todos;
+    return page;
   } catch (error) {
     console.error("Error in fetchTodos:", error);
     throw error; // Re-throw to be handled by the calling component
   }
 }
 
+// Function to search the todo text, notes and tags the user can see.
+// Resolves to { results: [{ todo, score, highlights }], terms }, best match first.
+export async function searchTodos(query, { limit } = {}) {
+  try {
+    const params = new URLSearchParams({ q: query });
+    if (limit) {
+      params.set("limit", String(limit));
+    }
+    return await fetchAuthenticated(`${API_BASE_URL}/search?${params.toString()}`, {
+      method: "GET",
+    });
+  } catch (error) {
+    console.error("Error in searchTodos:", error);
+    throw error;
+  }
+}
+
 // Function to add a new todo item
 export async function createTodo(todoData) {
   try {
@@ -83,11 +180,13 @@ export async function createTodo(todoData) {
   }
 }
 
-// Function to update an existing todo item
-export async function updateTodo(id, updatedData) {
+// Function to update an existing todo item.
+// Pass `ifUpdatedAt` to only apply the update if the todo hasn't changed since then (412 otherwise).
+export async function updateTodo(id, updatedData, { ifUpdatedAt } = {}) {
   try {
     const updatedTodo = await fetchAuthenticated(`${API_BASE_URL}/${id}`, {
       method: "PUT",
+      headers: conflictHeaders(ifUpdatedAt),
       body: JSON.stringify(updatedData),
     });
     return updatedTodo;
@@ -97,12 +196,42 @@ export async function updateTodo(id, updatedData) {
   }
 }
 
-// Function to delete a todo item
-export async function deleteTodo(id) {
+// Function to copy a todo (see POST /api/todos/[id]/duplicate). Resolves to the new todo.
+export async function duplicateTodo(id) {
+  try {
+    const newTodo = await fetchAuthenticated(`${API_BASE_URL}/${id}/duplicate`, {
+      method: "POST",
+    });
+    return newTodo;
+  } catch (error) {
+    console.error(`Error in duplicateTodo for ID ${id}:`, error);
+    throw error;
+  }
+}
+
+// Function to move a todo in the manual order, between the todos that should end up right above
+// and below it (null at the top or end of the list). Fails with status 409 when the list changed.
+export async function reorderTodo(id, { previousId = null, nextId = null }) {
+  try {
+    const movedTodo = await fetchAuthenticated(`${API_BASE_URL}/reorder`, {
+      method: "PATCH",
+      body: JSON.stringify({ id, previousId, nextId }),
+    });
+    return movedTodo;
+  } catch (error) {
+    console.error(`Error in reorderTodo for ID ${id}:`, error);
+    throw error;
+  }
+}
+
+// Function to delete a todo item (it goes to the trash; see restoreTodos).
+// Pass `ifUpdatedAt` to only delete it if the todo hasn't changed since then (412 otherwise).
+export async function deleteTodo(id, { ifUpdatedAt } = {}) {
   try {
     // The fetchAuthenticated function will return null for 204 No Content
     await fetchAuthenticated(`${API_BASE_URL}/${id}`, {
       method: "DELETE",
+      headers: conflictHeaders(ifUpdatedAt),
     });
     return { success: true }; // Indicate success
   } catch (error) {
@@ -111,12 +240,26 @@ export async function deleteTodo(id) {
   }
 }
 
+// Function to change many todos at once.
+// `operations` is [{ action, ids, priority | listId | dueDate }]; see POST /api/todos/batch.
+// Resolves to { results: [{ id, action, ok, status?, error? }], succeeded, failed }.
+export async function batchUpdateTodos(operations) {
+  try {
+    return await fetchAuthenticated(`${API_BASE_URL}/batch`, {
+      method: "POST",
+      body: JSON.stringify({ operations }),
+    });
+  } catch (error) {
+    console.error("Error in batchUpdateTodos:", error);
+    throw error;
+  }
+}
 
 // Function to fetch a single todo item by ID
 export async function fetchTodoById(id) {
   try {
     const todo = await fetchAuthenticated(`${API_BASE_URL}/${id}`, {
-      method: 'GET',
+      method: "GET",
     });
     return todo;
   } catch (error) {
@@ -125,4 +268,657 @@ export async function fetchTodoById(id) {
   }
 }
 
+// --- Import and export ---
+
+// Function to download every todo the user owns as a file; format is "json", "csv" or "ics".
+// Resolves to { blob, filename }.
+export async function exportTodos(format) {
+  try {
+    const blob = await fetchAuthenticated(
+      `${API_BASE_URL}/export?${new URLSearchParams({ format })}`,
+      { method: "GET", responseType: "blob" }
+    );
+    return { blob, filename: `todos-${new Date().toISOString().slice(0, 10)}.${format}` };
+  } catch (error) {
+    console.error("Error in exportTodos:", error);
+    throw error;
+  }
+}
+
+// Function to import todos from the text of a file.
+// `options`: { format, content, dryRun, listId, timeZone }; see POST /api/todos/import.
+export async function importTodos(options) {
+  try {
+    return await fetchAuthenticated(`${API_BASE_URL}/import`, {
+      method: "POST",
+      body: JSON.stringify(options),
+    });
+  } catch (error) {
+    console.error("Error in importTodos:", error);
+    throw error;
+  }
+}
+
+// --- History ---
+
+// Function to fetch the change history of a todo, newest first
+export async function fetchTodoHistory(id) {
+  try {
+    const data = await fetchAuthenticated(`${API_BASE_URL}/${id}/history`, {
+      method: "GET",
+    });
+    return data.entries;
+  } catch (error) {
+    console.error(`Error in fetchTodoHistory for ID ${id}:`, error);
+    throw error;
+  }
+}
+
+// Function to revert a todo to its version right after a history entry; resolves to the todo
+export async function revertTodo(id, entryId) {
+  try {
+    return await fetchAuthenticated(`${API_BASE_URL}/${id}/revert`, {
+      method: "POST",
+      body: JSON.stringify({ entryId }),
+    });
+  } catch (error) {
+    console.error(`Error in revertTodo for ID ${id}:`, error);
+    throw error;
+  }
+}
+
+// --- Subtasks ---
+// The add/update/delete/reorder helpers resolve to the whole updated todo,
+// because a subtask change can also complete or reopen its parent.
+
+// Function to fetch the ordered subtasks of a todo
+export async function fetchSubtasks(todoId) {
+  try {
+    const data = await fetchAuthenticated(`${API_BASE_URL}/${todoId}/subtasks`, {
+      method: "GET",
+    });
+    return data.subtasks;
+  } catch (error) {
+    console.error(`Error in fetchSubtasks for todo ${todoId}:`, error);
+    throw error;
+  }
+}
+
+// Function to append a subtask to a todo
+export async function addSubtask(todoId, text) {
+  try {
+    return await fetchAuthenticated(`${API_BASE_URL}/${todoId}/subtasks`, {
+      method: "POST",
+      body: JSON.stringify({ text }),
+    });
+  } catch (error) {
+    console.error(`Error in addSubtask for todo ${todoId}:`, error);
+    throw error;
+  }
+}
+
+// Function to rename or check off a subtask (changes: { text?, completed? })
+export async function updateSubtask(todoId, subtaskId, changes) {
+  try {
+    return await fetchAuthenticated(`${API_BASE_URL}/${todoId}/subtasks/${subtaskId}`, {
+      method: "PUT",
+      body: JSON.stringify(changes),
+    });
+  } catch (error) {
+    console.error(`Error in updateSubtask ${subtaskId} for todo ${todoId}:`, error);
+    throw error;
+  }
+}
+
+// Function to delete a subtask
+export async function deleteSubtask(todoId, subtaskId) {
+  try {
+    return await fetchAuthenticated(`${API_BASE_URL}/${todoId}/subtasks/${subtaskId}`, {
+      method: "DELETE",
+    });
+  } catch (error) {
+    console.error(`Error in deleteSubtask ${subtaskId} for todo ${todoId}:`, error);
+    throw error;
+  }
+}
 
+// Function to reorder subtasks; `order` lists every subtask ID in the new order
+export async function reorderSubtasks(todoId, order) {
+  try {
+    return await fetchAuthenticated(`${API_BASE_URL}/${todoId}/subtasks`, {
+      method: "PATCH",
+      body: JSON.stringify({ order }),
+    });
+  } catch (error) {
+    console.error(`Error in reorderSubtasks for todo ${todoId}:`, error);
+    throw error;
+  }
+}
+
+// --- Lists ---
+
+// Function to fetch the user's lists, Inbox first. Each list has todoCount and openCount.
+export async function fetchLists() {
+  try {
+    const data = await fetchAuthenticated(LISTS_API_URL, { method: "GET" });
+    return data.lists;
+  } catch (error) {
+    console.error("Error in fetchLists:", error);
+    throw error;
+  }
+}
+
+// Function to create a list
+export async function createList(name) {
+  try {
+    return await fetchAuthenticated(LISTS_API_URL, {
+      method: "POST",
+      body: JSON.stringify({ name }),
+    });
+  } catch (error) {
+    console.error("Error in createList:", error);
+    throw error;
+  }
+}
+
+// Function to rename a list
+export async function updateList(id, changes) {
+  try {
+    return await fetchAuthenticated(`${LISTS_API_URL}/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(changes),
+    });
+  } catch (error) {
+    console.error(`Error in updateList for ID ${id}:`, error);
+    throw error;
+  }
+}
+
+// Function to delete a list. `todos` is "move" (to the Inbox) or "delete" (delete them as well).
+export async function deleteList(id, { todos = "move" } = {}) {
+  try {
+    await fetchAuthenticated(`${LISTS_API_URL}/${id}?todos=${todos}`, { method: "DELETE" });
+    return { success: true };
+  } catch (error) {
+    console.error(`Error in deleteList for ID ${id}:`, error);
+    throw error;
+  }
+}
+
+// --- Sharing ---
+
+// Function to fetch invitations: { received, sent }.
+// Pass { resourceType, resourceId } to only get the ones sent for one todo or list.
+export async function fetchInvitations({ resourceType, resourceId } = {}) {
+  try {
+    const query =
+      resourceType && resourceId
+        ? `?${new URLSearchParams({ resourceType, resourceId }).toString()}`
+        : "";
+    return await fetchAuthenticated(`${INVITATIONS_API_URL}${query}`, { method: "GET" });
+  } catch (error) {
+    console.error("Error in fetchInvitations:", error);
+    throw error;
+  }
+}
+
+// Function to invite someone: { resourceType: "todo" | "list", resourceId, email, role }
+export async function createInvitation(invitationData) {
+  try {
+    return await fetchAuthenticated(INVITATIONS_API_URL, {
+      method: "POST",
+      body: JSON.stringify(invitationData),
+    });
+  } catch (error) {
+    console.error("Error in createInvitation:", error);
+    throw error;
+  }
+}
+
+// Function to accept an invitation sent to the signed-in user's email
+export async function acceptInvitation(id) {
+  try {
+    return await fetchAuthenticated(`${INVITATIONS_API_URL}/${id}/accept`, { method: "POST" });
+  } catch (error) {
+    console.error(`Error in acceptInvitation for ID ${id}:`, error);
+    throw error;
+  }
+}
+
+// Function to end an invitation: revokes one you sent (removing access if it was accepted),
+// or declines one you received
+export async function revokeInvitation(id) {
+  try {
+    await fetchAuthenticated(`${INVITATIONS_API_URL}/${id}`, { method: "DELETE" });
+    return { success: true };
+  } catch (error) {
+    console.error(`Error in revokeInvitation for ID ${id}:`, error);
+    throw error;
+  }
+}
+
+// --- Tags ---
+
+// Function to fetch the tags on the user's todos: [{ tag, count }], most used first
+export async function fetchTags() {
+  try {
+    const data = await fetchAuthenticated(TAGS_API_URL, { method: "GET" });
+    return data.tags;
+  } catch (error) {
+    console.error("Error in fetchTags:", error);
+    throw error;
+  }
+}
+
+// Function to rename a tag on all of the user's todos. Resolves to { tag, updatedCount }.
+export async function renameTag(from, to) {
+  try {
+    return await fetchAuthenticated(`${TAGS_API_URL}/rename`, {
+      method: "POST",
+      body: JSON.stringify({ from, to }),
+    });
+  } catch (error) {
+    console.error("Error in renameTag:", error);
+    throw error;
+  }
+}
+
+// Function to replace several tags with one (`target`) on all of the user's todos
+export async function mergeTags(sources, target) {
+  try {
+    return await fetchAuthenticated(`${TAGS_API_URL}/merge`, {
+      method: "POST",
+      body: JSON.stringify({ sources, target }),
+    });
+  } catch (error) {
+    console.error("Error in mergeTags:", error);
+    throw error;
+  }
+}
+
+// --- Trash ---
+
+// Function to fetch the trash: { todos, retentionDays }, most recently deleted first.
+// Each todo has deletedAt and purgeAt (when it will be deleted for good).
+export async function fetchTrash() {
+  try {
+    return await fetchAuthenticated(TRASH_API_URL, { method: "GET" });
+  } catch (error) {
+    console.error("Error in fetchTrash:", error);
+    throw error;
+  }
+}
+
+// Function to restore deleted todos by ID.
+// Resolves to { results: [{ id, ok, todo?, error? }], succeeded, failed }.
+export async function restoreTodos(ids) {
+  try {
+    return await fetchAuthenticated(`${TRASH_API_URL}/restore`, {
+      method: "POST",
+      body: JSON.stringify({ ids }),
+    });
+  } catch (error) {
+    console.error("Error in restoreTodos:", error);
+    throw error;
+  }
+}
+
+// Function to delete a todo in the trash for good
+export async function deleteTodoForever(id) {
+  try {
+    await fetchAuthenticated(`${TRASH_API_URL}/${id}`, { method: "DELETE" });
+    return { success: true };
+  } catch (error) {
+    console.error(`Error in deleteTodoForever for ID ${id}:`, error);
+    throw error;
+  }
+}
+
+// --- Notifications ---
+
+// Function to fetch the latest notifications: { notifications, unreadCount }, newest first
+export async function fetchNotifications() {
+  try {
+    return await fetchAuthenticated(NOTIFICATIONS_API_URL, { method: "GET" });
+  } catch (error) {
+    console.error("Error in fetchNotifications:", error);
+    throw error;
+  }
+}
+
+// Function to mark notifications as read: the given IDs, or all of them when `ids` is omitted
+export async function markNotificationsRead(ids) {
+  try {
+    return await fetchAuthenticated(`${NOTIFICATIONS_API_URL}/read`, {
+      method: "POST",
+      body: JSON.stringify(ids ? { ids } : { all: true }),
+    });
+  } catch (error) {
+    console.error("Error in markNotificationsRead:", error);
+    throw error;
+  }
+}
+
+// Function to turn web push on for this browser, given its PushSubscription
+export async function savePushSubscription(subscription) {
+  try {
+    await fetchAuthenticated(`${NOTIFICATIONS_API_URL}/push`, {
+      method: "POST",
+      body: JSON.stringify(subscription.toJSON()),
+    });
+    return { success: true };
+  } catch (error) {
+    console.error("Error in savePushSubscription:", error);
+    throw error;
+  }
+}
+
+// Function to turn web push off for this browser, given its PushSubscription
+export async function deletePushSubscription(subscription) {
+  try {
+    await fetchAuthenticated(`${NOTIFICATIONS_API_URL}/push`, {
+      method: "DELETE",
+      body: JSON.stringify(subscription.toJSON()),
+    });
+    return { success: true };
+  } catch (error) {
+    console.error("Error in deletePushSubscription:", error);
+    throw error;
+  }
+}
+
+// --- Account ---
+
+// Function to upload a new profile picture, given as a data URL. Resolves to { photoURL }.
+export async function uploadAvatar(image) {
+  try {
+    return await fetchAuthenticated(`${ACCOUNT_API_URL}/avatar`, {
+      method: "PUT",
+      body: JSON.stringify({ image }),
+    });
+  } catch (error) {
+    console.error("Error in uploadAvatar:", error);
+    throw error;
+  }
+}
+
+// Function to remove the profile picture
+export async function removeAvatar() {
+  try {
+    await fetchAuthenticated(`${ACCOUNT_API_URL}/avatar`, { method: "DELETE" });
+    return { success: true };
+  } catch (error) {
+    console.error("Error in removeAvatar:", error);
+    throw error;
+  }
+}
+
+// Function to delete the user's account and all of their data for good. The user must have
+// signed in again just before (see reauthenticate); otherwise it fails with status 403.
+// Resolves to { deleted }, the number of documents deleted per kind.
+export async function deleteAccount() {
+  try {
+    return await fetchAuthenticated(ACCOUNT_API_URL, { method: "DELETE" });
+  } catch (error) {
+    console.error("Error in deleteAccount:", error);
+    throw error;
+  }
+}
+
+// --- Personal API tokens ---
+
+// Function to fetch the user's API tokens (without the secrets), newest first
+export async function fetchApiTokens() {
+  try {
+    const data = await fetchAuthenticated(API_TOKENS_API_URL, { method: "GET" });
+    return data.tokens;
+  } catch (error) {
+    console.error("Error in fetchApiTokens:", error);
+    throw error;
+  }
+}
+
+// Function to create an API token; scope is "read" or "write".
+// Resolves to { token, apiToken }, where `token` is the secret, shown only this once.
+export async function createApiToken({ name, scope }) {
+  try {
+    return await fetchAuthenticated(API_TOKENS_API_URL, {
+      method: "POST",
+      body: JSON.stringify({ name, scope }),
+    });
+  } catch (error) {
+    console.error("Error in createApiToken:", error);
+    throw error;
+  }
+}
+
+// Function to revoke an API token
+export async function revokeApiToken(id) {
+  try {
+    await fetchAuthenticated(`${API_TOKENS_API_URL}/${id}`, { method: "DELETE" });
+    return { success: true };
+  } catch (error) {
+    console.error(`Error in revokeApiToken for ID ${id}:`, error);
+    throw error;
+  }
+}
+
+// --- Admin console ---
+
+// Function to fetch a page of user accounts: { users, nextPageToken }.
+// `options`: pageToken, limit, or email to look up the one account with that address.
+export async function fetchAdminUsers({ pageToken, limit, email } = {}) {
+  try {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries({ pageToken, limit, email })) {
+      if (value) {
+        params.set(key, value);
+      }
+    }
+    const query = params.toString();
+    return await fetchAuthenticated(
+      query ? `${ADMIN_USERS_API_URL}?${query}` : ADMIN_USERS_API_URL,
+      { method: "GET" }
+    );
+  } catch (error) {
+    console.error("Error in fetchAdminUsers:", error);
+    throw error;
+  }
+}
+
+// Function to fetch one user account
+export async function fetchAdminUser(uid) {
+  try {
+    return await fetchAuthenticated(`${ADMIN_USERS_API_URL}/${uid}`, { method: "GET" });
+  } catch (error) {
+    console.error(`Error in fetchAdminUser for ${uid}:`, error);
+    throw error;
+  }
+}
+
+// Function to disable or enable an account, or give or take away the admin role.
+// `changes`: { disabled?, admin? }. Resolves to the updated account.
+export async function updateAdminUser(uid, changes) {
+  try {
+    return await fetchAuthenticated(`${ADMIN_USERS_API_URL}/${uid}`, {
+      method: "PATCH",
+      body: JSON.stringify(changes),
+    });
+  } catch (error) {
+    console.error(`Error in updateAdminUser for ${uid}:`, error);
+    throw error;
+  }
+}
+
+// Function to end every session of a user. Resolves to the updated account.
+export async function revokeAdminUserSessions(uid) {
+  try {
+    return await fetchAuthenticated(`${ADMIN_USERS_API_URL}/${uid}/revoke`, { method: "POST" });
+  } catch (error) {
+    console.error(`Error in revokeAdminUserSessions for ${uid}:`, error);
+    throw error;
+  }
+}
+
+// Function to fetch what a user owns: { todos, trashedTodos, lists }
+export async function fetchAdminUserTodos(uid) {
+  try {
+    return await fetchAuthenticated(`${ADMIN_USERS_API_URL}/${uid}/todos`, { method: "GET" });
+  } catch (error) {
+    console.error(`Error in fetchAdminUserTodos for ${uid}:`, error);
+    throw error;
+  }
+}
+
+// Function to download a user's todos as a file, like exportTodos. Resolves to { blob, filename }.
+export async function exportAdminUserTodos(uid, format) {
+  try {
+    const blob = await fetchAuthenticated(
+      `${ADMIN_USERS_API_URL}/${uid}/todos/export?${new URLSearchParams({ format })}`,
+      { method: "GET", responseType: "blob" }
+    );
+    return { blob, filename: `todos-${uid}-${new Date().toISOString().slice(0, 10)}.${format}` };
+  } catch (error) {
+    console.error(`Error in exportAdminUserTodos for ${uid}:`, error);
+    throw error;
+  }
+}
+
+// Function to delete a user's account and all of their data for good.
+// Resolves to { deleted }, the number of documents deleted per kind.
+export async function deleteAdminUser(uid) {
+  try {
+    return await fetchAuthenticated(`${ADMIN_USERS_API_URL}/${uid}`, { method: "DELETE" });
+  } catch (error) {
+    console.error(`Error in deleteAdminUser for ${uid}:`, error);
+    throw error;
+  }
+}
+
+// --- Live updates ---
+
+const RECONNECT_BASE_DELAY_MS = 1000; // First retry after 1s, doubling up to the max
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+// Parses one server-sent event block ("event: x\ndata: {...}") into { type, data }.
+// Returns null for comment-only blocks such as heartbeats.
+function parseServerSentEvent(block) {
+  let type = "message";
+  const dataLines = [];
+  for (const line of block.split("\n")) {
+    if (line.startsWith("event:")) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      dataLines.push(line.slice(5).trim());
+    }
+  }
+  if (dataLines.length === 0) {
+    return null;
+  }
+  return { type, data: JSON.parse(dataLines.join("\n")) };
+}
+
+/**
+ * Subscribes to live changes of the todos the signed-in user can see (GET /api/todos/stream).
+ * Uses fetch instead of EventSource so the ID token can travel in the Authorization header.
+ * Whenever the connection drops it is re-opened with exponential backoff and a fresh token.
+ *
+ * handlers.onChange(type, data)   - type is "added", "modified" or "removed" ({ id } for removed)
+ * handlers.onStatusChange(status) - "connecting", "live" or "reconnecting"
+ * handlers.onReconnect()          - the stream is live again after a drop; changes may have been missed
+ *
+ * Returns a function that closes the subscription.
+ */
+export function subscribeToTodoChanges({
+  onChange,
+  onStatusChange = () => {},
+  onReconnect = () => {},
+}) {
+  let stopped = false;
+  let abortController = null;
+  let reconnectTimer = null;
+  let failedAttempts = 0;
+  let hasBeenLive = false;
+  let refreshToken = false; // Set when the server turned down an expired token
+
+  const scheduleReconnect = () => {
+    const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** failedAttempts, RECONNECT_MAX_DELAY_MS);
+    failedAttempts += 1;
+    onStatusChange("reconnecting");
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  const connect = async () => {
+    abortController = new AbortController();
+    try {
+      const user = auth.currentUser;
+      if (!user) {
+        throw new Error("Authentication required:  User Not Signed In.");
+      }
+      const idToken = await user.getIdToken(refreshToken); // Fresh token on every (re)connect
+      refreshToken = false;
+
+      const response = await fetch(`${API_BASE_URL}/stream`, {
+        headers: { Authorization: `Bearer ${idToken}`, Accept: "text/event-stream" },
+        cache: "no-store",
+        signal: abortController.signal,
+      });
+      if (!response.ok || !response.body) {
+        refreshToken = (await getAuthErrorCode(response)) === AUTH_ERROR_CODES.expired;
+        throw new Error(`Live updates unavailable (status ${response.status}).`);
+      }
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = "";
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+          break; // Server closed the stream; reconnect below
+        }
+        buffer += value;
+
+        // Events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+          const event = parseServerSentEvent(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+          if (!event) {
+            continue;
+          }
+          if (event.type === "ready") {
+            failedAttempts = 0;
+            onStatusChange("live");
+            if (hasBeenLive) {
+              onReconnect();
+            }
+            hasBeenLive = true;
+          } else if (event.type === "error") {
+            refreshToken = event.data.code === AUTH_ERROR_CODES.expired;
+            throw new Error(event.data.error);
+          } else {
+            onChange(event.type, event.data);
+          }
+        }
+      }
+    } catch (error) {
+      if (stopped) {
+        return; // Aborted by unsubscribe
+      }
+      console.error("Live todo updates disconnected:", error);
+    }
+    if (!stopped) {
+      scheduleReconnect();
+    }
+  };
+
+  onStatusChange("connecting");
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    if (abortController) {
+      abortController.abort();
+    }
+  };
+}
@@ -0,0 +1,145 @@
+// This file contains the client-side IndexedDB storage used for offline mode:
+// a cache of the last known todos and a persistent outbox of mutations waiting to be sent.
+
+const DB_NAME = "todo-app-offline";
+const DB_VERSION = 1;
+const TODOS_STORE = "todos"; // Cached todos, keyed by todo ID
+const OUTBOX_STORE = "outbox"; // Queued mutations, keyed by an auto-incremented sequence number
+
+let dbPromise = null;
+
+// Opens (and on first use creates) the offline database
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available in this browser."));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const todosStore = db.createObjectStore(TODOS_STORE, { keyPath: "id" });
+        todosStore.createIndex("ownerUid", "ownerUid");
+        const outboxStore = db.createObjectStore(OUTBOX_STORE, {
+          keyPath: "seq",
+          autoIncrement: true,
+        });
+        outboxStore.createIndex("ownerUid", "ownerUid");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null; // Allow a retry later
+    });
+  }
+  return dbPromise;
+}
+
+// Runs `work(store)` inside a transaction and resolves with its result once the transaction commits
+async function withStore(storeName, mode, work) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const store = transaction.objectStore(storeName);
+    let result;
+    Promise.resolve(work(store)).then((value) => {
+      result = value;
+    }, reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Wraps a single IDBRequest in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// --- Todo cache ---
+
+// Returns the cached todos of a user, newest first
+export async function loadCachedTodos(uid) {
+  const todos = await withStore(TODOS_STORE, "readonly", (store) =>
+    requestToPromise(store.index("ownerUid").getAll(uid))
+  );
+  return todos
+    .map((cachedTodo) => {
+      const todo = { ...cachedTodo };
+      delete todo.ownerUid; // Bookkeeping field, not part of the todo
+      return todo;
+    })
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// Adds or refreshes todos in the cache
+export async function cacheTodos(uid, todos) {
+  await withStore(TODOS_STORE, "readwrite", (store) => {
+    for (const todo of todos) {
+      store.put({ ...todo, ownerUid: uid });
+    }
+  });
+}
+
+export async function removeCachedTodo(id) {
+  await withStore(TODOS_STORE, "readwrite", (store) => {
+    store.delete(id);
+  });
+}
+
+// --- Outbox ---
+// A mutation looks like:
+//   { seq, ownerUid, type: "create" | "update" | "delete", todoId, payload, baseUpdatedAt, conflict }
+// `baseUpdatedAt` is the updatedAt the user last saw; the server uses it to detect conflicts.
+// `conflict` holds the server's copy once a replay was rejected, until the user resolves it.
+
+// Returns a user's queued mutations in the order they were made
+export async function getOutbox(uid) {
+  const mutations = await withStore(OUTBOX_STORE, "readonly", (store) =>
+    requestToPromise(store.index("ownerUid").getAll(uid))
+  );
+  return mutations.sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Queues a mutation made while offline.
+ * Changes to a todo that was itself created offline are folded into its queued "create",
+ * so the server never sees the temporary ID.
+ */
+export async function enqueueMutation(uid, mutation) {
+  const queued = await getOutbox(uid);
+  const pendingCreate = queued.find(
+    (entry) => entry.type === "create" && entry.todoId === mutation.todoId
+  );
+
+  await withStore(OUTBOX_STORE, "readwrite", (store) => {
+    if (pendingCreate && mutation.type === "update") {
+      store.put({ ...pendingCreate, payload: { ...pendingCreate.payload, ...mutation.payload } });
+    } else if (pendingCreate && mutation.type === "delete") {
+      store.delete(pendingCreate.seq); // Never reached the server, so there's nothing to delete
+    } else {
+      store.add({ ...mutation, ownerUid: uid, conflict: null });
+    }
+  });
+}
+
+export async function removeMutation(seq) {
+  await withStore(OUTBOX_STORE, "readwrite", (store) => {
+    store.delete(seq);
+  });
+}
+
+// Merges changes (e.g. a detected conflict) into a queued mutation
+export async function updateMutation(seq, changes) {
+  await withStore(OUTBOX_STORE, "readwrite", async (store) => {
+    const mutation = await requestToPromise(store.get(seq));
+    if (mutation) {
+      store.put({ ...mutation, ...changes });
+    }
+  });
+}
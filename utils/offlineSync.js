@@ -0,0 +1,101 @@
+// This file replays the offline outbox against the API once the connection is back,
+// and resolves conflicts between queued changes and newer server copies.
+
+import { createTodo, updateTodo, deleteTodo, isOfflineError } from "@/utils/helper";
+import { getOutbox, removeMutation, updateMutation } from "@/utils/offlineStore";
+
+// Sends one queued mutation. `force` skips the conflict check and overwrites the server copy.
+async function sendMutation(mutation, { force = false } = {}) {
+  const ifUpdatedAt = force ? undefined : mutation.baseUpdatedAt;
+  switch (mutation.type) {
+    case "create":
+      return createTodo(mutation.payload);
+    case "update":
+      return updateTodo(mutation.todoId, mutation.payload, { ifUpdatedAt });
+    case "delete":
+      await deleteTodo(mutation.todoId, { ifUpdatedAt });
+      return null;
+    default:
+      throw new Error(`Unknown outbox mutation type: ${mutation.type}`);
+  }
+}
+
+// Points the queued mutations of a todo at its updatedAt on the server, here and in the outbox
+async function rebaseLaterMutations(mutations, todoId, updatedAt) {
+  for (const mutation of mutations) {
+    if (mutation.todoId === todoId && mutation.baseUpdatedAt) {
+      mutation.baseUpdatedAt = updatedAt;
+      await updateMutation(mutation.seq, { baseUpdatedAt: updatedAt });
+    }
+  }
+}
+
+/**
+ * Sends a user's queued mutations to the server, oldest first.
+ *
+ * - A network failure stops the replay; everything not yet sent stays queued.
+ * - After an update is sent, later mutations of the same todo are based on the server's new
+ *   copy, so the user's own earlier offline edit doesn't count as a conflict.
+ * - A 412 response marks the mutation as a conflict (with the server's copy) for the user to resolve.
+ *   Later mutations of the same todo wait behind it so they are not applied out of order.
+ * - A 404 drops the mutation: the todo no longer exists on the server.
+ * - Any other API error drops the mutation and reports it in `failed`.
+ *
+ * Resolves to { synced: [{ mutation, todo }], conflicts: [mutation], failed: [{ mutation, error }], remaining }.
+ */
+export async function replayOutbox(uid) {
+  const synced = [];
+  const failed = [];
+  const blockedTodoIds = new Set();
+
+  const outbox = await getOutbox(uid);
+  for (const [index, mutation] of outbox.entries()) {
+    if (mutation.conflict || blockedTodoIds.has(mutation.todoId)) {
+      blockedTodoIds.add(mutation.todoId);
+      continue;
+    }
+    try {
+      const todo = await sendMutation(mutation);
+      await removeMutation(mutation.seq);
+      synced.push({ mutation, todo });
+      if (mutation.type === "update") {
+        await rebaseLaterMutations(outbox.slice(index + 1), mutation.todoId, todo.updatedAt);
+      }
+    } catch (error) {
+      if (isOfflineError(error)) {
+        break; // Still offline; try again on the next "online" event
+      }
+      if (error.status === 412) {
+        await updateMutation(mutation.seq, { conflict: error.current });
+        blockedTodoIds.add(mutation.todoId);
+      } else {
+        await removeMutation(mutation.seq);
+        if (error.status !== 404) {
+          failed.push({ mutation, error });
+        }
+      }
+    }
+  }
+
+  const remaining = await getOutbox(uid);
+  return {
+    synced,
+    failed,
+    conflicts: remaining.filter((mutation) => mutation.conflict),
+    remaining: remaining.length,
+  };
+}
+
+/**
+ * Resolves a conflicted mutation.
+ * "mine" re-sends the queued change over the server copy; "theirs" discards it.
+ * Resolves to the todo as it now stands on the server (null if it was deleted).
+ */
+export async function resolveConflict(mutation, resolution) {
+  let todo = mutation.conflict;
+  if (resolution === "mine") {
+    todo = await sendMutation(mutation, { force: true });
+  }
+  await removeMutation(mutation.seq);
+  return todo;
+}